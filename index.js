@@ -7,10 +7,98 @@ const express = require("express");
 const cors = require("cors");
 const { Telegraf } = require("telegraf");
 const { pool, withTransaction } = require("./lib/db");
-const { applyBalanceChange, applyBalanceChangeTx } = require("./lib/ledger");
+const {
+  CURRENCIES,
+  applyBalanceChange,
+  applyBalanceChangeTx,
+  getSystemAccountBalances,
+  REASON_LABELS,
+  getLedgerHistory,
+  getLedgerDailyTotals,
+  NEGATIVE_POLICIES,
+  adjustBalanceTx,
+  reverseLedgerEntryTx,
+  availableBalance,
+  createHoldTx,
+  releaseHoldTx,
+  captureHoldTx,
+} = require("./lib/ledger");
 const { enqueueJob } = require("./lib/jobs");
+const { listShopItems, buyShopItemTx } = require("./lib/shop");
+const { mintReward, mintRewardTx, isEmissionPaused, getEmissionStatus } = require("./lib/emission");
 const { ensureIdempotencyKeyTx, completeIdempotencyKeyTx } = require("./lib/idempotency");
-const { loadConfig } = require("./lib/config");
+const {
+  SETTINGS_SCHEMA,
+  loadSettings,
+  loadClientConfig,
+  updateSettings,
+  rollbackSettings,
+  cancelScheduledRevision,
+  listSettingsRevisions,
+  loadConfig,
+  startConfigListener,
+  getConfigStatus,
+} = require("./lib/config");
+const {
+  loadConfigForUser,
+  loadSettingsForUser,
+  listExperiments,
+  createExperiment,
+  setExperimentStatus,
+  getExperimentReport,
+} = require("./lib/experiments");
+const { InitDataError, INITDATA_ERRORS, verifyInitData } = require("./lib/telegramAuth");
+const {
+  SessionError,
+  SESSION_ERRORS,
+  createSession,
+  refreshSession,
+  revokeSessions,
+  verifyAccessToken,
+  isSessionActive,
+} = require("./lib/sessions");
+const {
+  ADMIN_SCOPES,
+  ADMIN_ROLES,
+  hasScope,
+  authenticateAdminKey,
+  validateAdminInput,
+  createAdminAccountTx,
+  rotateAdminKeyTx,
+  revokeAdminAccessTx,
+  listAdminAccounts,
+} = require("./lib/adminAuth");
+const { recordAdminAction, queryAdminAudit } = require("./lib/adminAudit");
+const { startReconcileRun, getReconcileReport } = require("./lib/reconcile");
+const { startDecayRun, reverseDecayTx, getDecayReport } = require("./lib/decay");
+const { acceptTapPacket, startTapFlusher, listParkedTapPackets, requeueParkedTapPackets } = require("./lib/tapAccumulator");
+const { computeEnergy, settleEnergy, refillEnergyTx } = require("./lib/energy");
+const { upgradeEffects, describeUpgrades, buyUpgradeTx } = require("./lib/upgrades");
+const { describeMining, collectMining, buyMiningCardTx } = require("./lib/mining");
+const { normalizeTzOffset, utcDay, userDay, dayOf, isNewUserDay, secondsUntilUserDayEnd } = require("./lib/dayClock");
+const { issueTapChain, verifyTapChain } = require("./lib/tapChain");
+const {
+  MISSION_PAYOUT_TYPES,
+  listMissionsAdmin,
+  createMissionTx,
+  updateMissionTx,
+  setMissionActiveTx,
+  reorderMissionsTx,
+  cloneMissionTx,
+  normalizePlatform,
+  missionBlockReason,
+  accountAgeDays,
+} = require("./lib/missions");
+const { userSegments, listSegments, saveSegmentTx, updateSegmentMembersTx } = require("./lib/segments");
+const {
+  RISK_STATUSES,
+  parseTapCadence,
+  getRiskStatus,
+  getWithdrawalRiskCheck,
+  listUserRisk,
+  reviewUserRiskTx,
+  analyzeTapCadenceTx,
+} = require("./lib/antiCheat");
 const crypto = require("crypto");
 const Stripe = require("stripe");
 const fetch = require("node-fetch");
@@ -23,6 +111,19 @@ const ADMIN_KEY = process.env.ADMIN_KEY || "";
 const AD_CALLBACK_SECRET = process.env.AD_CALLBACK_SECRET || "";
 const OGADS_POSTBACK_SECRET = String(process.env.OGADS_POSTBACK_SECRET || "").trim();
 const WITHDRAW_MIN = Number(process.env.WITHDRAW_MIN || 1000);
+// Default for admin debits that exceed the balance: "cap_at_zero" or "allow".
+const LEDGER_NEGATIVE_POLICY = String(process.env.LEDGER_NEGATIVE_POLICY || "cap_at_zero").trim();
+// Reverse proxies in front of the app (Render: 1). req.ip only trusts x-forwarded-for entries
+// added by these hops, so clients cannot spoof their IP through the header.
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY_HOPS || 1);
+
+// Telegram initData auth.
+// initData is always verified against BOT_TOKEN. Only APP_ENV=development may fall back
+// to a bare telegram_id in the body/query (local testing without Telegram).
+const APP_ENV = String(process.env.APP_ENV || process.env.NODE_ENV || "production").trim().toLowerCase();
+const ALLOW_DEV_TELEGRAM_ID = APP_ENV === "development";
+// Max age of initData (auth_date) in seconds; 0 disables the freshness check.
+const INITDATA_MAX_AGE_SECONDS = Number(process.env.INITDATA_MAX_AGE_SECONDS || 86400);
 
 // Feature flags / kill switches (string "1"/"true" = enabled)
 const MAINTENANCE_MODE =
@@ -41,16 +142,6 @@ const DISABLE_SPONSOR_MISSIONS =
   String(process.env.DISABLE_SPONSOR_MISSIONS || "0").toLowerCase() === "1" ||
   String(process.env.DISABLE_SPONSOR_MISSIONS || "0").toLowerCase() === "true";
 
-// Fixed sponsor quest payouts for the main 5 high-level sponsor missions.
-// This ensures consistent 200-point rewards across all clients, even if DB config drifts.
-const SPONSOR_FIXED_PAYOUTS = {
-  sp_visit_partner: 200,
-  sp_watch_content: 200,
-  sp_watch_earn: 200,
-  sp_claim_reward: 200,
-  sp_bonus_mission: 200,
-};
-
 // Optional: time-box the Early Access / Launch Phase FOMO without changing rewards.
 // Provide as epoch ms (e.g. 1760000000000) or ISO string (e.g. 2026-01-05T00:00:00Z).
 const EARLY_ACCESS_END_TS_RAW = String(process.env.EARLY_ACCESS_END_TS || "").trim();
@@ -71,6 +162,9 @@ const ONBOARDING_MIN_REFERRALS = Number(process.env.ONBOARDING_MIN_REFERRALS ||
 const REFERRAL_ACTIVATION_MIN_TAPS = Number(process.env.REFERRAL_ACTIVATION_MIN_TAPS || 150);
 const REFERRAL_ACTIVATION_MIN_SPONSOR = Number(process.env.REFERRAL_ACTIVATION_MIN_SPONSOR || 1);
 const TAP_PACKET_MAX = Number(process.env.TAP_PACKET_MAX || 25);
+// Write-behind tap packets (lib/tapAccumulator.js); TAP_WRITE_BEHIND=0 applies every packet synchronously.
+const TAP_WRITE_BEHIND = !["0", "false"].includes(String(process.env.TAP_WRITE_BEHIND || "1").toLowerCase());
+const TAP_FLUSH_INTERVAL_MS = Number(process.env.TAP_FLUSH_INTERVAL_MS || 1000);
 
 // Stripe (VIP Checkout + Webhook)
 const STRIPE_SECRET_KEY = String(process.env.STRIPE_SECRET_KEY || "").trim();
@@ -162,10 +256,6 @@ function hit(key, limit, windowMs) {
   return rec.c <= limit;
 }
 
-function todayDate() {
-  return new Date().toISOString().slice(0, 10); // "YYYY-MM-DD"
-}
-
 // Seconds until next UTC day (for countdown)
 function secondsUntilNextUtcMidnight() {
   const now = new Date();
@@ -203,22 +293,16 @@ async function markStripeEventProcessed(eventId) {
   }
 }
 
-// Referral reward per new friend (once, when they join)
-const REFERRAL_REWARD = 800;
-
-// Cost (in points) for paid energy refill boost
-const ENERGY_REFILL_COST = 200;
-
-// Cost (in points) for paid double-points boost (10 mins)
-const DOUBLE_BOOST_COST = 200;
-
-// Daily check-in reward (fixed)
-const DAILY_CHECKIN_REWARD = 500;
+async function unmarkStripeEventProcessed(eventId) {
+  try {
+    await pool.query(`DELETE FROM public.stripe_webhook_events WHERE event_id = $1`, [String(eventId)]);
+  } catch (e) {
+    console.error("Failed to release Stripe event for retry:", e && e.message ? e.message : e);
+  }
+}
 
-// VIP (points-based purchase in this build; swap to payments later)
-const VIP_MONTH_COST = 5000;
-const VIP_MAX_ENERGY = 75;
-const VIP_DAILY_TAP_CAP = 8000;
+// Economy values (referral reward, boost/VIP costs, tap caps, streak bonuses,
+// sponsor payouts) are typed app_settings: see SETTINGS_SCHEMA in lib/config.js.
 
 // Referral ladder (server-side tiers)
 function getReferralTier(count) {
@@ -231,19 +315,19 @@ function getReferralTier(count) {
   return { tier: 0, multiplier: 1.0 };
 }
 
-// Streak milestone bonuses (added on top of DAILY_CHECKIN_REWARD)
-const STREAK_BONUS = [
-  { days: 3, bonus: 200 },
-  { days: 7, bonus: 500 },
-  { days: 14, bonus: 1000 },
-  { days: 30, bonus: 5000 },
-];
-
 // ------------ Bot & Express Setup ------------
 const bot = new Telegraf(BOT_TOKEN);
 const app = express();
+app.set("trust proxy", TRUST_PROXY_HOPS);
 
 app.use(cors());
+// Request id: honour an upstream x-request-id, otherwise mint one. Echoed back for support/audit.
+app.use((req, res, next) => {
+  const incoming = String(req.headers["x-request-id"] || "").trim();
+  req.requestId = /^[a-zA-Z0-9._-]{8,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader("x-request-id", req.requestId);
+  next();
+});
 // Capture raw body for Stripe webhook signature verification (without breaking JSON parsing)
 app.use(
   express.json({
@@ -263,6 +347,7 @@ app.get("/api/stats", async (_req, res) => {
   try {
     const totalRes = await pool.query(`SELECT COUNT(*)::int AS c FROM public.users;`);
     const totalUsers = Number(totalRes.rows?.[0]?.c || 0);
+    const settings = await loadSettings();
 
     const limit = Number(process.env.EARLY_ACCESS_CAP || 1000);
     const issuedRes = await pool.query(`SELECT COUNT(*)::int AS n FROM public.event_log WHERE event = 'early_access_starter_bonus';`);
@@ -280,7 +365,7 @@ app.get("/api/stats", async (_req, res) => {
       early_bonus_active: issued < limit && timeOk,
       early_bonus_ends_at: endsAt ? new Date(endsAt).toISOString() : null,
       early_bonus_ends_in: endsIn,
-      invite_bonus: REFERRAL_REWARD,
+      invite_bonus: settings.referral_reward,
     });
   } catch (e) {
     return res.status(200).json({ ok: false, error: "STATS_FAILED" });
@@ -329,13 +414,166 @@ app.use((req, res, next) => {
 });
 });
 
+// ------------ Telegram auth guard ------------
+// Every /api/* route acts on behalf of a Telegram user unless listed here.
+// Admin routes use their own key auth; webhooks are signed by the provider.
+const PUBLIC_API_PATHS = new Set([
+  "/api/stats",
+  "/api/season/status",
+  "/api/events/active",
+  "/api/shop/coin-packs",
+  "/api/shop/items",
+  "/api/shop/starter-offer",
+  "/api/vip/product",
+  "/api/payments/create-checkout",
+  "/api/vip/create-checkout",
+  "/api/stripe/webhook",
+  "/api/coinbase/webhook",
+  "/api/state-debug",
+  "/api/auth/refresh",
+]);
+
+// Leaderboards can be viewed anonymously; they only reject credentials that are present but invalid.
+const OPTIONAL_AUTH_API_PATHS = new Set([
+  "/api/config",
+  "/api/leaderboard/global",
+  "/api/leaderboard/daily",
+  "/api/leaderboard/friends",
+]);
+
+function getSessionToken(req) {
+  const authz = String(req.headers["authorization"] || "");
+  if (/^bearer\s+/i.test(authz)) return authz.replace(/^bearer\s+/i, "").trim();
+  return String(req.headers["x-session-token"] || "").trim();
+}
+
+// Resolve req.user from a session token (read-only: no upsert on hot paths).
+async function authenticateSession(req, token) {
+  const payload = verifyAccessToken(token);
+  if (!(await isSessionActive(payload.sid))) {
+    throw new SessionError(SESSION_ERRORS.REVOKED);
+  }
+  const { rows } = await pool.query(`SELECT * FROM public.users WHERE id = $1 LIMIT 1;`, [payload.uid]);
+  if (!rows.length) {
+    throw new SessionError(SESSION_ERRORS.INVALID);
+  }
+  req.user = rows[0];
+  req._session = payload;
+  touchLastActive(req.user);
+  req.user = await rememberTzOffset(req.user, req._client || getClientMeta(req));
+  return req.user;
+}
+
+// Keep users.last_active_at (inactivity decay) fresh without a write per request.
+const LAST_ACTIVE_TOUCH_MS = 3600_000;
+
+function touchLastActive(user) {
+  const last = user.last_active_at ? new Date(user.last_active_at).getTime() : 0;
+  if (Date.now() - last < LAST_ACTIVE_TOUCH_MS) return;
+  pool
+    .query(`UPDATE public.users SET last_active_at = NOW() WHERE id = $1`, [user.id])
+    .catch((err) => console.error("touchLastActive error:", err.message || err));
+}
+
+// Store the client's tz_offset_min the first time a valid one arrives; it is
+// locked afterwards so players cannot hop time zones for extra daily resets.
+async function rememberTzOffset(user, meta) {
+  if (!user || user.tz_offset_min != null) return user;
+  const tz = normalizeTzOffset(meta && meta.tz_offset_min);
+  if (tz === null) return user;
+  const { rows } = await pool.query(
+    `
+    UPDATE public.users
+    SET tz_offset_min = $2, tz_offset_set_at = NOW()
+    WHERE id = $1 AND tz_offset_min IS NULL
+    RETURNING *;
+    `,
+    [user.id, tz]
+  );
+  return rows[0] || user;
+}
+
+app.use(async (req, res, next) => {
+  const p = req.path || "";
+  if (!p.startsWith("/api/") || p.startsWith("/api/admin/") || PUBLIC_API_PATHS.has(p)) {
+    return next();
+  }
+
+  try {
+    // Session token first (cheap, no DB writes); initData only when no token is sent.
+    const token = getSessionToken(req);
+    if (token) {
+      await authenticateSession(req, token);
+    } else {
+      authenticateTelegramRequest(req);
+    }
+  } catch (err) {
+    if (!(err instanceof InitDataError) && !(err instanceof SessionError)) return next(err);
+    if (OPTIONAL_AUTH_API_PATHS.has(p) && err.code === INITDATA_ERRORS.MISSING) return next();
+    return res.status(err.status).json({ ok: false, error: err.code });
+  }
+  next();
+});
+
+// ------------ Sessions ------------
+// Exchange verified initData for a short-lived access token + refresh token.
+// The user row is upserted here once; later calls with the token only read it.
+app.post("/api/auth/session", async (req, res) => {
+  try {
+    const user = await getOrCreateUserFromInitData(req);
+    const meta = getClientMeta(req);
+    const session = await createSession(user, { ip_hash: meta.ip_hash, ua_hash: meta.ua_hash });
+    return res.json({ ok: true, ...session });
+  } catch (err) {
+    if (err instanceof InitDataError || err instanceof SessionError) {
+      return res.status(err.status).json({ ok: false, error: err.code });
+    }
+    console.error("Error /api/auth/session:", err);
+    return res.status(500).json({ ok: false, error: "SESSION_CREATE_ERROR" });
+  }
+});
+
+// Rotate the refresh token and issue a new access token.
+app.post("/api/auth/refresh", async (req, res) => {
+  try {
+    const session = await refreshSession(req.body.refresh_token);
+    return res.json({ ok: true, ...session });
+  } catch (err) {
+    if (err instanceof SessionError) {
+      return res.status(err.status).json({ ok: false, error: err.code });
+    }
+    console.error("Error /api/auth/refresh:", err);
+    return res.status(500).json({ ok: false, error: "SESSION_REFRESH_ERROR" });
+  }
+});
+
+// Revoke the session behind the current access token.
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    if (!req._session) {
+      return res.json({ ok: true, revoked: 0 });
+    }
+    const revoked = await revokeSessions({ sessionId: req._session.sid, reason: "logout" });
+    return res.json({ ok: true, revoked });
+  } catch (err) {
+    console.error("Error /api/auth/logout:", err);
+    return res.status(500).json({ ok: false, error: "SESSION_LOGOUT_ERROR" });
+  }
+});
 
 // ------------ App config (feature flags, tuning) ------------
 // Frontend uses this to read app_settings so we can tune behaviour without redeploying.
-app.post("/api/config", async (_req, res) => {
+// Only schema keys marked `client` are exposed (see lib/config.js).
+// Signed-in users get their experiment variants merged in (see lib/experiments.js).
+app.post("/api/config", async (req, res) => {
   try {
-    const config = await loadConfig();
-    return res.json({ ok: true, config });
+    const user = req.user || req._tgAuth ? await getOrCreateUserFromInitData(req) : null;
+    if (!user) {
+      return res.json({ ok: true, config: await loadClientConfig(), experiments: [] });
+    }
+    const { settings, assignments } = await loadConfigForUser(user);
+    const config = await loadClientConfig(settings);
+    return res.json({ ok: true, config, experiments: assignments });
   } catch (err) {
     console.error("Error in /api/config", err);
     return res.status(500).json({ ok: false, error: "CONFIG_LOAD_FAILED" });
@@ -402,6 +640,8 @@ app.post("/api/shop/coin-packs", async (req, res) => {
         price_gbp: amountMinor == null ? null : amountMinor / 100,
         coins,
         bonus_coins: 0,
+        // Packs credit the premium currency.
+        grants_currency: "gems",
         // Keep legacy field name used by the current frontend
         stripe_payment_link: r.checkout_url,
         checkout_url: r.checkout_url,
@@ -416,6 +656,228 @@ app.post("/api/shop/coin-packs", async (req, res) => {
   }
 });
 
+// ------------ Shop (items priced in points or gems) ------------
+// Body: { currency?: "points" | "gems" }
+app.post("/api/shop/items", async (req, res) => {
+  try {
+    const currency = req.body.currency ? String(req.body.currency) : null;
+    if (currency && !["points", "gems"].includes(currency)) {
+      return res.status(400).json({ ok: false, error: "BAD_CURRENCY" });
+    }
+    const items = await listShopItems({ currency });
+    return res.json({ ok: true, items });
+  } catch (err) {
+    console.error("Error /api/shop/items:", err);
+    return res.status(500).json({ ok: false, error: "SHOP_ITEMS_ERROR" });
+  }
+});
+
+// Body: { sku, request_id? }. A repeated request_id returns the first response.
+app.post("/api/shop/buy", async (req, res) => {
+  try {
+    const user = await getOrCreateUserFromInitData(req);
+    const sku = String(req.body.sku || "").trim();
+    if (!sku) return res.status(400).json({ ok: false, error: "MISSING_SKU" });
+
+    const endpoint = "/api/shop/buy";
+    const requestId = String(req.body.request_id || "").trim();
+
+    const out = await withTransaction(async (client) => {
+      if (requestId) {
+        const idemRow = await ensureIdempotencyKeyTx(client, { userId: user.id, endpoint, requestId, context: String(user.id) });
+        if (idemRow.status === "completed" && idemRow.response) return { replay: idemRow.response };
+      }
+
+      const { purchase, user: updated } = await buyShopItemTx(client, { userId: user.id, sku });
+      const responsePayload = {
+        ...(await buildClientState(updated)),
+        ok: true,
+        purchase: {
+          id: purchase.id,
+          sku: purchase.sku,
+          price_currency: purchase.price_currency,
+          price: Number(purchase.price),
+          grant_type: purchase.grant_type,
+          grant_amount: purchase.grant_amount,
+        },
+      };
+      if (requestId) {
+        await completeIdempotencyKeyTx(client, { endpoint, requestId, context: String(user.id), responsePayload });
+      }
+      return { response: responsePayload };
+    });
+
+    if (out.replay) return res.json(out.replay);
+    await logEvent(user.id, "shop_purchase", { sku, purchase_id: out.response.purchase.id });
+    return res.json(out.response);
+  } catch (err) {
+    if (err.code === "NOT_FOUND") return res.status(404).json({ ok: false, error: "ITEM_NOT_FOUND" });
+    if (err.code === "INSUFFICIENT_BALANCE") return res.json({ ok: false, reason: "NOT_ENOUGH_BALANCE" });
+    console.error("Error /api/shop/buy:", err);
+    return res.status(500).json({ ok: false, error: "SHOP_BUY_ERROR" });
+  }
+});
+
+// ------------ Upgrades (multitap / energy cap / regen speed) ------------
+app.post("/api/upgrades", async (req, res) => {
+  try {
+    const user = await getOrCreateUserFromInitData(req);
+    const settings = await loadSettingsForUser(user);
+    return res.json({ ok: true, upgrades: describeUpgrades(user, settings) });
+  } catch (err) {
+    console.error("Error /api/upgrades:", err);
+    return res.status(500).json({ ok: false, error: "UPGRADES_ERROR" });
+  }
+});
+
+// Body: { upgrade, request_id? }. A repeated request_id returns the first response.
+app.post("/api/upgrades/buy", async (req, res) => {
+  try {
+    let user = await getOrCreateUserFromInitData(req);
+    const upgrade = String(req.body.upgrade || "").trim();
+    if (!upgrade) return res.status(400).json({ ok: false, error: "MISSING_UPGRADE" });
+
+    const settings = await loadSettingsForUser(user);
+    // Settle regen at the old cap / speed so the upgrade only applies from now on.
+    user = await applyEnergyRegen(user, settings);
+
+    const endpoint = "/api/upgrades/buy";
+    const requestId = String(req.body.request_id || "").trim();
+
+    const out = await withTransaction(async (client) => {
+      if (requestId) {
+        const idemRow = await ensureIdempotencyKeyTx(client, { userId: user.id, endpoint, requestId, context: String(user.id) });
+        if (idemRow.status === "completed" && idemRow.response) return { replay: idemRow.response };
+      }
+
+      const { purchase, user: bought } = await buyUpgradeTx(client, { userId: user.id, upgrade, settings });
+      const updated = await settleEnergy(bought, settings, client);
+      const responsePayload = {
+        ...(await buildClientState(updated)),
+        ok: true,
+        purchase: {
+          id: purchase.id,
+          upgrade: purchase.upgrade,
+          level: purchase.level,
+          cost: Number(purchase.cost),
+        },
+      };
+      if (requestId) {
+        await completeIdempotencyKeyTx(client, { endpoint, requestId, context: String(user.id), responsePayload });
+      }
+      return { response: responsePayload };
+    });
+
+    if (out.replay) return res.json(out.replay);
+    await logEvent(user.id, "upgrade_purchase", {
+      upgrade,
+      level: out.response.purchase.level,
+      cost: out.response.purchase.cost,
+    });
+    return res.json(out.response);
+  } catch (err) {
+    if (err.code === "BAD_UPGRADE") return res.status(400).json({ ok: false, error: "BAD_UPGRADE" });
+    if (err.code === "NOT_FOUND") return res.status(404).json({ ok: false, error: "USER_NOT_FOUND" });
+    if (err.code === "MAX_LEVEL") return res.json({ ok: false, reason: "MAX_LEVEL" });
+    if (err.code === "INSUFFICIENT_BALANCE") return res.json({ ok: false, reason: "NOT_ENOUGH_BALANCE" });
+    console.error("Error /api/upgrades/buy:", err);
+    return res.status(500).json({ ok: false, error: "UPGRADE_BUY_ERROR" });
+  }
+});
+
+// ------------ Mining cards (offline points per hour) ------------
+app.post("/api/mining", async (req, res) => {
+  try {
+    const user = await getOrCreateUserFromInitData(req);
+    const settings = await loadSettingsForUser(user);
+    return res.json({ ok: true, offline_mining: describeMining(user, settings) });
+  } catch (err) {
+    console.error("Error /api/mining:", err);
+    return res.status(500).json({ ok: false, error: "MINING_ERROR" });
+  }
+});
+
+// Body: { card, request_id? }. A repeated request_id returns the first response.
+app.post("/api/mining/buy", async (req, res) => {
+  try {
+    const user = await getOrCreateUserFromInitData(req);
+    const card = String(req.body.card || "").trim();
+    if (!card) return res.status(400).json({ ok: false, error: "MISSING_CARD" });
+
+    const settings = await loadSettingsForUser(user);
+    const endpoint = "/api/mining/buy";
+    const requestId = String(req.body.request_id || "").trim();
+
+    const out = await withTransaction(async (client) => {
+      if (requestId) {
+        const idemRow = await ensureIdempotencyKeyTx(client, { userId: user.id, endpoint, requestId, context: String(user.id) });
+        if (idemRow.status === "completed" && idemRow.response) return { replay: idemRow.response };
+      }
+
+      const { purchase, collected, user: updated } = await buyMiningCardTx(client, { userId: user.id, card, settings });
+      const responsePayload = {
+        ...(await buildClientState(updated)),
+        ok: true,
+        mining_collected: collected,
+        purchase: {
+          id: purchase.id,
+          card: purchase.card,
+          level: purchase.level,
+          price: Number(purchase.price),
+          pph: purchase.pph,
+        },
+      };
+      if (requestId) {
+        await completeIdempotencyKeyTx(client, { endpoint, requestId, context: String(user.id), responsePayload });
+      }
+      return { response: responsePayload };
+    });
+
+    if (out.replay) return res.json(out.replay);
+    await logEvent(user.id, "mining_card_purchase", {
+      card,
+      level: out.response.purchase.level,
+      price: out.response.purchase.price,
+    });
+    return res.json(out.response);
+  } catch (err) {
+    if (err.code === "BAD_CARD") return res.status(400).json({ ok: false, error: "BAD_CARD" });
+    if (err.code === "NOT_FOUND") return res.status(404).json({ ok: false, error: "USER_NOT_FOUND" });
+    if (err.code === "MAX_LEVEL") return res.json({ ok: false, reason: "MAX_LEVEL" });
+    if (err.code === "INSUFFICIENT_BALANCE") return res.json({ ok: false, reason: "NOT_ENOUGH_BALANCE" });
+    if (err.code === "MINING_PAUSED") return res.json({ ok: false, reason: "MINING_PAUSED" });
+    console.error("Error /api/mining/buy:", err);
+    return res.status(500).json({ ok: false, error: "MINING_BUY_ERROR" });
+  }
+});
+
+// ------------ Wallet (all currencies) ------------
+app.post("/api/wallet", async (req, res) => {
+  try {
+    const user = await getOrCreateUserFromInitData(req);
+    const seasonId = Number(user.season_id || 1);
+    const { rows } = await pool.query(
+      `SELECT score::text AS score FROM public.user_season_scores WHERE user_id = $1 AND season_id = $2`,
+      [user.id, seasonId]
+    );
+    return res.json({
+      ok: true,
+      wallet: {
+        points: {
+          balance: Number(user.balance || 0),
+          held: Number(user.held_balance || 0),
+          available: availableBalance(user),
+        },
+        gems: { balance: Number(user.gems_balance || 0) },
+        season: { season_id: seasonId, score: Number(rows[0]?.score || 0) },
+      },
+    });
+  } catch (err) {
+    console.error("Error /api/wallet:", err);
+    return res.status(500).json({ ok: false, error: "WALLET_ERROR" });
+  }
+});
+
 
 
 // Starter Bundle offer lookup
@@ -827,6 +1289,7 @@ app.post("/api/vip/create-checkout", async (req, res) => {
 // Stripe webhook: activates VIP on successful payment
 // IMPORTANT: set STRIPE_WEBHOOK_SECRET in Render + configure endpoint in Stripe.
 app.post("/api/stripe/webhook", async (req, res) => {
+  let stripeEventId = null;
   try {
     if (!stripe) {
       return res.status(500).send("Stripe not configured");
@@ -847,6 +1310,7 @@ app.post("/api/stripe/webhook", async (req, res) => {
     // Idempotency: process each Stripe event only once (prevents double VIP extension)
     try {
       const idp = await markStripeEventProcessed(event.id);
+      if (idp.ok && idp.processed) stripeEventId = event.id;
       if (idp.ok && !idp.processed) {
         // Event already processed previously
         return res.status(200).send("ok");
@@ -882,41 +1346,49 @@ app.post("/api/stripe/webhook", async (req, res) => {
 
 
       if (telegramId) {
-        // 1) Coin packs (credit balance)
+        // 1) Coin packs (credit premium gems)
         if (effectiveCoinsGranted && Number.isFinite(effectiveCoinsGranted) && effectiveCoinsGranted > 0) {
           const delta = Math.floor(effectiveCoinsGranted);
-          try {
-            // Look up the user by telegram_id so we can use the ledger-based helper.
-            const userRes = await pool.query(
+          // Errors propagate to the 500 below so Stripe retries; the idempotency key
+          // keeps a retry from crediting the same event twice.
+          await withTransaction(async (client) => {
+            const userRes = await client.query(
               "SELECT id FROM public.users WHERE telegram_id = $1 LIMIT 1;",
               [telegramId]
             );
             const userRow = userRes.rows[0];
+            if (!userRow) throw new Error("STRIPE_USER_NOT_FOUND");
 
-            if (userRow) {
-              await applyBalanceChange({
-                userId: userRow.id,
-                delta,
-                reason: "stripe_purchase",
-                refType: "purchase",
-                refId: null,
-                eventType: "purchase_credit",
-              });
-            } else {
-              // Fallback to legacy direct update if user row is missing for some reason.
-              await pool.query(
-                "UPDATE public.users SET balance = balance + $1 WHERE telegram_id = $2;",
-                [delta, telegramId]
-              );
+            const endpoint = "/api/stripe/webhook";
+            const context = "stripe";
+            const requestId = String(event.id);
+            const idemRow = await ensureIdempotencyKeyTx(client, {
+              userId: userRow.id,
+              endpoint,
+              requestId,
+              context,
+            });
+            if (idemRow.status === "completed" && idemRow.response) {
+              return;
             }
-          } catch (err) {
-            console.error("Error applying Stripe purchase ledger credit:", err);
-            // Fallback to legacy direct update on any unexpected error.
-            await pool.query(
-              "UPDATE public.users SET balance = balance + $1 WHERE telegram_id = $2;",
-              [delta, telegramId]
-            );
-          }
+
+            await applyBalanceChangeTx(client, {
+              userId: userRow.id,
+              delta,
+              currency: "gems",
+              reason: "stripe_purchase",
+              refType: "purchase",
+              refId: null,
+              eventType: "purchase_credit",
+            });
+
+            await completeIdempotencyKeyTx(client, {
+              endpoint,
+              requestId,
+              context,
+              responsePayload: { ok: true, credited: delta },
+            });
+          });
 
           // Mark Starter Bundle as purchased when the Stripe SKU matches.
           try {
@@ -957,6 +1429,8 @@ app.post("/api/stripe/webhook", async (req, res) => {
     return res.status(200).send("ok");
   } catch (err) {
     console.error("Error /api/stripe/webhook:", err);
+    // Let Stripe's retry through the event idempotency check.
+    if (stripeEventId) await unmarkStripeEventProcessed(stripeEventId);
     return res.status(500).send("server error");
   }
 });
@@ -1107,9 +1581,9 @@ app.post("/api/coinbase/webhook", async (req, res) => {
           );
         }
 
-        // Credit user balance (only once) – join types: users.telegram_id is bigint, ledger telegram_id is text.
+        // Credit premium gems (only once) – join types: users.telegram_id is bigint, ledger telegram_id is text.
         if (coinsGranted && Number.isFinite(coinsGranted) && coinsGranted > 0 && providerPaymentId) {
-          const delta = Math.floor(effectiveCoinsGranted);
+          const delta = Math.floor(coinsGranted);
           await withTransaction(async (client) => {
             // Ensure we have a matching user first
             const { rows: userRows } = await client.query(
@@ -1173,6 +1647,7 @@ app.post("/api/coinbase/webhook", async (req, res) => {
             await applyBalanceChangeTx(client, {
               userId,
               delta,
+              currency: "gems",
               reason: "coinbase_purchase",
               refType: "purchase",
               refId: plRows[0].id,
@@ -1219,7 +1694,7 @@ app.post("/api/coinbase/webhook", async (req, res) => {
 // ------------ Mini-app auth helper ------------
 function getClientFingerprint(req) {
   const ua = req.headers["user-agent"] || "";
-  const ip = (req.headers["x-forwarded-for"] || req.socket?.remoteAddress || "").toString().split(",")[0].trim();
+  const ip = String(req.ip || "");
   const tg = req.headers["x-telegram-initdata"] || "";
   const clientId =
     (req.headers["x-client-id"] || "") ||
@@ -1230,20 +1705,41 @@ function getClientFingerprint(req) {
 }
 
 
-function parseInitData(initDataRaw) {
-  if (!initDataRaw) return {};
-  const params = new URLSearchParams(initDataRaw);
-  const data = {};
-  for (const [key, value] of params.entries()) {
-    data[key] = value;
+// Resolve the Telegram identity behind a request.
+// - Real clients: initData must carry a valid hash for BOT_TOKEN and a fresh auth_date.
+// - APP_ENV=development only: requests without initData may pass telegram_id instead.
+// Throws InitDataError (distinct code per failure) so routes can answer 401.
+function authenticateTelegramRequest(req) {
+  if (req._tgAuth) return req._tgAuth;
+
+  const initDataRaw =
+    (req.body && req.body.initData) ||
+    (req.query && req.query.initData) ||
+    req.headers["x-telegram-initdata"] ||
+    "";
+
+  if (!initDataRaw && ALLOW_DEV_TELEGRAM_ID) {
+    const devId = Number((req.body && req.body.telegram_id) || (req.query && req.query.telegram_id) || 0);
+    if (devId) {
+      req._tgAuth = { telegramUserId: devId, user: {}, data: {}, dev: true };
+      return req._tgAuth;
+    }
   }
-  return data;
+
+  const verified = verifyInitData(initDataRaw, BOT_TOKEN, { maxAgeSeconds: INITDATA_MAX_AGE_SECONDS });
+  req._tgAuth = {
+    telegramUserId: Number(verified.user.id),
+    user: verified.user,
+    data: verified.data,
+    dev: false,
+  };
+  return req._tgAuth;
 }
 
 function getClientMeta(req) {
   const c = (req.body && req.body.client) ? req.body.client : {};
   const ua = req.headers["user-agent"] || "";
-  const ip = (req.headers["x-forwarded-for"] || req.socket?.remoteAddress || "").toString().split(",")[0].trim();
+  const ip = String(req.ip || "");
   return {
     client_id: c.client_id || c.id || null,
     platform: c.platform || null,
@@ -1257,15 +1753,45 @@ function getClientMeta(req) {
 }
 
 
-function requireAdmin(req, res) {
-  const key = String(req.headers["x-admin-key"] || "");
-  if (!ADMIN_KEY || key !== ADMIN_KEY) {
-    res.status(403).json({ ok: false, error: "FORBIDDEN" });
+// Authenticate the x-admin-key header against named admin accounts and check `scope`.
+// Sets req.admin on success. `plain` answers with text (CSV download links).
+async function requireAdmin(req, res, scope, { plain = false } = {}) {
+  let admin = null;
+  try {
+    admin = await authenticateAdminKey(req.headers["x-admin-key"]);
+  } catch (err) {
+    console.error("Admin auth lookup failed:", err);
+  }
+
+  if (!admin || !hasScope(admin, scope)) {
+    const error = admin ? "MISSING_SCOPE" : "FORBIDDEN";
+    if (plain) res.status(403).send(error);
+    else res.status(403).json({ ok: false, error, scope: admin ? scope : undefined });
     return false;
   }
+  req.admin = admin;
   return true;
 }
 
+// Append an admin_audit_log row for the current admin request.
+// Pass the transaction client when auditing a change so both commit together.
+async function auditAdminAction(req, db, { action, targetType = null, targetId = null, before = null, after = null, meta = null }) {
+  const a = req.admin || {};
+  const ip = String(req.ip || "");
+  return recordAdminAction(db, {
+    adminId: a.id || null,
+    adminName: a.name || "unknown",
+    action,
+    targetType,
+    targetId,
+    before,
+    after,
+    meta,
+    ip: ip || null,
+    requestId: req.requestId || null,
+  });
+}
+
 // ------------ Ensure Supabase schema exists (SAFE) ------------
 async function ensureSchema(client) {
   // Ensure users has the columns our backend needs (keeps your existing Supabase columns too)
@@ -1283,7 +1809,7 @@ async function ensureSchema(client) {
     ADD COLUMN IF NOT EXISTS language_code TEXT,
     ADD COLUMN IF NOT EXISTS balance BIGINT DEFAULT 0,
     ADD COLUMN IF NOT EXISTS energy INT DEFAULT 50,
-    ADD COLUMN IF NOT EXISTS max_energy INT DEFAULT 50,
+    ADD COLUMN IF NOT EXISTS max_energy INT,
     ADD COLUMN IF NOT EXISTS today_farmed BIGINT DEFAULT 0,
     ADD COLUMN IF NOT EXISTS last_daily DATE,
     ADD COLUMN IF NOT EXISTS last_daily_ts TIMESTAMPTZ,
@@ -1564,41 +2090,22 @@ async function ensureSchemaOnce() {
 }
 
 
-// Get or create a user from Telegram initData / dev fallback
+// Get or create a user from verified Telegram initData / dev fallback
 async function getOrCreateUserFromInitData(req) {
-  const initDataRaw = req.body.initData || req.query.initData || "";
-  const data = parseInitData(initDataRaw);
-
-  let telegramUserId = null;
-  let username = null;
-  let firstName = null;
-  let lastName = null;
-  let languageCode = null;
+  // Already resolved from a session token by the auth guard.
+  if (req.user) return req.user;
 
-  if (data.user) {
-    try {
-      const u = JSON.parse(data.user);
-      telegramUserId = u.id;
-      username = u.username || null;
-      firstName = u.first_name || null;
-      lastName = u.last_name || null;
-      languageCode = u.language_code || null;
-    } catch (e) {
-      console.error("Error parsing user from initData:", e);
-    }
-  }
+  const auth = authenticateTelegramRequest(req);
+  const data = auth.data;
 
-  // DEV fallback: allow telegram_id in body or query
-  if (!telegramUserId) {
-    if (req.body.telegram_id) {
-      telegramUserId = Number(req.body.telegram_id);
-    } else if (req.query.telegram_id) {
-      telegramUserId = Number(req.query.telegram_id);
-    }
-  }
+  const telegramUserId = auth.telegramUserId;
+  const username = auth.user.username || null;
+  const firstName = auth.user.first_name || null;
+  const lastName = auth.user.last_name || null;
+  const languageCode = auth.user.language_code || null;
 
   if (!telegramUserId) {
-    throw new Error("Missing Telegram user ID");
+    throw new InitDataError(INITDATA_ERRORS.BAD_USER, "Missing Telegram user ID");
   }
 
   const client = await pool.connect();
@@ -1623,15 +2130,18 @@ async function getOrCreateUserFromInitData(req) {
         taps_today,
         referrals_count,
         referrals_points,
-        double_boost_until
+        double_boost_until,
+        last_active_at,
+        season_id
       )
-      VALUES ($1, $2, $3, $4, $5, 0, 50, 50, 0, NULL, NULL, 0, 0, 0, NULL)
+      VALUES ($1, $2, $3, $4, $5, 0, 50, NULL, 0, NULL, NULL, 0, 0, 0, NULL, NOW(), ${ACTIVE_SEASON_SQL})
       ON CONFLICT (telegram_id)
       DO UPDATE SET
         username = COALESCE(EXCLUDED.username, public.users.username),
         first_name = COALESCE(EXCLUDED.first_name, public.users.first_name),
         last_name = COALESCE(EXCLUDED.last_name, public.users.last_name),
-        language_code = COALESCE(EXCLUDED.language_code, public.users.language_code)
+        language_code = COALESCE(EXCLUDED.language_code, public.users.language_code),
+        last_active_at = NOW()
       RETURNING *;
       `,
       [telegramUserId, username, firstName, lastName, languageCode]
@@ -1682,13 +2192,16 @@ async function getOrCreateUserFromInitData(req) {
 
           // Optionally reward immediately on join (default behaviour)
           if (!STRICT_REFERRAL_ACTIVATION) {
+            const { referral_reward: referralReward } = await loadSettings();
             const tierInfo = getReferralTier(inviterRes.rows[0].referrals_count);
-            const reward = tierInfo.reward;
+            const reward = Math.round(referralReward * tierInfo.multiplier);
 
-            // 1) Apply the reward via the balance ledger inside this transaction
-            await applyBalanceChangeTx(client, {
+            // 1) Mint the reward (daily emission budget) via the ledger inside this transaction.
+            // A paused budget still counts the referral, with 0 points.
+            const minted = await mintRewardTx(client, {
+              source: "referral",
+              amount: reward,
               userId: inviterUserId,
-              delta: reward,
               reason: "referral_reward",
               refType: "user",
               refId: null,
@@ -1703,7 +2216,7 @@ async function getOrCreateUserFromInitData(req) {
                   referrals_points = referrals_points + $1
               WHERE id = $2;
               `,
-              [reward, inviterUserId]
+              [minted.granted, inviterUserId]
             );
           }
         }
@@ -1738,7 +2251,7 @@ if (meta.client_id) {
 
     } catch (e) {}
 
-    return user;
+    return await rememberTzOffset(user, getClientMeta(req));
   } finally {
     client.release();
   }
@@ -1888,14 +2401,16 @@ async function maybeActivateReferral(invitedUser, trigger = 'tap') {
     if (!inviterRes.rows.length) return;
 
     const inviterUserId = inviterRes.rows[0].id;
+    const { referral_reward: referralReward } = await loadSettings();
     const tierInfo = getReferralTier(inviterRes.rows[0].referrals_count);
-    const reward = Math.round(REFERRAL_REWARD * tierInfo.multiplier);
+    const tierReward = Math.round(referralReward * tierInfo.multiplier);
 
-    await withTransaction(async (client) => {
-      // 1) Apply inviter reward via the balance ledger
-      await applyBalanceChangeTx(client, {
+    const reward = await withTransaction(async (client) => {
+      // 1) Mint inviter reward (daily emission budget) via the balance ledger
+      const minted = await mintRewardTx(client, {
+        source: "referral",
+        amount: tierReward,
         userId: inviterUserId,
-        delta: reward,
         reason: "referral_reward",
         refType: "user",
         refId: null,
@@ -1910,8 +2425,9 @@ async function maybeActivateReferral(invitedUser, trigger = 'tap') {
             referrals_points = referrals_points + $1
         WHERE id = $2;
         `,
-        [reward, inviterUserId]
+        [minted.granted, inviterUserId]
       );
+      return minted.granted;
     });
 
     await recordReferralReward(inviterUserId, inviterTelegramId, invitedTelegramId, reward, trigger);
@@ -1922,99 +2438,53 @@ async function maybeActivateReferral(invitedUser, trigger = 'tap') {
 }
 
 
-// ------------ Energy Regeneration (Hybrid Model) ------------
-async function applyEnergyRegen(user) {
-  const maxEnergy = user.max_energy || 50;
-  const now = new Date();
-
-  // If never had regen timestamp → assume long offline
-  if (!user.last_energy_ts) {
-    user.last_energy_ts = new Date(now.getTime() - 60 * 60 * 1000);
-  }
-
-  const last = new Date(user.last_energy_ts);
-  let diffSeconds = Math.floor((now - last) / 1000);
-  if (diffSeconds <= 0) return user;
-
-  let energy = Number(user.energy || 0);
-
-  while (diffSeconds > 0 && energy < maxEnergy) {
-    let step;
-
-    if (energy < 10) step = 1;      // fast regen
-    else if (energy < 30) step = 3; // medium regen
-    else step = 6;                  // slow regen
-
-    if (diffSeconds >= step) {
-      energy += 1;
-      diffSeconds -= step;
-    } else break;
-  }
-
-  if (energy > maxEnergy) energy = maxEnergy;
-
-  await pool.query(
-    `
-    UPDATE public.users
-    SET energy = $1,
-        last_energy_ts = NOW()
-    WHERE id = $2
-    `,
-    [energy, user.id]
-  );
-
-  user.energy = energy;
-  user.last_energy_ts = now;
-
-  return user;
+// ------------ Energy Regeneration ------------
+// Curves come from settings (energy_regen_curves / energy_regen_events); see lib/energy.js.
+async function applyEnergyRegen(user, settings = null) {
+  settings = settings || (await loadSettingsForUser(user));
+  return settleEnergy(user, settings);
 }
 
 // ------------ Daily reset logic ------------
-async function ensureDailyReset(user) {
-  const today = todayDate();
-  let lastResetStr = null;
-
-  try {
-    if (user.last_reset) {
-      if (typeof user.last_reset === "string") {
-        lastResetStr = user.last_reset.slice(0, 10);
-      } else {
-        const tmp = new Date(user.last_reset);
-        if (!isNaN(tmp)) lastResetStr = tmp.toISOString().slice(0, 10);
-      }
-    }
-  } catch (e) {
-    console.error("Bad last_reset:", user.last_reset, e);
-    lastResetStr = null;
-  }
-
-  if (lastResetStr === today) return user;
+// Days follow the user's local midnight (users.tz_offset_min); see lib/dayClock.js.
+async function ensureDailyReset(user, settings = null) {
+  const today = userDay(user);
+  if (!isNewUserDay(user, user.last_reset)) return user;
 
+  // Refill to the current cap (curve, upgrades; lib/energy.js).
+  const { cap } = computeEnergy(user, settings || (await loadSettingsForUser(user)));
   const updated = await pool.query(
     `
       UPDATE public.users
       SET today_farmed = 0,
           taps_today = 0,
-          energy = max_energy,
+          energy = $3,
+          energy_cap = $3,
+          last_energy_ts = NOW(),
           last_reset = $1
       WHERE id = $2
+        AND (last_reset IS NULL OR last_reset < $1::date)
       RETURNING *;
     `,
-    [today, user.id]
+    [today, user.id, cap]
   );
+  if (updated.rowCount) return updated.rows[0];
 
-  return updated.rows[0];
+  // Another request reset it first.
+  const fresh = await pool.query(`SELECT * FROM public.users WHERE id = $1`, [user.id]);
+  return fresh.rows[0] || user;
 }
 
 // ------------ Legacy tap helper (kept for compatibility) ------------
 async function handleTap(user) {
   if (user.energy <= 0) return user;
 
-  if (todayDate() !== user.last_reset) {
+  if (isNewUserDay(user, user.last_reset)) {
     user = await ensureDailyReset(user);
   }
 
-  if (user.taps_today >= 5000) return user;
+  const { daily_tap_cap: dailyTapCap } = await loadSettings();
+  if (user.taps_today >= dailyTapCap) return user;
 
   let perTap = 1;
 
@@ -2025,17 +2495,19 @@ async function handleTap(user) {
     perTap = 2;
   }
 
-  const delta = perTap;
-
-  // 1) Apply balance change via the ledger
-  await applyBalanceChange({
+  // 1) Mint via the emission budget + ledger
+  const minted = await mintReward({
+    source: "tap",
+    amount: perTap,
+    scaled: true,
     userId: user.id,
-    delta,
     reason: "tap_reward",
     refType: "tap",
     refId: null,
     eventType: "tap",
   });
+  if (minted.state === "paused") return user;
+  const delta = minted.granted;
 
   // 2) Update energy and daily counters without touching balance
   const newEnergy = Number(user.energy) - 1;
@@ -2046,11 +2518,13 @@ async function handleTap(user) {
     UPDATE public.users
     SET energy = $1,
         today_farmed = $2,
-        taps_today = taps_today + 1
+        taps_today = taps_today + 1,
+        lb_day_farmed = CASE WHEN lb_day = $4::date THEN lb_day_farmed ELSE 0 END + $5,
+        lb_day = $4::date
     WHERE id = $3
     RETURNING *;
   `,
-    [newEnergy, newToday, user.id]
+    [newEnergy, newToday, user.id, utcDay(), delta]
   );
 
   return updated.rows[0];
@@ -2080,6 +2554,54 @@ async function getGlobalRankForUser(user) {
   };
 }
 
+// The active season id (SQL). New users join it; season leaderboards rank it.
+const ACTIVE_SEASON_SQL = "COALESCE((SELECT id FROM public.seasons WHERE is_active = TRUE ORDER BY id DESC LIMIT 1), 1)";
+
+// Leaderboards can rank any wallet currency: points (default), gems or the active season's score.
+// `value` is an SQL expression over users u (plus `join`).
+const LEADERBOARD_CURRENCIES = {
+  points: { value: "u.balance", join: "" },
+  gems: { value: "u.gems_balance", join: "" },
+  season: {
+    value: "COALESCE(s.score, 0)",
+    join: `
+      LEFT JOIN public.user_season_scores s
+        ON s.user_id = u.id
+       AND s.season_id = ${ACTIVE_SEASON_SQL}`,
+  },
+};
+
+// Leaderboard entry for a client-supplied currency, or null (own keys only, not Object.prototype).
+function leaderboardCurrency(currency) {
+  return Object.prototype.hasOwnProperty.call(LEADERBOARD_CURRENCIES, currency) ? LEADERBOARD_CURRENCIES[currency] : null;
+}
+
+// Rank of `user` in a currency leaderboard: { rank, total, value }.
+async function getCurrencyRankForUser(user, currency) {
+  if (currency === "points") {
+    const { rank, total } = await getGlobalRankForUser(user);
+    return { rank, total, value: Number(user.balance || 0) };
+  }
+  const lb = leaderboardCurrency(currency);
+  const { rows } = await pool.query(
+    `
+    WITH v AS (
+      SELECT u.id, ${lb.value} AS value
+      FROM public.users u
+      ${lb.join}
+    ),
+    mine AS (SELECT value FROM v WHERE id = $1)
+    SELECT (SELECT value FROM mine)::text AS value,
+           (SELECT COUNT(*) FROM v WHERE v.value > (SELECT value FROM mine))::int AS above,
+           (SELECT COUNT(*) FROM v)::int AS total;
+    `,
+    [user.id]
+  );
+  const r = rows[0];
+  if (!r.total) return { rank: null, total: 0, value: 0 };
+  return { rank: r.above + 1, total: r.total, value: Number(r.value || 0) };
+}
+
 // ------------ Build state for frontend ------------
 async function buildClientState(user) {
   const inviteLink = `https://t.me/${BOT_USERNAME}?startapp=ref_${user.telegram_id}`;
@@ -2111,9 +2633,15 @@ async function buildClientState(user) {
     }
   }
 
+  const userSettings = await loadSettingsForUser(user);
+  const energyNow = computeEnergy(user, userSettings);
+
   return {
     ok: true,
     balance: Number(user.balance || 0),
+    held_balance: Number(user.held_balance || 0),
+    available_balance: availableBalance(user),
+    gems_balance: Number(user.gems_balance || 0),
     energy: Number(user.energy || 0),
     today: Number(user.today_farmed || 0),
     invite_link: inviteLink,
@@ -2128,7 +2656,14 @@ async function buildClientState(user) {
     vip_tier: Number(user.vip_tier || 0),
     streak_count: Number(user.streak_count || 0),
     season_id: Number(user.season_id || 1),
-    max_energy: Number(user.max_energy || 50),
+    max_energy: energyNow.cap,
+    energy_full_in_seconds: energyNow.secondsToFull,
+    energy_full_at: energyNow.fullAt ? energyNow.fullAt.toISOString() : null,
+    energy_curve: energyNow.curveClass,
+    tz_offset_min: user.tz_offset_min == null ? null : Number(user.tz_offset_min),
+    day_resets_in_seconds: secondsUntilUserDayEnd(user),
+    upgrades: describeUpgrades(user, userSettings),
+    offline_mining: describeMining(user, userSettings),
     starterOfferAvailable,
     starterOfferExpiresAt,
     onboarding_required: user.has_completed_onboarding === false,
@@ -2136,7 +2671,8 @@ async function buildClientState(user) {
 }
 
 // ------------ NEW: generic reward helpers ------------
-async function applyGenericReward(user, rewardType, rewardAmount) {
+// `source` is the emission budget the points count against ("mission" or "ad").
+async function applyGenericReward(user, rewardType, rewardAmount, source = "mission") {
   // Normalize reward type to prevent silent no-ops when the DB contains
   // variants like "point", "pts", or "coins".
   const typeRaw = (rewardType == null ? "points" : String(rewardType)).trim().toLowerCase();
@@ -2154,43 +2690,19 @@ async function applyGenericReward(user, rewardType, rewardAmount) {
 
   if (type === "points" && amount > 0) {
     const delta = Math.round(amount);
-    try {
-      const { user: newUser } = await applyBalanceChange({
-        userId: user.id,
-        delta,
-        reason: "generic_reward",
-        refType: "reward_type",
-        refId: null,
-        eventType: type,
-      });
-      updatedUser = newUser;
-    } catch (err) {
-      console.error("Error applying generic reward via ledger:", err);
-      // Fallback to legacy direct update if something unexpected happens.
-      const res = await pool.query(
-        `
-        UPDATE public.users
-        SET balance = balance + $1
-        WHERE id = $2
-        RETURNING *;
-        `,
-        [delta, user.id]
-      );
-      updatedUser = res.rows[0];
-    }
+    // Errors propagate: crediting outside the ledger would bypass emission budgets.
+    const minted = await mintReward({
+      source,
+      amount: delta,
+      userId: user.id,
+      reason: "generic_reward",
+      refType: "reward_type",
+      refId: null,
+      eventType: type,
+    });
+    if (minted.user) updatedUser = minted.user;
   } else if (type === "energy_refill") {
-    const res = await pool.query(
-      `
-      UPDATE public.users
-      SET max_energy     = COALESCE(max_energy, 50),
-              energy         = COALESCE(max_energy, 50),
-              last_energy_ts = NOW()
-      WHERE id = $1
-      RETURNING *;
-      `,
-      [user.id]
-    );
-    updatedUser = res.rows[0];
+    updatedUser = (await withTransaction((client) => refillEnergyTx(client, user.id))) || user;
   } else if (type === "mission") {
     // Special sponsor-bridge payout type.
     // Used by sponsor quests where we bill the sponsor (ledger) but don't necessarily
@@ -2218,8 +2730,39 @@ async function getMissionByCode(code) {
   }
 }
 
+// Who the player is for mission targeting (lib/missions.js missionBlockReason).
+// The platform comes from the client meta and is remembered in users.last_platform
+// for requests that do not send it.
+async function missionAudience(req, user) {
+  let platform = normalizePlatform((req._client || getClientMeta(req)).platform);
+  if (platform && platform !== user.last_platform) {
+    await pool.query(`UPDATE public.users SET last_platform = $2 WHERE id = $1`, [user.id, platform]);
+  }
+  platform = platform || user.last_platform || null;
+
+  // Same VIP source as /api/vip/status: Stripe-driven public.user_vip first, legacy users.vip_until otherwise.
+  let vipUntil = user.vip_until ? new Date(user.vip_until) : null;
+  if (user.telegram_id) {
+    try {
+      const r = await pool.query(`SELECT vip_until FROM public.user_vip WHERE telegram_id = $1 LIMIT 1;`, [
+        user.telegram_id,
+      ]);
+      if (r.rows.length && r.rows[0].vip_until) vipUntil = new Date(r.rows[0].vip_until);
+    } catch (e) {}
+  }
+
+  return {
+    languageCode: user.language_code || null,
+    vip: Boolean(vipUntil && !isNaN(vipUntil) && vipUntil > new Date()),
+    accountAgeDays: accountAgeDays(user.created_at),
+    referralTier: getReferralTier(user.referrals_count).tier,
+    platform,
+    segments: await userSegments(pool, user.id),
+  };
+}
+
 async function applyMissionReward(user, mission) {
-  return applyGenericReward(user, mission.payout_type, mission.payout_amount);
+  return applyGenericReward(user, mission.payout_type, mission.payout_amount, "mission");
 }
 
 
@@ -2299,6 +2842,9 @@ app.get("/health", async (req, res) => {
       console.warn("health: jobs stats query failed", err?.message || err);
     }
 
+    // Config version this instance is serving (compare across instances after a change).
+    await loadConfig();
+
     return res.json({
       ok: true,
       db: "up",
@@ -2306,6 +2852,7 @@ app.get("/health", async (req, res) => {
         pending: pendingJobs,
         failed: failedJobs,
       },
+      config: getConfigStatus(),
     });
   } catch (err) {
     console.error("health check failed", err);
@@ -2344,7 +2891,7 @@ async function handleOgadsPostback(req, res) {
     }
 
     // Idempotency: store receipt once
-    const ip = (req.headers["x-forwarded-for"] || req.ip || "").toString().split(",")[0].trim();
+    const ip = String(req.ip || "");
     const ua = String(req.headers["user-agent"] || "");
     const ins = await pool.query(
       `INSERT INTO public.ogads_postbacks (transaction_id, user_id, offer_id, payout, ip_address, user_agent)
@@ -2455,7 +3002,7 @@ app.post("/postback/ogads", handleOgadsPostback);
 
 /**
  * Minimal Admin UI + exports (no extra repo)
- * Open /admin and enter ADMIN_KEY when prompted.
+ * Open /admin and sign in with your personal admin API key.
  */
 app.get("/admin", (req, res) => {
   const html = `<!doctype html>
@@ -2465,7 +3012,7 @@ app.get("/admin", (req, res) => {
 <style>
 body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial;margin:24px;background:#0b1220;color:#e8eefc}
 .card{background:#111a2e;border:1px solid #24304d;border-radius:12px;padding:16px;margin-bottom:12px}
-input,button{padding:10px;border-radius:10px;border:1px solid #2c3a5f;background:#0b1220;color:#e8eefc}
+input,button,select{padding:10px;border-radius:10px;border:1px solid #2c3a5f;background:#0b1220;color:#e8eefc}
 button{cursor:pointer}
 table{width:100%;border-collapse:collapse}
 td,th{border-bottom:1px solid #24304d;padding:8px;text-align:left;font-size:13px}
@@ -2475,10 +3022,12 @@ a{color:#7db3ff}
 <body>
 <h2>JigCoin Admin</h2>
 <div class="card">
-  <div class="small">Enter your ADMIN_KEY (sent as <b>x-admin-key</b> header). Stored in your browser only.</div>
-  <input id="key" placeholder="ADMIN_KEY" style="width:320px" />
-  <button onclick="saveKey()">Save</button>
+  <div class="small">Sign in with your personal admin API key (sent as <b>x-admin-key</b> header). Stored in your browser only.</div>
+  <input id="key" type="password" placeholder="adm_..." style="width:320px" />
+  <button onclick="saveKey()">Sign in</button>
+  <button onclick="signOut()">Sign out</button>
   <button onclick="loadAll()">Refresh</button>
+  <div id="whoami" class="small"></div>
 </div>
 
 <div class="card" id="summary">Loading...</div>
@@ -2486,7 +3035,51 @@ a{color:#7db3ff}
 <div class="card">
   <h3>Withdrawals (pending)</h3>
   <button onclick="loadWithdrawals()">Load</button>
-  <table id="wtable"><thead><tr><th>ID</th><th>User</th><th>Amount</th><th>Wallet</th><th>Status</th><th>Actions</th></tr></thead><tbody></tbody></table>
+  <table id="wtable"><thead><tr><th>ID</th><th>User</th><th>Amount</th><th>Wallet</th><th>Status</th><th>Risk</th><th>Actions</th></tr></thead><tbody></tbody></table>
+</div>
+
+<div class="card">
+  <h3>Tap anti-cheat</h3>
+  <select id="riskStatus"><option value="">flagged + throttled</option><option>flagged</option><option>throttled</option><option>cleared</option><option>ok</option></select>
+  <button onclick="loadRisk()">Load</button>
+  <div id="riskMsg" class="small"></div>
+  <table id="rtable"><thead><tr><th>User</th><th>Status</th><th>Score</th><th>Signals</th><th>Analyzed</th><th>Review</th><th>Actions</th></tr></thead><tbody></tbody></table>
+</div>
+
+<div class="card">
+  <h3>Parked tap packets</h3>
+  <div class="small">Acknowledged taps the flusher gave up on; they are not applied until requeued.</div>
+  <button onclick="loadParked()">Load</button>
+  <div id="parkedMsg" class="small"></div>
+  <table id="ptable"><thead><tr><th>User</th><th>Packets</th><th>Taps</th><th>Parked since</th><th>Last error</th><th>Actions</th></tr></thead><tbody></tbody></table>
+</div>
+
+<div class="card">
+  <h3>Missions</h3>
+  <button onclick="loadMissions()">Load</button>
+  <div id="missionMsg" class="small"></div>
+  <table id="mtable"><thead><tr><th>Order</th><th>ID</th><th>Code</th><th>Title</th><th>Kind</th><th>Payout</th><th>Schedule</th><th>Targeting</th><th>Active</th><th>Actions</th></tr></thead><tbody></tbody></table>
+  <div class="small">New mission (JSON; starts inactive):</div>
+  <textarea id="newMission" rows="6" style="width:100%">{"code":"","title":"","kind":"sponsor","payout_type":"points","payout_amount":100,"url":"https://","sponsor_cpc":100,"min_seconds_to_claim":30,"cooldown_hours":24}</textarea>
+  <button onclick="createMission()">Create</button>
+  <div class="small">Segments (targeting.segments):</div>
+  <button onclick="loadSegments()">Load segments</button>
+  <input id="segCode" placeholder="segment code" />
+  <input id="segTitle" placeholder="title" />
+  <button onclick="saveSegment()">Save segment</button>
+  <input id="segUsers" placeholder="user ids, comma separated" />
+  <button onclick="segmentMembers('add')">Add users</button> <button onclick="segmentMembers('remove')">Remove users</button>
+  <div id="segList" class="small"></div>
+</div>
+
+<div class="card">
+  <h3>Admin accounts</h3>
+  <button onclick="loadAdmins()">Load</button>
+  <input id="newAdminName" placeholder="name" />
+  <select id="newAdminRole"><option>moderator</option><option>finance</option><option>analyst</option><option>owner</option></select>
+  <button onclick="createAdmin()">Create</button>
+  <div id="newAdminKey" class="small"></div>
+  <table id="atable"><thead><tr><th>ID</th><th>Name</th><th>Role</th><th>Keys</th><th>Status</th><th>Actions</th></tr></thead><tbody></tbody></table>
 </div>
 
 <div class="card">
@@ -2495,16 +3088,44 @@ a{color:#7db3ff}
   <div><a href="#" onclick="dl('/api/admin/export/ledger.csv')">ledger.csv</a></div>
   <div><a href="#" onclick="dl('/api/admin/export/withdrawals.csv')">withdrawals.csv</a></div>
   <div><a href="#" onclick="dl('/api/admin/export/events.csv')">events.csv</a></div>
+  <div><a href="#" onclick="dl('/api/admin/audit/export.csv')">audit.csv</a></div>
+</div>
+
+<div class="card">
+  <h3>Economy settings</h3>
+  <button onclick="loadSettingsCard()">Load</button>
+  <button onclick="saveSettingsCard()">Save</button>
+  <div id="settingsMsg" class="small"></div>
+  <textarea id="settingsJson" rows="14" style="width:100%;margin-top:8px;background:#0b1220;color:#e8eefc;border:1px solid #2c3a5f;border-radius:10px;padding:10px;font-family:monospace"></textarea>
+</div>
+
+<div class="card">
+  <h3>Audit log</h3>
+  <input id="auditAdmin" placeholder="admin name" />
+  <input id="auditAction" placeholder="action (e.g. withdrawals.*)" />
+  <button onclick="loadAudit()">Load</button>
+  <table id="audtable"><thead><tr><th>ID</th><th>When</th><th>Admin</th><th>Action</th><th>Target</th><th>IP</th></tr></thead><tbody></tbody></table>
 </div>
 
 <script>
-function key(){return localStorage.getItem('ADMIN_KEY')||document.getElementById('key').value||''}
-function saveKey(){localStorage.setItem('ADMIN_KEY',document.getElementById('key').value);loadAll();}
+function key(){return localStorage.getItem('ADMIN_API_KEY')||document.getElementById('key').value||''}
+function saveKey(){localStorage.setItem('ADMIN_API_KEY',document.getElementById('key').value);document.getElementById('key').value='';loadAll();}
+function signOut(){localStorage.removeItem('ADMIN_API_KEY');document.getElementById('whoami').textContent='Signed out';}
+async function whoami(){
+  const r=await post('/api/admin/me',{});
+  document.getElementById('whoami').textContent = r.ok
+    ? 'Signed in as '+r.admin.name+' ('+r.admin.role+') · scopes: '+r.admin.scopes.join(', ')
+    : 'Not signed in ('+(r.error||'')+')';
+}
+function esc(v){
+  return String(v==null?'':v).replace(/[&<>"']/g,c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+}
 async function post(url, body){
   const r=await fetch(url,{method:'POST',headers:{'content-type':'application/json','x-admin-key':key()},body:JSON.stringify(body||{})});
   return r.json();
 }
 async function loadAll(){
+  whoami();
   const s=await post('/api/admin/summary',{});
   document.getElementById('summary').innerHTML = s.ok ? 
     '<h3>Summary</h3>'
@@ -2520,15 +3141,173 @@ async function loadWithdrawals(){
   const tb=document.querySelector('#wtable tbody'); tb.innerHTML='';
   (r.rows||[]).forEach(w=>{
     const tr=document.createElement('tr');
-    tr.innerHTML='<td>'+w.id+'</td><td>@'+(w.username||'')+' ('+w.telegram_id+')</td><td>'+w.amount+'</td><td>'+w.wallet+'</td><td>'+w.status+'</td>'
+    tr.innerHTML='<td>'+esc(w.id)+'</td><td>@'+esc(w.username)+' ('+esc(w.telegram_id)+')</td><td>'+esc(w.amount)+'</td><td>'+esc(w.wallet)+'</td><td>'+esc(w.status)+'</td>'
+      +'<td>'+(w.risk_status?esc(w.risk_status+' ('+w.risk_score+')'):'-')+'</td>'
       +'<td><button onclick="upd('+w.id+',\'approved\')">Approve</button> <button onclick="upd('+w.id+',\'rejected\')">Reject</button> <button onclick="upd('+w.id+',\'paid\')">Paid</button></td>';
     tb.appendChild(tr);
   });
 }
 async function upd(id,status){
-  await post('/api/admin/withdraw/update',{id,status});
+  const r=await post('/api/admin/withdraw/update',{id,status});
+  if(!r.ok) alert('Error: '+(r.error||''));
   loadWithdrawals(); loadAll();
 }
+function riskSignals(sg){
+  sg=sg||{}; const out=[];
+  ['regularity','rate','round_clock','sequence','chain'].forEach(k=>{ if(sg[k]&&sg[k].points) out.push(k+' +'+sg[k].points); });
+  return out.join(', ')||'-';
+}
+async function loadRisk(){
+  const r=await post('/api/admin/risk/list',{status:document.getElementById('riskStatus').value||undefined});
+  const tb=document.querySelector('#rtable tbody'); tb.innerHTML='';
+  if(!r.ok){tb.innerHTML='<tr><td colspan="7">'+esc(r.error)+'</td></tr>';return;}
+  (r.rows||[]).forEach(x=>{
+    const tr=document.createElement('tr');
+    tr.innerHTML='<td>@'+esc(x.username)+' ('+esc(x.user_id)+')</td><td>'+esc(x.status)+'</td><td>'+esc(x.score)+'</td><td>'+esc(riskSignals(x.signals))+'</td><td>'+esc(x.analyzed_at||'-')+'</td>'
+      +'<td>'+(x.reviewed_by?esc(x.reviewed_by+': '+(x.review_note||'')):'-')+'</td>'
+      +'<td><button onclick="reviewRisk('+x.user_id+',\'cleared\')">Clear</button> <button onclick="reviewRisk('+x.user_id+',\'throttled\')">Throttle</button> <button onclick="reviewRisk('+x.user_id+',\'flagged\')">Flag</button></td>';
+    tb.appendChild(tr);
+  });
+}
+async function reviewRisk(userId,status){
+  const reason=prompt('Reason for '+status+' (user '+userId+')');
+  if(!reason)return;
+  const r=await post('/api/admin/risk/review',{user_id:userId,status,reason});
+  document.getElementById('riskMsg').textContent = r.ok ? ('User '+userId+' -> '+r.risk.status) : ('Error: '+(r.error||''));
+  loadRisk();
+}
+async function loadParked(){
+  const r=await post('/api/admin/tap-packets/parked',{});
+  const tb=document.querySelector('#ptable tbody'); tb.innerHTML='';
+  if(!r.ok){tb.innerHTML='<tr><td colspan="6">'+esc(r.error)+'</td></tr>';return;}
+  (r.rows||[]).forEach(x=>{
+    const tr=document.createElement('tr');
+    tr.innerHTML='<td>@'+esc(x.username)+' ('+esc(x.user_id)+')</td><td>'+esc(x.packets)+'</td><td>'+esc(x.taps)+'</td><td>'+esc(x.first_parked_at)+'</td><td>'+esc(x.last_error||'-')+'</td>'
+      +'<td><button onclick="requeueParked('+x.user_id+')">Requeue</button></td>';
+    tb.appendChild(tr);
+  });
+}
+async function requeueParked(userId){
+  const reason=prompt('Reason for requeueing parked taps (user '+userId+')');
+  if(!reason)return;
+  const r=await post('/api/admin/tap-packets/requeue',{user_id:userId,reason});
+  document.getElementById('parkedMsg').textContent = r.ok ? ('User '+userId+': '+r.requeued+' packets requeued') : ('Error: '+(r.error||''));
+  loadParked();
+}
+let missionRows=[];
+function missionResult(r,okText){
+  document.getElementById('missionMsg').textContent = r.ok ? okText
+    : ('Error: '+(r.error||'')+(r.fields&&r.fields.length?' - '+r.fields.map(f=>f.message).join('; '):''));
+  return r.ok;
+}
+async function loadMissions(){
+  const r=await post('/api/admin/missions',{});
+  const tb=document.querySelector('#mtable tbody'); tb.innerHTML='';
+  if(!r.ok){tb.innerHTML='<tr><td colspan="10">'+esc(r.error)+'</td></tr>';return;}
+  missionRows=r.rows||[];
+  missionRows.forEach((m,i)=>{
+    const tr=document.createElement('tr');
+    tr.innerHTML='<td>'+esc(m.sort_order)+' <button onclick="moveMission('+i+',-1)">&uarr;</button><button onclick="moveMission('+i+',1)">&darr;</button></td>'
+      +'<td>'+esc(m.id)+'</td><td>'+esc(m.code)+'</td><td>'+esc(m.title)+'</td><td>'+esc(m.kind||'-')+'</td>'
+      +'<td>'+esc(m.payout_type||'-')+' '+esc(m.payout_amount)+'</td>'
+      +'<td>'+esc(m.starts_at||'…')+' → '+esc(m.ends_at||'…')+(m.priority?' (prio '+esc(m.priority)+')':'')+'</td>'
+      +'<td>'+(m.targeting&&Object.keys(m.targeting).length?esc(JSON.stringify(m.targeting)):'everyone')+'</td><td>'+(m.is_active?'yes':'no')+'</td>'
+      +'<td><button onclick="editMission('+m.id+')">Edit</button> '
+      +(m.is_active?'<button onclick="setMissionActive('+m.id+',false)">Deactivate</button>':'<button onclick="setMissionActive('+m.id+',true)">Activate</button>')
+      +' <button onclick="cloneMission('+m.id+')">Clone</button></td>';
+    tb.appendChild(tr);
+  });
+}
+function parseMissionJson(text){
+  try{return JSON.parse(text);}catch(e){document.getElementById('missionMsg').textContent='Error: invalid JSON';return null;}
+}
+async function createMission(){
+  const mission=parseMissionJson(document.getElementById('newMission').value); if(!mission)return;
+  const r=await post('/api/admin/missions/create',{mission});
+  if(missionResult(r,'Created mission '+(r.mission&&r.mission.id))) loadMissions();
+}
+async function editMission(id){
+  const m=missionRows.find(x=>x.id===id); if(!m)return;
+  const editable=['code','title','description','kind','payout_type','payout_amount','url','min_seconds_to_claim','cooldown_hours','max_claims_per_day','sponsor_cpc','sponsor_daily_cap','starts_at','ends_at','priority','targeting'];
+  const cur={}; editable.forEach(k=>cur[k]=m[k]);
+  const text=prompt('Edit mission '+id+' (JSON)',JSON.stringify(cur)); if(!text)return;
+  const changes=parseMissionJson(text); if(!changes)return;
+  const r=await post('/api/admin/missions/update',{id,changes});
+  if(missionResult(r,'Saved mission '+id)) loadMissions();
+}
+async function setMissionActive(id,active){
+  const r=await post('/api/admin/missions/'+(active?'activate':'deactivate'),{id});
+  if(missionResult(r,'Mission '+id+(active?' activated':' deactivated'))) loadMissions();
+}
+async function cloneMission(id){
+  const code=prompt('Code for the copy (blank = automatic)');
+  if(code===null)return;
+  const r=await post('/api/admin/missions/clone',{id,code:code||undefined});
+  if(missionResult(r,'Cloned as mission '+(r.mission&&r.mission.id)+' ('+(r.mission&&r.mission.code)+')')) loadMissions();
+}
+async function moveMission(i,dir){
+  const j=i+dir; if(j<0||j>=missionRows.length)return;
+  const ids=missionRows.map(m=>m.id); [ids[i],ids[j]]=[ids[j],ids[i]];
+  const r=await post('/api/admin/missions/reorder',{ids});
+  if(missionResult(r,'Order saved')) loadMissions();
+}
+async function loadSegments(){
+  const r=await post('/api/admin/segments',{});
+  document.getElementById('segList').textContent = r.ok
+    ? ((r.rows||[]).map(x=>x.code+(x.title?' ('+x.title+')':'')+': '+x.members).join(' · ')||'No segments')
+    : ('Error: '+(r.error||''));
+}
+async function saveSegment(){
+  const r=await post('/api/admin/segments/save',{code:document.getElementById('segCode').value,title:document.getElementById('segTitle').value});
+  if(!r.ok){document.getElementById('segList').textContent='Error: '+(r.error||'');return;}
+  loadSegments();
+}
+async function segmentMembers(op){
+  const ids=document.getElementById('segUsers').value.split(',').map(x=>Number(x.trim())).filter(Boolean);
+  const r=await post('/api/admin/segments/members',{code:document.getElementById('segCode').value,[op]:ids});
+  document.getElementById('segList').textContent = r.ok ? ('Added '+r.added+', removed '+r.removed+', members '+r.members) : ('Error: '+(r.error||''));
+}
+async function loadAdmins(){
+  const r=await post('/api/admin/accounts/list',{});
+  const tb=document.querySelector('#atable tbody'); tb.innerHTML='';
+  if(!r.ok){tb.innerHTML='<tr><td colspan="6">'+(r.error||'')+'</td></tr>';return;}
+  (r.rows||[]).forEach(a=>{
+    const live=(a.keys||[]).filter(k=>!k.revoked_at).map(k=>k.key_prefix).join(', ');
+    const tr=document.createElement('tr');
+    tr.innerHTML='<td>'+esc(a.id)+'</td><td>'+esc(a.name)+'</td><td>'+esc(a.role)+'</td><td>'+(esc(live)||'-')+'</td><td>'+(a.disabled_at?'disabled':'active')+'</td>'
+      +'<td><button onclick="rotateAdmin('+a.id+')">Rotate key</button> <button onclick="disableAdmin('+a.id+')">Disable</button></td>';
+    tb.appendChild(tr);
+  });
+}
+function showKey(r){document.getElementById('newAdminKey').textContent = r.ok ? ('New key (copy now, shown once): '+r.api_key) : ('Error: '+(r.error||''));}
+async function createAdmin(){
+  const r=await post('/api/admin/accounts/create',{name:document.getElementById('newAdminName').value,role:document.getElementById('newAdminRole').value});
+  showKey(r); loadAdmins();
+}
+async function rotateAdmin(id){ showKey(await post('/api/admin/accounts/rotate-key',{admin_id:id})); loadAdmins(); }
+async function disableAdmin(id){ if(!confirm('Disable admin '+id+'?'))return; await post('/api/admin/accounts/revoke',{admin_id:id}); loadAdmins(); }
+async function loadSettingsCard(){
+  const r=await post('/api/admin/settings',{});
+  document.getElementById('settingsMsg').textContent = r.ok ? 'Loaded' : ('Error: '+(r.error||''));
+  if(r.ok) document.getElementById('settingsJson').value = JSON.stringify(r.values,null,2);
+}
+async function saveSettingsCard(){
+  let values;
+  try{ values=JSON.parse(document.getElementById('settingsJson').value); }catch(e){ document.getElementById('settingsMsg').textContent='Invalid JSON'; return; }
+  const r=await post('/api/admin/settings/update',{values});
+  document.getElementById('settingsMsg').textContent = r.ok ? 'Saved' : ('Error: '+(r.error||'')+' '+JSON.stringify(r.errors||{}));
+  if(r.ok) document.getElementById('settingsJson').value = JSON.stringify(r.values,null,2);
+}
+async function loadAudit(){
+  const r=await post('/api/admin/audit',{admin_name:document.getElementById('auditAdmin').value,action:document.getElementById('auditAction').value});
+  const tb=document.querySelector('#audtable tbody'); tb.innerHTML='';
+  if(!r.ok){tb.innerHTML='<tr><td colspan="6">'+esc(r.error)+'</td></tr>';return;}
+  (r.rows||[]).forEach(a=>{
+    const tr=document.createElement('tr');
+    tr.innerHTML='<td>'+esc(a.id)+'</td><td>'+esc(a.created_at)+'</td><td>'+esc(a.admin_name)+'</td><td>'+esc(a.action)+'</td><td>'+(a.target_type?esc(a.target_type+':'+a.target_id):'-')+'</td><td>'+esc(a.ip)+'</td>';
+    tb.appendChild(tr);
+  });
+}
 function dl(path){
   fetch(path,{headers:{'x-admin-key':key()}}).then(r=>r.blob()).then(b=>{
     const a=document.createElement('a'); a.href=URL.createObjectURL(b); a.download=path.split('/').pop(); a.click();
@@ -2543,12 +3322,13 @@ loadAll();
 
 app.post("/api/admin/summary", async (req, res) => {
   try {
-    if (!requireAdmin(req, res)) return;
+    if (!(await requireAdmin(req, res, "summary:read"))) return;
     const users = await pool.query(`SELECT COUNT(*)::int AS c FROM public.users`);
     const dau = await pool.query(`SELECT COUNT(DISTINCT user_id)::int AS c FROM public.event_log WHERE created_at > NOW() - INTERVAL '24 hours'`);
     const taps = await pool.query(`SELECT COUNT(*)::int AS c FROM public.event_log WHERE event='tap' AND created_at > NOW() - INTERVAL '24 hours'`);
     const mclaims = await pool.query(`SELECT COUNT(*)::int AS c FROM public.event_log WHERE event='mission_claimed' AND created_at > NOW() - INTERVAL '24 hours'`);
     const pending = await pool.query(`SELECT COUNT(*)::int AS c FROM public.withdraw_requests WHERE status='pending'`);
+    await auditAdminAction(req, pool, { action: "summary.read" });
     res.json({
       ok: true,
       users: users.rows[0].c,
@@ -2558,70 +3338,984 @@ app.post("/api/admin/summary", async (req, res) => {
       pendingWithdrawals: pending.rows[0].c,
     });
   } catch (e) {
-    console.error("Error /api/admin/summary:", e);
-    res.status(500).json({ ok: false, error: "ADMIN_SUMMARY_ERROR" });
+    console.error("Error /api/admin/summary:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_SUMMARY_ERROR" });
+  }
+});
+
+// ------------ Admin accounts ------------
+// Who am I? Used by /admin after login.
+app.post("/api/admin/me", async (req, res) => {
+  if (!(await requireAdmin(req, res))) return;
+  const a = req.admin;
+  res.json({ ok: true, admin: { id: a.id, name: a.name, role: a.role, scopes: a.scopes, bootstrap: a.bootstrap } });
+});
+
+app.post("/api/admin/accounts/list", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "admins:manage"))) return;
+    const rows = await listAdminAccounts();
+    await auditAdminAction(req, pool, { action: "admins.list", meta: { count: rows.length } });
+    res.json({ ok: true, rows, roles: ADMIN_ROLES, scopes: ADMIN_SCOPES });
+  } catch (e) {
+    console.error("Error /api/admin/accounts/list:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_ACCOUNTS_LIST_ERROR" });
+  }
+});
+
+// Create a named admin. The API key is returned once and never stored in clear.
+app.post("/api/admin/accounts/create", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "admins:manage"))) return;
+    const name = String(req.body.name || "").trim();
+    const role = String(req.body.role || "").trim();
+    const scopes = Array.isArray(req.body.scopes) ? req.body.scopes.map(String) : [];
+
+    const bad = validateAdminInput({ name, role, scopes });
+    if (bad) return res.status(400).json({ ok: false, error: bad });
+
+    const out = await withTransaction(async (client) => {
+      const created = await createAdminAccountTx(client, { name, role, scopes, createdBy: req.admin.name });
+      await auditAdminAction(req, client, {
+        action: "admins.create",
+        targetType: "admin_account",
+        targetId: created.account.id,
+        after: { ...created.account, key_prefix: created.key.key_prefix },
+      });
+      return created;
+    });
+    res.json({ ok: true, account: out.account, key: out.key, api_key: out.apiKey });
+  } catch (e) {
+    if (e && e.code === "23505") {
+      return res.status(409).json({ ok: false, error: "NAME_TAKEN" });
+    }
+    console.error("Error /api/admin/accounts/create:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_ACCOUNT_CREATE_ERROR" });
+  }
+});
+
+// Rotate a key. Admins may always rotate their own; others need admins:manage.
+app.post("/api/admin/accounts/rotate-key", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res))) return;
+    const adminId = Number(req.body.admin_id || req.admin.id || 0);
+    if (!adminId) return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+    if (adminId !== req.admin.id && !hasScope(req.admin, "admins:manage")) {
+      return res.status(403).json({ ok: false, error: "MISSING_SCOPE", scope: "admins:manage" });
+    }
+
+    const revokeExisting = req.body.revoke_existing !== false;
+    const out = await withTransaction(async (client) => {
+      const rotated = await rotateAdminKeyTx(client, { adminId, revokeExisting });
+      if (rotated) {
+        await auditAdminAction(req, client, {
+          action: "admins.rotate_key",
+          targetType: "admin_account",
+          targetId: adminId,
+          after: { key_id: rotated.key.id, key_prefix: rotated.key.key_prefix, revoked: rotated.revoked },
+        });
+      }
+      return rotated;
+    });
+    if (!out) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    res.json({ ok: true, key: out.key, api_key: out.apiKey, revoked: out.revoked });
+  } catch (e) {
+    console.error("Error /api/admin/accounts/rotate-key:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_KEY_ROTATE_ERROR" });
+  }
+});
+
+// Revoke one key ({ key_id }) or disable an account with all its keys ({ admin_id }).
+app.post("/api/admin/accounts/revoke", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "admins:manage"))) return;
+    const adminId = Number(req.body.admin_id || 0) || null;
+    const keyId = Number(req.body.key_id || 0) || null;
+    if (!adminId && !keyId) return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+
+    const out = await withTransaction(async (client) => {
+      const revoked = await revokeAdminAccessTx(client, { adminId, keyId });
+      await auditAdminAction(req, client, {
+        action: "admins.revoke",
+        targetType: keyId ? "admin_api_key" : "admin_account",
+        targetId: keyId || adminId,
+        after: revoked,
+      });
+      return revoked;
+    });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error("Error /api/admin/accounts/revoke:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_REVOKE_ERROR" });
+  }
+});
+
+// Admin: revoke a compromised session (or every session of a user)
+app.post("/api/admin/sessions/revoke", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "sessions:revoke"))) return;
+    const sessionId = String(req.body.session_id || "").trim() || null;
+    const userId = Number(req.body.user_id || 0) || null;
+    if (!sessionId && !userId) {
+      return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+    }
+    const revoked = await revokeSessions({ sessionId, userId, reason: String(req.body.reason || "admin") });
+    await logEvent(userId, "sessions_revoked", { session_id: sessionId, revoked });
+    await auditAdminAction(req, pool, {
+      action: "sessions.revoke",
+      targetType: sessionId ? "session" : "user",
+      targetId: sessionId || userId,
+      after: { revoked },
+      meta: { reason: String(req.body.reason || "admin") },
+    });
+    res.json({ ok: true, revoked });
+  } catch (e) {
+    console.error("Error /api/admin/sessions/revoke:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_SESSION_REVOKE_ERROR" });
+  }
+});
+
+// CSV export helpers
+function csvEscape(v){
+  if (v === null || v === undefined) return "";
+  const s = String(v);
+  if (s.includes('"') || s.includes(",") || s.includes("\n")) return '"' + s.replace(/"/g,'""') + '"';
+  return s;
+}
+function rowsToCsv(rows){
+  if (!rows.length) return "";
+  const cols = Object.keys(rows[0]);
+  const out = [cols.join(",")];
+  for (const r of rows){
+    out.push(cols.map(c=>csvEscape(r[c])).join(","));
+  }
+  return out.join("\n");
+}
+
+app.get("/api/admin/export/users.csv", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "exports:read", { plain: true }))) return;
+    const q = await pool.query(`SELECT id, telegram_id, username, balance, referrals_count, vip_until, streak_count, last_checkin_date, created_at FROM public.users ORDER BY id DESC LIMIT 50000`);
+    await auditAdminAction(req, pool, { action: "export.users", meta: { rows: q.rows.length } });
+    res.setHeader("content-type","text/csv; charset=utf-8");
+    res.send(rowsToCsv(q.rows));
+  } catch (e) { res.status(500).send("ERROR"); }
+});
+
+app.get("/api/admin/export/ledger.csv", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "exports:read", { plain: true }))) return;
+    const q = await pool.query(`SELECT * FROM public.sponsor_ledger ORDER BY id DESC LIMIT 50000`);
+    await auditAdminAction(req, pool, { action: "export.ledger", meta: { rows: q.rows.length } });
+    res.setHeader("content-type","text/csv; charset=utf-8");
+    res.send(rowsToCsv(q.rows));
+  } catch (e) { res.status(500).send("ERROR"); }
+});
+
+app.get("/api/admin/export/withdrawals.csv", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "exports:read", { plain: true }))) return;
+    const q = await pool.query(`SELECT wr.*, u.telegram_id, u.username FROM public.withdraw_requests wr JOIN public.users u ON u.id=wr.user_id ORDER BY wr.id DESC LIMIT 50000`);
+    await auditAdminAction(req, pool, { action: "export.withdrawals", meta: { rows: q.rows.length } });
+    res.setHeader("content-type","text/csv; charset=utf-8");
+    res.send(rowsToCsv(q.rows));
+  } catch (e) { res.status(500).send("ERROR"); }
+});
+
+app.get("/api/admin/export/events.csv", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "exports:read", { plain: true }))) return;
+    const q = await pool.query(`SELECT * FROM public.event_log ORDER BY id DESC LIMIT 50000`);
+    await auditAdminAction(req, pool, { action: "export.events", meta: { rows: q.rows.length } });
+    res.setHeader("content-type","text/csv; charset=utf-8");
+    res.send(rowsToCsv(q.rows));
+  } catch (e) { res.status(500).send("ERROR"); }
+});
+
+// ------------ Admin audit log (read-only) ------------
+function auditFilters(src) {
+  const f = {};
+  for (const k of ["admin_name", "action", "target_type", "target_id", "from", "to", "before_id"]) {
+    const v = String(src[k] || "").trim();
+    if (v) f[k] = v;
+  }
+  for (const k of ["from", "to"]) {
+    if (f[k] && Number.isNaN(Date.parse(f[k]))) return null;
+  }
+  return f;
+}
+
+app.post("/api/admin/audit", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "audit:read"))) return;
+    const filters = auditFilters(req.body || {});
+    if (!filters) return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+    const out = await queryAdminAudit(filters, { limit: req.body.limit });
+    await auditAdminAction(req, pool, { action: "audit.read", meta: { filters, rows: out.rows.length } });
+    res.json({ ok: true, rows: out.rows, next_cursor: out.next_cursor });
+  } catch (e) {
+    console.error("Error /api/admin/audit:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_AUDIT_ERROR" });
+  }
+});
+
+app.get("/api/admin/audit/export.csv", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "audit:read", { plain: true }))) return;
+    const filters = auditFilters(req.query || {});
+    if (!filters) return res.status(400).send("BAD_INPUT");
+    const out = await queryAdminAudit(filters, { limit: 50000, forExport: true });
+    const rows = out.rows.map((r) => ({
+      ...r,
+      before_json: r.before_json === null ? null : JSON.stringify(r.before_json),
+      after_json: r.after_json === null ? null : JSON.stringify(r.after_json),
+      meta: r.meta === null ? null : JSON.stringify(r.meta),
+    }));
+    await auditAdminAction(req, pool, { action: "export.audit", meta: { filters, rows: rows.length } });
+    res.setHeader("content-type","text/csv; charset=utf-8");
+    res.send(rowsToCsv(rows));
+  } catch (e) { res.status(500).send("ERROR"); }
+});
+
+// ------------ Admin: economy settings (typed app_settings) ------------
+app.post("/api/admin/settings", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "settings:read"))) return;
+    const values = await loadSettings(true);
+    await auditAdminAction(req, pool, { action: "settings.read" });
+    res.json({ ok: true, values, schema: SETTINGS_SCHEMA });
+  } catch (e) {
+    console.error("Error /api/admin/settings:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_SETTINGS_ERROR" });
+  }
+});
+
+// Body: { values: { key: value, ... }, note?, activate_at? }.
+// Rejected as a whole if any value is invalid; a future activate_at schedules the change.
+app.post("/api/admin/settings/update", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "settings:write"))) return;
+    const values = req.body.values;
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+      return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+    }
+
+    const before = await loadSettings(true);
+    const out = await updateSettings(values, {
+      author: req.admin.name,
+      note: String(req.body.note || "").trim() || null,
+      activateAt: req.body.activate_at || null,
+    });
+    if (!out.ok) {
+      return res.status(400).json({ ok: false, error: "INVALID_SETTINGS", errors: out.errors });
+    }
+
+    const changedBefore = {};
+    for (const k of Object.keys(out.values)) changedBefore[k] = before[k];
+    await auditAdminAction(req, pool, {
+      action: "settings.update",
+      targetType: "settings_revision",
+      targetId: out.revision.id,
+      before: changedBefore,
+      after: out.values,
+      meta: { activate_at: out.revision.activate_at },
+    });
+    res.json({ ok: true, revision: out.revision, values: await loadSettings() });
+  } catch (e) {
+    console.error("Error /api/admin/settings/update:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_SETTINGS_UPDATE_ERROR" });
+  }
+});
+
+app.post("/api/admin/settings/revisions", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "settings:read"))) return;
+    const out = await listSettingsRevisions({ limit: req.body.limit, beforeId: req.body.before_id });
+    await auditAdminAction(req, pool, { action: "settings.revisions.read" });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error("Error /api/admin/settings/revisions:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_SETTINGS_REVISIONS_ERROR" });
+  }
+});
+
+// Restore the config as of { revision_id } (written as a new revision).
+app.post("/api/admin/settings/rollback", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "settings:write"))) return;
+    const revisionId = Number(req.body.revision_id || 0);
+    if (!revisionId) return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+
+    const out = await rollbackSettings(revisionId, {
+      author: req.admin.name,
+      note: String(req.body.note || "").trim() || null,
+    });
+    if (!out) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+
+    await auditAdminAction(req, pool, {
+      action: "settings.rollback",
+      targetType: "settings_revision",
+      targetId: revisionId,
+      after: out.values,
+      meta: { new_revision_id: out.revision ? out.revision.id : null },
+    });
+    res.json({ ok: true, revision: out.revision, changed: out.values, values: await loadSettings() });
+  } catch (e) {
+    console.error("Error /api/admin/settings/rollback:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_SETTINGS_ROLLBACK_ERROR" });
+  }
+});
+
+// Cancel a scheduled (not yet active) revision.
+app.post("/api/admin/settings/revisions/cancel", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "settings:write"))) return;
+    const revisionId = Number(req.body.revision_id || 0);
+    if (!revisionId) return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+
+    const revision = await cancelScheduledRevision(revisionId, { author: req.admin.name });
+    if (!revision) return res.status(404).json({ ok: false, error: "NOT_SCHEDULED" });
+
+    await auditAdminAction(req, pool, {
+      action: "settings.revision.cancel",
+      targetType: "settings_revision",
+      targetId: revisionId,
+    });
+    res.json({ ok: true, revision });
+  } catch (e) {
+    console.error("Error /api/admin/settings/revisions/cancel:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_SETTINGS_CANCEL_ERROR" });
+  }
+});
+
+// ------------ Admin: experiments (per-user setting overrides) ------------
+app.post("/api/admin/experiments", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "experiments:read"))) return;
+    const experiments = await listExperiments();
+    res.json({ ok: true, experiments });
+  } catch (e) {
+    console.error("Error /api/admin/experiments:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_EXPERIMENTS_ERROR" });
+  }
+});
+
+// Body: { key, description?, variants: [{ key, weight, overrides }] }. Created as draft.
+app.post("/api/admin/experiments/create", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "experiments:write"))) return;
+    const out = await createExperiment(
+      { key: req.body.key, description: req.body.description, variants: req.body.variants },
+      { createdBy: req.admin.name }
+    );
+    if (!out.ok) return res.status(400).json({ ok: false, error: out.error, detail: out.detail || null });
+
+    await auditAdminAction(req, pool, {
+      action: "experiment.create",
+      targetType: "experiment",
+      targetId: out.experiment.id,
+      after: out.experiment,
+    });
+    res.json({ ok: true, experiment: out.experiment });
+  } catch (e) {
+    if (e.code === "23505") return res.status(409).json({ ok: false, error: "DUPLICATE_KEY" });
+    console.error("Error /api/admin/experiments/create:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_EXPERIMENT_CREATE_ERROR" });
+  }
+});
+
+// Body: { id, status: "running" | "stopped" }
+app.post("/api/admin/experiments/status", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "experiments:write"))) return;
+    const id = Number(req.body.id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+
+    const out = await setExperimentStatus(id, String(req.body.status || ""));
+    if (!out.ok) {
+      const status = out.error === "NOT_FOUND" ? 404 : out.error === "OVERLAPPING_EXPERIMENT" ? 409 : 400;
+      return res.status(status).json({ ok: false, error: out.error, detail: out.detail || null });
+    }
+
+    await auditAdminAction(req, pool, {
+      action: `experiment.${out.experiment.status === "running" ? "start" : "stop"}`,
+      targetType: "experiment",
+      targetId: id,
+      after: { status: out.experiment.status },
+    });
+    res.json({ ok: true, experiment: out.experiment });
+  } catch (e) {
+    console.error("Error /api/admin/experiments/status:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_EXPERIMENT_STATUS_ERROR" });
+  }
+});
+
+app.post("/api/admin/experiments/report", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "experiments:read"))) return;
+    const id = Number(req.body.id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+
+    const report = await getExperimentReport(id);
+    if (!report) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    await auditAdminAction(req, pool, { action: "experiment.report", targetType: "experiment", targetId: id });
+    res.json({ ok: true, ...report });
+  } catch (e) {
+    console.error("Error /api/admin/experiments/report:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_EXPERIMENT_REPORT_ERROR" });
+  }
+});
+
+// ------------ Admin: double-entry system accounts ------------
+app.post("/api/admin/ledger/accounts", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "ledger:read"))) return;
+    const out = await getSystemAccountBalances();
+    await auditAdminAction(req, pool, { action: "ledger.accounts.read", meta: { balanced: out.balanced } });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error("Error /api/admin/ledger/accounts:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_LEDGER_ACCOUNTS_ERROR" });
+  }
+});
+
+// Today's minted points per source vs. the emission budgets, plus recent days.
+// Body: { days? } (default 7, max 90). Budgets are edited via /api/admin/settings/update.
+app.post("/api/admin/emission", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "ledger:read"))) return;
+    const out = await getEmissionStatus({ days: req.body.days });
+    await auditAdminAction(req, pool, { action: "emission.read" });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error("Error /api/admin/emission:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_EMISSION_ERROR" });
+  }
+});
+
+// Balance of the wallet an adjustment / reversal touched.
+function adjustedWalletBalance(out, currency) {
+  if (currency === "season") return out.seasonScore;
+  return Number(currency === "gems" ? out.user.gems_balance : out.user.balance);
+}
+
+// Admin ledger adjustments: typed errors from lib/ledger.js -> HTTP status.
+const LEDGER_ADJUST_ERRORS = new Set(["BAD_INPUT", "REASON_REQUIRED", "BAD_POLICY", "NOT_FOUND", "ALREADY_REVERSED", "CANNOT_REVERSE_REVERSAL", "NOTHING_TO_APPLY"]);
+
+function ledgerAdjustErrorResponse(res, e) {
+  if (e && e.code === "23505") return res.status(409).json({ ok: false, error: "ALREADY_REVERSED" });
+  if (!e || !LEDGER_ADJUST_ERRORS.has(e.code)) return false;
+  const status = e.code === "NOT_FOUND" ? 404 : e.code === "ALREADY_REVERSED" || e.code === "NOTHING_TO_APPLY" ? 409 : 400;
+  return res.status(status).json({ ok: false, error: e.code });
+}
+
+// Admin: manual credit/debit ({ user_id, delta, reason, negative_policy? }).
+app.post("/api/admin/ledger/adjust", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "ledger:adjust"))) return;
+    const userId = Number(req.body.user_id || 0);
+    const delta = Number(req.body.delta);
+    const note = String(req.body.reason || "").trim();
+    const policy = String(req.body.negative_policy || LEDGER_NEGATIVE_POLICY);
+    const currency = String(req.body.currency || "points");
+    if (!userId || !Number.isInteger(delta) || delta === 0 || !CURRENCIES.includes(currency)) {
+      return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+    }
+
+    const out = await withTransaction(async (client) => {
+      const r = await adjustBalanceTx(client, { userId, delta, note, policy, currency });
+      await auditAdminAction(req, client, {
+        action: "ledger.adjust",
+        targetType: "user",
+        targetId: userId,
+        before: { balance: r.before_balance },
+        after: { balance: adjustedWalletBalance(r, currency), ledger_id: r.ledgerId },
+        meta: { reason: note, currency, requested: r.requested, applied: r.applied, policy },
+      });
+      return r;
+    });
+
+    res.json({
+      ok: true,
+      ledger_id: out.ledgerId,
+      currency,
+      requested: out.requested,
+      applied: out.applied,
+      balance: adjustedWalletBalance(out, currency),
+      policies: NEGATIVE_POLICIES,
+    });
+  } catch (e) {
+    if (ledgerAdjustErrorResponse(res, e)) return;
+    console.error("Error /api/admin/ledger/adjust:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_LEDGER_ADJUST_ERROR" });
+  }
+});
+
+// Admin: reverse one ledger entry ({ ledger_id, reason, negative_policy? }).
+app.post("/api/admin/ledger/reverse", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "ledger:adjust"))) return;
+    const ledgerId = Number(req.body.ledger_id || 0);
+    const note = String(req.body.reason || "").trim();
+    const policy = String(req.body.negative_policy || LEDGER_NEGATIVE_POLICY);
+    if (!ledgerId) return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+
+    const out = await withTransaction(async (client) => {
+      const r = await reverseLedgerEntryTx(client, { ledgerId, note, policy });
+      await auditAdminAction(req, client, {
+        action: "ledger.reverse",
+        targetType: "ledger_entry",
+        targetId: ledgerId,
+        before: { balance: r.before_balance, entry: r.original },
+        after: { balance: adjustedWalletBalance(r, r.original.currency), ledger_id: r.ledgerId },
+        meta: { reason: note, requested: r.requested, applied: r.applied, remaining: r.remaining, policy },
+      });
+      return r;
+    });
+
+    res.json({
+      ok: true,
+      ledger_id: out.ledgerId,
+      reversed_id: out.original.id,
+      currency: out.original.currency,
+      requested: out.requested,
+      applied: out.applied,
+      remaining: out.remaining,
+      balance: adjustedWalletBalance(out, out.original.currency),
+    });
+  } catch (e) {
+    if (ledgerAdjustErrorResponse(res, e)) return;
+    console.error("Error /api/admin/ledger/reverse:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_LEDGER_REVERSE_ERROR" });
+  }
+});
+
+// Admin: start a bulk reconciliation run (processed by the worker in batches).
+// Defaults to dry_run; pass { dry_run: false } to correct balances.
+app.post("/api/admin/ledger/reconcile", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "ledger:reconcile"))) return;
+    const dryRun = req.body.dry_run !== false;
+    const run = await startReconcileRun({
+      startedBy: req.admin.name,
+      dryRun,
+      batchSize: req.body.batch_size,
+    });
+    await auditAdminAction(req, pool, {
+      action: "ledger.reconcile.start",
+      targetType: "reconcile_run",
+      targetId: run.id,
+      after: run,
+    });
+    res.json({ ok: true, run });
+  } catch (e) {
+    console.error("Error /api/admin/ledger/reconcile:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_RECONCILE_ERROR" });
+  }
+});
+
+// Admin: latest (or { run_id }) reconciliation run with its drift rows.
+app.post("/api/admin/ledger/reconcile/report", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "ledger:read"))) return;
+    const out = await getReconcileReport({
+      runId: Number(req.body.run_id || 0) || null,
+      limit: req.body.limit,
+    });
+    await auditAdminAction(req, pool, {
+      action: "ledger.reconcile.report",
+      targetType: "reconcile_run",
+      targetId: out.run ? out.run.id : null,
+    });
+    res.json({ ok: true, run: out.run, rows: out.rows });
+  } catch (e) {
+    console.error("Error /api/admin/ledger/reconcile/report:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_RECONCILE_REPORT_ERROR" });
+  }
+});
+
+// Admin: inactivity decay totals, policy and recent runs ({ days? }).
+app.post("/api/admin/decay/report", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "ledger:read"))) return;
+    const out = await getDecayReport({ days: req.body.days });
+    await auditAdminAction(req, pool, { action: "decay.report" });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error("Error /api/admin/decay/report:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_DECAY_REPORT_ERROR" });
+  }
+});
+
+// Admin: start a decay run now ({ dry_run?, batch_size? }). Processed by the worker.
+app.post("/api/admin/decay/run", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "ledger:adjust"))) return;
+    const run = await startDecayRun({
+      startedBy: req.admin.name,
+      dryRun: req.body.dry_run === true,
+      batchSize: req.body.batch_size,
+    });
+    await auditAdminAction(req, pool, {
+      action: "decay.run.start",
+      targetType: "decay_run",
+      targetId: run.id,
+      after: run,
+    });
+    res.json({ ok: true, run });
+  } catch (e) {
+    if (e && e.code === "RUN_IN_PROGRESS") return res.status(409).json({ ok: false, error: e.code });
+    console.error("Error /api/admin/decay/run:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_DECAY_RUN_ERROR" });
+  }
+});
+
+// Admin: refund the decay of a run ({ run_id, user_id?, reason }).
+app.post("/api/admin/decay/reverse", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "ledger:adjust"))) return;
+    const runId = Number(req.body.run_id || 0);
+    const userId = Number(req.body.user_id || 0) || null;
+    const note = String(req.body.reason || "").trim();
+    if (!runId) return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+
+    const out = await withTransaction(async (client) => {
+      const r = await reverseDecayTx(client, { runId, userId, note });
+      await auditAdminAction(req, client, {
+        action: "decay.reverse",
+        targetType: userId ? "user" : "decay_run",
+        targetId: userId || runId,
+        after: r,
+        meta: { reason: note, run_id: runId },
+      });
+      return r;
+    });
+    res.json({ ok: true, run_id: runId, ...out });
+  } catch (e) {
+    if (e && e.code === "23505") return res.status(409).json({ ok: false, error: "ALREADY_REVERSED" });
+    if (e && ["REASON_REQUIRED", "BAD_INPUT"].includes(e.code)) return res.status(400).json({ ok: false, error: e.code });
+    if (e && e.code === "NOTHING_TO_REVERSE") return res.status(404).json({ ok: false, error: e.code });
+    console.error("Error /api/admin/decay/reverse:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_DECAY_REVERSE_ERROR" });
+  }
+});
+
+// ------------ Admin: missions ------------
+// Validation mirrors sql/migrations/001_active_mission_integrity.sql (lib/missions.js);
+// INVALID_MISSION replies list { field, error, message } per problem.
+function sendMissionAdminError(res, e) {
+  if (e && ["INVALID_MISSION", "CODE_TAKEN"].includes(e.code)) {
+    res.status(e.code === "CODE_TAKEN" ? 409 : 400).json({ ok: false, error: e.code, fields: e.fields || [] });
+    return true;
+  }
+  if (e && e.code === "BAD_ORDER") {
+    res.status(400).json({ ok: false, error: e.code });
+    return true;
+  }
+  if (e && e.code === "NOT_FOUND") {
+    res.status(404).json({ ok: false, error: "MISSION_NOT_FOUND" });
+    return true;
+  }
+  return false;
+}
+
+app.post("/api/admin/missions", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "missions:read"))) return;
+    const rows = await listMissionsAdmin(pool);
+    res.json({ ok: true, rows, payout_types: MISSION_PAYOUT_TYPES });
+  } catch (e) {
+    console.error("Error /api/admin/missions:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_MISSIONS_ERROR" });
+  }
+});
+
+// Body: { mission: { code, title, ... } }. New missions start inactive unless is_active is set.
+app.post("/api/admin/missions/create", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "missions:write"))) return;
+    const mission = await withTransaction(async (client) => {
+      const created = await createMissionTx(client, req.body.mission || {});
+      await auditAdminAction(req, client, {
+        action: "mission.create",
+        targetType: "mission",
+        targetId: created.id,
+        after: created,
+      });
+      return created;
+    });
+    res.json({ ok: true, mission });
+  } catch (e) {
+    if (sendMissionAdminError(res, e)) return;
+    console.error("Error /api/admin/missions/create:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_MISSION_CREATE_ERROR" });
+  }
+});
+
+// Body: { id, changes: { field: value, ... } }.
+app.post("/api/admin/missions/update", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "missions:write"))) return;
+    const id = Number(req.body.id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+    const out = await withTransaction(async (client) => {
+      const r = await updateMissionTx(client, id, req.body.changes || {});
+      await auditAdminAction(req, client, {
+        action: "mission.update",
+        targetType: "mission",
+        targetId: id,
+        before: r.before,
+        after: r.after,
+      });
+      return r;
+    });
+    res.json({ ok: true, mission: out.after });
+  } catch (e) {
+    if (sendMissionAdminError(res, e)) return;
+    console.error("Error /api/admin/missions/update:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_MISSION_UPDATE_ERROR" });
+  }
+});
+
+// Body: { id }. Activation checks the active-mission rules first.
+for (const [path, active] of [["activate", true], ["deactivate", false]]) {
+  app.post(`/api/admin/missions/${path}`, async (req, res) => {
+    try {
+      if (!(await requireAdmin(req, res, "missions:write"))) return;
+      const id = Number(req.body.id || 0);
+      if (!id) return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+      const out = await withTransaction(async (client) => {
+        const r = await setMissionActiveTx(client, id, active);
+        await auditAdminAction(req, client, {
+          action: `mission.${path}`,
+          targetType: "mission",
+          targetId: id,
+          before: { is_active: r.before.is_active },
+          after: { is_active: r.after.is_active },
+        });
+        return r;
+      });
+      res.json({ ok: true, mission: out.after });
+    } catch (e) {
+      if (sendMissionAdminError(res, e)) return;
+      console.error(`Error /api/admin/missions/${path}:`, e);
+      res.status(500).json({ ok: false, error: "ADMIN_MISSION_STATUS_ERROR" });
+    }
+  });
+}
+
+// Body: { ids: [mission id, ...] } in the new display order.
+app.post("/api/admin/missions/reorder", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "missions:write"))) return;
+    const rows = await withTransaction(async (client) => {
+      const before = (await listMissionsAdmin(client)).map((m) => m.id);
+      const after = await reorderMissionsTx(client, req.body.ids);
+      await auditAdminAction(req, client, {
+        action: "mission.reorder",
+        targetType: "mission",
+        before: { order: before },
+        after: { order: after.map((m) => m.id) },
+      });
+      return after;
+    });
+    res.json({ ok: true, rows });
+  } catch (e) {
+    if (sendMissionAdminError(res, e)) return;
+    console.error("Error /api/admin/missions/reorder:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_MISSION_REORDER_ERROR" });
+  }
+});
+
+// Body: { id, code? }. The copy is inactive.
+app.post("/api/admin/missions/clone", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "missions:write"))) return;
+    const id = Number(req.body.id || 0);
+    if (!id) return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+    const code = req.body.code ? String(req.body.code).trim() : null;
+    const mission = await withTransaction(async (client) => {
+      const r = await cloneMissionTx(client, id, { code });
+      await auditAdminAction(req, client, {
+        action: "mission.clone",
+        targetType: "mission",
+        targetId: r.mission.id,
+        after: r.mission,
+        meta: { source_id: r.source.id, source_code: r.source.code },
+      });
+      return r.mission;
+    });
+    res.json({ ok: true, mission });
+  } catch (e) {
+    if (sendMissionAdminError(res, e)) return;
+    console.error("Error /api/admin/missions/clone:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_MISSION_CLONE_ERROR" });
+  }
+});
+
+// ------------ Admin: segments (mission targeting) ------------
+app.post("/api/admin/segments", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "missions:read"))) return;
+    res.json({ ok: true, rows: await listSegments(pool) });
+  } catch (e) {
+    console.error("Error /api/admin/segments:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_SEGMENTS_ERROR" });
+  }
+});
+
+// Body: { code, title? }. Creates the segment or updates its title.
+app.post("/api/admin/segments/save", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "missions:write"))) return;
+    const segment = await withTransaction(async (client) => {
+      const row = await saveSegmentTx(client, { code: req.body.code, title: req.body.title });
+      await auditAdminAction(req, client, {
+        action: "segment.save",
+        targetType: "segment",
+        targetId: row.code,
+        after: { title: row.title },
+      });
+      return row;
+    });
+    res.json({ ok: true, segment });
+  } catch (e) {
+    if (e && e.code === "BAD_SEGMENT") return res.status(400).json({ ok: false, error: e.code });
+    console.error("Error /api/admin/segments/save:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_SEGMENT_SAVE_ERROR" });
+  }
+});
+
+// Body: { code, add?: [user id], remove?: [user id] }.
+app.post("/api/admin/segments/members", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "missions:write"))) return;
+    const out = await withTransaction(async (client) => {
+      const r = await updateSegmentMembersTx(client, {
+        code: req.body.code,
+        add: req.body.add,
+        remove: req.body.remove,
+      });
+      await auditAdminAction(req, client, {
+        action: "segment.members",
+        targetType: "segment",
+        targetId: String(req.body.code),
+        after: r,
+        meta: { add: req.body.add || [], remove: req.body.remove || [] },
+      });
+      return r;
+    });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    if (e && ["BAD_SEGMENT", "TOO_MANY"].includes(e.code)) return res.status(400).json({ ok: false, error: e.code });
+    if (e && e.code === "NOT_FOUND") return res.status(404).json({ ok: false, error: "SEGMENT_NOT_FOUND" });
+    console.error("Error /api/admin/segments/members:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_SEGMENT_MEMBERS_ERROR" });
   }
 });
 
-// CSV export helpers
-function csvEscape(v){
-  if (v === null || v === undefined) return "";
-  const s = String(v);
-  if (s.includes('"') || s.includes(",") || s.includes("\n")) return '"' + s.replace(/"/g,'""') + '"';
-  return s;
-}
-function rowsToCsv(rows){
-  if (!rows.length) return "";
-  const cols = Object.keys(rows[0]);
-  const out = [cols.join(",")];
-  for (const r of rows){
-    out.push(cols.map(c=>csvEscape(r[c])).join(","));
+// Admin: tap cadence risk list ({ status? }); defaults to flagged + throttled users.
+app.post("/api/admin/risk/list", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res, "risk:read"))) return;
+    const status = req.body.status ? String(req.body.status) : null;
+    if (status && !RISK_STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, error: "BAD_STATUS" });
+    }
+    const rows = await listUserRisk({ status, limit: req.body.limit });
+    await auditAdminAction(req, pool, { action: "risk.list", meta: { status, rows: rows.length } });
+    res.json({ ok: true, rows });
+  } catch (e) {
+    console.error("Error /api/admin/risk/list:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_RISK_LIST_ERROR" });
   }
-  return out.join("\n");
-}
+});
 
-app.get("/api/admin/export/users.csv", async (req, res) => {
+// Admin: re-run the cadence analysis for one user now ({ user_id }).
+app.post("/api/admin/risk/analyze", async (req, res) => {
   try {
-    // header auth
-    const key = String(req.headers["x-admin-key"] || "");
-    if (!ADMIN_KEY || key !== ADMIN_KEY) return res.status(403).send("FORBIDDEN");
-    const q = await pool.query(`SELECT id, telegram_id, username, balance, referrals_count, vip_until, streak_count, last_checkin_date, created_at FROM public.users ORDER BY id DESC LIMIT 50000`);
-    res.setHeader("content-type","text/csv; charset=utf-8");
-    res.send(rowsToCsv(q.rows));
-  } catch (e) { res.status(500).send("ERROR"); }
+    if (!(await requireAdmin(req, res, "risk:read"))) return;
+    const userId = Number(req.body.user_id || 0);
+    if (!userId) return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+    const risk = await withTransaction((client) => analyzeTapCadenceTx(client, userId));
+    await auditAdminAction(req, pool, { action: "risk.analyze", targetType: "user", targetId: userId, after: risk });
+    res.json({ ok: true, risk });
+  } catch (e) {
+    console.error("Error /api/admin/risk/analyze:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_RISK_ANALYZE_ERROR" });
+  }
 });
 
-app.get("/api/admin/export/ledger.csv", async (req, res) => {
+// Admin: review a user ({ user_id, status: cleared | flagged | throttled, reason }).
+app.post("/api/admin/risk/review", async (req, res) => {
   try {
-    const key = String(req.headers["x-admin-key"] || "");
-    if (!ADMIN_KEY || key !== ADMIN_KEY) return res.status(403).send("FORBIDDEN");
-    const q = await pool.query(`SELECT * FROM public.sponsor_ledger ORDER BY id DESC LIMIT 50000`);
-    res.setHeader("content-type","text/csv; charset=utf-8");
-    res.send(rowsToCsv(q.rows));
-  } catch (e) { res.status(500).send("ERROR"); }
+    if (!(await requireAdmin(req, res, "risk:review"))) return;
+    const userId = Number(req.body.user_id || 0);
+    const status = String(req.body.status || "");
+    const note = String(req.body.reason || "").trim();
+    if (!userId) return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+
+    const out = await withTransaction(async (client) => {
+      const r = await reviewUserRiskTx(client, { userId, status, note, reviewedBy: req.admin.name });
+      await auditAdminAction(req, client, {
+        action: "risk.review",
+        targetType: "user",
+        targetId: userId,
+        before: r.before,
+        after: r.after,
+        meta: { reason: note },
+      });
+      return r;
+    });
+    res.json({ ok: true, risk: out.after });
+  } catch (e) {
+    if (e && ["BAD_STATUS", "REASON_REQUIRED"].includes(e.code)) return res.status(400).json({ ok: false, error: e.code });
+    if (e && e.code === "NOT_FOUND") return res.status(404).json({ ok: false, error: e.code });
+    console.error("Error /api/admin/risk/review:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_RISK_REVIEW_ERROR" });
+  }
 });
 
-app.get("/api/admin/export/withdrawals.csv", async (req, res) => {
+// Admin: users with parked tap packets (acknowledged but never applied).
+app.post("/api/admin/tap-packets/parked", async (req, res) => {
   try {
-    const key = String(req.headers["x-admin-key"] || "");
-    if (!ADMIN_KEY || key !== ADMIN_KEY) return res.status(403).send("FORBIDDEN");
-    const q = await pool.query(`SELECT wr.*, u.telegram_id, u.username FROM public.withdraw_requests wr JOIN public.users u ON u.id=wr.user_id ORDER BY wr.id DESC LIMIT 50000`);
-    res.setHeader("content-type","text/csv; charset=utf-8");
-    res.send(rowsToCsv(q.rows));
-  } catch (e) { res.status(500).send("ERROR"); }
+    if (!(await requireAdmin(req, res, "risk:read"))) return;
+    const rows = await listParkedTapPackets({ limit: req.body.limit });
+    await auditAdminAction(req, pool, { action: "tap_packets.parked", meta: { rows: rows.length } });
+    res.json({ ok: true, rows });
+  } catch (e) {
+    console.error("Error /api/admin/tap-packets/parked:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_PARKED_TAPS_ERROR" });
+  }
 });
 
-app.get("/api/admin/export/events.csv", async (req, res) => {
+// Admin: put a user's parked tap packets back in the flush queue ({ user_id, reason }).
+app.post("/api/admin/tap-packets/requeue", async (req, res) => {
   try {
-    const key = String(req.headers["x-admin-key"] || "");
-    if (!ADMIN_KEY || key !== ADMIN_KEY) return res.status(403).send("FORBIDDEN");
-    const q = await pool.query(`SELECT * FROM public.event_log ORDER BY id DESC LIMIT 50000`);
-    res.setHeader("content-type","text/csv; charset=utf-8");
-    res.send(rowsToCsv(q.rows));
-  } catch (e) { res.status(500).send("ERROR"); }
+    if (!(await requireAdmin(req, res, "risk:review"))) return;
+    const userId = Number(req.body.user_id || 0);
+    const note = String(req.body.reason || "").trim();
+    if (!userId) return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+    if (!note) return res.status(400).json({ ok: false, error: "REASON_REQUIRED" });
+
+    const requeued = await withTransaction(async (client) => {
+      const n = await requeueParkedTapPackets(client, userId);
+      await auditAdminAction(req, client, {
+        action: "tap_packets.requeue",
+        targetType: "user",
+        targetId: userId,
+        after: { requeued: n },
+        meta: { reason: note },
+      });
+      return n;
+    });
+    res.json({ ok: true, requeued });
+  } catch (e) {
+    console.error("Error /api/admin/tap-packets/requeue:", e);
+    res.status(500).json({ ok: false, error: "ADMIN_REQUEUE_TAPS_ERROR" });
+  }
 });
 
-
 // State route – sync for mini app
 app.post("/api/state", async (req, res) => {
   try {
@@ -2633,8 +4327,18 @@ app.post("/api/state", async (req, res) => {
     // Ensure daily counters reset if a new day started
     user = await ensureDailyReset(user);
 
+    // Collect offline mining earnings (server-side clock only)
+    const settings = await loadSettingsForUser(user);
+    const mined = await collectMining(user, settings);
+    user = mined.user;
+    if (mined.collected > 0) await logEvent(user.id, "mining_collected", { points: mined.collected });
+
     const state = await buildClientState(user);
-    res.json(state);
+    const tapChain =
+      settings.tap_chain_mode === "off"
+        ? null
+        : { mode: settings.tap_chain_mode, ...(await issueTapChain({ userId: user.id, chainId: tapChainId(req, user) })) };
+    res.json({ ...state, mining_collected: mined.collected, tap_chain: tapChain });
   } catch (err) {
     console.error("Error /api/state:", err);
     res.status(500).json({ ok: false, error: "STATE_ERROR" });
@@ -2686,6 +4390,10 @@ app.post("/api/onboarding/complete", async (req, res) => {
   }
 });
 app.get("/api/state-debug", async (req, res) => {
+  // Impersonates any telegram_id, so it only exists in development.
+  if (!ALLOW_DEV_TELEGRAM_ID) {
+    return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+  }
   try {
     res.setHeader("Content-Type", "text/plain; charset=utf-8");
 
@@ -2728,9 +4436,17 @@ app.get("/api/state-debug", async (req, res) => {
 app.post("/api/tap", async (req, res) => {
   try {
     let user = await getOrCreateUserFromInitData(req);
+    const settings = await loadSettingsForUser(user);
+
+    // Single taps carry no nonce chain (lib/tapChain.js); once the chain is enforced
+    // clients must send signed packets to /api/tapPacket.
+    if (settings.tap_chain_mode === "enforce") {
+      return res.status(410).json({ ok: false, error: "TAP_PACKET_REQUIRED" });
+    }
 
     const fp = req._fp || getClientFingerprint(req);
-    if (!hit(`tapburst:${fp}`, 25, 1000)) {
+    const throttled = (await getRiskStatus(user.id)) === "throttled";
+    if (!hit(`tapburst:${fp}`, throttled ? 3 : 25, 1000)) {
       return res.status(429).json({ ok: false, error: "TAP_RATE_LIMIT" });
     }
 
@@ -2749,15 +4465,15 @@ app.post("/api/tap", async (req, res) => {
 
     // 4) Daily tap cap
     const vipActive = user.vip_until && new Date(user.vip_until) > new Date();
-    const maxTapsPerDay = vipActive ? VIP_DAILY_TAP_CAP : 5000;
+    const maxTapsPerDay = vipActive ? settings.vip_daily_tap_cap : settings.daily_tap_cap;
     const currentTaps = Number(user.taps_today || 0);
     if (currentTaps >= maxTapsPerDay) {
       const state = await buildClientState(user);
       return res.json({ ...state, ok: false, reason: "MAX_TAPS_REACHED" });
     }
 
-    // 5) Spend 1 energy + add points (double if boost still active)
-    const basePerTap = 1;
+    // 5) Spend 1 energy + add points (multitap upgrade, doubled if boost still active)
+    const basePerTap = settings.tap_reward_per_tap + upgradeEffects(user, settings).tapBonus;
     const now = new Date();
     let perTap = basePerTap;
 
@@ -2768,20 +4484,26 @@ app.post("/api/tap", async (req, res) => {
       }
     }
 
-    const delta = perTap;
-    const newEnergy = currentEnergy - 1;
-    const newToday = Number(user.today_farmed || 0) + delta;
-    const newTaps = currentTaps + 1;
-
-    // 5a) Apply the tap reward via the balance ledger
-    await applyBalanceChange({
+    // 5a) Mint the tap reward (daily emission budget) via the balance ledger
+    const minted = await mintReward({
+      source: "tap",
+      amount: perTap,
+      scaled: true,
       userId: user.id,
-      delta,
       reason: "tap_reward",
       refType: "tap",
       refId: null,
       eventType: "tap",
     });
+    if (minted.state === "paused") {
+      const state = await buildClientState(user);
+      return res.json({ ...state, ok: false, reason: "MINING_PAUSED" });
+    }
+
+    const delta = minted.granted;
+    const newEnergy = currentEnergy - 1;
+    const newToday = Number(user.today_farmed || 0) + delta;
+    const newTaps = currentTaps + 1;
 
     // 5b) Update energy + tap counters without touching balance
     const upd = await pool.query(
@@ -2790,31 +4512,49 @@ app.post("/api/tap", async (req, res) => {
       SET energy         = $1,
           today_farmed   = $2,
           taps_today     = $3,
-          last_energy_ts = NOW()
+          last_energy_ts = NOW(),
+          lb_day_farmed  = CASE WHEN lb_day = $5::date THEN lb_day_farmed ELSE 0 END + $6,
+          lb_day         = $5::date
       WHERE id = $4
       RETURNING *;
       `,
-      [newEnergy, newToday, newTaps, user.id]
+      [newEnergy, newToday, newTaps, user.id, utcDay(), delta]
     );
 
     if (!upd.rowCount) {
         const freshQ = await pool.query(`SELECT * FROM public.users WHERE id = $1 LIMIT 1;`, [user.id]);
         const freshUser = freshQ.rows[0] || user;
         const state = await buildClientState(freshUser);
-        const maxE = Number(freshUser.max_energy || 50);
+        const maxE = computeEnergy(freshUser, settings).cap;
         const curE = Number(freshUser.energy || 0);
         const curB = Number(freshUser.balance || 0);
         const reason =
           curE >= maxE ? "ENERGY_FULL" :
-          curB < ENERGY_REFILL_COST ? "NOT_ENOUGH_POINTS" :
+          curB < settings.energy_refill_cost ? "NOT_ENOUGH_POINTS" :
           "BOOST_NOT_APPLIED";
         return res.json({ ...state, ok: false, reason });
       }
       updatedUser = upd.rows[0];
+
+    // Single taps feed the cadence analyzer too (lib/antiCheat.js): one packet per tap,
+    // timed by the server.
+    try {
+      await pool.query(
+        `INSERT INTO public.tap_packets (packet_id, telegram_id, user_id, tap_count)
+         VALUES ($1, $2, $3, 1);`,
+        [`srv_${crypto.randomUUID()}`, user.telegram_id, user.id]
+      );
+    } catch (e) {
+      console.warn("tap_packets insert failed for /api/tap (continuing):", e.message || e);
+    }
+    if (hit(`cadence:${user.id}`, 1, 10 * 60 * 1000)) {
+      enqueueJob("analyze_tap_cadence", { user_id: user.id });
+    }
+
     // Referral activation (anti-fraud): only rewards after real activity
     maybeActivateReferral(updatedUser, 'tap');
     const state = await buildClientState(updatedUser);
-    return res.json({ ...state, ok: true });
+    return res.json({ ...state, ok: true, mining: minted.state });
   } catch (err) {
     console.error("Error /api/tap:", err);
     res.status(500).json({ ok: false, error: "TAP_ERROR" });
@@ -2823,44 +4563,148 @@ app.post("/api/tap", async (req, res) => {
 
 
 
+// Write-behind variant of /api/tapPacket: validate against the user row plus this
+// process's unflushed taps, store the packet and answer without touching users or the
+// ledger (lib/tapAccumulator.js flushes it). The reply carries the fields that change
+// while tapping; rank and the rest come from /api/state.
+async function acknowledgeTapPacket(req, res, { user, settings, packetId, count, cadence }) {
+  const vipActive = user.vip_until && new Date(user.vip_until) > new Date();
+  const tapCap = vipActive ? settings.vip_daily_tap_cap : settings.daily_tap_cap;
+  const until = user.double_boost_until ? new Date(user.double_boost_until) : null;
+  const boosted = until && !isNaN(until) && until > new Date();
+  const perTap = (settings.tap_reward_per_tap + upgradeEffects(user, settings).tapBonus) * (boosted ? 2 : 1);
+
+  const r = await acceptTapPacket({
+    user,
+    settings,
+    packetId: packetId || `srv_${crypto.randomUUID()}`,
+    count,
+    perTap,
+    tapCap,
+    cadence,
+  });
+
+  const state = {
+    balance: r.view.balance,
+    energy: r.view.energy,
+    max_energy: r.view.max_energy,
+    today: r.view.today_farmed,
+    taps_today: r.view.taps_today,
+    double_boost_active: Boolean(boosted),
+    pending_taps: r.view.pending_taps,
+  };
+  if (r.status === "duplicate") {
+    return res.json({ ...state, ok: true, applied: 0, gained: 0, duplicate: true });
+  }
+  if (r.status !== "ok") {
+    return res.json({ ...state, ok: false, reason: r.status, applied: 0, gained: 0 });
+  }
+
+  // Referral activation only needs checking once the invitee has tapped enough.
+  if (r.view.taps_today >= REFERRAL_ACTIVATION_MIN_TAPS && hit(`refact:${user.id}`, 1, 60 * 1000)) {
+    maybeActivateReferral({ ...user, taps_today: r.view.taps_today }, "tap");
+  }
+  return res.json({ ...state, ok: true, applied: r.applied, gained: r.gained, write_behind: true });
+}
+
+// One nonce chain per session; initData-only clients get one per client_id
+// (client meta), and only clients without one share a chain per user.
+function tapChainId(req, user) {
+  if (req._session) return `s:${req._session.sid}`;
+  const clientId = String((req._client || getClientMeta(req)).client_id || "").trim();
+  if (/^[A-Za-z0-9_-]{8,64}$/.test(clientId)) return `c:${user.id}:${clientId}`;
+  return `u:${user.id}`;
+}
+
 // Tap packet route – batch taps for better anti-bot validation + lower server load
-// Body: { count: number, client?: {...} }
+// Body: { count: number, packet_id?, seq?, client_ts? (ms), span_ms?, taps?: [offset ms], nonce?, sig?, client?: {...} }
+// The timing fields feed the cadence analyzer (lib/antiCheat.js); nonce / seq / sig
+// are the signed chain from /api/state (lib/tapChain.js).
 app.post("/api/tapPacket", async (req, res) => {
   try {
     let user = await getOrCreateUserFromInitData(req);
+    const settings = await loadSettingsForUser(user);
+
+    // Throttled accounts (anti-cheat) get fewer, smaller packets.
+    const riskStatus = await getRiskStatus(user.id);
+    const throttled = riskStatus === "throttled";
 
     const fp = req._fp || getClientFingerprint(req);
-    if (!hit(`tapburst:${fp}`, 12, 1000)) {
+    if (!hit(`tapburst:${fp}`, throttled ? 2 : 12, 1000)) {
       return res.status(429).json({ ok: false, error: "TAP_RATE_LIMIT" });
     }
 
-    // Idempotency: if a client sends the same packet twice (e.g., after the WebView is killed),
-    // process it only once.
+    const countRaw = Number(req.body.count || 0);
+    const packetMax = throttled ? Math.min(TAP_PACKET_MAX, settings.anticheat_throttle_packet_max) : TAP_PACKET_MAX;
+    const count = Math.max(1, Math.min(packetMax, Math.floor(countRaw)));
+    if (!Number.isFinite(countRaw) || countRaw <= 0) {
+      return res.status(400).json({ ok: false, error: "BAD_COUNT" });
+    }
+
+    // Every packet is stored with its client timing. Idempotency: if a client sends the
+    // same packet_id twice (e.g., after the WebView is killed), process it only once.
     const packetId = (req.body.packet_id || "").toString().trim();
-    if (packetId) {
-      try {
-        const ins = await pool.query(
-          `INSERT INTO public.tap_packets (packet_id, telegram_id) VALUES ($1, $2)
-           ON CONFLICT (packet_id) DO NOTHING
-           RETURNING packet_id;`,
-          [packetId, user.telegram_id]
-        );
-        if (ins.rowCount === 0) {
-          // Already processed this packet_id.
-          const fresh = await getUserByTelegramId(user.telegram_id);
-          const state = await buildClientState(fresh || user);
-          return res.json({ ...state, ok: true, applied: 0, gained: 0, duplicate: true });
-        }
-      } catch (e) {
-        // If tap_packets table doesn't exist for some reason, fail open (no idempotency).
-        console.warn("tap_packets insert failed (continuing):", e.message || e);
+    const cadence = parseTapCadence(req.body, TAP_PACKET_MAX);
+
+    // Re-score the user's cadence in the worker, at most every 10 minutes.
+    if (hit(`cadence:${user.id}`, 1, 10 * 60 * 1000)) {
+      enqueueJob("analyze_tap_cadence", { user_id: user.id });
+    }
+
+    // Signed nonce chain (lib/tapChain.js). Every reply below carries the next nonce.
+    if (settings.tap_chain_mode !== "off") {
+      const chain = await verifyTapChain({
+        userId: user.id,
+        chainId: tapChainId(req, user),
+        nonce: req.body.nonce,
+        seq: cadence.seq,
+        count: Math.floor(countRaw),
+        sig: req.body.sig,
+      });
+      const json = res.json.bind(res);
+      res.json = (body) => json({ ...body, tap_chain: chain.chain });
+
+      if (!chain.ok && settings.tap_chain_mode === "enforce") {
+        // A retransmit of a packet we already applied (its reply was lost) is not forged.
+        const seen = packetId
+          ? await pool.query(`SELECT 1 FROM public.tap_packets WHERE packet_id = $1 AND user_id = $2`, [packetId, user.id])
+          : { rowCount: 0 };
+        if (seen.rowCount) return res.json({ ok: true, applied: 0, gained: 0, duplicate: true });
+        return res.status(409).json({ ok: false, error: "BAD_TAP_CHAIN", reason: chain.reason });
       }
     }
 
-    const countRaw = Number(req.body.count || 0);
-    const count = Math.max(1, Math.min(TAP_PACKET_MAX, Math.floor(countRaw)));
-    if (!Number.isFinite(countRaw) || countRaw <= 0) {
-      return res.status(400).json({ ok: false, error: "BAD_COUNT" });
+    if (TAP_WRITE_BEHIND) {
+      return await acknowledgeTapPacket(req, res, { user, settings, packetId, count, cadence });
+    }
+
+    try {
+      const ins = await pool.query(
+        `INSERT INTO public.tap_packets
+           (packet_id, telegram_id, user_id, seq, client_ts, span_ms, tap_count, tap_offsets)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (packet_id) DO NOTHING
+         RETURNING packet_id;`,
+        [
+          packetId || `srv_${crypto.randomUUID()}`,
+          user.telegram_id,
+          user.id,
+          cadence.seq,
+          cadence.clientTs,
+          cadence.spanMs,
+          count,
+          cadence.offsets,
+        ]
+      );
+      if (ins.rowCount === 0) {
+        // Already processed this packet_id.
+        const fresh = await getUserByTelegramId(user.telegram_id);
+        const state = await buildClientState(fresh || user);
+        return res.json({ ...state, ok: true, applied: 0, gained: 0, duplicate: true });
+      }
+    } catch (e) {
+      // If tap_packets table doesn't exist for some reason, fail open (no idempotency).
+      console.warn("tap_packets insert failed (continuing):", e.message || e);
     }
 
     user = await applyEnergyRegen(user);
@@ -2873,7 +4717,7 @@ app.post("/api/tapPacket", async (req, res) => {
     }
 
     const vipActive = user.vip_until && new Date(user.vip_until) > new Date();
-    const maxTapsPerDay = vipActive ? VIP_DAILY_TAP_CAP : 5000;
+    const maxTapsPerDay = vipActive ? settings.vip_daily_tap_cap : settings.daily_tap_cap;
     const currentTaps = Number(user.taps_today || 0);
     if (currentTaps >= maxTapsPerDay) {
       const state = await buildClientState(user);
@@ -2884,7 +4728,7 @@ app.post("/api/tapPacket", async (req, res) => {
     const allowedByEnergy = Math.max(0, currentEnergy);
     const n = Math.max(1, Math.min(count, allowedByCap, allowedByEnergy));
 
-    const basePerTap = 1;
+    const basePerTap = settings.tap_reward_per_tap + upgradeEffects(user, settings).tapBonus;
     const now = new Date();
     let perTap = basePerTap;
     if (user.double_boost_until) {
@@ -2892,19 +4736,23 @@ app.post("/api/tapPacket", async (req, res) => {
       if (!isNaN(until) && until > now) perTap = basePerTap * 2;
     }
 
-    const gained = n * perTap;
-
     let updatedUser;
+    let minted;
     await withTransaction(async (client) => {
-      // 1) Apply balance change via ledger inside the same transaction.
-      await applyBalanceChangeTx(client, {
+      // 1) Mint against the daily emission budget, via the ledger, in the same transaction.
+      minted = await mintRewardTx(client, {
+        source: "tap",
+        amount: n * perTap,
+        scaled: true,
         userId: user.id,
-        delta: gained,
         reason: "tap_reward",
         refType: "tap_packet",
         refId: null,
         eventType: "tap",
       });
+      // Paused: no points, and no energy or taps spent.
+      if (minted.state === "paused") return;
+      const gained = minted.granted;
 
       // 2) Update energy + tap counters but do not touch balance here.
       const upd = await client.query(
@@ -2913,11 +4761,13 @@ app.post("/api/tapPacket", async (req, res) => {
         SET energy         = energy - $2,
             today_farmed   = today_farmed + $1,
             taps_today     = taps_today + $2,
-            last_energy_ts = NOW()
+            last_energy_ts = NOW(),
+            lb_day_farmed  = CASE WHEN lb_day = $4::date THEN lb_day_farmed ELSE 0 END + $1,
+            lb_day         = $4::date
         WHERE id = $3
         RETURNING *;
         `,
-        [gained, n, user.id]
+        [gained, n, user.id, utcDay()]
       );
 
       if (!upd.rowCount) {
@@ -2926,9 +4776,14 @@ app.post("/api/tapPacket", async (req, res) => {
       updatedUser = upd.rows[0];
     });
 
+    if (minted.state === "paused") {
+      const state = await buildClientState(user);
+      return res.json({ ...state, ok: false, reason: "MINING_PAUSED", applied: 0, gained: 0 });
+    }
+
     maybeActivateReferral(updatedUser, 'tap');
     const state = await buildClientState(updatedUser);
-    return res.json({ ...state, ok: true, applied: n, gained });
+    return res.json({ ...state, ok: true, applied: n, gained: minted.granted, mining: minted.state });
   } catch (err) {
     console.error("Error /api/tapPacket:", err);
     res.status(500).json({ ok: false, error: "TAP_PACKET_ERROR" });
@@ -2938,6 +4793,7 @@ app.post("/api/tapPacket", async (req, res) => {
 app.post("/api/boost/energy", async (req, res) => {
   try {
     let user = await getOrCreateUserFromInitData(req);
+    const settings = await loadSettingsForUser(user);
 
     // Keep energy + daily stats in sync
     user = await applyEnergyRegen(user);
@@ -2954,12 +4810,12 @@ app.post("/api/boost/energy", async (req, res) => {
         ok: false,
         reason: "CHOOSE_PAYMENT_METHOD",
         methods: ["points", "sponsor"],
-        points_cost: ENERGY_REFILL_COST,
+        points_cost: settings.energy_refill_cost,
         sponsor_mission_code: "sp_emergency_energy",
       });
     }
 
-    const maxEnergy = Number(user.max_energy || 50);
+    const maxEnergy = computeEnergy(user, settings).cap;
     const currentEnergy = Number(user.energy || 0);
 
     if (currentEnergy >= maxEnergy) {
@@ -2970,9 +4826,9 @@ app.post("/api/boost/energy", async (req, res) => {
     let updatedUser;
 
     if (method === "points") {
-      const currentBalance = Number(user.balance || 0);
+      const currentBalance = availableBalance(user);
 
-      if (currentBalance < ENERGY_REFILL_COST) {
+      if (currentBalance < settings.energy_refill_cost) {
         const state = await buildClientState(user);
         return res.json({
           ...state,
@@ -2984,26 +4840,15 @@ app.post("/api/boost/energy", async (req, res) => {
       // 1) Apply the energy refill cost via the balance ledger
       await applyBalanceChange({
         userId: user.id,
-        delta: -ENERGY_REFILL_COST,
+        delta: -settings.energy_refill_cost,
         reason: "energy_refill",
         refType: "boost",
         refId: null,
         eventType: "spend",
       });
 
-      // 2) Refill energy/max_energy without touching balance directly
-      const upd = await pool.query(
-        `
-        UPDATE public.users
-        SET max_energy     = COALESCE(max_energy, 50),
-            energy         = COALESCE(max_energy, 50),
-            last_energy_ts = NOW()
-        WHERE id = $1
-        RETURNING *;
-        `,
-        [user.id]
-      );
-      updatedUser = upd.rows[0];
+      // 2) Refill energy to the current cap without touching balance directly
+      updatedUser = await withTransaction((client) => refillEnergyTx(client, user.id, settings));
     } else {
       // Sponsor path
       // By default we *do not hard-block* boost usage behind offerwall verification.
@@ -3012,18 +4857,7 @@ app.post("/api/boost/energy", async (req, res) => {
       const enforceSponsor = String(process.env.REQUIRE_SPONSOR_FOR_BOOSTS || "0") === "1";
 
       if (!enforceSponsor) {
-        const upd = await pool.query(
-          `
-          UPDATE public.users
-          SET max_energy     = COALESCE(max_energy, 50),
-              energy         = COALESCE(max_energy, 50),
-              last_energy_ts = NOW()
-          WHERE id = $1
-          RETURNING *;
-          `,
-          [user.id]
-        );
-        updatedUser = upd.rows[0];
+        updatedUser = await withTransaction((client) => refillEnergyTx(client, user.id, settings));
       } else {
         // Enforced sponsor: require the user to have completed+claimed the sponsor mission
         // tied to this boost (sp_emergency_energy).
@@ -3057,18 +4891,7 @@ app.post("/api/boost/energy", async (req, res) => {
           sponsor_url: m.rows[0]?.url || null,
         });
       }
-        const upd = await pool.query(
-          `
-          UPDATE public.users
-          SET max_energy     = COALESCE(max_energy, 50),
-              energy         = COALESCE(max_energy, 50),
-              last_energy_ts = NOW()
-          WHERE id = $1
-          RETURNING *;
-          `,
-          [user.id]
-        );
-        updatedUser = upd.rows[0];
+        updatedUser = await withTransaction((client) => refillEnergyTx(client, user.id, settings));
       }
     }
 
@@ -3078,7 +4901,7 @@ app.post("/api/boost/energy", async (req, res) => {
       ok: true,
       message:
         method === "points"
-          ? `⚡ Energy refilled – ${ENERGY_REFILL_COST.toLocaleString(
+          ? `⚡ Energy refilled – ${settings.energy_refill_cost.toLocaleString(
               "en-GB"
             )} pts spent.`
           : "⚡ Energy refilled.",
@@ -3093,6 +4916,7 @@ app.post("/api/boost/energy", async (req, res) => {
 app.post("/api/boost/double", async (req, res) => {
   try {
     let user = await getOrCreateUserFromInitData(req);
+    const settings = await loadSettingsForUser(user);
 
     // Keep regen + daily stats consistent
     user = await applyEnergyRegen(user);
@@ -3110,7 +4934,7 @@ app.post("/api/boost/double", async (req, res) => {
         ok: false,
         error: "CHOOSE_PAYMENT_METHOD",
         methods: ["points", "sponsor"],
-        points_cost: DOUBLE_BOOST_COST,
+        points_cost: settings.double_boost_cost,
         sponsor_mission_code: "sp_double_points",
       });
     }
@@ -3118,8 +4942,8 @@ app.post("/api/boost/double", async (req, res) => {
     let updatedUser;
 
     if (method === "points") {
-      const currentBalance = Number(user.balance || 0);
-      if (currentBalance < DOUBLE_BOOST_COST) {
+      const currentBalance = availableBalance(user);
+      if (currentBalance < settings.double_boost_cost) {
         const state = await buildClientState(user);
         return res.json({ ...state, ok: false, reason: "NOT_ENOUGH_POINTS" });
       }
@@ -3127,7 +4951,7 @@ app.post("/api/boost/double", async (req, res) => {
       // 1) Apply the double boost cost via the balance ledger
       await applyBalanceChange({
         userId: user.id,
-        delta: -DOUBLE_BOOST_COST,
+        delta: -settings.double_boost_cost,
         reason: "double_boost",
         refType: "boost",
         refId: null,
@@ -3152,7 +4976,7 @@ app.post("/api/boost/double", async (req, res) => {
         const curB = Number(freshUser.balance || 0);
         const reason =
           active ? "ALREADY_ACTIVE" :
-          curB < DOUBLE_BOOST_COST ? "NOT_ENOUGH_POINTS" :
+          curB < settings.double_boost_cost ? "NOT_ENOUGH_POINTS" :
           "BOOST_NOT_APPLIED";
         return res.json({ ...state, ok: false, reason });
       }
@@ -3260,7 +5084,7 @@ app.post("/api/boost/double", async (req, res) => {
       ok: true,
       message:
         method === "points"
-          ? `✨ Double points active – ${DOUBLE_BOOST_COST.toLocaleString(
+          ? `✨ Double points active – ${settings.double_boost_cost.toLocaleString(
               "en-GB"
             )} pts spent.`
           : "✨ Free double points boost activated!",
@@ -3278,11 +5102,12 @@ app.post("/api/boost/double", async (req, res) => {
 app.post("/api/vip/status", async (req, res) => {
   try {
     let user = await getOrCreateUserFromInitData(req);
+    const settings = await loadSettingsForUser(user);
     user = await applyEnergyRegen(user);
     user = await ensureDailyReset(user);
 
     const now = new Date();
-    const telegramId = Number(req.body.telegram_id || user.telegram_id || 0);
+    const telegramId = Number(user.telegram_id || 0);
 
     // Prefer Stripe-driven VIP (public.user_vip) if present; fall back to legacy users.vip_until.
     let vipUntil = user.vip_until ? new Date(user.vip_until) : null;
@@ -3304,8 +5129,8 @@ app.post("/api/vip/status", async (req, res) => {
 
     const active = vipUntil && !isNaN(vipUntil) && vipUntil > now;
     const vipUntilIso = vipUntil && !isNaN(vipUntil) ? vipUntil.toISOString() : null;
-    const lastClaim = user._vip_last_claim ? String(user._vip_last_claim) : null;
-    const canClaim = active && (!lastClaim || lastClaim !== todayDate());
+    const lastClaim = dayOf(user._vip_last_claim);
+    const canClaim = active && (!lastClaim || lastClaim < userDay(user));
 
     return res.json({
       ...(await buildClientState(user)),
@@ -3319,8 +5144,8 @@ app.post("/api/vip/status", async (req, res) => {
         tier: Number(user.vip_tier || 0),
         vip_until: vipUntilIso,
         perks: {
-          max_energy: active ? VIP_MAX_ENERGY : Number(user.max_energy || 50),
-          daily_tap_cap: active ? VIP_DAILY_TAP_CAP : 5000,
+          max_energy: active ? settings.vip_max_energy : computeEnergy(user, settings).cap,
+          daily_tap_cap: active ? settings.vip_daily_tap_cap : settings.daily_tap_cap,
         },
       },
     });
@@ -3334,12 +5159,13 @@ app.post("/api/vip/status", async (req, res) => {
 app.post("/api/vip/buy", async (req, res) => {
   try {
     let user = await getOrCreateUserFromInitData(req);
+    const settings = await loadSettingsForUser(user);
     const months = Math.max(1, Math.min(12, Number(req.body.months || 1)));
     const method = req.body.method === "points" ? "points" : "points";
 
-    const cost = VIP_MONTH_COST * months;
+    const cost = settings.vip_month_cost * months;
     if (method === "points") {
-      const bal = Number(user.balance || 0);
+      const bal = availableBalance(user);
       if (bal < cost) {
         return res.json({ ...(await buildClientState(user)), ok: false, reason: "NOT_ENOUGH_POINTS", cost });
       }
@@ -3369,7 +5195,7 @@ app.post("/api/vip/buy", async (req, res) => {
         WHERE id = $3
         RETURNING *;
         `,
-        [newUntil.toISOString(), VIP_MAX_ENERGY, user.id]
+        [newUntil.toISOString(), settings.vip_max_energy, user.id]
       );
       user = upd.rows[0];
 
@@ -3423,7 +5249,7 @@ app.post("/api/events/active", async (req, res) => {
 // Admin: start a new season (increments season_id and optionally resets today counters)
 app.post("/api/admin/season/reset", async (req, res) => {
   try {
-    if (!requireAdmin(req, res)) return;
+    if (!(await requireAdmin(req, res, "seasons:manage"))) return;
 
     const title = String(req.body.title || "New Season");
     const endCurrent = req.body.end_current === true;
@@ -3432,6 +5258,10 @@ app.post("/api/admin/season/reset", async (req, res) => {
     try {
       await client.query("BEGIN");
 
+      const beforeRes = await client.query(
+        `SELECT id, title, starts_at, ends_at, is_active FROM public.seasons WHERE is_active = TRUE ORDER BY id DESC;`
+      );
+
       if (endCurrent) {
         await client.query(`UPDATE public.seasons SET is_active = FALSE, ends_at = NOW() WHERE is_active = TRUE;`);
       }
@@ -3442,7 +5272,15 @@ app.post("/api/admin/season/reset", async (req, res) => {
       );
       const newSeasonId = seasonRes.rows[0].id;
 
-      await client.query(`UPDATE public.users SET season_id = $1;`, [newSeasonId]);
+      const movedRes = await client.query(`UPDATE public.users SET season_id = $1;`, [newSeasonId]);
+
+      await auditAdminAction(req, client, {
+        action: "season.reset",
+        targetType: "season",
+        targetId: newSeasonId,
+        before: { active_seasons: beforeRes.rows },
+        after: { season_id: newSeasonId, title, end_current: endCurrent, users_moved: movedRes.rowCount },
+      });
 
       await client.query("COMMIT");
       return res.json({ ok: true, season_id: newSeasonId, title });
@@ -3465,11 +5303,16 @@ app.post("/api/admin/season/reset", async (req, res) => {
 app.post("/api/mission/list", async (req, res) => {
   try {
     const user = await getOrCreateUserFromInitData(req);
+    const settings = await loadSettingsForUser(user);
     const kind = req.body.kind || null;
     const includeBoostSponsorMissions = Boolean(req.body.include_boost_sponsor_missions);
 
-    const params = [];
-    let where = "WHERE is_active = TRUE";
+    // Missions closed by expire_missions stay listed for the player's open runs.
+    const params = [user.id];
+    let where = `WHERE (is_active = TRUE OR (expired_at IS NOT NULL AND id IN (
+      SELECT mission_id FROM public.user_missions
+      WHERE user_id = $1 AND started_at IS NOT NULL AND claimed_at IS NULL
+    )))`;
     if (kind) {
       params.push(kind);
       where += ` AND kind = $${params.length}`;
@@ -3481,23 +5324,25 @@ app.post("/api/mission/list", async (req, res) => {
       where += " AND code NOT IN ('sp_double_points','sp_emergency_energy')";
     }
 
+    // Not-yet-started missions are filtered here; ended ones stay while the player has a run open.
     const missionsRes = await pool.query(
       `
       SELECT id, code, title, description, payout_type, payout_amount, url, kind,
              COALESCE(min_seconds_to_claim, 30) AS min_seconds_to_claim,
              COALESCE(cooldown_hours, 24) AS cooldown_hours,
-             COALESCE(max_claims_per_day, 1) AS max_claims_per_day
+             COALESCE(max_claims_per_day, 1) AS max_claims_per_day,
+             starts_at, ends_at, targeting
       FROM public.missions
-      ${where}
-      ORDER BY id ASC;
+      ${where} AND (starts_at IS NULL OR starts_at <= NOW())
+      ORDER BY priority DESC, sort_order ASC, id ASC;
       `,
       params
     );
 
     // Normalize sponsor quest payouts: make sure fixed sponsor missions always expose consistent payout_amount.
     missionsRes.rows.forEach((m) => {
-      if (Object.prototype.hasOwnProperty.call(SPONSOR_FIXED_PAYOUTS, m.code)) {
-        m.payout_amount = SPONSOR_FIXED_PAYOUTS[m.code];
+      if (Object.prototype.hasOwnProperty.call(settings.sponsor_fixed_payouts, m.code)) {
+        m.payout_amount = settings.sponsor_fixed_payouts[m.code];
       }
     });
 
@@ -3520,8 +5365,14 @@ app.post("/api/mission/list", async (req, res) => {
     }
 
     const now = new Date();
+    const audience = await missionAudience(req, user);
+    const open = missionsRes.rows.filter((m) => {
+      const um = userMissionMap[m.id];
+      const startedAt = um && !um.claimed_at ? um.started_at : null;
+      return !missionBlockReason(m, audience, { now, startedAt });
+    });
 
-    const missions = missionsRes.rows.map((m) => {
+    const missions = open.map((m) => {
       const um = userMissionMap[m.id];
 
       // Default: available
@@ -3573,6 +5424,7 @@ app.post("/api/mission/list", async (req, res) => {
         cooldown_remaining_seconds,
         min_seconds_to_claim: Number(m.min_seconds_to_claim || 30),
         cooldown_hours: Number(m.cooldown_hours || 24),
+        ends_at: m.ends_at ? new Date(m.ends_at).toISOString() : null,
       };
     });
 
@@ -3617,6 +5469,11 @@ app.post("/api/mission/start", async (req, res) => {
       return res.status(503).json({ ok: false, error: "SPONSOR_MISSIONS_DISABLED" });
     }
 
+    // Schedule + targeting: a new run needs the mission open to this player right now.
+    const blocked = missionBlockReason(mission, await missionAudience(req, user));
+    if (blocked) {
+      return res.status(403).json({ ok: false, error: "MISSION_NOT_AVAILABLE", reason: blocked });
+    }
 
 
     // If user is in cooldown, block start
@@ -3666,6 +5523,7 @@ app.post("/api/mission/start", async (req, res) => {
 app.post("/api/mission/complete", async (req, res) => {
   try {
     let user = await getOrCreateUserFromInitData(req);
+    const settings = await loadSettingsForUser(user);
     // Legacy sponsor-claim logic uses `userId` in a few places.
     // Define it here to avoid runtime ReferenceError (500) during claims.
     const userId = user.id;
@@ -3718,6 +5576,13 @@ const umRes = await pool.query(
   [user.id, mission.id]
 );
 
+// Re-check schedule + targeting; a run started before ends_at may still be completed.
+const openRun = umRes.rows.length && !umRes.rows[0].claimed_at ? umRes.rows[0].started_at : null;
+const blocked = missionBlockReason(mission, await missionAudience(req, user), { startedAt: openRun });
+if (blocked) {
+  return res.status(403).json({ ok: false, error: "MISSION_NOT_AVAILABLE", reason: blocked });
+}
+
 const isSponsorForStartGate =
   (String(mission.kind || "").toLowerCase() === "sponsor") ||
   String(mission.code || "").startsWith("sp_");
@@ -3805,9 +5670,9 @@ const um = umRes.rows[0];
         const endpoint = "/api/mission/complete";
         const context = "sponsor_mission";
         // Allow each sponsor mission to be claimable once per day per user.
-        // Idempotency key includes UTC date so repeated taps today do not double-pay,
-        // but a new key is used on the next day.
-        const todayKey = new Date().toISOString().slice(0, 10);
+        // Idempotency key includes the user's local date so repeated taps today do not
+        // double-pay, but a new key is used on the next day.
+        const todayKey = userDay(user);
         const requestId = `${userId}:${code}:${todayKey}`;
 
         const idemRow = await ensureIdempotencyKeyTx(client, {
@@ -3826,7 +5691,7 @@ const um = umRes.rows[0];
         const mRes = await client.query(
           `SELECT id, code, payout_amount, min_seconds_to_claim, cooldown_hours, is_active
            FROM public.missions
-           WHERE code = $1 AND kind = 'sponsor' AND is_active = true
+           WHERE code = $1 AND kind = 'sponsor' AND (is_active = true OR expired_at IS NOT NULL)
            LIMIT 1`,
           [code]
         );
@@ -3873,8 +5738,24 @@ const um = umRes.rows[0];
         }
 
         let payout = Number(mRow.payout_amount || 0);
-        if (Object.prototype.hasOwnProperty.call(SPONSOR_FIXED_PAYOUTS, mRow.code)) {
-          payout = SPONSOR_FIXED_PAYOUTS[mRow.code];
+        if (Object.prototype.hasOwnProperty.call(settings.sponsor_fixed_payouts, mRow.code)) {
+          payout = settings.sponsor_fixed_payouts[mRow.code];
+        }
+
+        if (payout > 0) {
+          const minted = await mintRewardTx(client, {
+            source: "mission",
+            amount: payout,
+            userId,
+            reason: "mission_reward",
+            refType: "mission",
+            refId: umRow.id,
+            eventType: "mission_payout",
+          });
+          if (minted.state === "paused") {
+            await client.query("ROLLBACK");
+            return res.json({ ok: false, reason: "MINING_PAUSED" });
+          }
         }
 
         await client.query(
@@ -3888,17 +5769,6 @@ const um = umRes.rows[0];
           [umRow.id]
         );
 
-        if (payout > 0) {
-          await applyBalanceChangeTx(client, {
-            userId,
-            delta: payout,
-            reason: "mission_reward",
-            refType: "mission",
-            refId: umRow.id,
-            eventType: "mission_payout",
-          });
-        }
-
         const responsePayload = { ok: true, payout_amount: payout };
 
         await completeIdempotencyKeyTx(client, {
@@ -3923,6 +5793,10 @@ const um = umRes.rows[0];
 // Sponsor missions are claimable directly (award on claim). OGAds postback can still be used for auditing/revenue.
 // Apply reward once
 if (!um.reward_applied) {
+      if (await isEmissionPaused("mission")) {
+        return res.json({ ...(await buildClientState(user)), ok: false, reason: "MINING_PAUSED" });
+      }
+
       // Sponsor billing / campaign gate (only matters for sponsor missions)
       try {
         await sponsorChargeIfNeeded(user, mission);
@@ -4100,7 +5974,10 @@ app.post("/api/boost/completeAd", async (req, res) => {
     }
 
     // Apply reward
-    user = await applyGenericReward(user, ad.reward_type, ad.reward_amount);
+    if (ad.reward_type === "points" && (await isEmissionPaused("ad"))) {
+      return res.json({ ok: false, reason: "MINING_PAUSED" });
+    }
+    user = await applyGenericReward(user, ad.reward_type, ad.reward_amount, "ad");
 
     // Sponsor bridge: treat rewarded ad completions as a sponsor-billable action.
     // We map all ad-based rewards to the sponsor mission code "sp_watch_video".
@@ -4150,10 +6027,11 @@ app.post("/api/boost/completeAd", async (req, res) => {
 
 
 
-// Daily task route – DAILY CHECK-IN (24h cooldown, fixed +500, explicit response)
+// Daily task route – DAILY CHECK-IN (once per local day, fixed +500, explicit response)
 app.post("/api/task", async (req, res) => {
   try {
     let user = await getOrCreateUserFromInitData(req);
+    const settings = await loadSettingsForUser(user);
 
     const taskNameRaw = req.body.taskName || "";
     const taskName = String(taskNameRaw).trim().toLowerCase();
@@ -4171,39 +6049,24 @@ app.post("/api/task", async (req, res) => {
       return res.json({ ok: false, reason: "UNKNOWN_TASK" });
     }
 
-    const today = todayDate(); // "YYYY-MM-DD"
+    const today = userDay(user); // "YYYY-MM-DD", user's local day
 
-    // Enforce a true rolling 24h cooldown (not midnight reset)
-    const COOLDOWN_SECONDS = 24 * 60 * 60;
-    let lastClaimMs = null;
-    try {
-      if (user.last_daily_ts) {
-        const d = new Date(user.last_daily_ts);
-        if (!isNaN(d)) lastClaimMs = d.getTime();
-      }
-    } catch (e) {
-      console.error("Bad last_daily_ts:", user.last_daily_ts, e);
-      lastClaimMs = null;
-    }
-
-    if (lastClaimMs) {
-      const elapsedSeconds = Math.floor((Date.now() - lastClaimMs) / 1000);
-      if (elapsedSeconds >= 0 && elapsedSeconds < COOLDOWN_SECONDS) {
-        const remaining = COOLDOWN_SECONDS - elapsedSeconds;
-        const nextAt = new Date(Date.now() + remaining * 1000).toISOString();
-        const state = await buildClientState(user);
-        return res.json({
-          ...state,
-          ok: false,
-          reason: "ALREADY_CLAIMED",
-          next_claim_in_seconds: remaining,
-          next_claim_at: nextAt,
-        });
-      }
+    // One claim per local day; the next one opens at the user's midnight.
+    const untilNextDay = secondsUntilUserDayEnd(user);
+    const nextAtIso = new Date(Date.now() + untilNextDay * 1000).toISOString();
+    if (!isNewUserDay(user, user.last_daily)) {
+      const state = await buildClientState(user);
+      return res.json({
+        ...state,
+        ok: false,
+        reason: "ALREADY_CLAIMED",
+        next_claim_in_seconds: untilNextDay,
+        next_claim_at: nextAtIso,
+      });
     }
 
-    // Streak logic (based on UTC date)
-    const prevDate = user.last_daily ? String(user.last_daily).slice(0, 10) : null;
+    // Streak logic (based on the user's local date)
+    const prevDate = dayOf(user.last_daily);
     const prev = prevDate ? new Date(prevDate + "T00:00:00Z") : null;
     const cur = new Date(today + "T00:00:00Z");
     let newStreak = Number(user.streak_count || 0);
@@ -4218,13 +6081,12 @@ app.post("/api/task", async (req, res) => {
 
     // Base reward + milestone bonus
     let bonus = 0;
-    for (const m of STREAK_BONUS) {
+    for (const m of settings.streak_bonus) {
       if (newStreak === m.days) bonus += m.bonus;
     }
-    const totalReward = DAILY_CHECKIN_REWARD + bonus;
+    const totalReward = settings.daily_checkin_reward + bonus;
 
     const nowIso = new Date().toISOString();
-    const nextAtIso = new Date(Date.now() + COOLDOWN_SECONDS * 1000).toISOString();
 
     // 1) Apply daily reward + streak update inside a single transaction with idempotency
     const endpoint = "/api/task/daily";
@@ -4308,7 +6170,7 @@ app.post("/api/task", async (req, res) => {
       streak: Number(user.streak_count || 0),
       bonus,
       message: "🔥 Daily check-in claimed!",
-      next_claim_in_seconds: COOLDOWN_SECONDS,
+      next_claim_in_seconds: untilNextDay,
       next_claim_at: nextAtIso,
     });
   } catch (err) {
@@ -4421,6 +6283,7 @@ async function withdrawStatusHandler(req, res) {
   try {
     const user = await getOrCreateUserFromInitData(req);
     const balance = Number(user.balance || 0);
+    const available = availableBalance(user);
 
     const rules = {
       min_withdraw: WITHDRAW_MIN,
@@ -4453,11 +6316,17 @@ async function withdrawStatusHandler(req, res) {
       sponsorClaims7d = q.rows[0]?.c || 0;
     } catch (e) {}
 
+    let riskOk = true;
+    try {
+      riskOk = (await getWithdrawalRiskCheck(user.id)).ok;
+    } catch (e) {}
+
     const readiness = {
-      has_min_balance: balance >= rules.min_withdraw,
+      has_min_balance: available >= rules.min_withdraw,
       account_age_ok: ageOk,
       sponsor_ok: sponsorClaims7d >= rules.min_sponsor_claims_7d,
       sponsor_claims_7d: sponsorClaims7d,
+      account_review_ok: riskOk,
     };
 
     let recent = [];
@@ -4499,7 +6368,16 @@ async function withdrawStatusHandler(req, res) {
       }));
     } catch (e) {}
 
-    return res.json({ ok: true, balance, rules, readiness, my_withdrawals: mine, recent_payouts: recent });
+    return res.json({
+      ok: true,
+      balance,
+      held_balance: Number(user.held_balance || 0),
+      available_balance: available,
+      rules,
+      readiness,
+      my_withdrawals: mine,
+      recent_payouts: recent,
+    });
   } catch (err) {
     console.error("Error /api/withdraw/status:", err);
     return res.status(500).json({ ok: false, error: "WITHDRAW_STATUS_ERROR" });
@@ -4523,6 +6401,57 @@ app.post("/api/withdraw/info", async (req, res) => {
   }
 });
 
+// ------------ Balance history (caller's own ledger rows only) ------------
+function listParam(v) {
+  const arr = Array.isArray(v) ? v : String(v || "").split(",");
+  return arr.map((x) => String(x).trim()).filter(Boolean).slice(0, 20);
+}
+
+function dateParam(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+app.post("/api/ledger/history", async (req, res) => {
+  try {
+    const user = await getOrCreateUserFromInitData(req);
+    const from = dateParam(req.body.from);
+    const to = dateParam(req.body.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+    }
+
+    const currency = String(req.body.currency || "points");
+    if (!CURRENCIES.includes(currency)) {
+      return res.status(400).json({ ok: false, error: "BAD_INPUT" });
+    }
+
+    const filters = {
+      currency,
+      reasons: listParam(req.body.reason),
+      eventTypes: listParam(req.body.event_type),
+      from,
+      to,
+    };
+    const page = await getLedgerHistory(user.id, filters, {
+      cursor: Number(req.body.cursor || 0) || null,
+      limit: req.body.limit,
+    });
+    const daily = req.body.include_daily ? await getLedgerDailyTotals(user.id, filters) : undefined;
+
+    res.json({
+      ok: true,
+      rows: page.rows,
+      next_cursor: page.next_cursor,
+      daily,
+      labels: REASON_LABELS,
+    });
+  } catch (err) {
+    console.error("Error /api/ledger/history:", err);
+    res.status(500).json({ ok: false, error: "LEDGER_HISTORY_ERROR" });
+  }
+});
 
 app.post("/api/withdraw/request", async (req, res) => {
   try {
@@ -4544,10 +6473,16 @@ app.post("/api/withdraw/request", async (req, res) => {
     if (!Number.isFinite(amount) || amount < WITHDRAW_MIN) {
       return res.status(400).json({ ok: false, error: "AMOUNT_TOO_LOW", min: WITHDRAW_MIN });
     }
-    if (amount > Number(user.balance || 0)) {
+    if (amount > availableBalance(user)) {
       return res.status(400).json({ ok: false, error: "INSUFFICIENT_BALANCE" });
     }
 
+    // Accounts flagged by the tap cadence anti-cheat wait for an admin review.
+    const risk = await getWithdrawalRiskCheck(user.id);
+    if (!risk.ok) {
+      return res.status(403).json({ ok: false, error: "ACCOUNT_UNDER_REVIEW" });
+    }
+
     // Limit: 2 pending withdrawals per user
     const pending = await pool.query(
       `SELECT COUNT(*)::int AS c FROM public.withdraw_requests WHERE user_id=$1 AND status='pending'`,
@@ -4589,14 +6524,12 @@ app.post("/api/withdraw/request", async (req, res) => {
       );
       const wrRow = wrRes.rows[0];
 
-      // 2) Reserve the funds on the balance ledger, linked to this withdraw
-      await applyBalanceChangeTx(client, {
+      // 2) Hold the funds (not debited until the payout is captured)
+      await createHoldTx(client, {
         userId: user.id,
-        delta: -amount,
-        reason: "withdraw_reserve",
+        amount,
         refType: "withdraw_request",
         refId: wrRow.id,
-        eventType: "withdraw_reserve",
       });
 
       const responsePayload = { ok: true, request: wrRow };
@@ -4615,6 +6548,9 @@ app.post("/api/withdraw/request", async (req, res) => {
 
     res.json(payload);
   } catch (e) {
+    if (e && e.code === "INSUFFICIENT_BALANCE") {
+      return res.status(400).json({ ok: false, error: "INSUFFICIENT_BALANCE" });
+    }
     console.error("Error /api/withdraw/request:", e);
     res.status(500).json({ ok: false, error: "WITHDRAW_REQUEST_ERROR" });
   }
@@ -4623,17 +6559,19 @@ app.post("/api/withdraw/request", async (req, res) => {
 // Admin: list withdrawals
 app.post("/api/admin/withdraw/list", async (req, res) => {
   try {
-    if (!requireAdmin(req, res)) return;
+    if (!(await requireAdmin(req, res, "withdrawals:read"))) return;
     const status = String(req.body.status || "pending");
     const rows = await pool.query(
-      `SELECT wr.*, u.telegram_id, u.username
+      `SELECT wr.*, u.telegram_id, u.username, r.status AS risk_status, r.score AS risk_score
        FROM public.withdraw_requests wr
        JOIN public.users u ON u.id = wr.user_id
+       LEFT JOIN public.user_risk r ON r.user_id = wr.user_id
        WHERE wr.status = $1
        ORDER BY wr.created_at DESC
        LIMIT 200`,
       [status]
     );
+    await auditAdminAction(req, pool, { action: "withdrawals.list", meta: { status, rows: rows.rows.length } });
     res.json({ ok: true, rows: rows.rows });
   } catch (e) {
     console.error("Error /api/admin/withdraw/list:", e);
@@ -4644,7 +6582,7 @@ app.post("/api/admin/withdraw/list", async (req, res) => {
 // Admin: approve/reject/paid
 app.post("/api/admin/withdraw/update", async (req, res) => {
   try {
-    if (!requireAdmin(req, res)) return;
+    if (!(await requireAdmin(req, res, "withdrawals:approve"))) return;
     const id = Number(req.body.id || 0);
     const status = String(req.body.status || "").trim(); // approved/rejected/paid
     const note = String(req.body.note || "").trim();
@@ -4653,38 +6591,85 @@ app.post("/api/admin/withdraw/update", async (req, res) => {
       return res.status(400).json({ ok: false, error: "BAD_INPUT" });
     }
 
-    const wrRes = await pool.query(`SELECT * FROM public.withdraw_requests WHERE id=$1 LIMIT 1`, [id]);
-    if (!wrRes.rows.length) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
-    const wr = wrRes.rows[0];
-
+    let wr;
     let upd;
     await withTransaction(async (client) => {
-      if (status === "rejected") {
+      const wrRes = await client.query(`SELECT * FROM public.withdraw_requests WHERE id=$1 FOR UPDATE`, [id]);
+      if (!wrRes.rows.length) throw new Error("NOT_FOUND");
+      wr = wrRes.rows[0];
+
+      // Paid and rejected are final: a paid request cannot be refunded, a rejected one cannot be paid.
+      if (["paid", "rejected"].includes(wr.status) && wr.status !== status) {
+        throw new Error(`WITHDRAW_ALREADY_${wr.status.toUpperCase()}`);
+      }
+
+      // Users flagged by the anti-cheat must be cleared (risk review) before approval.
+      if (status === "approved" && !(await getWithdrawalRiskCheck(wr.user_id)).ok) {
+        throw new Error("ACCOUNT_UNDER_REVIEW");
+      }
+
+      if (status === "rejected" && wr.status !== "rejected") {
+        const released = await releaseHoldTx(client, {
+          refType: "withdraw_request",
+          refId: wr.id,
+          reason: "withdraw_rejected",
+        });
+        // Requests made before holds existed were debited up front (withdraw_reserve):
+        // those get a refund row instead. A hold in any status means this is not one of them.
         const delta = Number(wr.amount || 0);
-        if (delta > 0) {
-          await applyBalanceChangeTx(client, {
-            userId: wr.user_id,
-            delta,
-            reason: "withdraw_rejected_refund",
-            refType: "withdraw_request",
-            refId: wr.id,
-            eventType: "withdraw_refund",
-          });
+        if (!released && delta > 0) {
+          const legacy = await client.query(
+            `
+            SELECT
+              EXISTS (SELECT 1 FROM public.balance_holds WHERE ref_type = 'withdraw_request' AND ref_id = $1::text) AS has_hold,
+              EXISTS (
+                SELECT 1 FROM public.user_balance_ledger
+                WHERE reason = 'withdraw_reserve' AND ref_type = 'withdraw_request' AND ref_id::text = $1::text
+              ) AS has_reserve
+            `,
+            [String(wr.id)]
+          );
+          if (!legacy.rows[0].has_hold && legacy.rows[0].has_reserve) {
+            await applyBalanceChangeTx(client, {
+              userId: wr.user_id,
+              delta,
+              reason: "withdraw_rejected_refund",
+              refType: "withdraw_request",
+              refId: wr.id,
+              eventType: "withdraw_refund",
+            });
+          }
         }
+      } else if (status === "paid" && wr.status !== "paid") {
+        await captureHoldTx(client, {
+          refType: "withdraw_request",
+          refId: wr.id,
+          reason: "withdraw_capture",
+          eventType: "withdraw_paid",
+        });
       }
 
       const updRes = await client.query(
         `UPDATE public.withdraw_requests
-         SET status=$2, note=$3, reviewed_at=NOW(), paid_at = CASE WHEN $2='paid' THEN NOW() ELSE paid_at END
+         SET status=$2, note=$3, reviewed_at=NOW(), paid_at = CASE WHEN $2='paid' THEN COALESCE(paid_at, NOW()) ELSE paid_at END
          WHERE id=$1
          RETURNING *`,
         [id, status, note || null]
       );
       upd = updRes;
+
+      await auditAdminAction(req, client, {
+        action: "withdrawals.update",
+        targetType: "withdraw_request",
+        targetId: id,
+        before: wr,
+        after: updRes.rows[0],
+      });
     });
 
-    // If admin approved the withdraw, enqueue an async payout job.
-    if (status === "approved") {
+    // On the transition into approved, enqueue an async payout job (only once, so
+    // re-approving cannot pay twice).
+    if (status === "approved" && wr.status !== "approved") {
       try {
         await enqueueJob("withdraw_payout", {
           withdraw_id: wr.id,
@@ -4702,6 +6687,11 @@ app.post("/api/admin/withdraw/update", async (req, res) => {
 
     res.json({ ok: true, request: upd.rows[0] });
   } catch (e) {
+    const msg = String(e?.message || "");
+    if (msg === "NOT_FOUND") return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    if (["ACCOUNT_UNDER_REVIEW", "WITHDRAW_ALREADY_PAID", "WITHDRAW_ALREADY_REJECTED"].includes(msg)) {
+      return res.status(409).json({ ok: false, error: msg });
+    }
     console.error("Error /api/admin/withdraw/update:", e);
     res.status(500).json({ ok: false, error: "ADMIN_WITHDRAW_UPDATE_ERROR" });
   }
@@ -4720,17 +6710,21 @@ app.post("/api/leaderboard/global", async (req, res) => {
     }
 
     const limit = Math.max(1, Math.min(200, Number(req.body.limit || 100)));
+    const currency = String(req.body.currency || "points");
+    const lb = leaderboardCurrency(currency);
+    if (!lb) return res.status(400).json({ ok: false, error: "BAD_CURRENCY" });
 
     const lbRes = await pool.query(
       `
       SELECT
-        telegram_id,
-        username,
-        first_name,
-        last_name,
-        balance
-      FROM public.users
-      ORDER BY balance DESC, telegram_id ASC
+        u.telegram_id,
+        u.username,
+        u.first_name,
+        u.last_name,
+        ${lb.value} AS balance
+      FROM public.users u
+      ${lb.join}
+      ORDER BY balance DESC, u.telegram_id ASC
       LIMIT $1;
     `,
       [limit]
@@ -4747,10 +6741,10 @@ app.post("/api/leaderboard/global", async (req, res) => {
 
     let me = null;
     if (user && user.telegram_id) {
-      const rankInfo = await getGlobalRankForUser(user);
+      const rankInfo = await getCurrencyRankForUser(user, currency);
       me = {
         telegram_id: Number(user.telegram_id),
-        balance: Number(user.balance || 0),
+        balance: rankInfo.value,
         global_rank: rankInfo.rank,
         global_total: rankInfo.total,
       };
@@ -4758,6 +6752,7 @@ app.post("/api/leaderboard/global", async (req, res) => {
 
     res.json({
       ok: true,
+      currency,
       me,
       global: rows,
     });
@@ -4777,19 +6772,23 @@ app.post("/api/leaderboard/window", async (req, res) => {
     }
 
     const myTid = Number(user.telegram_id);
+    const currency = String(req.body.currency || "points");
+    const lb = leaderboardCurrency(currency);
+    if (!lb) return res.status(400).json({ ok: false, error: "BAD_CURRENCY" });
 
     const q = await pool.query(
       `
       WITH ranked AS (
         SELECT
-          telegram_id,
-          username,
-          first_name,
-          last_name,
-          balance,
-          ROW_NUMBER() OVER (ORDER BY balance DESC, telegram_id ASC) AS rn,
+          u.telegram_id,
+          u.username,
+          u.first_name,
+          u.last_name,
+          ${lb.value} AS balance,
+          ROW_NUMBER() OVER (ORDER BY ${lb.value} DESC, u.telegram_id ASC) AS rn,
           COUNT(*) OVER () AS total
-        FROM public.users
+        FROM public.users u
+        ${lb.join}
       ),
       me AS (
         SELECT rn, total, balance
@@ -4862,6 +6861,7 @@ app.post("/api/leaderboard/window", async (req, res) => {
 
     return res.json({
       ok: true,
+      currency,
       me: {
         telegram_id: myTid,
         balance: meBalance,
@@ -4879,7 +6879,8 @@ app.post("/api/leaderboard/window", async (req, res) => {
   }
 });
 
-// ------------ Daily leaderboard (today_farmed) ------------
+// ------------ Daily leaderboard (UTC day, lb_day_farmed) ------------
+// Player days follow local midnight, but the board shares one UTC window.
 app.post("/api/leaderboard/daily", async (req, res) => {
   try {
     let user = null;
@@ -4893,6 +6894,7 @@ app.post("/api/leaderboard/daily", async (req, res) => {
     }
 
     const limit = Math.max(1, Math.min(200, Number(req.body.limit || 100)));
+    const day = utcDay();
 
     const lbRes = await pool.query(
       `
@@ -4901,12 +6903,13 @@ app.post("/api/leaderboard/daily", async (req, res) => {
         username,
         first_name,
         last_name,
-        today_farmed
+        lb_day_farmed AS today_farmed
       FROM public.users
-      ORDER BY today_farmed DESC, telegram_id ASC
+      WHERE lb_day = $2::date
+      ORDER BY lb_day_farmed DESC, telegram_id ASC
       LIMIT $1;
     `,
-      [limit]
+      [limit, day]
     );
 
     const rows = lbRes.rows.map((r, idx) => ({
@@ -4924,16 +6927,18 @@ app.post("/api/leaderboard/daily", async (req, res) => {
     const myTid = user && user.telegram_id ? Number(user.telegram_id) : null;
 
     let myRank = null;
+    let myToday = 0;
     if (myTid !== null && total > 0) {
       const myRowRes = await pool.query(
-        `SELECT today_farmed FROM public.users WHERE telegram_id = $1 LIMIT 1;`,
-        [myTid]
+        `SELECT CASE WHEN lb_day = $2::date THEN lb_day_farmed ELSE 0 END AS today_farmed
+         FROM public.users WHERE telegram_id = $1 LIMIT 1;`,
+        [myTid, day]
       );
       if (myRowRes.rowCount > 0) {
-        const myToday = Number(myRowRes.rows[0].today_farmed || 0);
+        myToday = Number(myRowRes.rows[0].today_farmed || 0);
         const aboveRes = await pool.query(
-          `SELECT COUNT(*) AS count FROM public.users WHERE today_farmed > $1;`,
-          [myToday]
+          `SELECT COUNT(*) AS count FROM public.users WHERE lb_day = $2::date AND lb_day_farmed > $1;`,
+          [myToday, day]
         );
         const countAbove = Number(aboveRes.rows[0].count || 0);
         myRank = countAbove + 1;
@@ -4946,12 +6951,14 @@ app.post("/api/leaderboard/daily", async (req, res) => {
         myTid !== null
           ? {
               telegram_id: myTid,
-              today_farmed: Number(user.today_farmed || 0),
+              today_farmed: myToday,
               daily_rank: myRank,
               daily_total: total,
             }
           : null,
       daily: rows,
+      day,
+      resets_in_seconds: secondsUntilNextUtcMidnight(),
     });
   } catch (err) {
     console.error("Error /api/leaderboard/daily:", err);
@@ -5001,12 +7008,16 @@ app.post("/api/leaderboard/friends", async (req, res) => {
       .filter((v) => !!v && v !== myTid);
 
     const idsForQuery = friendIds.length > 0 ? [...friendIds, myTid] : [myTid];
+    const currency = String(req.body.currency || "points");
+    const lb = leaderboardCurrency(currency);
+    if (!lb) return res.status(400).json({ ok: false, error: "BAD_CURRENCY" });
 
     const usersRes = await pool.query(
       `
-      SELECT telegram_id, username, first_name, last_name, balance
-      FROM public.users
-      WHERE telegram_id = ANY($1::bigint[]);
+      SELECT u.telegram_id, u.username, u.first_name, u.last_name, ${lb.value} AS balance
+      FROM public.users u
+      ${lb.join}
+      WHERE u.telegram_id = ANY($1::bigint[]);
     `,
       [idsForQuery]
     );
@@ -5041,6 +7052,7 @@ app.post("/api/leaderboard/friends", async (req, res) => {
 
     res.json({
       ok: true,
+      currency,
       me: meEntry,
       friends: list,
       overtake,
@@ -5070,8 +7082,8 @@ bot.start(async (ctx) => {
 
       const upsertRes = await client.query(
         `
-        INSERT INTO public.users (telegram_id, username, first_name, last_name, language_code)
-        VALUES ($1, $2, $3, $4, $5)
+        INSERT INTO public.users (telegram_id, username, first_name, last_name, language_code, season_id)
+        VALUES ($1, $2, $3, $4, $5, ${ACTIVE_SEASON_SQL})
         ON CONFLICT (telegram_id)
         DO UPDATE SET
           username = COALESCE(EXCLUDED.username, public.users.username),
@@ -5121,14 +7133,16 @@ bot.start(async (ctx) => {
               `SELECT referrals_count FROM public.users WHERE telegram_id = $1 LIMIT 1;`,
               [inviterId]
             );
+            const { referral_reward: referralReward } = await loadSettings();
             const tierInfo = getReferralTier(inviterRes.rowCount ? inviterRes.rows[0].referrals_count : 0);
-            const reward = Math.round(REFERRAL_REWARD * tierInfo.multiplier);
+            const reward = Math.round(referralReward * tierInfo.multiplier);
 
             // Apply referral reward via ledger inside the existing transaction.
             // We keep referrals_count / referrals_points updates in-place for now.
-            await applyBalanceChangeTx(client, {
+            const minted = await mintRewardTx(client, {
+              source: "referral",
+              amount: reward,
               userId: inviterRes.rows[0]?.id, // we'll re-fetch user id below if needed
-              delta: reward,
               reason: "referral_reward",
               refType: "user",
               refId: null,
@@ -5142,7 +7156,7 @@ bot.start(async (ctx) => {
                   referrals_points = referrals_points + $1
               WHERE telegram_id = $2;
             `,
-              [reward, inviterId]
+              [minted.granted, inviterId]
             );
             }
           }
@@ -5210,8 +7224,9 @@ bot.command("tap", async (ctx) => {
 bot.command("referral", async (ctx) => {
   const telegramId = ctx.from.id;
   const inviteLink = `https://t.me/${BOT_USERNAME}?startapp=ref_${telegramId}`;
+  const { referral_reward: referralReward } = await loadSettings();
   await ctx.reply(
-    `🔗 Your referral link:\n${inviteLink}\n\nShare this with friends and earn +${REFERRAL_REWARD} for each one who joins!`
+    `🔗 Your referral link:\n${inviteLink}\n\nShare this with friends and earn +${referralReward} for each one who joins!`
   );
 });
 
@@ -5226,6 +7241,9 @@ async function start() {
     process.exit(1);
   }
 
+  // Drop cached app_settings as soon as any instance changes them.
+  startConfigListener();
+
 0;
   const mode = RUN_MODE || "api+bot";
 
@@ -5234,6 +7252,7 @@ async function start() {
     app.listen(PORT, () => {
       console.log(`🌐 Express API running on port ${PORT} (mode=${mode})`);
     });
+    if (TAP_WRITE_BEHIND) startTapFlusher({ intervalMs: TAP_FLUSH_INTERVAL_MS });
   } else {
     console.log(`🌐 Express API disabled (RUN_MODE=${mode})`);
   }
@@ -0,0 +1,127 @@
+// lib/adminAudit.js
+// Append-only audit trail for privileged admin actions (public.admin_audit_log).
+//
+// Rows are never updated or deleted: the table has triggers that reject UPDATE,
+// DELETE and TRUNCATE, and this module only exposes insert + query helpers.
+
+const { pool } = require("./db");
+
+const MAX_QUERY_LIMIT = 500;
+const MAX_EXPORT_LIMIT = 50000;
+
+function toJson(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+/**
+ * Insert one audit entry. Pass a transaction `client` when the audited change
+ * happens in a transaction so both commit (or roll back) together.
+ */
+async function recordAdminAction(db, {
+  adminId = null,
+  adminName,
+  action,
+  targetType = null,
+  targetId = null,
+  before = null,
+  after = null,
+  meta = null,
+  ip = null,
+  requestId = null,
+}) {
+  if (!adminName || !action) {
+    throw new Error("recordAdminAction: adminName and action are required");
+  }
+
+  const { rows } = await (db || pool).query(
+    `
+    INSERT INTO public.admin_audit_log (
+      admin_id, admin_name, action, target_type, target_id,
+      before_json, after_json, meta, ip, request_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING id, created_at;
+    `,
+    [
+      adminId,
+      adminName,
+      action,
+      targetType,
+      targetId === null || targetId === undefined ? null : String(targetId),
+      toJson(before),
+      toJson(after),
+      toJson(meta),
+      ip,
+      requestId,
+    ]
+  );
+  return rows[0];
+}
+
+/**
+ * Filtered, cursor-paginated read (newest first).
+ * Filters: admin_name, action (exact or "prefix.*"), target_type, target_id, from, to, before_id.
+ */
+async function queryAdminAudit(filters = {}, { limit = 100, forExport = false } = {}) {
+  const params = [];
+  const where = [];
+
+  if (filters.admin_name) {
+    params.push(String(filters.admin_name));
+    where.push(`admin_name = $${params.length}`);
+  }
+  if (filters.action) {
+    const action = String(filters.action);
+    if (action.endsWith(".*")) {
+      params.push(action.slice(0, -1) + "%");
+      where.push(`action LIKE $${params.length}`);
+    } else {
+      params.push(action);
+      where.push(`action = $${params.length}`);
+    }
+  }
+  if (filters.target_type) {
+    params.push(String(filters.target_type));
+    where.push(`target_type = $${params.length}`);
+  }
+  if (filters.target_id) {
+    params.push(String(filters.target_id));
+    where.push(`target_id = $${params.length}`);
+  }
+  if (filters.from) {
+    params.push(new Date(filters.from).toISOString());
+    where.push(`created_at >= $${params.length}`);
+  }
+  if (filters.to) {
+    params.push(new Date(filters.to).toISOString());
+    where.push(`created_at < $${params.length}`);
+  }
+  if (filters.before_id) {
+    params.push(Number(filters.before_id));
+    where.push(`id < $${params.length}`);
+  }
+
+  const max = forExport ? MAX_EXPORT_LIMIT : MAX_QUERY_LIMIT;
+  const lim = Math.max(1, Math.min(max, Number(limit) || 100));
+  params.push(lim);
+
+  const { rows } = await pool.query(
+    `
+    SELECT id, created_at, admin_id, admin_name, action, target_type, target_id,
+           before_json, after_json, meta, ip, request_id
+    FROM public.admin_audit_log
+    ${where.length ? "WHERE " + where.join(" AND ") : ""}
+    ORDER BY id DESC
+    LIMIT $${params.length};
+    `,
+    params
+  );
+
+  const nextCursor = rows.length === lim ? rows[rows.length - 1].id : null;
+  return { rows, next_cursor: nextCursor };
+}
+
+module.exports = {
+  recordAdminAction,
+  queryAdminAudit,
+};
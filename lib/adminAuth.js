@@ -0,0 +1,262 @@
+// lib/adminAuth.js
+// Named admin accounts with hashed API keys and role/scope checks.
+//
+// - Each admin has a role (bundle of scopes) plus optional extra scopes.
+// - API keys look like "adm_<prefix>_<secret>"; only a SHA-256 hash is stored.
+// - ADMIN_KEY (env) still works as a break-glass "bootstrap" owner so the first
+//   named accounts can be created. Unset it once real accounts exist.
+
+const crypto = require("crypto");
+const { pool } = require("./db");
+
+const BOOTSTRAP_KEY = String(process.env.ADMIN_KEY || "");
+const KEY_PEPPER = String(process.env.ADMIN_KEY_PEPPER || "");
+const AUTH_CACHE_MS = 30000;
+
+// Every scope an admin route can require.
+const ADMIN_SCOPES = [
+  "summary:read",
+  "withdrawals:read",
+  "withdrawals:approve",
+  "seasons:manage",
+  "exports:read",
+  "missions:read",
+  "missions:write",
+  "sessions:revoke",
+  "admins:manage",
+  "audit:read",
+  "ledger:read",
+  "ledger:reconcile",
+  "ledger:adjust",
+  "settings:read",
+  "settings:write",
+  "experiments:read",
+  "experiments:write",
+  "risk:read",
+  "risk:review",
+];
+
+// Roles are named bundles of scopes; "*" grants everything.
+const ADMIN_ROLES = {
+  owner: ["*"],
+  finance: ["summary:read", "withdrawals:read", "withdrawals:approve", "exports:read", "ledger:read", "ledger:reconcile", "ledger:adjust", "settings:read", "risk:read"],
+  moderator: ["summary:read", "withdrawals:read", "sessions:revoke", "missions:read", "missions:write", "risk:read", "risk:review"],
+  analyst: ["summary:read", "exports:read", "ledger:read", "settings:read", "experiments:read", "risk:read", "missions:read"],
+};
+
+function hashAdminKey(key) {
+  return crypto.createHash("sha256").update(`${KEY_PEPPER}|${key}`).digest("hex");
+}
+
+function generateAdminKey() {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(24).toString("base64").replace(/[^a-zA-Z0-9]/g, "");
+  return { key: `adm_${prefix}_${secret}`, prefix };
+}
+
+function effectiveScopes(role, extraScopes) {
+  const base = ADMIN_ROLES[role] || [];
+  return Array.from(new Set([...base, ...(extraScopes || [])]));
+}
+
+function hasScope(admin, scope) {
+  if (!admin) return false;
+  if (!scope) return true;
+  const scopes = admin.scopes || [];
+  return scopes.includes("*") || scopes.includes(scope);
+}
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+// keyHash -> { admin, checkedAt }
+const authCache = new Map();
+
+/**
+ * Resolve an admin from a raw API key.
+ * Returns { id, name, role, scopes, key_id, bootstrap } or null.
+ */
+async function authenticateAdminKey(rawKey) {
+  const key = String(rawKey || "").trim();
+  if (!key) return null;
+
+  if (BOOTSTRAP_KEY && safeEqual(key, BOOTSTRAP_KEY)) {
+    return { id: null, name: "bootstrap", role: "owner", scopes: ["*"], key_id: null, bootstrap: true };
+  }
+
+  const keyHash = hashAdminKey(key);
+  const now = Date.now();
+  const cached = authCache.get(keyHash);
+  if (cached && now - cached.checkedAt < AUTH_CACHE_MS) {
+    return cached.admin;
+  }
+
+  const { rows } = await pool.query(
+    `
+    UPDATE public.admin_api_keys k
+    SET last_used_at = NOW()
+    FROM public.admin_accounts a
+    WHERE k.key_hash = $1
+      AND k.revoked_at IS NULL
+      AND a.id = k.admin_id
+      AND a.disabled_at IS NULL
+    RETURNING a.id, a.name, a.role, a.scopes, k.id AS key_id;
+    `,
+    [keyHash]
+  );
+
+  const row = rows[0];
+  const admin = row
+    ? {
+        id: row.id,
+        name: row.name,
+        role: row.role,
+        scopes: effectiveScopes(row.role, row.scopes),
+        key_id: row.key_id,
+        bootstrap: false,
+      }
+    : null;
+  authCache.set(keyHash, { admin, checkedAt: now });
+  return admin;
+}
+
+function clearAdminAuthCache() {
+  authCache.clear();
+}
+
+function validateAdminInput({ name, role, scopes }) {
+  if (name !== undefined && !/^[a-z0-9_.-]{2,40}$/i.test(String(name || ""))) {
+    return "BAD_NAME";
+  }
+  if (role !== undefined && !Object.prototype.hasOwnProperty.call(ADMIN_ROLES, role)) {
+    return "BAD_ROLE";
+  }
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes) || scopes.some((s) => !ADMIN_SCOPES.includes(s))) {
+      return "BAD_SCOPES";
+    }
+  }
+  return null;
+}
+
+async function insertKeyTx(client, adminId) {
+  const { key, prefix } = generateAdminKey();
+  const { rows } = await client.query(
+    `
+    INSERT INTO public.admin_api_keys (admin_id, key_prefix, key_hash)
+    VALUES ($1, $2, $3)
+    RETURNING id, key_prefix, created_at;
+    `,
+    [adminId, prefix, hashAdminKey(key)]
+  );
+  return { apiKey: key, key: rows[0] };
+}
+
+/**
+ * Create an admin account and its first API key.
+ * The raw key is only returned here; it cannot be recovered later.
+ */
+async function createAdminAccountTx(client, { name, role, scopes = [], createdBy = null }) {
+  const { rows } = await client.query(
+    `
+    INSERT INTO public.admin_accounts (name, role, scopes, created_by)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id, name, role, scopes, created_at;
+    `,
+    [String(name), role, scopes, createdBy]
+  );
+  const account = rows[0];
+  const { apiKey, key } = await insertKeyTx(client, account.id);
+  return { account, apiKey, key };
+}
+
+/**
+ * Issue a new key for an admin. By default every previous key is revoked.
+ */
+async function rotateAdminKeyTx(client, { adminId, revokeExisting = true }) {
+  const acc = await client.query(
+    `SELECT id FROM public.admin_accounts WHERE id = $1 AND disabled_at IS NULL FOR UPDATE`,
+    [adminId]
+  );
+  if (!acc.rows.length) return null;
+
+  let revoked = 0;
+  if (revokeExisting) {
+    const r = await client.query(
+      `UPDATE public.admin_api_keys SET revoked_at = NOW() WHERE admin_id = $1 AND revoked_at IS NULL`,
+      [adminId]
+    );
+    revoked = r.rowCount;
+  }
+  const { apiKey, key } = await insertKeyTx(client, adminId);
+  clearAdminAuthCache();
+  return { apiKey, key, revoked };
+}
+
+/**
+ * Revoke a single key, or disable a whole account (and all its keys).
+ */
+async function revokeAdminAccessTx(client, { adminId = null, keyId = null }) {
+  let keys = 0;
+  let disabled = false;
+  if (keyId) {
+    const r = await client.query(
+      `UPDATE public.admin_api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL`,
+      [keyId]
+    );
+    keys = r.rowCount;
+  } else if (adminId) {
+    const a = await client.query(
+      `UPDATE public.admin_accounts SET disabled_at = NOW() WHERE id = $1 AND disabled_at IS NULL`,
+      [adminId]
+    );
+    disabled = a.rowCount > 0;
+    const r = await client.query(
+      `UPDATE public.admin_api_keys SET revoked_at = NOW() WHERE admin_id = $1 AND revoked_at IS NULL`,
+      [adminId]
+    );
+    keys = r.rowCount;
+  }
+  clearAdminAuthCache();
+  return { keys, disabled };
+}
+
+async function listAdminAccounts() {
+  const { rows } = await pool.query(
+    `
+    SELECT a.id, a.name, a.role, a.scopes, a.created_at, a.created_by, a.disabled_at,
+           COALESCE(
+             json_agg(
+               json_build_object(
+                 'id', k.id,
+                 'key_prefix', k.key_prefix,
+                 'created_at', k.created_at,
+                 'last_used_at', k.last_used_at,
+                 'revoked_at', k.revoked_at
+               ) ORDER BY k.id DESC
+             ) FILTER (WHERE k.id IS NOT NULL),
+             '[]'
+           ) AS keys
+    FROM public.admin_accounts a
+    LEFT JOIN public.admin_api_keys k ON k.admin_id = a.id
+    GROUP BY a.id
+    ORDER BY a.id ASC;
+    `
+  );
+  return rows;
+}
+
+module.exports = {
+  ADMIN_SCOPES,
+  ADMIN_ROLES,
+  hasScope,
+  authenticateAdminKey,
+  validateAdminInput,
+  createAdminAccountTx,
+  rotateAdminKeyTx,
+  revokeAdminAccessTx,
+  listAdminAccounts,
+};
@@ -0,0 +1,362 @@
+// lib/antiCheat.js
+// Server-side tap cadence analysis.
+//
+// - Tap packets carry client timing ({ seq, client_ts, span_ms, taps: [offset ms] }),
+//   stored per user in tap_packets. Single taps (/api/tap) are stored as one-tap
+//   packets without client timing.
+// - The analyzer (analyze_tap_cadence job) scores the last 24h of packets for:
+//     regularity   near-constant intervals between taps (autoclickers)
+//     rate         taps per second no finger can sustain
+//     round_clock  tapping in almost every hour of the day
+//     sequence     replayed / out-of-order packet sequence numbers
+//     chain        packets that failed the signed nonce chain (lib/tapChain.js)
+// - The score (0..100) moves the user's user_risk row to "flagged" or
+//   "throttled" (thresholds in settings). Automatic flags stick until an admin
+//   reviews them; "cleared" suppresses automatic flags for CLEAR_GRACE_DAYS.
+// - Flagged and throttled users cannot request withdrawals; throttled users also
+//   get smaller tap packets and a lower packet rate.
+// - Packets past the retention period (never shorter than the analysis window)
+//   are pruned by the worker once applied; unflushed and parked ones are kept.
+
+const { pool } = require("./db");
+const { loadSettings } = require("./config");
+const { countChainFailures } = require("./tapChain");
+
+const RISK_STATUSES = ["ok", "flagged", "throttled", "cleared"];
+const REVIEW_STATUSES = ["cleared", "flagged", "throttled"];
+const WITHDRAW_BLOCKING_STATUSES = ["flagged", "throttled"];
+
+const ANALYSIS_WINDOW_HOURS = 24;
+const MAX_PACKETS_ANALYZED = 20000;
+const MIN_INTERVALS = 50;
+const PRUNE_BATCH_SIZE = 5000;
+// Gaps between packets longer than this are pauses, not cadence.
+const CONTINUOUS_GAP_MS = 5000;
+const CLEAR_GRACE_DAYS = 7;
+const STATUS_CACHE_MS = 60_000;
+
+function riskError(code, message) {
+  const err = new Error(message || code);
+  err.code = code;
+  return err;
+}
+
+function intOrNull(v, min, max) {
+  const n = Number(v);
+  if (v === undefined || v === null || v === "" || !Number.isFinite(n)) return null;
+  return Math.max(min, Math.min(max, Math.floor(n)));
+}
+
+/**
+ * Sanitise the cadence fields of a /api/tapPacket body.
+ * Returns { seq, clientTs, spanMs, offsets } (any of them may be null).
+ */
+function parseTapCadence(body, maxTaps) {
+  const ts = intOrNull(body.client_ts, 0, 8640000000000000);
+  const offsets = Array.isArray(body.taps)
+    ? body.taps
+        .slice(0, maxTaps)
+        .map((x) => intOrNull(x, 0, 3600_000))
+        .filter((x) => x !== null)
+    : null;
+  return {
+    seq: intOrNull(body.seq, 0, Number.MAX_SAFE_INTEGER),
+    clientTs: ts ? new Date(ts) : null,
+    spanMs: intOrNull(body.span_ms, 0, 3600_000),
+    offsets: offsets && offsets.length ? offsets : null,
+  };
+}
+
+// Mean and coefficient of variation of a list of intervals.
+function intervalStats(values) {
+  const n = values.length;
+  if (!n) return { n: 0, mean: null, cv: null };
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const variance = values.reduce((a, b) => a + (b - mean) * (b - mean), 0) / n;
+  return { n, mean: Math.round(mean), cv: mean > 0 ? Number((Math.sqrt(variance) / mean).toFixed(4)) : 0 };
+}
+
+/**
+ * Score packets (oldest first) from one user. `chainFailures` is the number of
+ * packets that failed the nonce chain in the same window. Returns { score, signals }.
+ */
+function scoreCadence(packets, settings, { chainFailures = 0 } = {}) {
+  const maxTps = Number(settings.anticheat_max_taps_per_sec || 15);
+  const signals = {};
+  let score = 0;
+
+  // Regularity: intervals between taps inside packets, and between packets
+  // while tapping continuously.
+  const inPacket = [];
+  const betweenPackets = [];
+  let prevAt = null;
+  for (const p of packets) {
+    if (p.tap_offsets && p.tap_offsets.length > 1) {
+      const sorted = p.tap_offsets.map(Number).sort((a, b) => a - b);
+      for (let i = 1; i < sorted.length; i += 1) inPacket.push(sorted[i] - sorted[i - 1]);
+    }
+    const at = new Date(p.client_ts || p.created_at).getTime();
+    if (prevAt !== null && at - prevAt > 0 && at - prevAt <= CONTINUOUS_GAP_MS) betweenPackets.push(at - prevAt);
+    prevAt = at;
+  }
+  const tapStats = intervalStats(inPacket);
+  const packetStats = intervalStats(betweenPackets);
+  signals.regularity = { taps: tapStats, packets: packetStats };
+  const cvs = [tapStats, packetStats].filter((s) => s.n >= MIN_INTERVALS).map((s) => s.cv);
+  if (cvs.length) {
+    const cv = Math.min(...cvs);
+    const points = cv < 0.03 ? 45 : cv < 0.08 ? 30 : cv < 0.15 ? 10 : 0;
+    signals.regularity.points = points;
+    score += points;
+  }
+
+  // Impossible rates: per packet (client span) and per server-side minute.
+  let maxPacketTps = 0;
+  let zeroSpanPackets = 0;
+  const perMinute = new Map();
+  for (const p of packets) {
+    const taps = Number(p.tap_count || 0);
+    const span = p.span_ms === null || p.span_ms === undefined ? null : Number(p.span_ms);
+    if (span !== null && taps > 1) {
+      if (span === 0) zeroSpanPackets += 1;
+      else maxPacketTps = Math.max(maxPacketTps, (taps * 1000) / span);
+    }
+    const minute = Math.floor(new Date(p.created_at).getTime() / 60_000);
+    perMinute.set(minute, (perMinute.get(minute) || 0) + taps);
+  }
+  const maxPerMinute = perMinute.size ? Math.max(...perMinute.values()) : 0;
+  signals.rate = {
+    max_packet_tps: Number(maxPacketTps.toFixed(1)),
+    zero_span_packets: zeroSpanPackets,
+    max_taps_per_minute: maxPerMinute,
+    limit_tps: maxTps,
+  };
+  if (maxPacketTps > maxTps || maxPerMinute > maxTps * 60 || zeroSpanPackets >= 3) {
+    signals.rate.points = 35;
+    score += 35;
+  }
+
+  // Round-the-clock activity: distinct UTC hours with taps.
+  const hours = new Set(packets.map((p) => Math.floor(new Date(p.created_at).getTime() / 3600_000)));
+  signals.round_clock = { active_hours: hours.size };
+  const clockPoints = hours.size >= 22 ? 30 : hours.size >= 20 ? 15 : 0;
+  if (clockPoints) {
+    signals.round_clock.points = clockPoints;
+    score += clockPoints;
+  }
+
+  // Sequence numbers: repeats or steps backwards that are not a client restart.
+  const withSeq = packets.filter((p) => p.seq !== null && p.seq !== undefined);
+  let seqAnomalies = 0;
+  for (let i = 1; i < withSeq.length; i += 1) {
+    const prev = Number(withSeq[i - 1].seq);
+    const cur = Number(withSeq[i].seq);
+    if (cur <= prev && cur > 1) seqAnomalies += 1;
+  }
+  signals.sequence = { packets: withSeq.length, anomalies: seqAnomalies };
+  if (withSeq.length >= 20 && seqAnomalies / withSeq.length > 0.05) {
+    signals.sequence.points = 10;
+    score += 10;
+  }
+
+  // Nonce chain: forged, replayed or reordered packets.
+  const chainShare = chainFailures / Math.max(1, packets.length + chainFailures);
+  signals.chain = { failures: chainFailures, share: Number(chainShare.toFixed(3)) };
+  const chainPoints = chainFailures >= 5 ? (chainShare >= 0.2 ? 40 : chainShare >= 0.05 ? 20 : 0) : 0;
+  if (chainPoints) {
+    signals.chain.points = chainPoints;
+    score += chainPoints;
+  }
+
+  signals.packets = packets.length;
+  return { score: Math.min(100, score), signals };
+}
+
+// Next status after an automatic analysis.
+function nextStatus(current, score, settings) {
+  const flagAt = Number(settings.anticheat_flag_score || 60);
+  const throttleAt = Math.max(flagAt, Number(settings.anticheat_throttle_score || 85));
+  const auto = score >= throttleAt ? "throttled" : score >= flagAt ? "flagged" : "ok";
+
+  if (!current) return auto;
+  if (current.status === "cleared") {
+    const since = current.reviewed_at ? Date.now() - new Date(current.reviewed_at).getTime() : Infinity;
+    return since < CLEAR_GRACE_DAYS * 24 * 3600_000 ? "cleared" : auto;
+  }
+  // Automatic flags only escalate; lowering them is an admin decision.
+  if (current.status === "throttled") return "throttled";
+  if (current.status === "flagged") return auto === "throttled" ? "throttled" : "flagged";
+  return auto;
+}
+
+/**
+ * Analyze one user's recent packets and update user_risk (transaction open on
+ * `client`). Returns the risk row, or null when there is nothing to analyze.
+ */
+async function analyzeTapCadenceTx(client, userId) {
+  const settings = await loadSettings();
+  const { rows: packets } = await client.query(
+    `
+    SELECT seq, client_ts, span_ms, tap_count, tap_offsets, created_at
+    FROM public.tap_packets
+    WHERE user_id = $1 AND created_at > NOW() - make_interval(hours => $2)
+    ORDER BY created_at ASC
+    LIMIT $3
+    `,
+    [userId, ANALYSIS_WINDOW_HOURS, MAX_PACKETS_ANALYZED]
+  );
+  // Rejected packets are not stored, so failures alone are worth a score.
+  const chainFailures = await countChainFailures(userId, ANALYSIS_WINDOW_HOURS, client);
+  if (!packets.length && !chainFailures) return null;
+
+  const { score, signals } = scoreCadence(packets, settings, { chainFailures });
+  const curRes = await client.query(`SELECT * FROM public.user_risk WHERE user_id = $1 FOR UPDATE`, [userId]);
+  const current = curRes.rows[0] || null;
+  const status = nextStatus(current, score, settings);
+  const becameFlagged = status !== (current ? current.status : "ok") && WITHDRAW_BLOCKING_STATUSES.includes(status);
+
+  const { rows } = await client.query(
+    `
+    INSERT INTO public.user_risk (user_id, status, score, signals, analyzed_at, flagged_at, updated_at)
+    VALUES ($1, $2, $3, $4, NOW(), CASE WHEN $5 THEN NOW() END, NOW())
+    ON CONFLICT (user_id) DO UPDATE SET
+      status = EXCLUDED.status,
+      score = EXCLUDED.score,
+      signals = EXCLUDED.signals,
+      analyzed_at = EXCLUDED.analyzed_at,
+      flagged_at = CASE WHEN $5 THEN NOW() ELSE public.user_risk.flagged_at END,
+      updated_at = NOW()
+    RETURNING *;
+    `,
+    [userId, status, score, JSON.stringify(signals), becameFlagged]
+  );
+  if (becameFlagged) {
+    await client.query(`INSERT INTO public.event_log (user_id, event, meta) VALUES ($1, $2, $3)`, [
+      userId,
+      "tap_cadence_flagged",
+      JSON.stringify({ status, score }),
+    ]);
+  }
+  statusCache.delete(Number(userId));
+  return rows[0];
+}
+
+/**
+ * Delete applied tap packets older than `days` (at least the analysis window).
+ * Sync-path packets (taps_applied NULL) are applied on arrival; write-behind ones
+ * once flushed. Returns { packets }.
+ */
+async function pruneTapPackets({ days = 7 } = {}) {
+  const hours = Math.max(ANALYSIS_WINDOW_HOURS, Number(days) * 24 || 0);
+  let packets = 0;
+  for (;;) {
+    const { rowCount } = await pool.query(
+      `
+      DELETE FROM public.tap_packets
+      WHERE packet_id IN (
+        SELECT packet_id FROM public.tap_packets
+        WHERE created_at < NOW() - make_interval(hours => $1)
+          AND (taps_applied IS NULL OR flushed_at IS NOT NULL)
+        LIMIT $2
+      )
+      `,
+      [hours, PRUNE_BATCH_SIZE]
+    );
+    packets += rowCount;
+    if (rowCount < PRUNE_BATCH_SIZE) return { packets };
+  }
+}
+
+// userId -> { status, at }
+const statusCache = new Map();
+
+/**
+ * Cached risk status for hot paths (tap packets); "ok" when the user has no row.
+ */
+async function getRiskStatus(userId) {
+  const id = Number(userId);
+  const cached = statusCache.get(id);
+  if (cached && Date.now() - cached.at < STATUS_CACHE_MS) return cached.status;
+  const { rows } = await pool.query(`SELECT status FROM public.user_risk WHERE user_id = $1`, [id]);
+  const status = rows[0]?.status || "ok";
+  statusCache.set(id, { status, at: Date.now() });
+  return status;
+}
+
+/**
+ * Withdrawal gate: uncached, so a fresh flag applies immediately.
+ * Returns { ok, status }.
+ */
+async function getWithdrawalRiskCheck(userId, db = pool) {
+  const { rows } = await db.query(`SELECT status FROM public.user_risk WHERE user_id = $1`, [userId]);
+  const status = rows[0]?.status || "ok";
+  return { ok: !WITHDRAW_BLOCKING_STATUSES.includes(status), status };
+}
+
+async function listUserRisk({ status = null, limit = 100 } = {}) {
+  const params = [];
+  let where = "r.status IN ('flagged', 'throttled')";
+  if (status) {
+    params.push(status);
+    where = `r.status = $${params.length}`;
+  }
+  params.push(Math.max(1, Math.min(500, Number(limit) || 100)));
+  const { rows } = await pool.query(
+    `
+    SELECT r.*, u.telegram_id, u.username, u.balance::text AS balance
+    FROM public.user_risk r
+    LEFT JOIN public.users u ON u.id = r.user_id
+    WHERE ${where}
+    ORDER BY r.score DESC, r.updated_at DESC
+    LIMIT $${params.length};
+    `,
+    params
+  );
+  return rows.map((r) => ({ ...r, balance: Number(r.balance || 0) }));
+}
+
+/**
+ * Admin decision on a user (transaction open on `client`).
+ * Throws Error with code BAD_STATUS | REASON_REQUIRED | NOT_FOUND.
+ * Returns { before, after }.
+ */
+async function reviewUserRiskTx(client, { userId, status, note, reviewedBy }) {
+  if (!REVIEW_STATUSES.includes(status)) throw riskError("BAD_STATUS");
+  if (!String(note || "").trim()) throw riskError("REASON_REQUIRED");
+
+  const userRes = await client.query(`SELECT id FROM public.users WHERE id = $1`, [userId]);
+  if (!userRes.rows.length) throw riskError("NOT_FOUND", "user not found");
+
+  const curRes = await client.query(`SELECT * FROM public.user_risk WHERE user_id = $1 FOR UPDATE`, [userId]);
+  const before = curRes.rows[0] || null;
+  const { rows } = await client.query(
+    `
+    INSERT INTO public.user_risk (user_id, status, reviewed_by, reviewed_at, review_note, flagged_at, updated_at)
+    VALUES ($1, $2, $3, NOW(), $4, CASE WHEN $2 <> 'cleared' THEN NOW() END, NOW())
+    ON CONFLICT (user_id) DO UPDATE SET
+      status = EXCLUDED.status,
+      reviewed_by = EXCLUDED.reviewed_by,
+      reviewed_at = EXCLUDED.reviewed_at,
+      review_note = EXCLUDED.review_note,
+      flagged_at = COALESCE(EXCLUDED.flagged_at, public.user_risk.flagged_at),
+      updated_at = NOW()
+    RETURNING *;
+    `,
+    [userId, status, reviewedBy || null, String(note).trim()]
+  );
+  statusCache.delete(Number(userId));
+  return { before, after: rows[0] };
+}
+
+module.exports = {
+  RISK_STATUSES,
+  REVIEW_STATUSES,
+  parseTapCadence,
+  scoreCadence,
+  analyzeTapCadenceTx,
+  getRiskStatus,
+  getWithdrawalRiskCheck,
+  listUserRisk,
+  reviewUserRiskTx,
+  pruneTapPackets,
+};
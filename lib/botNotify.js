@@ -0,0 +1,40 @@
+// lib/botNotify.js
+// Send Telegram bot messages from processes that do not run the Telegraf bot
+// (e.g. the worker), straight through the Bot API.
+//
+// sendBotMessage(chatId, text) -> { ok, status, error }
+// - Never throws for Telegram-side errors; callers decide whether to retry.
+// - `permanent` is true for 4xx answers (user blocked the bot, chat not found),
+//   which retrying will not fix.
+
+const fetch = require("node-fetch");
+
+const BOT_TOKEN = process.env.BOT_TOKEN || "";
+const API_BASE = "https://api.telegram.org";
+
+async function sendBotMessage(chatId, text, { parseMode = null } = {}) {
+  if (!BOT_TOKEN) return { ok: false, status: 0, error: "BOT_TOKEN_MISSING", permanent: true };
+  if (!chatId) return { ok: false, status: 0, error: "CHAT_ID_MISSING", permanent: true };
+
+  const body = { chat_id: chatId, text: String(text || "") };
+  if (parseMode) body.parse_mode = parseMode;
+
+  const res = await fetch(`${API_BASE}/bot${BOT_TOKEN}/sendMessage`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (res.ok && data.ok) return { ok: true, status: res.status, error: null, permanent: false };
+
+  return {
+    ok: false,
+    status: res.status,
+    error: data.description || `HTTP ${res.status}`,
+    permanent: res.status >= 400 && res.status < 500 && res.status !== 429,
+  };
+}
+
+module.exports = {
+  sendBotMessage,
+};
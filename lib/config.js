@@ -1,29 +1,404 @@
 "use strict";
 
-const { pool } = require("./db");
+const { pool, createDedicatedClient } = require("./db");
 
-// Simple app-wide configuration backed by public.app_settings.
-// Values are cached in-process and refreshed periodically to avoid hammering the DB.
+// App-wide configuration backed by versioned revisions
+// (app_settings_revisions + app_settings_revision_values, migration 014).
+// Falls back to the legacy flat public.app_settings table if revisions are missing.
+// Values are cached in-process. While the LISTEN connection is up (startConfigListener),
+// writes invalidate the cache immediately via NOTIFY; otherwise it refreshes every 30s.
 
 let cachedConfig = null;
+let cachedRevisionId = null;
 let lastLoadMs = 0;
 const CACHE_WINDOW_MS = 30000; // 30s should be enough for tuning without adding load
+const LISTEN_CACHE_WINDOW_MS = 5 * 60000; // safety net while NOTIFY invalidation is live
+const NOTIFY_CHANNEL = "app_settings_changed"; // see sql/migrations/015_config_notify.sql
+const LISTEN_RETRY_MAX_MS = 60000;
+
+let listener = null;
+let listenerConnected = false;
+let listenerStarted = false;
+let listenerRetryMs = 1000;
+let activationTimer = null;
+
+// Typed economy settings. Each key lives in app_settings (JSON value); missing or
+// invalid rows fall back to `default`. `client: true` keys are served by /api/config.
+const SETTINGS_SCHEMA = {
+  referral_reward: { type: "int", min: 0, max: 100000, default: 800, client: true },
+  energy_refill_cost: { type: "int", min: 0, max: 1000000, default: 200, client: true },
+  double_boost_cost: { type: "int", min: 0, max: 1000000, default: 200, client: true },
+  daily_checkin_reward: { type: "int", min: 0, max: 100000, default: 500, client: true },
+  vip_month_cost: { type: "int", min: 0, max: 10000000, default: 5000, client: true },
+  vip_max_energy: { type: "int", min: 1, max: 10000, default: 75, client: true },
+  vip_daily_tap_cap: { type: "int", min: 1, max: 1000000, default: 8000, client: true },
+  daily_tap_cap: { type: "int", min: 1, max: 1000000, default: 5000, client: true },
+  tap_reward_per_tap: { type: "int", min: 1, max: 1000, default: 1, client: true },
+  // Streak milestone bonuses (added on top of daily_checkin_reward)
+  streak_bonus: {
+    type: "streak_table",
+    default: [
+      { days: 3, bonus: 200 },
+      { days: 7, bonus: 500 },
+      { days: 14, bonus: 1000 },
+      { days: 30, bonus: 5000 },
+    ],
+    client: true,
+  },
+  // Fixed payouts for the main sponsor missions (mission code -> points).
+  sponsor_fixed_payouts: {
+    type: "int_map",
+    min: 0,
+    max: 100000,
+    default: {
+      sp_visit_partner: 200,
+      sp_watch_content: 200,
+      sp_watch_earn: 200,
+      sp_claim_reward: 200,
+      sp_bonus_mission: 200,
+    },
+    client: false,
+  },
+  // Daily emission budgets (points per UTC day, 0 = unlimited); see lib/emission.js.
+  emission_daily_budget: { type: "int", min: 0, max: 1000000000000, default: 0, client: false },
+  emission_source_budgets: { type: "int_map", min: 0, max: 1000000000000, default: {}, client: false },
+  emission_soft_limit_pct: { type: "int", min: 1, max: 100, default: 90, client: false },
+  emission_reduced_yield_pct: { type: "int", min: 0, max: 100, default: 50, client: false },
+  // Inactivity decay of dormant point balances (0% = disabled); see lib/decay.js.
+  decay_percent_per_week: { type: "int", min: 0, max: 100, default: 0, client: false },
+  decay_grace_days: { type: "int", min: 1, max: 3650, default: 30, client: false },
+  decay_floor: { type: "int", min: 0, max: 1000000000000, default: 1000, client: false },
+  decay_warning_days: { type: "int", min: 0, max: 30, default: 3, client: false },
+  // Tap cadence anti-cheat (risk score 0..100); see lib/antiCheat.js.
+  anticheat_flag_score: { type: "int", min: 1, max: 100, default: 60, client: false },
+  anticheat_throttle_score: { type: "int", min: 1, max: 100, default: 85, client: false },
+  anticheat_max_taps_per_sec: { type: "int", min: 1, max: 100, default: 15, client: false },
+  anticheat_throttle_packet_max: { type: "int", min: 1, max: 100, default: 5, client: false },
+  // Signed tap packets (lib/tapChain.js): "monitor" counts bad chains, "enforce" also rejects them.
+  // Stays "off" until clients sign packets; unsigned packets count as failures otherwise.
+  tap_chain_mode: { type: "enum", values: ["off", "monitor", "enforce"], default: "off", client: true },
+  // Energy regeneration curves per user class ("free", "vip", "vip<tier>"); see lib/energy.js.
+  energy_regen_curves: {
+    type: "regen_curves",
+    default: {
+      free: {
+        max_energy: 50,
+        steps: [
+          { below: 10, seconds: 1 },
+          { below: 30, seconds: 3 },
+          { seconds: 6 },
+        ],
+      },
+    },
+    client: true,
+  },
+  // Timed regen speed-ups: [{ starts_at, ends_at, speed_pct, classes? }].
+  energy_regen_events: { type: "regen_events", default: [], client: true },
+  // Upgrade tree bought with points; see lib/upgrades.js. costs[i] buys level i + 1.
+  // Effects per level: multitap +points per tap, energy_cap +max energy, regen_speed +% regen speed.
+  upgrades: {
+    type: "upgrade_table",
+    keys: ["multitap", "energy_cap", "regen_speed"],
+    default: {
+      multitap: { costs: [500, 1500, 4000, 10000, 25000, 60000], per_level: 1, season_reset: false },
+      energy_cap: { costs: [400, 1200, 3000, 8000, 20000], per_level: 25, season_reset: false },
+      regen_speed: { costs: [600, 1800, 5000, 12000, 30000], per_level: 10, season_reset: false },
+    },
+    client: true,
+  },
+  // Passive mining cards bought with points; see lib/mining.js. levels[i] is
+  // { price, pph } for level i + 1, pph being the card's total points per hour.
+  mining_cards: {
+    type: "mining_cards",
+    default: {
+      solar_rig: {
+        title: "Solar rig",
+        levels: [
+          { price: 1000, pph: 50 },
+          { price: 2500, pph: 110 },
+          { price: 6000, pph: 180 },
+          { price: 14000, pph: 260 },
+        ],
+      },
+      gpu_farm: {
+        title: "GPU farm",
+        levels: [
+          { price: 5000, pph: 200 },
+          { price: 12000, pph: 420 },
+          { price: 28000, pph: 680 },
+        ],
+      },
+      quantum_node: {
+        title: "Quantum node",
+        levels: [
+          { price: 25000, pph: 800 },
+          { price: 60000, pph: 1700 },
+        ],
+      },
+    },
+    client: true,
+  },
+  // Offline mining accrues for at most this many hours between collections.
+  mining_offline_cap_hours: { type: "int", min: 1, max: 72, default: 3, client: true },
+  // Free-form UI flags for the frontend (name -> boolean).
+  feature_flags: { type: "flags", default: {}, client: true },
+};
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function intInRange(v, def) {
+  return Number.isInteger(v) && v >= (def.min ?? -Infinity) && v <= (def.max ?? Infinity);
+}
+
+// One energy curve: { max_energy, steps: [{ below, seconds }, ..., { seconds }] } with
+// ascending `below` and no `below` on the last step. Returns the normalised curve or null.
+function validateRegenCurve(cls, curve) {
+  if (!/^[a-z0-9_]{1,20}$/.test(cls) || !isPlainObject(curve)) return null;
+  if (!intInRange(curve.max_energy, { min: 1, max: 100000 })) return null;
+  const steps = curve.steps;
+  if (!Array.isArray(steps) || !steps.length || steps.length > 10) return null;
+  const out = [];
+  let prev = 0;
+  for (let i = 0; i < steps.length; i += 1) {
+    const st = steps[i];
+    const last = i === steps.length - 1;
+    if (!isPlainObject(st) || typeof st.seconds !== "number" || !(st.seconds > 0) || st.seconds > 3600) return null;
+    if (last) {
+      if (st.below !== undefined && st.below !== null) return null;
+      out.push({ seconds: st.seconds });
+    } else {
+      if (!Number.isInteger(st.below) || st.below <= prev) return null;
+      prev = st.below;
+      out.push({ below: st.below, seconds: st.seconds });
+    }
+  }
+  return { max_energy: curve.max_energy, steps: out };
+}
+
+// One mining card: { title, levels: [{ price, pph }] } with non-decreasing price
+// and increasing pph. Returns the normalised card or null.
+function validateMiningCard(key, card) {
+  if (!/^[a-z0-9_]{1,32}$/.test(key) || !isPlainObject(card)) return null;
+  if (typeof card.title !== "string" || !card.title.trim() || card.title.length > 60) return null;
+  const levels = card.levels;
+  if (!Array.isArray(levels) || !levels.length || levels.length > 25) return null;
+  const out = [];
+  for (const lv of levels) {
+    if (!isPlainObject(lv)) return null;
+    if (!intInRange(lv.price, { min: 0, max: 1000000000000 }) || !intInRange(lv.pph, { min: 1, max: 1000000000 })) return null;
+    const prev = out[out.length - 1];
+    if (prev && (lv.price < prev.price || lv.pph <= prev.pph)) return null;
+    out.push({ price: lv.price, pph: lv.pph });
+  }
+  return { title: card.title.trim(), levels: out };
+}
+
+/**
+ * Validate one setting against SETTINGS_SCHEMA.
+ * Returns { ok: true, value } (normalised) or { ok: false, error }.
+ */
+function validateSetting(key, value) {
+  const def = SETTINGS_SCHEMA[key];
+  if (!def) return { ok: false, error: "UNKNOWN_SETTING" };
+
+  switch (def.type) {
+    case "int": {
+      const n = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      return intInRange(n, def) ? { ok: true, value: n } : { ok: false, error: "OUT_OF_RANGE" };
+    }
+    case "streak_table": {
+      if (!Array.isArray(value) || value.length > 20) return { ok: false, error: "BAD_TYPE" };
+      const rows = [];
+      for (const r of value) {
+        if (!isPlainObject(r) || !Number.isInteger(r.days) || r.days < 1 || !Number.isInteger(r.bonus) || r.bonus < 0) {
+          return { ok: false, error: "BAD_TYPE" };
+        }
+        rows.push({ days: r.days, bonus: r.bonus });
+      }
+      rows.sort((a, b) => a.days - b.days);
+      return { ok: true, value: rows };
+    }
+    case "enum":
+      return def.values.includes(value) ? { ok: true, value } : { ok: false, error: "OUT_OF_RANGE" };
+    case "int_map": {
+      if (!isPlainObject(value)) return { ok: false, error: "BAD_TYPE" };
+      for (const v of Object.values(value)) {
+        if (!intInRange(v, def)) return { ok: false, error: "OUT_OF_RANGE" };
+      }
+      return { ok: true, value: { ...value } };
+    }
+    case "regen_curves": {
+      if (!isPlainObject(value) || !isPlainObject(value.free)) return { ok: false, error: "BAD_TYPE" };
+      const out = {};
+      for (const [cls, curve] of Object.entries(value)) {
+        const c = validateRegenCurve(cls, curve);
+        if (!c) return { ok: false, error: "BAD_TYPE" };
+        out[cls] = c;
+      }
+      return { ok: true, value: out };
+    }
+    case "regen_events": {
+      if (!Array.isArray(value) || value.length > 20) return { ok: false, error: "BAD_TYPE" };
+      const out = [];
+      for (const ev of value) {
+        const starts = isPlainObject(ev) ? new Date(ev.starts_at) : null;
+        const ends = isPlainObject(ev) ? new Date(ev.ends_at) : null;
+        if (!starts || Number.isNaN(starts.getTime()) || Number.isNaN(ends.getTime()) || ends <= starts) {
+          return { ok: false, error: "BAD_TYPE" };
+        }
+        if (!intInRange(ev.speed_pct, { min: 1, max: 1000 })) return { ok: false, error: "OUT_OF_RANGE" };
+        if (ev.classes !== undefined && (!Array.isArray(ev.classes) || ev.classes.some((c) => typeof c !== "string"))) {
+          return { ok: false, error: "BAD_TYPE" };
+        }
+        out.push({
+          starts_at: starts.toISOString(),
+          ends_at: ends.toISOString(),
+          speed_pct: ev.speed_pct,
+          ...(ev.classes && ev.classes.length ? { classes: ev.classes.slice() } : {}),
+        });
+      }
+      return { ok: true, value: out };
+    }
+    case "upgrade_table": {
+      if (!isPlainObject(value)) return { ok: false, error: "BAD_TYPE" };
+      const out = {};
+      for (const [key, u] of Object.entries(value)) {
+        if (!def.keys.includes(key) || !isPlainObject(u)) return { ok: false, error: "BAD_TYPE" };
+        const costs = u.costs;
+        if (!Array.isArray(costs) || costs.length > 50) return { ok: false, error: "BAD_TYPE" };
+        if (costs.some((c, i) => !intInRange(c, { min: 0, max: 1000000000000 }) || (i > 0 && c < costs[i - 1]))) {
+          return { ok: false, error: "OUT_OF_RANGE" };
+        }
+        if (!intInRange(u.per_level, { min: 1, max: 10000 })) return { ok: false, error: "OUT_OF_RANGE" };
+        out[key] = { costs: costs.slice(), per_level: u.per_level, season_reset: u.season_reset === true };
+      }
+      return { ok: true, value: out };
+    }
+    case "mining_cards": {
+      if (!isPlainObject(value) || Object.keys(value).length > 50) return { ok: false, error: "BAD_TYPE" };
+      const out = {};
+      for (const [key, card] of Object.entries(value)) {
+        const c = validateMiningCard(key, card);
+        if (!c) return { ok: false, error: "BAD_TYPE" };
+        out[key] = c;
+      }
+      return { ok: true, value: out };
+    }
+    case "flags": {
+      if (!isPlainObject(value) || Object.values(value).some((v) => typeof v !== "boolean")) {
+        return { ok: false, error: "BAD_TYPE" };
+      }
+      return { ok: true, value: { ...value } };
+    }
+    default:
+      return { ok: false, error: "BAD_TYPE" };
+  }
+}
+
+// Revisions that count: not cancelled, already active, and (optionally) at or
+// before revision `uptoId` in activation order.
+function effectiveRevisionsWhere(uptoId) {
+  return `
+    r.cancelled_at IS NULL
+    AND r.activate_at <= NOW()
+    ${uptoId ? `AND (r.activate_at, r.id) <= (SELECT activate_at, id FROM public.app_settings_revisions WHERE id = ${Number(uptoId)})` : ""}
+  `;
+}
+
+// Per key, the value from the latest effective revision.
+async function readSnapshot(db, uptoId = null) {
+  const { rows } = await db.query(
+    `
+    SELECT DISTINCT ON (v.key) v.key, v.value
+    FROM public.app_settings_revision_values v
+    JOIN public.app_settings_revisions r ON r.id = v.revision_id
+    WHERE ${effectiveRevisionsWhere(uptoId)}
+    ORDER BY v.key, r.activate_at DESC, r.id DESC;
+    `
+  );
+  return rows;
+}
+
+async function readActiveRevisionId(db) {
+  const { rows } = await db.query(
+    `
+    SELECT r.id
+    FROM public.app_settings_revisions r
+    WHERE ${effectiveRevisionsWhere(null)}
+    ORDER BY r.activate_at DESC, r.id DESC
+    LIMIT 1;
+    `
+  );
+  return rows[0] ? Number(rows[0].id) : null;
+}
+
+// Earliest pending scheduled revision, so the cache can expire exactly then.
+async function readNextActivation(db) {
+  const { rows } = await db.query(
+    `
+    SELECT MIN(activate_at) AS at
+    FROM public.app_settings_revisions
+    WHERE cancelled_at IS NULL AND activate_at > NOW();
+    `
+  );
+  return rows[0] && rows[0].at ? new Date(rows[0].at) : null;
+}
+
+function scheduleActivationRefresh(at) {
+  if (activationTimer) clearTimeout(activationTimer);
+  activationTimer = null;
+  if (!at) return;
+  const delay = Math.min(Math.max(0, at.getTime() - Date.now()) + 500, 2 ** 31 - 1);
+  activationTimer = setTimeout(invalidateConfigCache, delay);
+  activationTimer.unref();
+}
+
+const invalidationHooks = [];
+
+// Register a callback run whenever the config cache is invalidated (e.g. via NOTIFY).
+function onConfigInvalidated(fn) {
+  invalidationHooks.push(fn);
+}
+
+function invalidateConfigCache() {
+  lastLoadMs = 0;
+  for (const fn of invalidationHooks) {
+    try {
+      fn();
+    } catch (err) {
+      console.error("config invalidation hook failed:", err);
+    }
+  }
+}
 
 async function loadConfig(force = false) {
   const now = Date.now();
-  if (!force && cachedConfig && now - lastLoadMs < CACHE_WINDOW_MS) {
+  const windowMs = listenerConnected ? LISTEN_CACHE_WINDOW_MS : CACHE_WINDOW_MS;
+  if (!force && cachedConfig && lastLoadMs && now - lastLoadMs < windowMs) {
     return cachedConfig;
   }
 
   const client = await pool.connect();
   try {
-    const res = await client.query("SELECT key, value FROM public.app_settings");
+    let rows;
+    let revisionId = null;
+    try {
+      rows = await readSnapshot(client);
+      revisionId = await readActiveRevisionId(client);
+      scheduleActivationRefresh(await readNextActivation(client));
+    } catch (err) {
+      if (err.code !== "42P01") throw err; // undefined_table: migration 014 not applied yet
+      rows = (await client.query("SELECT key, value FROM public.app_settings")).rows;
+    }
     const cfg = {};
-    for (const row of res.rows || []) {
+    for (const row of rows || []) {
       // Ensure we always treat missing/NULL as undefined and fall back to defaults in callers.
-      cfg[row.key] = row.value;
+      if (row.value !== null) cfg[row.key] = row.value;
     }
     cachedConfig = cfg;
+    cachedRevisionId = revisionId;
     lastLoadMs = now;
     return cfg;
   } catch (err) {
@@ -36,6 +411,275 @@ async function loadConfig(force = false) {
   }
 }
 
+/**
+ * All schema settings, validated, with defaults for missing or invalid rows.
+ */
+async function loadSettings(force = false) {
+  return settingsFromConfig(await loadConfig(force));
+}
+
+// Typed settings from a raw key -> value map (global or per-user, see lib/experiments.js).
+function settingsFromConfig(cfg) {
+  const out = {};
+  for (const [key, def] of Object.entries(SETTINGS_SCHEMA)) {
+    if (!Object.prototype.hasOwnProperty.call(cfg, key) || cfg[key] === null) {
+      out[key] = def.default;
+      continue;
+    }
+    const v = validateSetting(key, cfg[key]);
+    if (!v.ok) {
+      console.warn("app_settings: invalid value, using default", { key, error: v.error });
+    }
+    out[key] = v.ok ? v.value : def.default;
+  }
+  return out;
+}
+
+// Subset of settings that is safe to send to the Mini App.
+async function loadClientConfig(settings = null) {
+  settings = settings || (await loadSettings());
+  const out = {};
+  for (const [key, def] of Object.entries(SETTINGS_SCHEMA)) {
+    if (def.client) out[key] = settings[key];
+  }
+  return out;
+}
+
+function toJsonParam(v) {
+  return v === undefined || v === null ? null : JSON.stringify(v);
+}
+
+async function withClientTx(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    // Serialise settings writers so `previous` values are consistent.
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('app_settings_revisions'))");
+    const out = await fn(client);
+    await client.query("COMMIT");
+    return out;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Insert a revision with `values` ({ key: value|null }); `previous` is the current active value.
+async function insertRevisionTx(client, { values, author = null, note = null, activateAt = null, rollbackOf = null }) {
+  const current = {};
+  for (const row of await readSnapshot(client)) current[row.key] = row.value;
+
+  const revRes = await client.query(
+    `
+    INSERT INTO public.app_settings_revisions (created_by, note, activate_at, rollback_of)
+    VALUES ($1, $2, COALESCE($3::timestamptz, NOW()), $4)
+    RETURNING *;
+    `,
+    [author, note, activateAt ? new Date(activateAt).toISOString() : null, rollbackOf]
+  );
+  const revision = revRes.rows[0];
+
+  for (const [key, value] of Object.entries(values)) {
+    await client.query(
+      `
+      INSERT INTO public.app_settings_revision_values (revision_id, key, value, previous)
+      VALUES ($1, $2, $3::jsonb, $4::jsonb);
+      `,
+      [revision.id, key, toJsonParam(value), toJsonParam(current[key])]
+    );
+  }
+  return revision;
+}
+
+/**
+ * Validate settings ({ key: value, ... }) and store them as one revision.
+ * `activateAt` (optional, future) schedules the change instead of applying it now.
+ * All-or-nothing: returns { ok: false, errors } without writing if any key is invalid.
+ */
+async function updateSettings(values, { author = null, note = null, activateAt = null } = {}) {
+  const errors = {};
+  const clean = {};
+  for (const [key, value] of Object.entries(values || {})) {
+    const v = validateSetting(key, value);
+    if (v.ok) clean[key] = v.value;
+    else errors[key] = v.error;
+  }
+  if (activateAt && Number.isNaN(new Date(activateAt).getTime())) {
+    errors.activate_at = "BAD_DATE";
+  }
+  if (Object.keys(errors).length || !Object.keys(clean).length) {
+    return { ok: false, errors };
+  }
+
+  const revision = await withClientTx((client) =>
+    insertRevisionTx(client, { values: clean, author, note, activateAt })
+  );
+
+  await loadConfig(true);
+  return { ok: true, values: clean, revision };
+}
+
+/**
+ * Atomically restore the config as it was right after revision `revisionId`:
+ * writes one new revision with every key that differs (NULL for keys added since).
+ */
+async function rollbackSettings(revisionId, { author = null, note = null } = {}) {
+  const out = await withClientTx(async (client) => {
+    const target = await client.query(
+      `SELECT id, cancelled_at, activate_at FROM public.app_settings_revisions WHERE id = $1`,
+      [revisionId]
+    );
+    const t = target.rows[0];
+    if (!t || t.cancelled_at || new Date(t.activate_at) > new Date()) return null;
+
+    const then = {};
+    for (const row of await readSnapshot(client, revisionId)) then[row.key] = row.value;
+    const now = {};
+    for (const row of await readSnapshot(client)) now[row.key] = row.value;
+
+    const values = {};
+    for (const key of new Set([...Object.keys(then), ...Object.keys(now)])) {
+      const a = then[key] === undefined ? null : then[key];
+      const b = now[key] === undefined ? null : now[key];
+      if (JSON.stringify(a) !== JSON.stringify(b)) values[key] = a;
+    }
+    if (!Object.keys(values).length) return { revision: null, values };
+
+    const revision = await insertRevisionTx(client, {
+      values,
+      author,
+      note: note || `Rollback to revision ${revisionId}`,
+      rollbackOf: revisionId,
+    });
+    return { revision, values };
+  });
+
+  if (out) await loadConfig(true);
+  return out;
+}
+
+// Cancel a revision that has not activated yet. Returns the revision or null.
+async function cancelScheduledRevision(revisionId, { author = null } = {}) {
+  const { rows } = await pool.query(
+    `
+    UPDATE public.app_settings_revisions
+    SET cancelled_at = NOW(), cancelled_by = $2
+    WHERE id = $1 AND cancelled_at IS NULL AND activate_at > NOW()
+    RETURNING *;
+    `,
+    [revisionId, author]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Newest revisions first, each with its diff ({ key: { from, to } }) and status
+ * (active | superseded | scheduled | cancelled).
+ */
+async function listSettingsRevisions({ limit = 50, beforeId = null } = {}) {
+  const lim = Math.max(1, Math.min(200, Number(limit) || 50));
+  const params = [lim];
+  let where = "";
+  if (beforeId) {
+    params.push(Number(beforeId));
+    where = `WHERE r.id < $2`;
+  }
+  const { rows } = await pool.query(
+    `
+    SELECT r.*,
+           COALESCE(
+             json_object_agg(v.key, json_build_object('from', v.previous, 'to', v.value))
+               FILTER (WHERE v.key IS NOT NULL),
+             '{}'
+           ) AS diff
+    FROM public.app_settings_revisions r
+    LEFT JOIN public.app_settings_revision_values v ON v.revision_id = r.id
+    ${where}
+    GROUP BY r.id
+    ORDER BY r.id DESC
+    LIMIT $1;
+    `,
+    params
+  );
+
+  const activeId = await readActiveRevisionId(pool);
+  const nowMs = Date.now();
+  const out = rows.map((r) => ({
+    ...r,
+    status: r.cancelled_at
+      ? "cancelled"
+      : new Date(r.activate_at).getTime() > nowMs
+        ? "scheduled"
+        : Number(r.id) === activeId
+          ? "active"
+          : "superseded",
+  }));
+  return { rows: out, active_revision_id: activeId, next_cursor: rows.length === lim ? rows[rows.length - 1].id : null };
+}
+
+// Revision id behind the cached config (null on the legacy app_settings fallback).
+function getConfigRevisionId() {
+  return cachedRevisionId;
+}
+
+// ------------ Cross-process invalidation (LISTEN/NOTIFY) ------------
+
+function dropListener(client, err) {
+  if (listener !== client) return;
+  if (err) console.error("config listener error:", err.message || err);
+  listener = null;
+  listenerConnected = false;
+  client.end().catch(() => {});
+
+  // Until we reconnect the 30s timed refresh applies again.
+  const delay = listenerRetryMs;
+  listenerRetryMs = Math.min(listenerRetryMs * 2, LISTEN_RETRY_MAX_MS);
+  setTimeout(connectListener, delay).unref();
+}
+
+async function connectListener() {
+  const client = createDedicatedClient();
+  listener = client;
+  client.on("notification", (msg) => {
+    if (msg.channel !== NOTIFY_CHANNEL) return;
+    invalidateConfigCache();
+    loadConfig(true).catch(() => {});
+  });
+  client.on("error", (err) => dropListener(client, err));
+  client.on("end", () => dropListener(client));
+
+  try {
+    await client.connect();
+    await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+    listenerConnected = true;
+    listenerRetryMs = 1000;
+    // Anything written while we were disconnected was missed.
+    invalidateConfigCache();
+  } catch (err) {
+    dropListener(client, err);
+  }
+}
+
+/**
+ * Subscribe this process to settings changes. Safe to call more than once.
+ */
+function startConfigListener() {
+  if (listenerStarted) return;
+  listenerStarted = true;
+  connectListener();
+}
+
+// For /health: which config this process is serving.
+function getConfigStatus() {
+  return {
+    version: cachedRevisionId,
+    loaded_at: lastLoadMs ? new Date(lastLoadMs).toISOString() : null,
+    listener: listenerConnected ? "connected" : listenerStarted ? "reconnecting" : "off",
+  };
+}
+
 // Convenience helper for callers that want a single key with defaulting.
 function getConfigValue(config, key, defaultValue) {
   if (config && Object.prototype.hasOwnProperty.call(config, key)) {
@@ -46,6 +690,20 @@ function getConfigValue(config, key, defaultValue) {
 }
 
 module.exports = {
+  SETTINGS_SCHEMA,
+  validateSetting,
   loadConfig,
+  loadSettings,
+  settingsFromConfig,
+  loadClientConfig,
+  updateSettings,
+  rollbackSettings,
+  cancelScheduledRevision,
+  listSettingsRevisions,
+  getConfigRevisionId,
+  invalidateConfigCache,
+  onConfigInvalidated,
+  startConfigListener,
+  getConfigStatus,
   getConfigValue,
 };
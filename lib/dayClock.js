@@ -0,0 +1,78 @@
+// lib/dayClock.js
+// Per-user day boundaries for daily resets (taps_today, today_farmed, check-ins,
+// daily mission limits).
+//
+// - users.tz_offset_min uses the JS Date#getTimezoneOffset convention: minutes
+//   behind UTC (UTC+8 -> -480, UTC-5 -> 300). It is taken from the client meta the
+//   first time a valid value arrives and never changes afterwards.
+// - Users without an offset keep UTC days.
+// - Day strings are "YYYY-MM-DD". A stored day is only ever moved forward, so
+//   setting the offset cannot hand out a second reset for the same day.
+// - Daily leaderboards stay on UTC days (utcDay) so everyone shares one window.
+
+const TZ_OFFSET_MIN = -840; // UTC+14
+const TZ_OFFSET_MAX = 720; // UTC-12
+const DAY_MS = 24 * 3600_000;
+
+/**
+ * Valid offset (whole quarter hours within real-world zones) or null.
+ */
+function normalizeTzOffset(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < TZ_OFFSET_MIN || n > TZ_OFFSET_MAX || n % 15 !== 0) return null;
+  return n;
+}
+
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function userOffsetMs(user) {
+  const tz = normalizeTzOffset(user && user.tz_offset_min);
+  return (tz || 0) * 60_000;
+}
+
+/**
+ * The user's local calendar day at `date`.
+ */
+function userDay(user, date = new Date()) {
+  return utcDay(new Date(date.getTime() - userOffsetMs(user)));
+}
+
+/**
+ * A DATE column (string or Date) as "YYYY-MM-DD", or null.
+ */
+function dayOf(value) {
+  if (!value) return null;
+  if (typeof value === "string") return value.slice(0, 10);
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : utcDay(d);
+}
+
+/**
+ * True when `storedDay` is before the user's current local day.
+ */
+function isNewUserDay(user, storedDay, date = new Date()) {
+  const day = dayOf(storedDay);
+  return !day || day < userDay(user, date);
+}
+
+/**
+ * Seconds until the user's local midnight.
+ */
+function secondsUntilUserDayEnd(user, now = new Date()) {
+  const offset = userOffsetMs(user);
+  const local = now.getTime() - offset;
+  const nextLocalMidnight = Math.floor(local / DAY_MS) * DAY_MS + DAY_MS;
+  return Math.max(0, Math.ceil((nextLocalMidnight - local) / 1000));
+}
+
+module.exports = {
+  normalizeTzOffset,
+  utcDay,
+  userDay,
+  dayOf,
+  isNewUserDay,
+  secondsUntilUserDayEnd,
+};
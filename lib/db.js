@@ -1,7 +1,7 @@
 // lib/db.js
 // Shared Postgres pool + transaction helper
 
-const { Pool } = require("pg");
+const { Pool, Client } = require("pg");
 
 const DATABASE_URL = process.env.DATABASE_URL;
 
@@ -10,10 +10,20 @@ if (!DATABASE_URL) {
   console.warn("⚠ DATABASE_URL is not set when loading lib/db.js");
 }
 
-const pool = new Pool({
+const CONNECTION_OPTIONS = {
   connectionString: DATABASE_URL,
   ssl: { rejectUnauthorized: false },
-});
+};
+
+const pool = new Pool(CONNECTION_OPTIONS);
+
+/**
+ * A standalone (non-pooled) client, e.g. for LISTEN. The caller connects and
+ * must end() it; pooled clients cannot hold LISTEN reliably.
+ */
+function createDedicatedClient() {
+  return new Client(CONNECTION_OPTIONS);
+}
 
 /**
  * Run a function inside a DB transaction.
@@ -45,4 +55,5 @@ async function withTransaction(fn) {
 module.exports = {
   pool,
   withTransaction,
+  createDedicatedClient,
 };
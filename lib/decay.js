@@ -0,0 +1,362 @@
+// lib/decay.js
+// Inactivity decay for dormant point balances.
+//
+// Policy (app_settings, see lib/config.js):
+//   decay_percent_per_week   share of the balance removed per week (0 = disabled)
+//   decay_grace_days         days without activity before decay starts
+//   decay_floor              balances never decay below this
+//   decay_warning_days       the bot warns this many days before the first decay
+//
+// A run is a row in decay_runs, processed in `decay_batch` jobs like
+// reconcile_all (lib/reconcile.js): each batch is its own worker transaction and
+// enqueues the next one before committing. Decay is posted as `decay` ledger
+// entries (ref_type "decay_run"), at most once per user per week, and only after
+// the user was warned. VIPs and users with a pending or approved withdrawal are
+// skipped. Any activity (users.last_active_at) ends the dormant stretch.
+
+const { pool, withTransaction } = require("./db");
+const { enqueueJobTx } = require("./jobs");
+const { applyBalanceChangeTx } = require("./ledger");
+const { loadSettings } = require("./config");
+
+const DEFAULT_BATCH_SIZE = 500;
+const MAX_BATCH_SIZE = 5000;
+const DAY_MS = 24 * 3600_000;
+const DECAY_PERIOD_DAYS = 7;
+
+function clampBatchSize(n) {
+  return Math.max(1, Math.min(MAX_BATCH_SIZE, Number(n) || DEFAULT_BATCH_SIZE));
+}
+
+function decayError(code, message) {
+  const err = new Error(message || code);
+  err.code = code;
+  return err;
+}
+
+function decayPolicy(settings) {
+  return {
+    percent: Number(settings.decay_percent_per_week || 0),
+    graceDays: Number(settings.decay_grace_days || 30),
+    floor: Number(settings.decay_floor || 0),
+    warningDays: Number(settings.decay_warning_days || 0),
+  };
+}
+
+/**
+ * Points to remove from `balance` under `policy`; never below the floor and never
+ * more than the user can spend (held points are left alone).
+ */
+function decayAmount({ balance, heldBalance = 0 }, policy) {
+  const byPercent = Math.floor((balance * policy.percent) / 100);
+  return Math.max(0, Math.min(byPercent, balance - policy.floor, balance - heldBalance));
+}
+
+/**
+ * Create a run and enqueue its first batch (transaction already open on `client`).
+ */
+async function startDecayRunTx(client, { startedBy = null, dryRun = false, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  const { rows } = await client.query(
+    `
+    INSERT INTO public.decay_runs (started_by, dry_run, batch_size)
+    VALUES ($1, $2, $3)
+    RETURNING *;
+    `,
+    [startedBy, Boolean(dryRun), clampBatchSize(batchSize)]
+  );
+  const run = rows[0];
+  await enqueueJobTx(client, "decay_batch", { run_id: run.id });
+  return run;
+}
+
+async function startDecayRun(opts) {
+  return withTransaction(async (client) => {
+    const running = await client.query(`SELECT id FROM public.decay_runs WHERE status = 'running' LIMIT 1`);
+    if (running.rows.length) throw decayError("RUN_IN_PROGRESS");
+    return startDecayRunTx(client, opts);
+  });
+}
+
+/**
+ * Start a scheduled run when decay is enabled, none is running and the last one
+ * started at least `intervalMs` ago. Safe to call from several workers at once.
+ */
+async function maybeStartScheduledDecayRun({ intervalMs, batchSize }) {
+  const policy = decayPolicy(await loadSettings());
+  if (!(policy.percent > 0)) return null;
+
+  return withTransaction(async (client) => {
+    const lock = await client.query(`SELECT pg_try_advisory_xact_lock(hashtext('decay_batch_schedule')) AS ok`);
+    if (!lock.rows[0].ok) return null;
+
+    const { rows } = await client.query(`SELECT status, created_at FROM public.decay_runs ORDER BY id DESC LIMIT 1`);
+    const last = rows[0];
+    if (last && last.status === "running") return null;
+    if (last && Date.now() - new Date(last.created_at).getTime() < intervalMs) return null;
+
+    return startDecayRunTx(client, { startedBy: "scheduler", dryRun: false, batchSize });
+  });
+}
+
+/**
+ * Process the next batch of a run (called by the decay_batch job handler on the
+ * worker's transaction client). Returns { done, checked, warned, decayed, points }.
+ */
+async function decayBatchTx(client, runId) {
+  const runRes = await client.query(`SELECT * FROM public.decay_runs WHERE id = $1 FOR UPDATE`, [runId]);
+  const run = runRes.rows[0];
+  if (!run) return null;
+  const empty = { done: true, checked: 0, warned: 0, decayed: 0, points: 0 };
+  if (run.status !== "running") return empty;
+
+  const policy = decayPolicy(await loadSettings());
+  // Candidates are users whose warning window has opened; only they are locked.
+  const usersRes = policy.percent > 0
+    ? await client.query(
+        `
+        SELECT u.id, u.telegram_id, COALESCE(u.balance, 0)::text AS balance,
+               COALESCE(u.held_balance, 0)::text AS held_balance,
+               u.last_active_at, u.decay_warned_at, u.last_decay_at,
+               (COALESCE(u.vip_until > NOW(), FALSE) OR COALESCE(v.vip_until > NOW(), FALSE)) AS is_vip,
+               EXISTS (
+                 SELECT 1 FROM public.withdraw_requests w
+                 WHERE w.user_id = u.id AND w.status IN ('pending', 'approved')
+               ) AS has_open_withdrawal
+        FROM public.users u
+        LEFT JOIN public.user_vip v ON v.telegram_id = u.telegram_id
+        WHERE u.id > $1
+          AND COALESCE(u.balance, 0) > $3
+          AND u.last_active_at < NOW() - make_interval(days => $4)
+        ORDER BY u.id ASC
+        LIMIT $2
+        ${run.dry_run ? "" : "FOR UPDATE OF u"}
+        `,
+        [run.cursor_user_id, run.batch_size, policy.floor, Math.max(0, policy.graceDays - policy.warningDays)]
+      )
+    : { rows: [] };
+  const users = usersRes.rows;
+
+  if (!users.length) {
+    await client.query(
+      `UPDATE public.decay_runs SET status = 'completed', finished_at = NOW() WHERE id = $1`,
+      [runId]
+    );
+    return empty;
+  }
+
+  const now = Date.now();
+  let warned = 0;
+  let decayed = 0;
+  let points = 0;
+  for (const u of users) {
+    if (u.is_vip || u.has_open_withdrawal) continue;
+
+    const lastActive = new Date(u.last_active_at).getTime();
+    const decayStartsAt = lastActive + policy.graceDays * DAY_MS;
+    let warnedAt = u.decay_warned_at ? new Date(u.decay_warned_at).getTime() : null;
+
+    // One warning per dormant stretch.
+    if (warnedAt === null || warnedAt < lastActive) {
+      warned += 1;
+      warnedAt = now;
+      if (!run.dry_run) {
+        await client.query(`UPDATE public.users SET decay_warned_at = NOW() WHERE id = $1`, [u.id]);
+        await enqueueJobTx(client, "decay_warning", {
+          user_id: u.id,
+          telegram_id: u.telegram_id,
+          decay_starts_at: new Date(Math.max(decayStartsAt, now + policy.warningDays * DAY_MS)).toISOString(),
+        });
+      }
+    }
+
+    if (now < decayStartsAt || now - warnedAt < policy.warningDays * DAY_MS) continue;
+    if (u.last_decay_at && now - new Date(u.last_decay_at).getTime() < DECAY_PERIOD_DAYS * DAY_MS) continue;
+
+    const amount = decayAmount({ balance: Number(u.balance), heldBalance: Number(u.held_balance) }, policy);
+    if (amount <= 0) continue;
+
+    decayed += 1;
+    points += amount;
+    if (!run.dry_run) {
+      await applyBalanceChangeTx(client, {
+        userId: u.id,
+        delta: -amount,
+        reason: "decay",
+        refType: "decay_run",
+        refId: runId,
+        eventType: "decay",
+      });
+      await client.query(`UPDATE public.users SET last_decay_at = NOW() WHERE id = $1`, [u.id]);
+    }
+  }
+
+  await client.query(
+    `
+    UPDATE public.decay_runs
+    SET cursor_user_id = $2,
+        users_checked = users_checked + $3,
+        users_warned = users_warned + $4,
+        users_decayed = users_decayed + $5,
+        points_decayed = points_decayed + $6
+    WHERE id = $1
+    `,
+    [runId, users[users.length - 1].id, users.length, warned, decayed, points]
+  );
+
+  // Chain the next batch; it only becomes visible if this batch commits.
+  await enqueueJobTx(client, "decay_batch", { run_id: runId });
+  return { done: false, checked: users.length, warned, decayed, points };
+}
+
+async function markDecayRunFailed(runId, message) {
+  await pool.query(
+    `
+    UPDATE public.decay_runs
+    SET status = 'failed', finished_at = NOW(), last_error = $2
+    WHERE id = $1 AND status = 'running'
+    `,
+    [runId, String(message || "").slice(0, 500)]
+  );
+}
+
+/**
+ * Refund the decay entries of a run (optionally one user's only) with
+ * `decay_reversal` entries (ref_type "ledger_entry"). Entries already refunded
+ * or reversed by an admin are skipped. `note` (the reason) is required.
+ * last_decay_at is left as is, so a refunded user is not decayed again before
+ * the weekly limit allows it. Returns { entries, points, users }.
+ */
+async function reverseDecayTx(client, { runId, userId = null, note }) {
+  if (!String(note || "").trim()) throw decayError("REASON_REQUIRED");
+  if (!runId) throw decayError("BAD_INPUT", "run_id is required");
+
+  const params = [runId];
+  let userFilter = "";
+  if (userId) {
+    params.push(userId);
+    userFilter = `AND l.user_id = $${params.length}`;
+  }
+  const { rows } = await client.query(
+    `
+    SELECT l.id, l.user_id, l.delta
+    FROM public.user_balance_ledger l
+    WHERE l.reason = 'decay' AND l.ref_type = 'decay_run' AND l.ref_id = $1 ${userFilter}
+      AND NOT EXISTS (
+        SELECT 1 FROM public.user_balance_ledger r
+        WHERE r.reason IN ('decay_reversal', 'admin_reversal')
+          AND r.ref_type = 'ledger_entry' AND r.ref_id = l.id
+      )
+    ORDER BY l.user_id ASC, l.id ASC
+    FOR UPDATE OF l
+    `,
+    params
+  );
+  if (!rows.length) throw decayError("NOTHING_TO_REVERSE");
+
+  let points = 0;
+  const users = new Set();
+  for (const entry of rows) {
+    const amount = -Number(entry.delta);
+    await applyBalanceChangeTx(client, {
+      userId: entry.user_id,
+      delta: amount,
+      reason: "decay_reversal",
+      refType: "ledger_entry",
+      refId: entry.id,
+      eventType: "decay_reversal",
+      note: String(note).trim(),
+    });
+    points += amount;
+    users.add(entry.user_id);
+  }
+  return { entries: rows.length, points, users: users.size };
+}
+
+/**
+ * Aggregate decay over the last `days` days: the policy, recent runs, daily
+ * decayed/refunded totals and how many users are currently warned.
+ */
+async function getDecayReport({ days = 30 } = {}) {
+  const lookback = Math.max(1, Math.min(365, Number(days) || 30));
+  const policy = decayPolicy(await loadSettings());
+
+  const runsRes = await pool.query(
+    `
+    SELECT *
+    FROM public.decay_runs
+    WHERE created_at >= NOW() - make_interval(days => $1)
+    ORDER BY id DESC
+    LIMIT 100;
+    `,
+    [lookback]
+  );
+
+  const dailyRes = await pool.query(
+    `
+    SELECT (created_at AT TIME ZONE 'UTC')::date::text AS day,
+           COALESCE(-SUM(delta) FILTER (WHERE reason = 'decay'), 0)::text AS points_decayed,
+           COUNT(DISTINCT user_id) FILTER (WHERE reason = 'decay') AS users_decayed,
+           COALESCE(SUM(delta) FILTER (WHERE reason = 'decay_reversal'), 0)::text AS points_refunded,
+           COUNT(DISTINCT user_id) FILTER (WHERE reason = 'decay_reversal') AS users_refunded
+    FROM public.user_balance_ledger
+    WHERE reason IN ('decay', 'decay_reversal')
+      AND currency = 'points'
+      AND created_at >= NOW() - make_interval(days => $1)
+    GROUP BY 1
+    ORDER BY 1 DESC;
+    `,
+    [lookback]
+  );
+
+  const warnedRes = await pool.query(
+    `
+    SELECT COUNT(*)::int AS warned
+    FROM public.users
+    WHERE decay_warned_at IS NOT NULL AND decay_warned_at >= last_active_at
+    `
+  );
+
+  const daily = dailyRes.rows.map((r) => ({
+    day: r.day,
+    points_decayed: Number(r.points_decayed),
+    users_decayed: Number(r.users_decayed),
+    points_refunded: Number(r.points_refunded),
+    users_refunded: Number(r.users_refunded),
+  }));
+  const totals = daily.reduce(
+    (acc, d) => {
+      acc.points_decayed += d.points_decayed;
+      acc.points_refunded += d.points_refunded;
+      return acc;
+    },
+    { points_decayed: 0, points_refunded: 0 }
+  );
+  totals.net_decayed = totals.points_decayed - totals.points_refunded;
+
+  return {
+    days: lookback,
+    policy: {
+      percent_per_week: policy.percent,
+      grace_days: policy.graceDays,
+      floor: policy.floor,
+      warning_days: policy.warningDays,
+      enabled: policy.percent > 0,
+    },
+    users_warned_now: warnedRes.rows[0].warned,
+    totals,
+    daily,
+    runs: runsRes.rows,
+  };
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  decayAmount,
+  startDecayRunTx,
+  startDecayRun,
+  maybeStartScheduledDecayRun,
+  decayBatchTx,
+  markDecayRunFailed,
+  reverseDecayTx,
+  getDecayReport,
+};
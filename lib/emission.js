@@ -0,0 +1,238 @@
+// lib/emission.js
+// Daily point emission budget for the reward paths (taps, missions, ads, referrals, mining).
+//
+// - emission_daily keeps minted points per UTC day and source, budget or not. The
+//   day's total is the sum of the source rows (rows with source "total" written by
+//   older versions are ignored).
+// - Budgets come from settings (0 / missing = unlimited):
+//     emission_daily_budget      global points per UTC day
+//     emission_source_budgets    { tap: n, mission: n, ad: n, referral: n, mining: n }
+// - Taps degrade gradually: past emission_soft_limit_pct of a budget they pay
+//   emission_reduced_yield_pct, and stop ("paused") once the budget is spent.
+//   Other sources pay in full until the budget is reached, then pause.
+// - Reservations share the caller's transaction, so a rolled-back reward does
+//   not count against the budget.
+// - A mint locks only its source row. While a total budget is set, mints also take
+//   a per-day advisory lock so the summed total cannot be overshot concurrently;
+//   without one, sources never wait on each other.
+
+const { pool, withTransaction } = require("./db");
+const { applyBalanceChangeTx } = require("./ledger");
+const { loadSettings } = require("./config");
+
+const EMISSION_SOURCES = ["tap", "mission", "ad", "referral", "mining"];
+const TOTAL_SOURCE = "total";
+
+function emissionDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Round x up or down at random so reduced yields stay fair on 1-point taps.
+function stochasticRound(x) {
+  const base = Math.floor(x);
+  return base + (Math.random() < x - base ? 1 : 0);
+}
+
+function budgetsFor(settings, source) {
+  return {
+    total: Number(settings.emission_daily_budget || 0),
+    source: Number((settings.emission_source_budgets || {})[source] || 0),
+  };
+}
+
+/**
+ * Work out how much of `amount` may be minted given what was already minted today.
+ * Returns { granted, state: "ok" | "reduced" | "paused" }.
+ */
+function decideGrant({ amount, mintedTotal, mintedSource, budgets, settings, scaled }) {
+  const limits = [];
+  if (budgets.total > 0) limits.push({ budget: budgets.total, used: mintedTotal });
+  if (budgets.source > 0) limits.push({ budget: budgets.source, used: mintedSource });
+  if (!limits.length) return { granted: amount, state: "ok" };
+
+  const remaining = Math.min(...limits.map((l) => l.budget - l.used));
+  if (remaining <= 0) return { granted: 0, state: "paused" };
+  if (!scaled) return { granted: amount, state: "ok" };
+
+  const softPct = Number(settings.emission_soft_limit_pct || 100);
+  const soft = limits.some((l) => l.used >= (l.budget * softPct) / 100);
+  let granted = amount;
+  let state = "ok";
+  if (soft) {
+    granted = stochasticRound((amount * Number(settings.emission_reduced_yield_pct || 0)) / 100);
+    state = "reduced";
+  }
+  return { granted: Math.min(granted, remaining), state };
+}
+
+// Minted today over all sources; exact while the caller holds the total lock.
+async function mintedTotalTx(db, day) {
+  const { rows } = await db.query(
+    `SELECT COALESCE(SUM(minted), 0)::text AS minted FROM public.emission_daily WHERE day = $1 AND source <> $2`,
+    [day, TOTAL_SOURCE]
+  );
+  return Number(rows[0].minted);
+}
+
+async function lockCounterTx(client, day, source) {
+  const { rows } = await client.query(
+    `
+    INSERT INTO public.emission_daily (day, source, minted)
+    VALUES ($1, $2, 0)
+    ON CONFLICT (day, source) DO UPDATE SET minted = public.emission_daily.minted
+    RETURNING minted::text AS minted;
+    `,
+    [day, source]
+  );
+  return Number(rows[0].minted);
+}
+
+/**
+ * Reserve up to `amount` points for `source` from today's budgets.
+ * `scaled` enables the reduced-yield zone (taps). Returns { granted, requested, state }.
+ */
+async function reserveEmissionTx(client, { source, amount, scaled = false, settings = null }) {
+  if (!EMISSION_SOURCES.includes(source)) throw new Error("emission: unknown source " + source);
+  const requested = Math.max(0, Math.floor(Number(amount) || 0));
+  if (!requested) return { granted: 0, requested, state: "ok" };
+
+  settings = settings || (await loadSettings());
+  const budgets = budgetsFor(settings, source);
+
+  const day = emissionDay();
+  // Take the total lock before the source row so concurrent reservations cannot deadlock.
+  let mintedTotal = 0;
+  if (budgets.total > 0) {
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('emission_total:' || $1))`, [day]);
+    mintedTotal = await mintedTotalTx(client, day);
+  }
+  const mintedSource = await lockCounterTx(client, day, source);
+
+  const { granted, state } = decideGrant({
+    amount: requested,
+    mintedTotal,
+    mintedSource,
+    budgets,
+    settings,
+    scaled,
+  });
+
+  if (granted > 0) {
+    await client.query(
+      `
+      UPDATE public.emission_daily
+      SET minted = minted + $3, updated_at = NOW()
+      WHERE day = $1 AND source = $2;
+      `,
+      [day, source, granted]
+    );
+  }
+  return { granted, requested, state };
+}
+
+/**
+ * Reserve emission and credit the granted points (and the same season score)
+ * through the ledger.
+ * Takes the applyBalanceChangeTx arguments plus { source, amount, scaled }.
+ * Returns { granted, requested, state, user } (user is null when nothing was minted).
+ */
+async function mintRewardTx(client, { source, amount, scaled = false, userId, reason, refType = null, refId = null, eventType = null }) {
+  const e = await reserveEmissionTx(client, { source, amount, scaled });
+  let user = null;
+  if (e.granted > 0) {
+    ({ user } = await applyBalanceChangeTx(client, {
+      userId,
+      delta: e.granted,
+      reason,
+      refType,
+      refId,
+      eventType,
+    }));
+    // Gameplay points also count towards the user's current season score.
+    await applyBalanceChangeTx(client, {
+      userId,
+      delta: e.granted,
+      currency: "season",
+      reason: "season_score",
+      refType,
+      refId,
+      eventType: "season_score",
+    });
+  }
+  return { ...e, user };
+}
+
+async function mintReward(args) {
+  return withTransaction((client) => mintRewardTx(client, args));
+}
+
+/**
+ * Read-only check so routes can refuse early (before spending energy, charging a
+ * sponsor, ...) when `source` is already paused for today.
+ */
+async function isEmissionPaused(source) {
+  const settings = await loadSettings();
+  const budgets = budgetsFor(settings, source);
+  if (!(budgets.total > 0) && !(budgets.source > 0)) return false;
+
+  const day = emissionDay();
+  if (budgets.total > 0 && (await mintedTotalTx(pool, day)) >= budgets.total) return true;
+  if (!(budgets.source > 0)) return false;
+  const { rows } = await pool.query(
+    `SELECT minted::text AS minted FROM public.emission_daily WHERE day = $1 AND source = $2`,
+    [day, source]
+  );
+  return Number(rows[0]?.minted || 0) >= budgets.source;
+}
+
+/**
+ * Today's emission per source against its budget, plus the previous `days` days.
+ */
+async function getEmissionStatus({ days = 7 } = {}) {
+  const settings = await loadSettings();
+  const lookback = Math.max(1, Math.min(90, Number(days) || 7));
+  const today = emissionDay();
+
+  const { rows } = await pool.query(
+    `
+    SELECT day::text AS day, source, minted::text AS minted
+    FROM public.emission_daily
+    WHERE day > ($1::date - $2::int) AND source <> $3
+    UNION ALL
+    SELECT day::text, $3, SUM(minted)::text
+    FROM public.emission_daily
+    WHERE day > ($1::date - $2::int) AND source <> $3
+    GROUP BY day
+    ORDER BY day DESC, source ASC;
+    `,
+    [today, lookback, TOTAL_SOURCE]
+  );
+
+  const todayRows = new Map(rows.filter((r) => r.day === today).map((r) => [r.source, Number(r.minted)]));
+  const softPct = Number(settings.emission_soft_limit_pct || 100);
+  const describe = (source, budget) => {
+    const minted = todayRows.get(source) || 0;
+    let state = "ok";
+    if (budget > 0 && minted >= budget) state = "paused";
+    else if (budget > 0 && minted >= (budget * softPct) / 100) state = "soft_limit";
+    return { source, minted, budget: budget || null, remaining: budget > 0 ? Math.max(0, budget - minted) : null, state };
+  };
+
+  return {
+    day: today,
+    total: describe(TOTAL_SOURCE, Number(settings.emission_daily_budget || 0)),
+    sources: EMISSION_SOURCES.map((s) => describe(s, budgetsFor(settings, s).source)),
+    soft_limit_pct: softPct,
+    reduced_yield_pct: Number(settings.emission_reduced_yield_pct || 0),
+    history: rows.map((r) => ({ day: r.day, source: r.source, minted: Number(r.minted) })),
+  };
+}
+
+module.exports = {
+  EMISSION_SOURCES,
+  reserveEmissionTx,
+  mintRewardTx,
+  mintReward,
+  isEmissionPaused,
+  getEmissionStatus,
+};
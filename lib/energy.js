@@ -0,0 +1,236 @@
+// lib/energy.js
+// Energy regeneration from data-driven curves (settings energy_regen_curves and
+// energy_regen_events), computed in closed form.
+//
+// - A curve has a default max_energy and steps: "below energy N, one point every
+//   S seconds"; the last step has no `below`. Curves are picked per user class:
+//   "vip<tier>", then "vip" for active VIPs, otherwise "free".
+// - Events speed classes up (speed_pct 200 = twice as fast) between starts_at and
+//   ends_at; elapsed time is split at event boundaries, so an event never applies
+//   to time before it started.
+// - The cap is the curve's max_energy; users.max_energy, when set, is a per-user
+//   minimum (e.g. the VIP purchase's vip_max_energy). users.energy_cap keeps
+//   the cap in force at the last settlement: when the cap is raised, time already
+//   elapsed only regenerates up to the old cap.
+// - Settling keeps the partial progress towards the next point by moving
+//   last_energy_ts back by the leftover, so frequent settles do not stall regen.
+// - energy_cap / regen_speed upgrades (lib/upgrades.js) add to the cap and speed.
+
+const { withTransaction } = require("./db");
+const { upgradeEffects } = require("./upgrades");
+const { loadSettingsForUser } = require("./experiments");
+
+const DEFAULT_CURVE_CLASS = "free";
+const IDLE_FALLBACK_MS = 3600_000;
+
+function curveClassForUser(user, curves, now = new Date()) {
+  const vipActive = user.vip_until && new Date(user.vip_until) > now;
+  if (vipActive) {
+    const tier = Number(user.vip_tier || 0);
+    if (tier > 0 && curves[`vip${tier}`]) return `vip${tier}`;
+    if (curves.vip) return "vip";
+  }
+  return DEFAULT_CURVE_CLASS;
+}
+
+/**
+ * The user's curve: { curveClass, maxEnergy, steps }.
+ */
+function resolveCurve(user, settings, now = new Date()) {
+  const curves = settings.energy_regen_curves || {};
+  const curveClass = curveClassForUser(user, curves, now);
+  const curve = curves[curveClass] || curves[DEFAULT_CURVE_CLASS];
+  return { curveClass, maxEnergy: Number(curve.max_energy), steps: curve.steps };
+}
+
+function energyCap(user, curve, effects) {
+  return Math.max(curve.maxEnergy, Number(user.max_energy) || 0) + effects.capBonus;
+}
+
+// Speed (percent) of `curveClass` at instant `t`; overlapping events multiply.
+function speedAt(events, curveClass, t, basePct = 100) {
+  let pct = basePct;
+  for (const ev of events) {
+    if (ev.classes && ev.classes.length && !ev.classes.includes(curveClass)) continue;
+    if (t >= new Date(ev.starts_at).getTime() && t < new Date(ev.ends_at).getTime()) {
+      pct = (pct * ev.speed_pct) / 100;
+    }
+  }
+  return pct;
+}
+
+// [from, to) split at event boundaries into windows of constant speed.
+function speedWindows(events, curveClass, from, to, basePct) {
+  const cuts = new Set([from, to]);
+  for (const ev of events) {
+    for (const t of [new Date(ev.starts_at).getTime(), new Date(ev.ends_at).getTime()]) {
+      if (t > from && t < to) cuts.add(t);
+    }
+  }
+  const points = Array.from(cuts).sort((a, b) => a - b);
+  const windows = [];
+  for (let i = 1; i < points.length; i += 1) {
+    windows.push({ ms: points[i] - points[i - 1], speedPct: speedAt(events, curveClass, points[i - 1], basePct) });
+  }
+  return windows;
+}
+
+function stepMs(step, speedPct) {
+  return (Number(step.seconds) * 1000 * 100) / speedPct;
+}
+
+/**
+ * Regenerate from `energy` for `ms` at constant speed. One iteration per curve
+ * step, not per point. Returns { energy, leftoverMs }.
+ */
+function regenWindow(energy, cap, ms, steps, speedPct) {
+  let e = energy;
+  let left = ms;
+  for (const step of steps) {
+    if (e >= cap || left <= 0) break;
+    const end = Math.min(cap, step.below ?? cap);
+    if (e >= end) continue;
+    const cost = stepMs(step, speedPct);
+    const need = end - e;
+    if (left >= need * cost) {
+      e = end;
+      left -= need * cost;
+    } else {
+      const gained = Math.floor(left / cost);
+      e += gained;
+      left -= gained * cost;
+      return { energy: e, leftoverMs: left };
+    }
+  }
+  return { energy: Math.min(e, cap), leftoverMs: e >= cap ? 0 : left };
+}
+
+/**
+ * Seconds until `energy` reaches `cap` at the current speed (ignores future events).
+ */
+function secondsUntilFull(energy, cap, steps, speedPct, progressMs = 0) {
+  let e = energy;
+  let ms = -progressMs;
+  for (const step of steps) {
+    if (e >= cap) break;
+    const end = Math.min(cap, step.below ?? cap);
+    if (e >= end) continue;
+    ms += (end - e) * stepMs(step, speedPct);
+    e = end;
+  }
+  return Math.max(0, Math.ceil(ms / 1000));
+}
+
+/**
+ * Energy of `user` at `now` (pure). Returns
+ * { energy, cap, curveClass, leftoverMs, secondsToFull, fullAt }.
+ */
+function computeEnergy(user, settings, now = new Date()) {
+  const curve = resolveCurve(user, settings, now);
+  const effects = upgradeEffects(user, settings);
+  const cap = energyCap(user, curve, effects);
+  const events = settings.energy_regen_events || [];
+  const start = Number(user.energy || 0);
+  const nowMs = now.getTime();
+  const last = user.last_energy_ts ? new Date(user.last_energy_ts).getTime() : nowMs - IDLE_FALLBACK_MS;
+
+  // Elapsed time regenerates only up to the cap in force at the last settlement.
+  const storedCap = Number(user.energy_cap) || cap;
+  const elapsedCap = Math.min(cap, Math.max(storedCap, start));
+
+  let energy = start;
+  let leftoverMs = 0;
+  if (nowMs > last && energy < elapsedCap) {
+    for (const w of speedWindows(events, curve.curveClass, last, nowMs, effects.regenSpeedPct)) {
+      const r = regenWindow(energy, elapsedCap, w.ms, curve.steps, w.speedPct);
+      energy = r.energy;
+      leftoverMs = r.leftoverMs;
+    }
+  }
+  energy = Math.min(energy, cap);
+  if (energy >= cap) leftoverMs = 0;
+
+  const secondsToFull = secondsUntilFull(
+    energy,
+    cap,
+    curve.steps,
+    speedAt(events, curve.curveClass, nowMs, effects.regenSpeedPct),
+    leftoverMs
+  );
+  return {
+    energy,
+    cap,
+    curveClass: curve.curveClass,
+    leftoverMs: Math.floor(leftoverMs),
+    secondsToFull,
+    fullAt: secondsToFull > 0 ? new Date(nowMs + secondsToFull * 1000) : null,
+  };
+}
+
+/**
+ * Persist computeEnergy for `user` (db = a transaction client; without one a
+ * transaction is opened). Energy is recomputed from the locked row, so a
+ * concurrent spend (e.g. the tap flush) is never overwritten by a stale value.
+ * Returns the user object with energy / last_energy_ts / energy_cap updated.
+ */
+async function settleEnergy(user, settings, db = null) {
+  const settle = async (client) => {
+    const { rows } = await client.query(
+      `SELECT energy, last_energy_ts, energy_cap, max_energy FROM public.users WHERE id = $1 FOR UPDATE`,
+      [user.id]
+    );
+    if (!rows.length) return user;
+    Object.assign(user, rows[0]);
+
+    const now = new Date();
+    const r = computeEnergy(user, settings, now);
+    const lastTs = new Date(now.getTime() - r.leftoverMs);
+    await client.query(
+      `
+      UPDATE public.users
+      SET energy = $2,
+          last_energy_ts = $3,
+          energy_cap = $4
+      WHERE id = $1
+      `,
+      [user.id, r.energy, lastTs.toISOString(), r.cap]
+    );
+    user.energy = r.energy;
+    user.last_energy_ts = lastTs;
+    user.energy_cap = r.cap;
+    return user;
+  };
+  return db ? settle(db) : withTransaction(settle);
+}
+
+/**
+ * Fill `userId`'s energy to their current cap (transaction open on `client`).
+ * Returns the updated user row, or null when the user does not exist.
+ */
+async function refillEnergyTx(client, userId, settings = null) {
+  const { rows } = await client.query(`SELECT * FROM public.users WHERE id = $1 FOR UPDATE`, [userId]);
+  const user = rows[0];
+  if (!user) return null;
+  const { cap } = computeEnergy(user, settings || (await loadSettingsForUser(user)));
+  const upd = await client.query(
+    `
+    UPDATE public.users
+    SET energy = $2,
+        energy_cap = $2,
+        last_energy_ts = NOW()
+    WHERE id = $1
+    RETURNING *;
+    `,
+    [userId, cap]
+  );
+  return upd.rows[0];
+}
+
+module.exports = {
+  curveClassForUser,
+  resolveCurve,
+  computeEnergy,
+  settleEnergy,
+  refillEnergyTx,
+  secondsUntilFull,
+};
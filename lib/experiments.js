@@ -0,0 +1,342 @@
+// lib/experiments.js
+// A/B experiments on top of the typed settings in lib/config.js.
+//
+// - An experiment has variants with percentage weights and per-variant setting
+//   overrides (validated against SETTINGS_SCHEMA).
+// - Assignment is deterministic: sha256(salt:user_id) -> bucket 0..9999, so a user
+//   always lands in the same variant without a lookup.
+// - First exposure is stored in experiment_assignments and logged to event_log
+//   ("experiment_exposure") so reports only count users who actually saw a variant.
+
+const crypto = require("crypto");
+const { pool } = require("./db");
+const { loadConfig, settingsFromConfig, validateSetting, onConfigInvalidated } = require("./config");
+
+const CACHE_WINDOW_MS = 30000;
+const BUCKETS = 10000; // weights are percentages with up to two decimals
+const EXPOSURE_MEMO_MAX = 50000;
+
+let cachedRunning = null;
+let lastLoadMs = 0;
+// "experimentId:userId" already recorded by this process.
+const exposureMemo = new Set();
+
+onConfigInvalidated(() => {
+  lastLoadMs = 0;
+});
+
+async function loadRunningExperiments(force = false) {
+  const now = Date.now();
+  if (!force && cachedRunning && now - lastLoadMs < CACHE_WINDOW_MS) {
+    return cachedRunning;
+  }
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, key, variants, salt FROM public.experiments WHERE status = 'running' ORDER BY id ASC`
+    );
+    cachedRunning = rows;
+    lastLoadMs = now;
+  } catch (err) {
+    console.error("Error loading experiments:", err);
+    // Keep the last known set; with none, users simply get the global config.
+    if (!cachedRunning) cachedRunning = [];
+  }
+  return cachedRunning;
+}
+
+function bucketFor(experiment, userId) {
+  const h = crypto.createHash("sha256").update(`${experiment.salt}:${userId}`).digest();
+  return h.readUInt32BE(0) % BUCKETS;
+}
+
+/**
+ * Variant for this user, or null if the user falls outside the allocation.
+ */
+function assignVariant(experiment, userId) {
+  const bucket = bucketFor(experiment, userId);
+  let upper = 0;
+  for (const v of experiment.variants || []) {
+    upper += Math.round(Number(v.weight || 0) * (BUCKETS / 100));
+    if (bucket < upper) return v;
+  }
+  return null;
+}
+
+/**
+ * Validate { key, description, variants } for create.
+ * Returns { ok: true, value } or { ok: false, error, detail? }.
+ */
+function validateExperimentInput({ key, description = null, variants }) {
+  if (!/^[a-z0-9_]{2,60}$/.test(String(key || ""))) return { ok: false, error: "BAD_KEY" };
+  if (!Array.isArray(variants) || variants.length < 2 || variants.length > 10) {
+    return { ok: false, error: "BAD_VARIANTS" };
+  }
+
+  const seen = new Set();
+  let total = 0;
+  const clean = [];
+  for (const v of variants) {
+    const vkey = String((v && v.key) || "");
+    const weight = Number(v && v.weight);
+    if (!/^[a-z0-9_]{1,40}$/.test(vkey) || seen.has(vkey)) return { ok: false, error: "BAD_VARIANTS" };
+    if (!Number.isFinite(weight) || weight < 0 || weight > 100) return { ok: false, error: "BAD_WEIGHT" };
+    seen.add(vkey);
+    total += weight;
+
+    const overrides = {};
+    for (const [k, val] of Object.entries((v && v.overrides) || {})) {
+      const r = validateSetting(k, val);
+      if (!r.ok) return { ok: false, error: "BAD_OVERRIDE", detail: { variant: vkey, key: k, error: r.error } };
+      overrides[k] = r.value;
+    }
+    clean.push({ key: vkey, weight, overrides });
+  }
+  if (total > 100 + 1e-9) return { ok: false, error: "BAD_WEIGHT" };
+
+  return { ok: true, value: { key, description: description ? String(description) : null, variants: clean } };
+}
+
+function overrideKeys(experiment) {
+  const keys = new Set();
+  for (const v of experiment.variants || []) {
+    for (const k of Object.keys(v.overrides || {})) keys.add(k);
+  }
+  return keys;
+}
+
+async function recordExposure(userId, experiment, variantKey) {
+  const memoKey = `${experiment.id}:${userId}`;
+  if (exposureMemo.has(memoKey)) return;
+  if (exposureMemo.size >= EXPOSURE_MEMO_MAX) exposureMemo.clear();
+  exposureMemo.add(memoKey);
+
+  try {
+    const ins = await pool.query(
+      `
+      INSERT INTO public.experiment_assignments (experiment_id, user_id, variant)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (experiment_id, user_id) DO NOTHING;
+      `,
+      [experiment.id, userId, variantKey]
+    );
+    if (ins.rowCount) {
+      await pool.query(
+        `INSERT INTO public.event_log (user_id, event, meta) VALUES ($1, 'experiment_exposure', $2)`,
+        [userId, { experiment: experiment.key, variant: variantKey }]
+      );
+    }
+  } catch (err) {
+    exposureMemo.delete(memoKey);
+    console.error("Error recording experiment exposure:", err.message || err);
+  }
+}
+
+/**
+ * Global config with this user's variant overrides merged in.
+ * Returns { config, settings, assignments: [{ experiment, variant }] }.
+ */
+async function loadConfigForUser(user) {
+  const base = await loadConfig();
+  const config = { ...base };
+  const assignments = [];
+
+  if (user && user.id) {
+    for (const exp of await loadRunningExperiments()) {
+      const variant = assignVariant(exp, user.id);
+      if (!variant) continue;
+      Object.assign(config, variant.overrides || {});
+      assignments.push({ experiment: exp.key, variant: variant.key });
+      recordExposure(user.id, exp, variant.key);
+    }
+  }
+
+  return { config, settings: settingsFromConfig(config), assignments };
+}
+
+async function loadSettingsForUser(user) {
+  return (await loadConfigForUser(user)).settings;
+}
+
+// ------------ Admin helpers ------------
+
+async function listExperiments() {
+  const { rows } = await pool.query(
+    `
+    SELECT e.*, COALESCE(a.exposed, 0)::int AS exposed
+    FROM public.experiments e
+    LEFT JOIN (
+      SELECT experiment_id, COUNT(*) AS exposed FROM public.experiment_assignments GROUP BY experiment_id
+    ) a ON a.experiment_id = e.id
+    ORDER BY e.id DESC;
+    `
+  );
+  return rows;
+}
+
+async function createExperiment(input, { createdBy = null } = {}) {
+  const v = validateExperimentInput(input);
+  if (!v.ok) return v;
+  const { rows } = await pool.query(
+    `
+    INSERT INTO public.experiments (key, description, variants, created_by)
+    VALUES ($1, $2, $3::jsonb, $4)
+    RETURNING *;
+    `,
+    [v.value.key, v.value.description, JSON.stringify(v.value.variants), createdBy]
+  );
+  return { ok: true, experiment: rows[0] };
+}
+
+/**
+ * draft -> running -> stopped. Starting fails with OVERLAPPING_EXPERIMENT if another
+ * running experiment overrides one of the same settings.
+ */
+async function setExperimentStatus(id, status) {
+  if (!["running", "stopped"].includes(status)) return { ok: false, error: "BAD_STATUS" };
+
+  const cur = await pool.query(`SELECT * FROM public.experiments WHERE id = $1`, [id]);
+  const exp = cur.rows[0];
+  if (!exp) return { ok: false, error: "NOT_FOUND" };
+  if (status === "running" && exp.status !== "draft") return { ok: false, error: "BAD_STATUS" };
+  if (status === "stopped" && exp.status !== "running") return { ok: false, error: "BAD_STATUS" };
+
+  if (status === "running") {
+    const mine = overrideKeys(exp);
+    for (const other of await loadRunningExperiments(true)) {
+      if ([...overrideKeys(other)].some((k) => mine.has(k))) {
+        return { ok: false, error: "OVERLAPPING_EXPERIMENT", detail: { experiment: other.key } };
+      }
+    }
+  }
+
+  const { rows } = await pool.query(
+    `
+    UPDATE public.experiments
+    SET status = $2,
+        started_at = CASE WHEN $2 = 'running' THEN NOW() ELSE started_at END,
+        stopped_at = CASE WHEN $2 = 'stopped' THEN NOW() ELSE stopped_at END
+    WHERE id = $1
+    RETURNING *;
+    `,
+    [id, status]
+  );
+  lastLoadMs = 0;
+  return { ok: true, experiment: rows[0] };
+}
+
+/**
+ * Per-variant size and metrics, counted from each user's first exposure:
+ * taps, tap points, money purchases, points spent in-app, D1 / D7 retention.
+ * Taps come from tap_packets (so they cover the packet retention period);
+ * retention counts any tap, ledger entry or logged event on that day.
+ */
+async function getExperimentReport(id) {
+  const expRes = await pool.query(`SELECT * FROM public.experiments WHERE id = $1`, [id]);
+  const experiment = expRes.rows[0];
+  if (!experiment) return null;
+
+  const { rows } = await pool.query(
+    `
+    WITH a AS (
+      SELECT user_id, variant, assigned_at
+      FROM public.experiment_assignments
+      WHERE experiment_id = $1
+    ),
+    taps AS (
+      SELECT a.variant, COALESCE(SUM(COALESCE(p.taps_applied, p.tap_count, 0)), 0)::int AS taps
+      FROM a
+      JOIN public.tap_packets p ON p.user_id = a.user_id AND p.created_at >= a.assigned_at
+      GROUP BY a.variant
+    ),
+    money AS (
+      SELECT a.variant,
+             COALESCE(SUM(l.delta) FILTER (WHERE l.reason = 'tap_reward'), 0)::bigint AS tap_points,
+             COUNT(l.id) FILTER (WHERE l.reason IN ('stripe_purchase', 'coinbase_purchase'))::int AS purchases,
+             COUNT(DISTINCT l.user_id) FILTER (WHERE l.reason IN ('stripe_purchase', 'coinbase_purchase'))::int AS purchasers,
+             COALESCE(-SUM(l.delta) FILTER (WHERE l.reason IN ('vip_purchase', 'energy_refill', 'double_boost')), 0)::bigint AS points_spent
+      FROM a
+      JOIN public.user_balance_ledger l ON l.user_id = a.user_id AND l.created_at >= a.assigned_at
+      GROUP BY a.variant
+    ),
+    activity AS (
+      -- Any tap, balance movement or logged event counts as activity.
+      SELECT a.user_id, a.variant, a.assigned_at, act.created_at
+      FROM a
+      JOIN LATERAL (
+        SELECT p.created_at FROM public.tap_packets p
+        WHERE p.user_id = a.user_id
+          AND p.created_at >= a.assigned_at + INTERVAL '1 day' AND p.created_at < a.assigned_at + INTERVAL '8 days'
+        UNION ALL
+        SELECT l.created_at FROM public.user_balance_ledger l
+        WHERE l.user_id = a.user_id
+          AND l.created_at >= a.assigned_at + INTERVAL '1 day' AND l.created_at < a.assigned_at + INTERVAL '8 days'
+        UNION ALL
+        SELECT e.created_at FROM public.event_log e
+        WHERE e.user_id = a.user_id
+          AND e.created_at >= a.assigned_at + INTERVAL '1 day' AND e.created_at < a.assigned_at + INTERVAL '8 days'
+      ) act ON TRUE
+    ),
+    ret AS (
+      SELECT variant,
+             COUNT(DISTINCT user_id) FILTER (
+               WHERE created_at < assigned_at + INTERVAL '2 days'
+             )::int AS d1_retained,
+             COUNT(DISTINCT user_id) FILTER (
+               WHERE created_at >= assigned_at + INTERVAL '7 days'
+             )::int AS d7_retained
+      FROM activity
+      GROUP BY variant
+    ),
+    sizes AS (
+      SELECT variant,
+             COUNT(*)::int AS users,
+             COUNT(*) FILTER (WHERE assigned_at <= NOW() - INTERVAL '2 days')::int AS d1_eligible,
+             COUNT(*) FILTER (WHERE assigned_at <= NOW() - INTERVAL '8 days')::int AS d7_eligible
+      FROM a
+      GROUP BY variant
+    )
+    SELECT s.variant, s.users, s.d1_eligible, s.d7_eligible,
+           COALESCE(t.taps, 0) AS taps,
+           COALESCE(m.tap_points, 0)::text AS tap_points,
+           COALESCE(m.purchases, 0) AS purchases,
+           COALESCE(m.purchasers, 0) AS purchasers,
+           COALESCE(m.points_spent, 0)::text AS points_spent,
+           COALESCE(r.d1_retained, 0) AS d1_retained,
+           COALESCE(r.d7_retained, 0) AS d7_retained
+    FROM sizes s
+    LEFT JOIN taps t ON t.variant = s.variant
+    LEFT JOIN money m ON m.variant = s.variant
+    LEFT JOIN ret r ON r.variant = s.variant
+    ORDER BY s.variant ASC;
+    `,
+    [id]
+  );
+
+  const ratio = (n, d) => (d > 0 ? Math.round((n / d) * 10000) / 10000 : null);
+  const variants = rows.map((r) => ({
+    variant: r.variant,
+    users: r.users,
+    taps: r.taps,
+    taps_per_user: ratio(r.taps, r.users),
+    tap_points: Number(r.tap_points),
+    purchases: r.purchases,
+    purchasers: r.purchasers,
+    conversion: ratio(r.purchasers, r.users),
+    points_spent: Number(r.points_spent),
+    d1_retention: ratio(r.d1_retained, r.d1_eligible),
+    d7_retention: ratio(r.d7_retained, r.d7_eligible),
+  }));
+
+  return { experiment, variants };
+}
+
+module.exports = {
+  assignVariant,
+  validateExperimentInput,
+  loadConfigForUser,
+  loadSettingsForUser,
+  listExperiments,
+  createExperiment,
+  setExperimentStatus,
+  getExperimentReport,
+};
@@ -11,6 +11,12 @@
 //   worker can stop retrying the job early.
 
 const { sendPayout } = require("./payoutProvider");
+const { correctUserBalanceTx, reconcileBatchTx, markReconcileRunFailed } = require("./reconcile");
+const { captureHoldTx } = require("./ledger");
+const { decayBatchTx, markDecayRunFailed } = require("./decay");
+const { sendBotMessage } = require("./botNotify");
+const { analyzeTapCadenceTx } = require("./antiCheat");
+const { expireMissionsTx } = require("./missions");
 
 class NonRetryableJobError extends Error {
   constructor(message) {
@@ -63,7 +69,7 @@ async function handleSyncUser(client, job) {
     `
     SELECT COALESCE(SUM(delta), 0) AS balance_from_ledger
     FROM public.user_balance_ledger
-    WHERE user_id = $1
+    WHERE user_id = $1 AND currency = 'points'
     `,
     [userId]
   );
@@ -87,14 +93,11 @@ async function handleSyncUser(client, job) {
       new_balance: balanceFromLedger,
     });
 
-    await client.query(
-      `
-      UPDATE public.users
-      SET balance = $2
-      WHERE id = $1
-      `,
-      [userId, balanceFromLedger]
-    );
+    await correctUserBalanceTx(client, {
+      userId,
+      storedBalance: currentBalance,
+      ledgerBalance: balanceFromLedger,
+    });
   } else {
     console.log("sync_user: balance already consistent with ledger", {
       user_id: userId,
@@ -109,7 +112,7 @@ async function handleSyncUser(client, job) {
  * Handler moved from worker.js unchanged. It is responsible for:
  * - Loading the withdraw_requests row.
  * - Skipping if already in a final state.
- * - Marking the request as paid (coins were reserved at request time).
+ * - Capturing the balance hold and marking the request as paid.
  *
  * NOTE: The actual external payout provider integration will be added later.
  */
@@ -170,8 +173,16 @@ console.log("withdraw_payout: external payout sent", {
   txId,
 });
 
-// Mark as paid (coins were already reserved at request time) and store
-  // provider metadata for reconciliation.
+// Debit the held points now that the payout went out. Requests created before
+// holds existed were debited up front and have no hold (captureHoldTx -> null).
+await captureHoldTx(client, {
+  refType: "withdraw_request",
+  refId: wr.id,
+  reason: "withdraw_capture",
+  eventType: "withdraw_paid",
+});
+
+// Mark as paid and store provider metadata for reconciliation.
 await client.query(
   `
   UPDATE public.withdraw_requests
@@ -187,9 +198,150 @@ await client.query(
 );
 }
 
+/**
+ * reconcile_all
+ *
+ * One batch of a bulk reconciliation run (see lib/reconcile.js). The batch
+ * enqueues the next one itself, so each job is a short transaction.
+ */
+async function handleReconcileAll(client, job) {
+  const payload = job.payload_json || {};
+  const runId = Number(payload.run_id || 0);
+
+  if (!runId) {
+    console.warn("reconcile_all job missing run_id", payload);
+    throw new NonRetryableJobError("reconcile_all job missing run_id");
+  }
+
+  const out = await reconcileBatchTx(client, runId);
+  if (!out) {
+    throw new NonRetryableJobError("reconcile_all: run not found");
+  }
+  if (out.checked) {
+    console.log("reconcile_all: batch done", { run_id: runId, checked: out.checked, mismatches: out.mismatches });
+  }
+}
+
+/**
+ * decay_batch
+ *
+ * One batch of an inactivity decay run (see lib/decay.js); chains the next
+ * batch itself, like reconcile_all.
+ */
+async function handleDecayBatch(client, job) {
+  const payload = job.payload_json || {};
+  const runId = Number(payload.run_id || 0);
+
+  if (!runId) {
+    console.warn("decay_batch job missing run_id", payload);
+    throw new NonRetryableJobError("decay_batch job missing run_id");
+  }
+
+  const out = await decayBatchTx(client, runId);
+  if (!out) {
+    throw new NonRetryableJobError("decay_batch: run not found");
+  }
+  if (out.checked) {
+    console.log("decay_batch: batch done", {
+      run_id: runId,
+      checked: out.checked,
+      warned: out.warned,
+      decayed: out.decayed,
+      points: out.points,
+    });
+  }
+}
+
+/**
+ * decay_warning
+ *
+ * Tell a dormant user through the bot that their balance will start decaying.
+ * Skipped when the user has been active since the warning was queued.
+ */
+async function handleDecayWarning(client, job) {
+  const payload = job.payload_json || {};
+  const userId = Number(payload.user_id || 0);
+
+  if (!userId) {
+    console.warn("decay_warning job missing user_id", payload);
+    throw new NonRetryableJobError("decay_warning job missing user_id");
+  }
+
+  const { rows } = await client.query(
+    `SELECT telegram_id, decay_warned_at, last_active_at FROM public.users WHERE id = $1`,
+    [userId]
+  );
+  const user = rows[0];
+  if (!user || !user.telegram_id) {
+    throw new NonRetryableJobError("decay_warning: user not found");
+  }
+  if (!user.decay_warned_at || new Date(user.decay_warned_at) < new Date(user.last_active_at)) {
+    console.log("decay_warning: user active again, skipping", { user_id: userId });
+    return;
+  }
+
+  const startsAt = payload.decay_starts_at ? new Date(payload.decay_starts_at) : null;
+  const when = startsAt && !Number.isNaN(startsAt.getTime()) ? `on ${startsAt.toISOString().slice(0, 10)}` : "soon";
+  const out = await sendBotMessage(
+    user.telegram_id,
+    `⏳ Your JigCoin balance has been idle for a while. Inactive balances start losing points ${when}.\n\nOpen the app to keep your full balance.`
+  );
+  if (out.ok) return;
+  if (out.permanent) {
+    console.warn("decay_warning: message not delivered", { user_id: userId, error: out.error });
+    return;
+  }
+  throw new Error("decay_warning: " + out.error);
+}
+
+/**
+ * analyze_tap_cadence
+ *
+ * Re-score one user's recent tap packets (lib/antiCheat.js). Queued from
+ * /api/tapPacket at most every few minutes per user.
+ */
+async function handleAnalyzeTapCadence(client, job) {
+  const payload = job.payload_json || {};
+  const userId = Number(payload.user_id || 0);
+
+  if (!userId) {
+    console.warn("analyze_tap_cadence job missing user_id", payload);
+    throw new NonRetryableJobError("analyze_tap_cadence job missing user_id");
+  }
+
+  const risk = await analyzeTapCadenceTx(client, userId);
+  if (risk && risk.status !== "ok") {
+    console.log("analyze_tap_cadence: user at risk", { user_id: userId, status: risk.status, score: risk.score });
+  }
+}
+
+/**
+ * expire_missions
+ *
+ * Switch off active missions whose ends_at has passed (lib/missions.js).
+ * Scheduled by worker.js; listing already hides them, this keeps is_active honest.
+ */
+async function handleExpireMissions(client) {
+  const expired = await expireMissionsTx(client);
+  if (expired.length) {
+    console.log("expire_missions: deactivated", { codes: expired.map((m) => m.code) });
+  }
+}
+
 const handlers = {
   sync_user: handleSyncUser,
   withdraw_payout: handleWithdrawPayout,
+  reconcile_all: handleReconcileAll,
+  decay_batch: handleDecayBatch,
+  decay_warning: handleDecayWarning,
+  analyze_tap_cadence: handleAnalyzeTapCadence,
+  expire_missions: handleExpireMissions,
+};
+
+// Called by the worker once a job is marked failed for good.
+const failureHooks = {
+  reconcile_all: (job, err) => markReconcileRunFailed(Number(job.payload_json?.run_id || 0), err.message || err),
+  decay_batch: (job, err) => markDecayRunFailed(Number(job.payload_json?.run_id || 0), err.message || err),
 };
 
 async function runJobHandler(client, job) {
@@ -204,7 +356,18 @@ async function runJobHandler(client, job) {
   await handler(client, job);
 }
 
+async function runJobFailureHook(job, err) {
+  const hook = failureHooks[job.type];
+  if (!hook) return;
+  try {
+    await hook(job, err);
+  } catch (hookErr) {
+    console.error("Job failure hook error", { id: job.id, type: job.type, err: hookErr.message || hookErr });
+  }
+}
+
 module.exports = {
   runJobHandler,
+  runJobFailureHook,
   NonRetryableJobError,
 };
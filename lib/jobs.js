@@ -44,6 +44,24 @@ async function enqueueJob(type, payload, options = {}) {
   }
 }
 
+/**
+ * Enqueue inside an open transaction so the job only exists if the caller commits.
+ * Unlike enqueueJob this throws: the caller's transaction decides what to do.
+ */
+async function enqueueJobTx(client, type, payload, options = {}) {
+  const runAt = options.runAt ? new Date(options.runAt) : new Date();
+  const res = await client.query(
+    `
+    INSERT INTO public.jobs (type, payload_json, status, run_at)
+    VALUES ($1, $2, 'pending', $3)
+    RETURNING id;
+    `,
+    [type, JSON.stringify(payload || {}), runAt.toISOString()]
+  );
+  return res.rows[0].id;
+}
+
 module.exports = {
   enqueueJob,
+  enqueueJobTx,
 };
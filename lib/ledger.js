@@ -1,15 +1,311 @@
 // lib/ledger.js
 // Helper functions for working with the user_balance_ledger table.
+//
+// Every balance change is also posted as a double-entry journal
+// (ledger_journal_entries + ledger_postings): the user account moves by `delta`
+// and a named system account moves by `-delta`, so each journal sums to zero and
+// total user supply always equals minus the sum of the system accounts.
+//
+// Balances are kept per currency (see CURRENCIES); a journal is always in a
+// single currency, so each currency balances on its own.
 
-const { withTransaction } = require("./db");
+const { pool, withTransaction } = require("./db");
+
+// Wallet currencies:
+// - points: farmed in-game, withdrawable (users.balance)
+// - gems:   premium currency bought with money (users.gems_balance)
+// - season: score for one season (user_season_scores), starts at 0 every season
+const CURRENCIES = ["points", "gems", "season"];
+
+// System (counter) accounts. Seeded by sql/migrations/009_double_entry_ledger.sql.
+const SYSTEM_ACCOUNTS = [
+  "tap_emission",
+  "purchases",
+  "sponsor_pool",
+  "withdraw_clearing",
+  "referral_pool",
+  "bonus_pool",
+  "opening_balance",
+  "reconciliation",
+  "admin_adjustments",
+  "season_scoring",
+  "decay",
+  "mining_emission",
+  "suspense",
+];
+
+// Ledger reason -> counter account. Unknown reasons post to "suspense".
+const REASON_ACCOUNTS = {
+  tap_reward: "tap_emission",
+  stripe_purchase: "purchases",
+  coinbase_purchase: "purchases",
+  vip_purchase: "purchases",
+  energy_refill: "purchases",
+  double_boost: "purchases",
+  mission_reward: "sponsor_pool",
+  withdraw_reserve: "withdraw_clearing",
+  withdraw_rejected_refund: "withdraw_clearing",
+  withdraw_capture: "withdraw_clearing",
+  referral_reward: "referral_pool",
+  daily_bonus: "bonus_pool",
+  early_access_starter_bonus: "bonus_pool",
+  generic_reward: "bonus_pool",
+  admin_adjustment: "admin_adjustments",
+  admin_reversal: "admin_adjustments",
+  season_score: "season_scoring",
+  shop_purchase: "purchases",
+  shop_grant: "purchases",
+  upgrade_purchase: "purchases",
+  mining_card_purchase: "purchases",
+  mining_reward: "mining_emission",
+  decay: "decay",
+  decay_reversal: "decay",
+};
+
+// Player-facing labels for /api/ledger/history.
+const REASON_LABELS = {
+  tap_reward: "Tapping",
+  stripe_purchase: "Gems pack (card)",
+  coinbase_purchase: "Gems pack (crypto)",
+  vip_purchase: "VIP membership",
+  energy_refill: "Energy refill",
+  double_boost: "Double points boost",
+  mission_reward: "Mission reward",
+  withdraw_reserve: "Withdrawal request",
+  withdraw_rejected_refund: "Withdrawal refund",
+  withdraw_capture: "Withdrawal paid",
+  referral_reward: "Referral bonus",
+  daily_bonus: "Daily check-in",
+  early_access_starter_bonus: "Early access bonus",
+  generic_reward: "Reward",
+  admin_adjustment: "Adjustment",
+  admin_reversal: "Adjustment (reversal)",
+  season_score: "Season score",
+  shop_purchase: "Shop purchase",
+  shop_grant: "Shop item",
+  upgrade_purchase: "Upgrade",
+  mining_card_purchase: "Mining card",
+  mining_reward: "Offline mining",
+  decay: "Inactivity decay",
+  decay_reversal: "Inactivity decay refund",
+};
+
+function labelForReason(reason) {
+  return REASON_LABELS[reason] || "Balance adjustment";
+}
+
+const HISTORY_MAX_LIMIT = 100;
+const HISTORY_MAX_DAYS = 90;
+
+// Shared WHERE for history + daily totals. Always scoped to one user (and one currency).
+function historyWhere(userId, { currency = "points", reasons, eventTypes, from, to }) {
+  const params = [userId, currency];
+  const where = ["user_id = $1", "currency = $2"];
+  if (reasons && reasons.length) {
+    params.push(reasons);
+    where.push(`reason = ANY($${params.length}::text[])`);
+  }
+  if (eventTypes && eventTypes.length) {
+    params.push(eventTypes);
+    where.push(`event_type = ANY($${params.length}::text[])`);
+  }
+  if (from) {
+    params.push(from.toISOString());
+    where.push(`created_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to.toISOString());
+    where.push(`created_at < $${params.length}`);
+  }
+  return { params, where };
+}
+
+/**
+ * One user's ledger rows, newest first, paginated by id cursor.
+ * Filters: { currency, reasons, eventTypes, from, to } (Date objects / string arrays).
+ */
+async function getLedgerHistory(userId, filters = {}, { cursor = null, limit = 50 } = {}) {
+  const { params, where } = historyWhere(userId, filters);
+  if (cursor) {
+    params.push(Number(cursor));
+    where.push(`id < $${params.length}`);
+  }
+  const lim = Math.max(1, Math.min(HISTORY_MAX_LIMIT, Number(limit) || 50));
+  params.push(lim);
+
+  const { rows } = await pool.query(
+    `
+    SELECT id, delta, currency, season_id, reason, ref_type, ref_id, event_type, note, created_at
+    FROM public.user_balance_ledger
+    WHERE ${where.join(" AND ")}
+    ORDER BY id DESC
+    LIMIT $${params.length};
+    `,
+    params
+  );
+
+  return {
+    rows: rows.map((r) => ({ ...r, delta: Number(r.delta), label: labelForReason(r.reason) })),
+    next_cursor: rows.length === lim ? rows[rows.length - 1].id : null,
+  };
+}
+
+/**
+ * Per-day (UTC) credit/debit/net totals for charts. Same filters as getLedgerHistory;
+ * the range is clamped to HISTORY_MAX_DAYS and defaults to the last 30 days.
+ */
+async function getLedgerDailyTotals(userId, filters = {}) {
+  const to = filters.to || new Date();
+  let from = filters.from || new Date(to.getTime() - 30 * 86400_000);
+  if (to.getTime() - from.getTime() > HISTORY_MAX_DAYS * 86400_000) {
+    from = new Date(to.getTime() - HISTORY_MAX_DAYS * 86400_000);
+  }
+
+  const { params, where } = historyWhere(userId, { ...filters, from, to });
+  const { rows } = await pool.query(
+    `
+    SELECT to_char(date_trunc('day', created_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD') AS day,
+           COALESCE(SUM(delta) FILTER (WHERE delta > 0), 0)::text AS credit,
+           COALESCE(SUM(delta) FILTER (WHERE delta < 0), 0)::text AS debit,
+           COALESCE(SUM(delta), 0)::text AS net
+    FROM public.user_balance_ledger
+    WHERE ${where.join(" AND ")}
+    GROUP BY 1
+    ORDER BY 1 ASC;
+    `,
+    params
+  );
+  return rows.map((r) => ({ day: r.day, credit: Number(r.credit), debit: Number(r.debit), net: Number(r.net) }));
+}
+
+function accountForReason(reason) {
+  const code = REASON_ACCOUNTS[reason];
+  if (code) return code;
+  console.warn("ledger: no system account mapped for reason, using suspense", { reason });
+  return "suspense";
+}
+
+/**
+ * Throws unless `postings` is a valid balanced set:
+ * at least two non-zero integer amounts, each against exactly one of
+ * `userId` or a known system `account`, summing to zero.
+ */
+function assertBalanced(postings) {
+  if (!Array.isArray(postings) || postings.length < 2) {
+    throw new Error("ledger: a journal needs at least two postings");
+  }
+  let sum = 0;
+  for (const p of postings) {
+    if (!Number.isInteger(p.amount) || p.amount === 0) {
+      throw new Error("ledger: posting amount must be a non-zero integer");
+    }
+    if (Boolean(p.userId) === Boolean(p.account)) {
+      throw new Error("ledger: posting needs exactly one of userId or account");
+    }
+    if (p.account && !SYSTEM_ACCOUNTS.includes(p.account)) {
+      throw new Error("ledger: unknown system account " + p.account);
+    }
+    sum += p.amount;
+  }
+  if (sum !== 0) {
+    throw new Error("ledger: journal does not balance (sum=" + sum + ")");
+  }
+}
+
+/**
+ * Post one balanced journal. Does NOT touch users.balance; callers that move a
+ * user account should go through applyBalanceChangeTx instead.
+ */
+async function postJournalTx(client, { reason, refType = null, refId = null, userLedgerId = null, currency = "points", postings }) {
+  if (!reason) {
+    throw new Error("postJournal: reason is required");
+  }
+  if (!CURRENCIES.includes(currency)) {
+    throw new Error("postJournal: unknown currency " + currency);
+  }
+  assertBalanced(postings);
+
+  const jRes = await client.query(
+    `
+    INSERT INTO public.ledger_journal_entries (reason, ref_type, ref_id, user_ledger_id, currency)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id;
+    `,
+    [reason, refType, refId === null || refId === undefined ? null : String(refId), userLedgerId, currency]
+  );
+  const journalId = jRes.rows[0].id;
+
+  await client.query(
+    `
+    INSERT INTO public.ledger_postings (journal_id, account_type, account_code, user_id, amount)
+    SELECT $1,
+           CASE WHEN p.user_id IS NULL THEN 'system' ELSE 'user' END,
+           p.account_code, p.user_id, p.amount
+    FROM unnest($2::text[], $3::int4[], $4::bigint[]) AS p(account_code, user_id, amount);
+    `,
+    [
+      journalId,
+      postings.map((p) => p.account || null),
+      postings.map((p) => p.userId || null),
+      postings.map((p) => p.amount),
+    ]
+  );
+
+  return journalId;
+}
+
+// Move one wallet of `userId` by `delta`. Returns the updated users row, or for
+// "season" the user_season_scores row.
+async function updateWalletTx(client, { userId, delta, currency, seasonId }) {
+  if (currency === "season") {
+    const { rows } = await client.query(
+      `
+      INSERT INTO public.user_season_scores (user_id, season_id, score)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id, season_id) DO UPDATE
+        SET score = public.user_season_scores.score + EXCLUDED.score,
+            updated_at = NOW()
+      RETURNING *;
+      `,
+      [userId, seasonId, delta]
+    );
+    return rows[0];
+  }
+
+  const column = currency === "gems" ? "gems_balance" : "balance";
+  const { rows } = await client.query(
+    `
+      UPDATE public.users
+      SET ${column} = ${column} + $1
+      WHERE id = $2
+      RETURNING *;
+    `,
+    [delta, userId]
+  );
+  return rows[0] || null;
+}
 
 /**
  * Core implementation that assumes a transaction is already open
  * on the provided `client`.
+ *
+ * `currency` defaults to "points". Season entries go to `seasonId`, or the
+ * user's current season; for them `user` is null and `seasonScore` is set.
  */
 async function applyBalanceChangeTx(
   client,
-  { userId, delta, reason, refType = null, refId = null, eventType = null }
+  {
+    userId,
+    delta,
+    reason,
+    refType = null,
+    refId = null,
+    eventType = null,
+    account = null,
+    note = null,
+    currency = "points",
+    seasonId = null,
+  }
 ) {
   if (!Number.isInteger(delta)) {
     throw new Error("applyBalanceChange: delta must be an integer (minor units)");
@@ -20,7 +316,20 @@ async function applyBalanceChangeTx(
   if (!reason) {
     throw new Error("applyBalanceChange: reason is required");
   }
+  if (!CURRENCIES.includes(currency)) {
+    throw new Error("applyBalanceChange: unknown currency " + currency);
+  }
+
+  if (currency === "season" && !seasonId) {
+    const sRes = await client.query(`SELECT COALESCE(season_id, 1) AS season_id FROM public.users WHERE id = $1`, [userId]);
+    if (!sRes.rowCount) {
+      throw new Error("applyBalanceChange: user not found for id " + userId);
+    }
+    seasonId = sRes.rows[0].season_id;
+  }
+  if (currency !== "season") seasonId = null;
 
+  // `note` (migration 013) is only written when given, so regular callers do not depend on it.
   const insertLedgerText = `
       INSERT INTO public.user_balance_ledger (
         user_id,
@@ -28,31 +337,44 @@ async function applyBalanceChangeTx(
         reason,
         ref_type,
         ref_id,
-        event_type
+        event_type,
+        currency,
+        season_id${note ? ",\n        note" : ""}
       )
-      VALUES ($1, $2, $3, $4, $5, $6)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8${note ? ", $9" : ""})
       RETURNING id;
     `;
-  const insertLedgerValues = [userId, delta, reason, refType, refId, eventType];
+  const insertLedgerValues = [userId, delta, reason, refType, refId, eventType, currency, seasonId];
+  if (note) insertLedgerValues.push(String(note));
   const ledgerRes = await client.query(insertLedgerText, insertLedgerValues);
   const ledgerId = ledgerRes.rows[0]?.id;
 
-  const updateUserText = `
-      UPDATE public.users
-      SET balance = balance + $1
-      WHERE id = $2
-      RETURNING *;
-    `;
-  const updateUserValues = [delta, userId];
-  const userRes = await client.query(updateUserText, updateUserValues);
-
-  if (!userRes.rowCount) {
+  const wallet = await updateWalletTx(client, { userId, delta, currency, seasonId });
+  if (!wallet) {
     throw new Error("applyBalanceChange: user not found for id " + userId);
   }
 
+  // Counter-posting. `account` overrides the reason mapping for one-off callers.
+  let journalId = null;
+  if (delta !== 0) {
+    journalId = await postJournalTx(client, {
+      reason,
+      refType,
+      refId,
+      userLedgerId: ledgerId,
+      currency,
+      postings: [
+        { userId, amount: delta },
+        { account: account || accountForReason(reason), amount: -delta },
+      ],
+    });
+  }
+
   return {
-    user: userRes.rows[0],
+    user: currency === "season" ? null : wallet,
+    seasonScore: currency === "season" ? Number(wallet.score) : undefined,
     ledgerId,
+    journalId,
   };
 }
 
@@ -64,7 +386,285 @@ async function applyBalanceChange(args) {
   return withTransaction((client) => applyBalanceChangeTx(client, args));
 }
 
+// ------------ Admin adjustments ------------
+// Negative-balance policy for debits: "allow" lets the balance go below zero,
+// "cap_at_zero" shrinks the debit to whatever the user still has.
+const NEGATIVE_POLICIES = ["allow", "cap_at_zero"];
+
+function ledgerError(code, message) {
+  const err = new Error(message || code);
+  err.code = code;
+  return err;
+}
+
+// Apply the policy to `delta` given the user's current (locked) balance.
+function applyNegativePolicy(delta, balance, policy) {
+  if (delta >= 0 || policy === "allow") return delta;
+  return -Math.min(-delta, Math.max(0, balance));
+}
+
+async function lockUserBalance(client, userId) {
+  const { rows } = await client.query(
+    `SELECT id, balance, held_balance, gems_balance, season_id FROM public.users WHERE id = $1 FOR UPDATE`,
+    [userId]
+  );
+  if (!rows.length) throw ledgerError("NOT_FOUND", "user not found for id " + userId);
+  return rows[0];
+}
+
+// Current balance of one wallet; `user` comes from lockUserBalance.
+async function walletBalanceTx(client, user, currency, seasonId = null) {
+  if (currency === "gems") return Number(user.gems_balance || 0);
+  if (currency === "season") {
+    const { rows } = await client.query(
+      `SELECT score FROM public.user_season_scores WHERE user_id = $1 AND season_id = $2 FOR UPDATE`,
+      [user.id, seasonId || user.season_id || 1]
+    );
+    return Number(rows[0]?.score || 0);
+  }
+  return Number(user.balance || 0);
+}
+
+/**
+ * Manual credit/debit by an admin. `note` (the reason) is required.
+ * Under cap_at_zero a points debit is capped at the available (unheld) balance;
+ * nothing applicable throws NOTHING_TO_APPLY.
+ * Returns { user, ledgerId, requested, applied } where `applied` may be smaller
+ * than `requested` under cap_at_zero.
+ */
+async function adjustBalanceTx(client, { userId, delta, note, policy = "cap_at_zero", currency = "points" }) {
+  if (!Number.isInteger(delta) || delta === 0) throw ledgerError("BAD_INPUT", "delta must be a non-zero integer");
+  if (!CURRENCIES.includes(currency)) throw ledgerError("BAD_INPUT", "unknown currency");
+  if (!String(note || "").trim()) throw ledgerError("REASON_REQUIRED");
+  if (!NEGATIVE_POLICIES.includes(policy)) throw ledgerError("BAD_POLICY");
+
+  const before = await lockUserBalance(client, userId);
+  const beforeBalance = await walletBalanceTx(client, before, currency);
+  // Held points are reserved (e.g. for a withdrawal) and cannot be debited.
+  const spendable = currency === "points" ? availableBalance(before) : beforeBalance;
+  const applied = applyNegativePolicy(delta, spendable, policy);
+  if (applied === 0) throw ledgerError("NOTHING_TO_APPLY");
+
+  const out = await applyBalanceChangeTx(client, {
+    userId,
+    delta: applied,
+    reason: "admin_adjustment",
+    refType: "admin",
+    refId: null,
+    eventType: "admin_adjustment",
+    note: String(note).trim(),
+    currency,
+  });
+  return { ...out, currency, requested: delta, applied, before_balance: beforeBalance };
+}
+
+/**
+ * Post a compensating entry for ledger row `ledgerId` (ref_type "ledger_entry").
+ * Under cap_at_zero a debit is capped at the available (unheld) balance, so a
+ * reversal may apply only part of the entry; the rest stays reversible. Nothing
+ * applicable throws NOTHING_TO_APPLY. Reversals themselves cannot be reversed.
+ * Returns { user, ledgerId, original, requested, applied, remaining, before_balance }.
+ */
+async function reverseLedgerEntryTx(client, { ledgerId, note, policy = "cap_at_zero" }) {
+  if (!String(note || "").trim()) throw ledgerError("REASON_REQUIRED");
+  if (!NEGATIVE_POLICIES.includes(policy)) throw ledgerError("BAD_POLICY");
+
+  const origRes = await client.query(
+    `SELECT id, user_id, delta, reason, currency, season_id FROM public.user_balance_ledger WHERE id = $1 FOR UPDATE`,
+    [ledgerId]
+  );
+  const orig = origRes.rows[0];
+  if (!orig) throw ledgerError("NOT_FOUND", "ledger entry not found");
+  if (orig.reason === "admin_reversal" || orig.reason === "decay_reversal") throw ledgerError("CANNOT_REVERSE_REVERSAL");
+
+  // Earlier (possibly partial) reversals; the row lock above serialises them.
+  const prev = await client.query(
+    `
+    SELECT COUNT(*) FILTER (WHERE reason = 'decay_reversal')::int AS refunds,
+           COALESCE(SUM(delta) FILTER (WHERE reason = 'admin_reversal'), 0)::text AS reversed
+    FROM public.user_balance_ledger
+    WHERE reason IN ('admin_reversal', 'decay_reversal') AND ref_type = 'ledger_entry' AND ref_id = $1
+    `,
+    [orig.id]
+  );
+  const requested = -(Number(orig.delta) + Number(prev.rows[0].reversed));
+  if (prev.rows[0].refunds > 0 || requested === 0 || Math.sign(requested) !== -Math.sign(Number(orig.delta))) {
+    throw ledgerError("ALREADY_REVERSED");
+  }
+
+  const before = await lockUserBalance(client, orig.user_id);
+  const beforeBalance = await walletBalanceTx(client, before, orig.currency, orig.season_id);
+  // Held points are reserved (e.g. for a withdrawal) and cannot be taken back.
+  const spendable = orig.currency === "points" ? availableBalance(before) : beforeBalance;
+  const applied = applyNegativePolicy(requested, spendable, policy);
+  if (applied === 0) throw ledgerError("NOTHING_TO_APPLY");
+
+  const out = await applyBalanceChangeTx(client, {
+    userId: orig.user_id,
+    delta: applied,
+    reason: "admin_reversal",
+    refType: "ledger_entry",
+    refId: orig.id,
+    eventType: "admin_reversal",
+    note: String(note).trim(),
+    currency: orig.currency,
+    seasonId: orig.season_id,
+  });
+  return { ...out, original: orig, requested, applied, remaining: requested - applied, before_balance: beforeBalance };
+}
+
+// ------------ Holds ------------
+// A hold locks part of users.balance without debiting it (users.held_balance).
+// release => the points become spendable again; capture => they are debited
+// through the ledger (applyBalanceChangeTx) at that moment.
+
+function availableBalance(user) {
+  return Number(user.balance || 0) - Number(user.held_balance || 0);
+}
+
+/**
+ * Place a hold. Throws an Error with code "INSUFFICIENT_BALANCE" when the
+ * user's available balance is lower than `amount`.
+ */
+async function createHoldTx(client, { userId, amount, refType, refId }) {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new Error("createHold: amount must be a positive integer");
+  }
+  const userRes = await client.query(
+    `SELECT id, balance, held_balance FROM public.users WHERE id = $1 FOR UPDATE`,
+    [userId]
+  );
+  if (!userRes.rowCount) {
+    throw new Error("createHold: user not found for id " + userId);
+  }
+  if (availableBalance(userRes.rows[0]) < amount) {
+    const err = new Error("createHold: insufficient available balance");
+    err.code = "INSUFFICIENT_BALANCE";
+    throw err;
+  }
+
+  const holdRes = await client.query(
+    `
+    INSERT INTO public.balance_holds (user_id, amount, ref_type, ref_id)
+    VALUES ($1, $2, $3, $4)
+    RETURNING *;
+    `,
+    [userId, amount, refType, String(refId)]
+  );
+  await client.query(
+    `UPDATE public.users SET held_balance = held_balance + $2 WHERE id = $1`,
+    [userId, amount]
+  );
+  return holdRes.rows[0];
+}
+
+// Move an active hold to `status` and un-hold its amount. Returns the hold or null.
+async function resolveHoldTx(client, { refType, refId, status, reason }) {
+  const { rows } = await client.query(
+    `
+    UPDATE public.balance_holds
+    SET status = $3, resolved_at = NOW(), resolve_reason = $4
+    WHERE ref_type = $1 AND ref_id = $2 AND status = 'active'
+    RETURNING *;
+    `,
+    [refType, String(refId), status, reason || null]
+  );
+  const hold = rows[0];
+  if (!hold) return null;
+
+  await client.query(
+    `UPDATE public.users SET held_balance = GREATEST(held_balance - $2, 0) WHERE id = $1`,
+    [hold.user_id, hold.amount]
+  );
+  return hold;
+}
+
+/**
+ * Release an active hold (nothing is debited). Returns the hold, or null if
+ * there was no active hold for this reference.
+ */
+async function releaseHoldTx(client, { refType, refId, reason = "released" }) {
+  return resolveHoldTx(client, { refType, refId, status: "released", reason });
+}
+
+/**
+ * Capture an active hold: un-hold it and debit the amount via the ledger.
+ * Returns { hold, user } or null if there was no active hold.
+ */
+async function captureHoldTx(client, { refType, refId, reason, eventType = null }) {
+  const hold = await resolveHoldTx(client, { refType, refId, status: "captured", reason });
+  if (!hold) return null;
+
+  const { user } = await applyBalanceChangeTx(client, {
+    userId: hold.user_id,
+    delta: -Number(hold.amount),
+    reason,
+    refType,
+    refId,
+    eventType,
+  });
+  return { hold, user };
+}
+
+/**
+ * Balance of every system account plus total user supply, per currency.
+ * `balanced` is true when user supply + system accounts == 0 in every currency.
+ * Top-level accounts / totals are the "points" figures.
+ */
+async function getSystemAccountBalances(db = pool) {
+  const accRes = await db.query(`SELECT code, description FROM public.ledger_system_accounts ORDER BY code ASC`);
+  const sumRes = await db.query(
+    `
+    SELECT j.currency, p.account_type, p.account_code, COALESCE(SUM(p.amount), 0)::text AS total
+    FROM public.ledger_postings p
+    JOIN public.ledger_journal_entries j ON j.id = p.journal_id
+    GROUP BY j.currency, p.account_type, p.account_code;
+    `
+  );
+
+  const byCurrency = {};
+  for (const currency of CURRENCIES) {
+    const rows = sumRes.rows.filter((r) => r.currency === currency);
+    const accounts = accRes.rows.map((a) => {
+      const row = rows.find((r) => r.account_type === "system" && r.account_code === a.code);
+      return { code: a.code, description: a.description, balance: row ? Number(row.total) : 0 };
+    });
+    const systemTotal = accounts.reduce((sum, a) => sum + a.balance, 0);
+    const userTotal = rows.filter((r) => r.account_type === "user").reduce((sum, r) => sum + Number(r.total), 0);
+    byCurrency[currency] = {
+      accounts,
+      system_total: systemTotal,
+      user_total: userTotal,
+      balanced: systemTotal + userTotal === 0,
+    };
+  }
+
+  return {
+    ...byCurrency.points,
+    balanced: CURRENCIES.every((c) => byCurrency[c].balanced),
+    currencies: byCurrency,
+  };
+}
+
 module.exports = {
+  CURRENCIES,
+  SYSTEM_ACCOUNTS,
+  REASON_ACCOUNTS,
+  accountForReason,
+  assertBalanced,
+  postJournalTx,
   applyBalanceChange,
   applyBalanceChangeTx,
+  getSystemAccountBalances,
+  REASON_LABELS,
+  labelForReason,
+  getLedgerHistory,
+  getLedgerDailyTotals,
+  NEGATIVE_POLICIES,
+  adjustBalanceTx,
+  reverseLedgerEntryTx,
+  availableBalance,
+  createHoldTx,
+  releaseHoldTx,
+  captureHoldTx,
 };
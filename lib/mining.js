@@ -0,0 +1,241 @@
+// lib/mining.js
+// Passive mining cards (settings.mining_cards): each owned card level adds points
+// per hour, accrued while the user is away and collected on /api/state.
+//
+// - Levels live in users.mining_levels ({ card: level }). The rate is always
+//   derived from the current catalogue, so admins can retune cards without a migration.
+// - Accrual runs from users.mining_collected_at, a server timestamp; the client
+//   sends nothing. Collection locks the user row, so concurrent /api/state calls
+//   cannot collect the same window twice.
+// - At most mining_offline_cap_hours accrue between collections; time beyond the
+//   cap is dropped. Partial progress towards the next point is kept.
+// - Mined points go through the emission budget (source "mining") and the ledger.
+// - Buying a card collects at the old rate first, so a new rate is never retroactive.
+//   While the mining budget is paused nothing can be collected, so purchases are refused.
+
+const { pool, withTransaction } = require("./db");
+const { applyBalanceChangeTx, availableBalance } = require("./ledger");
+const { mintRewardTx } = require("./emission");
+
+const HOUR_MS = 3600_000;
+
+function miningError(code, message) {
+  const err = new Error(message || code);
+  err.code = code;
+  return err;
+}
+
+function storedLevels(user) {
+  const raw = user.mining_levels;
+  if (!raw) return {};
+  if (typeof raw === "string") {
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      return {};
+    }
+  }
+  return raw;
+}
+
+function hasMiningCards(user) {
+  return Object.values(storedLevels(user)).some((lv) => Number(lv) > 0);
+}
+
+// Owned level of each catalogue card (cards removed from the catalogue count as 0).
+function cardLevels(user, settings) {
+  const cards = settings.mining_cards || {};
+  const stored = storedLevels(user);
+  const out = {};
+  for (const [key, card] of Object.entries(cards)) {
+    out[key] = Math.max(0, Math.min(Number(stored[key] || 0), card.levels.length));
+  }
+  return out;
+}
+
+/**
+ * Points per hour of all owned cards.
+ */
+function miningRate(user, settings) {
+  const cards = settings.mining_cards || {};
+  let pph = 0;
+  for (const [key, level] of Object.entries(cardLevels(user, settings))) {
+    if (level > 0) pph += cards[key].levels[level - 1].pph;
+  }
+  return pph;
+}
+
+/**
+ * Uncollected points at `now` (pure). Returns { points, pph, collectedAt, capped }
+ * where collectedAt is the next value of users.mining_collected_at.
+ */
+function pendingMining(user, settings, now = new Date()) {
+  const pph = miningRate(user, settings);
+  const capMs = Number(settings.mining_offline_cap_hours || 0) * HOUR_MS;
+  const since = user.mining_collected_at ? new Date(user.mining_collected_at).getTime() : null;
+  if (!pph || since == null || Number.isNaN(since)) return { points: 0, pph, collectedAt: now, capped: false };
+
+  const elapsed = Math.max(0, now.getTime() - since);
+  const capped = elapsed >= capMs;
+  const windowMs = Math.min(elapsed, capMs);
+  const points = Math.floor((pph * windowMs) / HOUR_MS);
+  // Keep the time not yet worth a whole point, unless the cap cut the window.
+  const collectedAt = capped ? now : new Date(since + Math.ceil((points * HOUR_MS) / pph));
+  return { points, pph, collectedAt, capped };
+}
+
+/**
+ * Collect offline mining for `userId` (transaction already open on `client`).
+ * Returns { collected, pph, state } (state from the emission budget, "none" if nothing was due).
+ */
+async function collectMiningTx(client, { userId, settings, now = new Date() }) {
+  const { rows } = await client.query(
+    `SELECT id, mining_levels, mining_collected_at FROM public.users WHERE id = $1 FOR UPDATE`,
+    [userId]
+  );
+  const user = rows[0];
+  if (!user) throw miningError("NOT_FOUND", "user not found");
+
+  const p = pendingMining(user, settings, now);
+  if (p.points <= 0) {
+    // No rate or start yet: start the clock. A capped window with no whole point is dropped too.
+    if (!user.mining_collected_at || p.capped || !p.pph) {
+      await client.query(`UPDATE public.users SET mining_collected_at = $2 WHERE id = $1`, [userId, now.toISOString()]);
+    }
+    return { collected: 0, pph: p.pph, state: "none" };
+  }
+
+  const minted = await mintRewardTx(client, {
+    source: "mining",
+    amount: p.points,
+    userId,
+    reason: "mining_reward",
+    refType: "mining",
+    refId: null,
+    eventType: "mining",
+  });
+  // Budget spent for today: keep the accrual for a later collection (still capped).
+  if (minted.state === "paused") return { collected: 0, pph: p.pph, state: "paused" };
+
+  await client.query(`UPDATE public.users SET mining_collected_at = $2 WHERE id = $1`, [
+    userId,
+    p.collectedAt.toISOString(),
+  ]);
+  return { collected: minted.granted, pph: p.pph, state: minted.state };
+}
+
+/**
+ * Collect for `user` if anything is due; skips the transaction for users without cards.
+ * Returns { collected, user } with the fresh user row when points were credited.
+ */
+async function collectMining(user, settings) {
+  if (!hasMiningCards(user)) return { collected: 0, user };
+  if (pendingMining(user, settings).points <= 0 && user.mining_collected_at) return { collected: 0, user };
+  return withTransaction(async (client) => {
+    const r = await collectMiningTx(client, { userId: user.id, settings });
+    const fresh = await client.query(`SELECT * FROM public.users WHERE id = $1`, [user.id]);
+    return { collected: r.collected, user: fresh.rows[0] || user };
+  });
+}
+
+/**
+ * Client view: { pph, cap_hours, pending, collected_at, cards: [...] } where each card is
+ * { key, title, level, max_level, pph, next_price, next_pph, payback_hours }.
+ * payback_hours is next_price over the points per hour the next level adds.
+ */
+function describeMining(user, settings, now = new Date()) {
+  const cards = settings.mining_cards || {};
+  const levels = cardLevels(user, settings);
+  const pending = pendingMining(user, settings, now);
+  return {
+    pph: pending.pph,
+    cap_hours: Number(settings.mining_offline_cap_hours || 0),
+    pending: pending.points,
+    collected_at: user.mining_collected_at ? new Date(user.mining_collected_at).toISOString() : null,
+    cards: Object.entries(cards).map(([key, card]) => {
+      const level = levels[key];
+      const current = level > 0 ? card.levels[level - 1] : null;
+      const next = card.levels[level] || null;
+      const gain = next ? next.pph - (current ? current.pph : 0) : 0;
+      return {
+        key,
+        title: card.title,
+        level,
+        max_level: card.levels.length,
+        pph: current ? current.pph : 0,
+        next_price: next ? next.price : null,
+        next_pph: next ? next.pph : null,
+        payback_hours: next ? Math.round((next.price / gain) * 10) / 10 : null,
+      };
+    }),
+  };
+}
+
+/**
+ * Buy the next level of `card` (transaction already open on `client`).
+ * Throws Error with code NOT_FOUND | BAD_CARD | MAX_LEVEL | INSUFFICIENT_BALANCE | MINING_PAUSED.
+ * Returns { purchase, collected, user }.
+ */
+async function buyMiningCardTx(client, { userId, card, settings }) {
+  const key = String(card || "");
+  const def = (settings.mining_cards || {})[key];
+  if (!def) throw miningError("BAD_CARD");
+
+  // Settle the old rate first (also locks the user row).
+  const { collected, state } = await collectMiningTx(client, { userId, settings });
+  // The accrual could not be settled; a new level would pay its rate for that time.
+  if (state === "paused") throw miningError("MINING_PAUSED");
+
+  const { rows } = await client.query(
+    `SELECT id, balance, held_balance, mining_levels FROM public.users WHERE id = $1`,
+    [userId]
+  );
+  const user = rows[0];
+  const level = cardLevels(user, settings)[key];
+  if (level >= def.levels.length) throw miningError("MAX_LEVEL");
+  const next = def.levels[level];
+  if (availableBalance(user) < next.price) throw miningError("INSUFFICIENT_BALANCE");
+
+  const pRes = await client.query(
+    `
+    INSERT INTO public.mining_card_purchases (user_id, card, level, price, pph)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *;
+    `,
+    [userId, key, level + 1, next.price, next.pph]
+  );
+  const purchase = pRes.rows[0];
+
+  if (next.price > 0) {
+    await applyBalanceChangeTx(client, {
+      userId,
+      delta: -next.price,
+      reason: "mining_card_purchase",
+      refType: "mining_card_purchase",
+      refId: purchase.id,
+      eventType: "spend",
+    });
+  }
+
+  const levels = { ...storedLevels(user), [key]: level + 1 };
+  const fresh = await client.query(
+    `
+    UPDATE public.users
+    SET mining_levels = $2::jsonb,
+        mining_collected_at = COALESCE(mining_collected_at, NOW())
+    WHERE id = $1
+    RETURNING *;
+    `,
+    [userId, JSON.stringify(levels)]
+  );
+  return { purchase, collected, user: fresh.rows[0] };
+}
+
+module.exports = {
+  miningRate,
+  pendingMining,
+  describeMining,
+  collectMiningTx,
+  collectMining,
+  buyMiningCardTx,
+};
@@ -0,0 +1,459 @@
+// lib/missions.js
+// Admin management of public.missions (create, edit, activate, reorder, clone),
+// plus schedule windows and audience targeting checked when players list, start
+// and complete missions.
+//
+// Validation mirrors the CHECK constraints in sql/migrations/001_active_mission_integrity.sql
+// so admins get per-field errors instead of a constraint violation:
+//   - active missions need payout_type and payout_amount >= 0
+//   - active sponsor missions need a URL
+//   - active missions need cooldown_hours and min_seconds_to_claim >= 0
+//   - sponsor missions need sponsor_cpc >= payout_amount
+// Rules are checked on the row as it will be saved (current row + patch).
+//
+// Schedule: starts_at / ends_at bound when a mission can be started. A run started
+// before ends_at can still be completed afterwards. Ended missions are switched off
+// by the expire_missions job, which stamps expired_at so those open runs stay
+// claimable; activating or deactivating by hand clears it. Higher priority lists
+// first, then sort_order.
+//
+// targeting (all optional, every rule given must match):
+//   { languages: ["en", "pt-br"],      // users.language_code; "pt" also matches "pt-br"
+//     vip: true | false,
+//     min_account_age_days, max_account_age_days,
+//     min_referral_tier, max_referral_tier,   // getReferralTier() tiers 0..5
+//     platforms: ["ios", "android"],   // Telegram WebApp.platform from the client meta
+//     segments: ["code"] }             // member of any listed segment (lib/segments.js)
+
+const { recordAdminAction } = require("./adminAudit");
+const { SEGMENT_CODE_RE, missingSegments } = require("./segments");
+
+const MISSION_PAYOUT_TYPES = ["points", "energy_refill", "mission"];
+const MAX_REFERRAL_TIER = 5;
+const DAY_MS = 24 * 3600_000;
+
+const TARGETING_RULES = {
+  languages: (v) => codeList(v, /^[a-z]{2,3}(-[a-z0-9]{1,8})?$/),
+  vip: (v) => (typeof v === "boolean" ? { value: v } : { error: "INVALID" }),
+  min_account_age_days: (v) => intField(v, 0, 36500),
+  max_account_age_days: (v) => intField(v, 0, 36500),
+  min_referral_tier: (v) => intField(v, 0, MAX_REFERRAL_TIER),
+  max_referral_tier: (v) => intField(v, 0, MAX_REFERRAL_TIER),
+  platforms: (v) => codeList(v, /^[a-z0-9_]{1,32}$/),
+  segments: (v) => codeList(v, SEGMENT_CODE_RE),
+};
+
+// Editable columns -> parser. Parsers return { value } or { error }.
+const MISSION_FIELDS = {
+  code: (v) => (/^[a-z0-9_]{2,64}$/.test(String(v || "")) ? { value: String(v) } : { error: "INVALID" }),
+  title: (v) => {
+    const s = String(v ?? "").trim();
+    return s && s.length <= 120 ? { value: s } : { error: s ? "TOO_LONG" : "REQUIRED" };
+  },
+  description: (v) => {
+    if (v === null || v === undefined || String(v).trim() === "") return { value: null };
+    const s = String(v).trim();
+    return s.length <= 1000 ? { value: s } : { error: "TOO_LONG" };
+  },
+  kind: (v) => {
+    if (v === null || v === undefined || v === "") return { value: null };
+    return /^[a-z0-9_]{1,32}$/.test(String(v)) ? { value: String(v) } : { error: "INVALID" };
+  },
+  payout_type: (v) => {
+    if (v === null || v === undefined || v === "") return { value: null };
+    return MISSION_PAYOUT_TYPES.includes(String(v)) ? { value: String(v) } : { error: "INVALID" };
+  },
+  payout_amount: (v) => intField(v, 0, 1000000000000),
+  url: (v) => {
+    if (v === null || v === undefined || String(v).trim() === "") return { value: null };
+    const s = String(v).trim();
+    try {
+      const u = new URL(s);
+      return ["http:", "https:"].includes(u.protocol) ? { value: s } : { error: "INVALID" };
+    } catch (e) {
+      return { error: "INVALID" };
+    }
+  },
+  min_seconds_to_claim: (v) => intField(v, 0, 86400),
+  cooldown_hours: (v) => intField(v, 0, 8760),
+  max_claims_per_day: (v) => intField(v, 1, 1000),
+  sponsor_cpc: (v) => {
+    if (v === null || v === undefined || v === "") return { value: null };
+    const n = Number(v);
+    return Number.isFinite(n) && n >= 0 ? { value: n } : { error: "INVALID" };
+  },
+  sponsor_daily_cap: (v) => intField(v, 0, 100000000),
+  sort_order: (v) => (v === null || v === undefined || v === "" ? { error: "REQUIRED" } : intField(v, -1000000, 1000000)),
+  is_active: (v) => (typeof v === "boolean" ? { value: v } : { error: "INVALID" }),
+  starts_at: (v) => timeField(v),
+  ends_at: (v) => timeField(v),
+  priority: (v) => (v === null || v === undefined || v === "" ? { value: 0 } : intField(v, -1000, 1000)),
+  targeting: (v) => parseTargeting(v),
+};
+
+const MISSION_COLUMNS = Object.keys(MISSION_FIELDS);
+
+const FIELD_MESSAGES = {
+  REQUIRED: "is required",
+  INVALID: "is not valid",
+  TOO_LONG: "is too long",
+  OUT_OF_RANGE: "is out of range",
+  REQUIRED_WHEN_ACTIVE: "is required for an active mission",
+  URL_REQUIRED: "is required for an active sponsor mission",
+  CPC_BELOW_PAYOUT: "must be at least payout_amount for sponsor missions",
+  TAKEN: "is already used by another mission",
+  BEFORE_START: "must be after starts_at",
+  IN_PAST: "is in the past; move it or leave the mission inactive",
+  UNKNOWN_KEY: "is not a targeting rule",
+  MIN_ABOVE_MAX: "must not be above the matching max_ rule",
+  UNKNOWN_SEGMENT: "lists a segment that does not exist",
+};
+
+function intField(v, min, max) {
+  if (v === null || v === undefined || v === "") return { value: null };
+  const n = Number(v);
+  if (!Number.isInteger(n)) return { error: "INVALID" };
+  return n >= min && n <= max ? { value: n } : { error: "OUT_OF_RANGE" };
+}
+
+function timeField(v) {
+  if (v === null || v === undefined || v === "") return { value: null };
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? { error: "INVALID" } : { value: d.toISOString() };
+}
+
+function codeList(v, re) {
+  if (!Array.isArray(v) || !v.length) return { error: "INVALID" };
+  const out = [...new Set(v.map((x) => String(x).trim().toLowerCase()))];
+  return out.every((x) => re.test(x)) ? { value: out } : { error: "INVALID" };
+}
+
+function storedTargeting(raw) {
+  if (!raw) return {};
+  if (typeof raw === "string") {
+    try {
+      return JSON.parse(raw) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+  return raw;
+}
+
+// Targeting object -> { value } or { error, field } (field names the failing rule).
+function parseTargeting(v) {
+  if (v === null || v === undefined || v === "") return { value: {} };
+  if (typeof v !== "object" || Array.isArray(v)) return { error: "INVALID" };
+  const out = {};
+  for (const [key, raw] of Object.entries(v)) {
+    const rule = TARGETING_RULES[key];
+    if (!rule) return { error: "UNKNOWN_KEY", field: `targeting.${key}` };
+    const r = rule(raw);
+    if (r.error) return { error: r.error, field: `targeting.${key}` };
+    if (r.value !== null) out[key] = r.value;
+  }
+  for (const dim of ["account_age_days", "referral_tier"]) {
+    const min = out[`min_${dim}`];
+    const max = out[`max_${dim}`];
+    if (min !== undefined && max !== undefined && min > max) return { error: "MIN_ABOVE_MAX", field: `targeting.min_${dim}` };
+  }
+  return { value: out };
+}
+
+/**
+ * Telegram WebApp.platform as sent in the client meta, or null.
+ */
+function normalizePlatform(value) {
+  const s = String(value || "").trim().toLowerCase();
+  return /^[a-z0-9_]{1,32}$/.test(s) && s !== "unknown" ? s : null;
+}
+
+function missionError(code, fields = null) {
+  const err = new Error(code);
+  err.code = code;
+  if (fields) err.fields = fields;
+  return err;
+}
+
+function fieldError(field, error) {
+  return { field, error, message: `${field} ${FIELD_MESSAGES[error] || "is not valid"}` };
+}
+
+/**
+ * Parse the editable fields present in `input`. Returns { values, errors }.
+ */
+function parseMissionInput(input) {
+  const values = {};
+  const errors = [];
+  for (const field of MISSION_COLUMNS) {
+    if (!Object.prototype.hasOwnProperty.call(input || {}, field)) continue;
+    const r = MISSION_FIELDS[field](input[field]);
+    if (r.error) errors.push(fieldError(r.field || field, r.error));
+    else values[field] = r.value;
+  }
+  return { values, errors };
+}
+
+/**
+ * Rules from 001_active_mission_integrity.sql on a full mission row.
+ * Returns a list of field errors (empty when valid).
+ */
+function validateMissionRow(m, now = new Date()) {
+  const errors = [];
+  if (!m.code) errors.push(fieldError("code", "REQUIRED"));
+  if (!m.title) errors.push(fieldError("title", "REQUIRED"));
+  const sponsor = m.kind === "sponsor";
+  const payout = m.payout_amount === null || m.payout_amount === undefined ? null : Number(m.payout_amount);
+
+  if (m.is_active) {
+    if (!m.payout_type) errors.push(fieldError("payout_type", "REQUIRED_WHEN_ACTIVE"));
+    if (payout === null) errors.push(fieldError("payout_amount", "REQUIRED_WHEN_ACTIVE"));
+    if (sponsor && !(m.url && String(m.url).trim())) errors.push(fieldError("url", "URL_REQUIRED"));
+    if (m.cooldown_hours === null || m.cooldown_hours === undefined) {
+      errors.push(fieldError("cooldown_hours", "REQUIRED_WHEN_ACTIVE"));
+    }
+    if (m.min_seconds_to_claim === null || m.min_seconds_to_claim === undefined) {
+      errors.push(fieldError("min_seconds_to_claim", "REQUIRED_WHEN_ACTIVE"));
+    }
+    if (m.ends_at && new Date(m.ends_at) <= now) errors.push(fieldError("ends_at", "IN_PAST"));
+  }
+  if (m.starts_at && m.ends_at && new Date(m.ends_at) <= new Date(m.starts_at)) {
+    errors.push(fieldError("ends_at", "BEFORE_START"));
+  }
+  // NULL sponsor_cpc passes the SQL check, so only compare when both are set.
+  if (sponsor && payout !== null && m.sponsor_cpc !== null && m.sponsor_cpc !== undefined) {
+    if (Number(m.sponsor_cpc) < payout) errors.push(fieldError("sponsor_cpc", "CPC_BELOW_PAYOUT"));
+  }
+  return errors;
+}
+
+// Targeted segments must exist (checked on save only; deleting a segment just stops matching).
+async function segmentErrors(client, values) {
+  const segments = (values.targeting && values.targeting.segments) || [];
+  return (await missingSegments(client, segments)).length ? [fieldError("targeting.segments", "UNKNOWN_SEGMENT")] : [];
+}
+
+async function codeTaken(client, code, exceptId = null) {
+  const { rowCount } = await client.query(
+    `SELECT 1 FROM public.missions WHERE code = $1 AND ($2::int4 IS NULL OR id <> $2) LIMIT 1`,
+    [code, exceptId]
+  );
+  return rowCount > 0;
+}
+
+async function lockMission(client, id) {
+  const { rows } = await client.query(`SELECT * FROM public.missions WHERE id = $1 FOR UPDATE`, [Number(id) || 0]);
+  if (!rows.length) throw missionError("NOT_FOUND");
+  return rows[0];
+}
+
+function columnValue(c, v) {
+  return c === "targeting" ? JSON.stringify(v || {}) : v;
+}
+
+// Write `values` to mission `id` (already validated).
+async function writeMission(client, id, values) {
+  const cols = Object.keys(values);
+  if (!cols.length) return (await client.query(`SELECT * FROM public.missions WHERE id = $1`, [id])).rows[0];
+  const sets = cols.map((c, i) => `${c} = $${i + 2}`).join(", ");
+  const { rows } = await client.query(
+    `UPDATE public.missions SET ${sets}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+    [id, ...cols.map((c) => columnValue(c, values[c]))]
+  );
+  return rows[0];
+}
+
+/**
+ * All missions in player display order (active and inactive).
+ */
+async function listMissionsAdmin(db) {
+  const { rows } = await db.query(`SELECT * FROM public.missions ORDER BY priority DESC, sort_order ASC, id ASC`);
+  return rows;
+}
+
+/**
+ * Create a mission. New missions are inactive unless `is_active` is given.
+ * Throws code INVALID_MISSION (err.fields) | CODE_TAKEN. Returns the row.
+ */
+async function createMissionTx(client, input) {
+  const { values, errors } = parseMissionInput(input);
+  const row = {
+    payout_type: "points",
+    payout_amount: 0,
+    min_seconds_to_claim: 30,
+    cooldown_hours: 24,
+    max_claims_per_day: 1,
+    sponsor_cpc: 0, // column default; validated so sponsor missions fail on the field, not the constraint
+    is_active: false,
+    ...values,
+  };
+  if (row.sort_order === undefined) {
+    const { rows } = await client.query(`SELECT COALESCE(MAX(sort_order), 0) + 1 AS next FROM public.missions`);
+    row.sort_order = Number(rows[0].next);
+  }
+  errors.push(...validateMissionRow(row));
+  if (!errors.length) errors.push(...(await segmentErrors(client, row)));
+  if (errors.length) throw missionError("INVALID_MISSION", errors);
+  if (await codeTaken(client, row.code)) throw missionError("CODE_TAKEN", [fieldError("code", "TAKEN")]);
+
+  const cols = Object.keys(row);
+  const { rows } = await client.query(
+    `INSERT INTO public.missions (${cols.join(", ")}) VALUES (${cols.map((_, i) => `$${i + 1}`).join(", ")}) RETURNING *`,
+    cols.map((c) => columnValue(c, row[c]))
+  );
+  return rows[0];
+}
+
+/**
+ * Apply `patch` to mission `id`. Throws NOT_FOUND | INVALID_MISSION | CODE_TAKEN.
+ * Returns { before, after }.
+ */
+async function updateMissionTx(client, id, patch) {
+  const before = await lockMission(client, id);
+  const { values, errors } = parseMissionInput(patch);
+  errors.push(...validateMissionRow({ ...before, ...values }));
+  if (!errors.length) errors.push(...(await segmentErrors(client, values)));
+  if (errors.length) throw missionError("INVALID_MISSION", errors);
+  if (values.is_active !== undefined) values.expired_at = null;
+  if (values.code && values.code !== before.code && (await codeTaken(client, values.code, before.id))) {
+    throw missionError("CODE_TAKEN", [fieldError("code", "TAKEN")]);
+  }
+  const after = await writeMission(client, before.id, values);
+  return { before, after };
+}
+
+/**
+ * Activate or deactivate mission `id`; activation runs the active-mission rules.
+ */
+async function setMissionActiveTx(client, id, active) {
+  return updateMissionTx(client, id, { is_active: Boolean(active) });
+}
+
+/**
+ * Set sort_order from the position of each id in `ids` (others keep their order).
+ * Returns the missions in their new order.
+ */
+async function reorderMissionsTx(client, ids) {
+  const list = (Array.isArray(ids) ? ids : []).map(Number).filter((n) => Number.isInteger(n) && n > 0);
+  if (!list.length || new Set(list).size !== list.length) throw missionError("BAD_ORDER");
+  const { rowCount } = await client.query(
+    `
+    UPDATE public.missions AS m
+    SET sort_order = o.pos, updated_at = NOW()
+    FROM unnest($1::int4[]) WITH ORDINALITY AS o(id, pos)
+    WHERE m.id = o.id
+    `,
+    [list]
+  );
+  if (rowCount !== list.length) throw missionError("NOT_FOUND");
+  return listMissionsAdmin(client);
+}
+
+/**
+ * Copy mission `id` as a new inactive mission with `code` (default "<code>_copy").
+ * Returns { source, mission }.
+ */
+async function cloneMissionTx(client, id, { code = null } = {}) {
+  const source = await lockMission(client, id);
+  let newCode = code;
+  if (!newCode) {
+    const base = `${source.code}_copy`.slice(0, 60);
+    newCode = base;
+    for (let i = 2; await codeTaken(client, newCode); i += 1) newCode = `${base}_${i}`;
+  }
+  const input = {};
+  for (const c of MISSION_COLUMNS) input[c] = source[c];
+  input.targeting = storedTargeting(source.targeting);
+  const mission = await createMissionTx(client, {
+    ...input,
+    code: newCode,
+    title: `${source.title} (copy)`.slice(0, 120),
+    is_active: false,
+    sort_order: Number(source.sort_order || 0),
+  });
+  return { source, mission };
+}
+
+/**
+ * Why `mission` is not open to the player described by `audience`, or null when it is.
+ * audience: { languageCode, vip, accountAgeDays, referralTier, platform, segments }.
+ * `startedAt` is the player's unclaimed run, which may still be completed after ends_at.
+ * Returns "NOT_STARTED" | "ENDED" | "NOT_TARGETED".
+ */
+function missionBlockReason(mission, audience, { now = new Date(), startedAt = null } = {}) {
+  if (mission.starts_at && new Date(mission.starts_at) > now) return "NOT_STARTED";
+  if (mission.ends_at) {
+    const endsAt = new Date(mission.ends_at);
+    const run = startedAt ? new Date(startedAt) : null;
+    if (endsAt <= now && !(run && run < endsAt)) return "ENDED";
+  }
+  return audienceMatches(storedTargeting(mission.targeting), audience) ? null : "NOT_TARGETED";
+}
+
+function audienceMatches(t, a) {
+  if (t.languages) {
+    const lang = String(a.languageCode || "").toLowerCase();
+    if (!t.languages.some((l) => lang === l || lang.startsWith(`${l}-`))) return false;
+  }
+  if (typeof t.vip === "boolean" && Boolean(a.vip) !== t.vip) return false;
+  const age = Number(a.accountAgeDays || 0);
+  if (t.min_account_age_days !== undefined && age < t.min_account_age_days) return false;
+  if (t.max_account_age_days !== undefined && age > t.max_account_age_days) return false;
+  const tier = Number(a.referralTier || 0);
+  if (t.min_referral_tier !== undefined && tier < t.min_referral_tier) return false;
+  if (t.max_referral_tier !== undefined && tier > t.max_referral_tier) return false;
+  if (t.platforms && !t.platforms.includes(a.platform)) return false;
+  if (t.segments && !t.segments.some((s) => (a.segments || []).includes(s))) return false;
+  return true;
+}
+
+/**
+ * Whole days since `createdAt`.
+ */
+function accountAgeDays(createdAt, now = new Date()) {
+  const t = createdAt ? new Date(createdAt).getTime() : NaN;
+  return Number.isNaN(t) ? 0 : Math.max(0, Math.floor((now.getTime() - t) / DAY_MS));
+}
+
+/**
+ * Deactivate active missions whose ends_at has passed (expire_missions job).
+ * Each one is written to the admin audit log as "system". Returns the expired rows.
+ */
+async function expireMissionsTx(client) {
+  const { rows } = await client.query(
+    `
+    UPDATE public.missions
+    SET is_active = FALSE, expired_at = NOW(), updated_at = NOW()
+    WHERE is_active = TRUE AND ends_at IS NOT NULL AND ends_at <= NOW()
+    RETURNING id, code, ends_at
+    `
+  );
+  for (const m of rows) {
+    await recordAdminAction(client, {
+      adminName: "system",
+      action: "mission.expire",
+      targetType: "mission",
+      targetId: m.id,
+      before: { is_active: true },
+      after: { is_active: false },
+      meta: { code: m.code, ends_at: m.ends_at },
+    });
+  }
+  return rows;
+}
+
+module.exports = {
+  MISSION_PAYOUT_TYPES,
+  MISSION_COLUMNS,
+  validateMissionRow,
+  listMissionsAdmin,
+  createMissionTx,
+  updateMissionTx,
+  setMissionActiveTx,
+  reorderMissionsTx,
+  cloneMissionTx,
+  normalizePlatform,
+  missionBlockReason,
+  accountAgeDays,
+  expireMissionsTx,
+};
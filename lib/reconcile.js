@@ -0,0 +1,226 @@
+// lib/reconcile.js
+// Bulk ledger reconciliation: compare users.balance with SUM(user_balance_ledger.delta)
+// for the "points" currency.
+//
+// A run is a row in ledger_reconcile_runs. Work is split into `reconcile_all` jobs,
+// one batch of users each; every batch runs in its own (worker) transaction and
+// enqueues the next batch before committing, so large fleets never hold one long
+// transaction. Mismatches are written to ledger_drift_reports; in dry-run mode
+// nothing is corrected.
+
+const { pool, withTransaction } = require("./db");
+const { enqueueJobTx } = require("./jobs");
+const { postJournalTx } = require("./ledger");
+
+const DEFAULT_BATCH_SIZE = 500;
+const MAX_BATCH_SIZE = 5000;
+
+function clampBatchSize(n) {
+  return Math.max(1, Math.min(MAX_BATCH_SIZE, Number(n) || DEFAULT_BATCH_SIZE));
+}
+
+/**
+ * Set users.balance to the ledger balance and post the difference against the
+ * "reconciliation" system account so the double-entry postings stay in step.
+ * No user_balance_ledger row is written: the ledger is the source of truth here.
+ */
+async function correctUserBalanceTx(client, { userId, storedBalance, ledgerBalance, runId = null }) {
+  const delta = ledgerBalance - storedBalance;
+  if (delta === 0) return false;
+
+  await client.query(`UPDATE public.users SET balance = $2 WHERE id = $1`, [userId, ledgerBalance]);
+  await postJournalTx(client, {
+    reason: "reconcile_correction",
+    refType: runId ? "reconcile_run" : "sync_user",
+    refId: runId,
+    postings: [
+      { userId, amount: delta },
+      { account: "reconciliation", amount: -delta },
+    ],
+  });
+  return true;
+}
+
+/**
+ * Create a run and enqueue its first batch (transaction already open on `client`).
+ */
+async function startReconcileRunTx(client, { startedBy = null, dryRun = true, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  const { rows } = await client.query(
+    `
+    INSERT INTO public.ledger_reconcile_runs (started_by, dry_run, batch_size)
+    VALUES ($1, $2, $3)
+    RETURNING *;
+    `,
+    [startedBy, Boolean(dryRun), clampBatchSize(batchSize)]
+  );
+  const run = rows[0];
+  await enqueueJobTx(client, "reconcile_all", { run_id: run.id });
+  return run;
+}
+
+async function startReconcileRun(opts) {
+  return withTransaction((client) => startReconcileRunTx(client, opts));
+}
+
+/**
+ * Start a scheduled run unless one is already running or the last one started
+ * less than `intervalMs` ago. Safe to call from several workers at once.
+ */
+async function maybeStartScheduledRun({ intervalMs, dryRun, batchSize }) {
+  return withTransaction(async (client) => {
+    const lock = await client.query(`SELECT pg_try_advisory_xact_lock(hashtext('reconcile_all_schedule')) AS ok`);
+    if (!lock.rows[0].ok) return null;
+
+    const { rows } = await client.query(
+      `SELECT status, created_at FROM public.ledger_reconcile_runs ORDER BY id DESC LIMIT 1`
+    );
+    const last = rows[0];
+    if (last && last.status === "running") return null;
+    if (last && Date.now() - new Date(last.created_at).getTime() < intervalMs) return null;
+
+    return startReconcileRunTx(client, { startedBy: "scheduler", dryRun, batchSize });
+  });
+}
+
+/**
+ * Process the next batch of a run (called by the reconcile_all job handler on
+ * the worker's transaction client). Returns { done, checked, mismatches }.
+ */
+async function reconcileBatchTx(client, runId) {
+  const runRes = await client.query(
+    `SELECT * FROM public.ledger_reconcile_runs WHERE id = $1 FOR UPDATE`,
+    [runId]
+  );
+  const run = runRes.rows[0];
+  if (!run) return null;
+  if (run.status !== "running") {
+    return { done: true, checked: 0, mismatches: 0 };
+  }
+
+  // Lock the batch only when we may correct it.
+  const usersRes = await client.query(
+    `
+    SELECT id, COALESCE(balance, 0)::text AS balance
+    FROM public.users
+    WHERE id > $1
+    ORDER BY id ASC
+    LIMIT $2
+    ${run.dry_run ? "" : "FOR UPDATE"}
+    `,
+    [run.cursor_user_id, run.batch_size]
+  );
+  const users = usersRes.rows;
+
+  if (!users.length) {
+    await client.query(
+      `UPDATE public.ledger_reconcile_runs SET status = 'completed', finished_at = NOW() WHERE id = $1`,
+      [runId]
+    );
+    return { done: true, checked: 0, mismatches: 0 };
+  }
+
+  const ids = users.map((u) => u.id);
+  const ledgerRes = await client.query(
+    `
+    SELECT user_id, COALESCE(SUM(delta), 0)::text AS total
+    FROM public.user_balance_ledger
+    WHERE user_id = ANY($1::int4[]) AND currency = 'points'
+    GROUP BY user_id
+    `,
+    [ids]
+  );
+  const ledgerByUser = new Map(ledgerRes.rows.map((r) => [r.user_id, Number(r.total)]));
+
+  let mismatches = 0;
+  let corrected = 0;
+  for (const u of users) {
+    const stored = Number(u.balance);
+    const ledger = ledgerByUser.get(u.id) || 0;
+    if (stored === ledger) continue;
+
+    mismatches += 1;
+    let applied = false;
+    if (!run.dry_run) {
+      applied = await correctUserBalanceTx(client, {
+        userId: u.id,
+        storedBalance: stored,
+        ledgerBalance: ledger,
+        runId,
+      });
+      if (applied) corrected += 1;
+    }
+
+    await client.query(
+      `
+      INSERT INTO public.ledger_drift_reports
+        (run_id, user_id, stored_balance, ledger_balance, delta, correction_applied)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      `,
+      [runId, u.id, stored, ledger, ledger - stored, applied]
+    );
+  }
+
+  await client.query(
+    `
+    UPDATE public.ledger_reconcile_runs
+    SET cursor_user_id = $2,
+        users_checked = users_checked + $3,
+        mismatches = mismatches + $4,
+        corrected = corrected + $5
+    WHERE id = $1
+    `,
+    [runId, ids[ids.length - 1], users.length, mismatches, corrected]
+  );
+
+  // Chain the next batch; it only becomes visible if this batch commits.
+  await enqueueJobTx(client, "reconcile_all", { run_id: runId });
+  return { done: false, checked: users.length, mismatches };
+}
+
+async function markReconcileRunFailed(runId, message) {
+  await pool.query(
+    `
+    UPDATE public.ledger_reconcile_runs
+    SET status = 'failed', finished_at = NOW(), last_error = $2
+    WHERE id = $1 AND status = 'running'
+    `,
+    [runId, String(message || "").slice(0, 500)]
+  );
+}
+
+/**
+ * Latest run (or a specific one) with its drift rows, largest deltas first.
+ */
+async function getReconcileReport({ runId = null, limit = 500 } = {}) {
+  const runRes = runId
+    ? await pool.query(`SELECT * FROM public.ledger_reconcile_runs WHERE id = $1`, [runId])
+    : await pool.query(`SELECT * FROM public.ledger_reconcile_runs ORDER BY id DESC LIMIT 1`);
+  const run = runRes.rows[0] || null;
+  if (!run) return { run: null, rows: [] };
+
+  const lim = Math.max(1, Math.min(5000, Number(limit) || 500));
+  const { rows } = await pool.query(
+    `
+    SELECT d.user_id, u.telegram_id, u.username, d.stored_balance, d.ledger_balance,
+           d.delta, d.correction_applied, d.created_at
+    FROM public.ledger_drift_reports d
+    LEFT JOIN public.users u ON u.id = d.user_id
+    WHERE d.run_id = $1
+    ORDER BY ABS(d.delta) DESC, d.user_id ASC
+    LIMIT $2
+    `,
+    [run.id, lim]
+  );
+  return { run, rows };
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  correctUserBalanceTx,
+  startReconcileRunTx,
+  startReconcileRun,
+  maybeStartScheduledRun,
+  reconcileBatchTx,
+  markReconcileRunFailed,
+  getReconcileReport,
+};
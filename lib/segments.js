@@ -0,0 +1,120 @@
+// lib/segments.js
+// Admin-managed user segments (public.segments / public.segment_members).
+// Missions can target segment membership (targeting.segments in lib/missions.js).
+
+const SEGMENT_CODE_RE = /^[a-z0-9_]{1,64}$/;
+const MAX_MEMBERS_PER_CALL = 5000;
+
+function segmentError(code) {
+  const err = new Error(code);
+  err.code = code;
+  return err;
+}
+
+function memberIds(list) {
+  return [...new Set((Array.isArray(list) ? list : []).map(Number).filter((n) => Number.isInteger(n) && n > 0))];
+}
+
+/**
+ * Segment codes `userId` belongs to.
+ */
+async function userSegments(db, userId) {
+  const { rows } = await db.query(`SELECT segment_code FROM public.segment_members WHERE user_id = $1`, [userId]);
+  return rows.map((r) => r.segment_code);
+}
+
+/**
+ * All segments with member counts.
+ */
+async function listSegments(db) {
+  const { rows } = await db.query(
+    `
+    SELECT s.code, s.title, s.created_at, COUNT(m.user_id)::int AS members
+    FROM public.segments s
+    LEFT JOIN public.segment_members m ON m.segment_code = s.code
+    GROUP BY s.code
+    ORDER BY s.code ASC
+    `
+  );
+  return rows;
+}
+
+/**
+ * Codes from `codes` that have no segment row.
+ */
+async function missingSegments(db, codes) {
+  if (!codes.length) return [];
+  const { rows } = await db.query(`SELECT code FROM public.segments WHERE code = ANY($1::text[])`, [codes]);
+  const found = new Set(rows.map((r) => r.code));
+  return codes.filter((c) => !found.has(c));
+}
+
+/**
+ * Create a segment or rename it. Throws BAD_SEGMENT. Returns the row.
+ */
+async function saveSegmentTx(client, { code, title = null }) {
+  const c = String(code || "").trim();
+  if (!SEGMENT_CODE_RE.test(c)) throw segmentError("BAD_SEGMENT");
+  const t = title === null || title === undefined ? null : String(title).trim().slice(0, 120) || null;
+  const { rows } = await client.query(
+    `
+    INSERT INTO public.segments (code, title)
+    VALUES ($1, $2)
+    ON CONFLICT (code) DO UPDATE SET title = EXCLUDED.title
+    RETURNING *
+    `,
+    [c, t]
+  );
+  return rows[0];
+}
+
+/**
+ * Add and remove members (user ids) of segment `code`.
+ * Throws BAD_SEGMENT | NOT_FOUND | TOO_MANY. Returns { added, removed, members }.
+ */
+async function updateSegmentMembersTx(client, { code, add = [], remove = [] }) {
+  const c = String(code || "").trim();
+  if (!SEGMENT_CODE_RE.test(c)) throw segmentError("BAD_SEGMENT");
+  const toAdd = memberIds(add);
+  const toRemove = memberIds(remove);
+  if (toAdd.length + toRemove.length > MAX_MEMBERS_PER_CALL) throw segmentError("TOO_MANY");
+
+  const seg = await client.query(`SELECT code FROM public.segments WHERE code = $1 FOR UPDATE`, [c]);
+  if (!seg.rowCount) throw segmentError("NOT_FOUND");
+
+  let added = 0;
+  if (toAdd.length) {
+    // Unknown user ids are skipped.
+    const r = await client.query(
+      `
+      INSERT INTO public.segment_members (segment_code, user_id)
+      SELECT $1, u.id FROM public.users u WHERE u.id = ANY($2::int4[])
+      ON CONFLICT DO NOTHING
+      `,
+      [c, toAdd]
+    );
+    added = r.rowCount;
+  }
+  let removed = 0;
+  if (toRemove.length) {
+    const r = await client.query(
+      `DELETE FROM public.segment_members WHERE segment_code = $1 AND user_id = ANY($2::int4[])`,
+      [c, toRemove]
+    );
+    removed = r.rowCount;
+  }
+  const { rows } = await client.query(
+    `SELECT COUNT(*)::int AS n FROM public.segment_members WHERE segment_code = $1`,
+    [c]
+  );
+  return { added, removed, members: rows[0].n };
+}
+
+module.exports = {
+  SEGMENT_CODE_RE,
+  userSegments,
+  listSegments,
+  missingSegments,
+  saveSegmentTx,
+  updateSegmentMembersTx,
+};
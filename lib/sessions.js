@@ -0,0 +1,235 @@
+// lib/sessions.js
+// Short-lived session tokens issued after a verified initData login.
+//
+// - Access token: stateless, HMAC-signed, expires after SESSION_ACCESS_TTL_SECONDS.
+//   Format: "v1.<base64url(payload)>.<base64url(signature)>".
+// - Refresh token: "<session_id>.<random>", stored hashed in public.user_sessions
+//   and rotated on every refresh.
+// - Revocation: public.user_sessions.revoked_at. Access tokens re-check it through a
+//   short in-process cache so a revoked session dies within seconds without a DB
+//   read on every request.
+
+const crypto = require("crypto");
+const { pool } = require("./db");
+
+const ACCESS_TTL_SECONDS = Number(process.env.SESSION_ACCESS_TTL_SECONDS || 900);
+const REFRESH_TTL_DAYS = Number(process.env.SESSION_REFRESH_TTL_DAYS || 30);
+const REVOCATION_CACHE_MS = Number(process.env.SESSION_REVOCATION_CACHE_MS || 15000);
+
+// Prefer a dedicated secret; otherwise derive one from the bot token so a fresh
+// deployment works out of the box.
+const SESSION_SECRET =
+  String(process.env.SESSION_SECRET || "").trim() ||
+  crypto.createHash("sha256").update(`session|${process.env.BOT_TOKEN || ""}`).digest("hex");
+
+const SESSION_ERRORS = {
+  INVALID: "SESSION_INVALID",
+  EXPIRED: "SESSION_EXPIRED",
+  REVOKED: "SESSION_REVOKED",
+  REFRESH_INVALID: "REFRESH_TOKEN_INVALID",
+};
+
+class SessionError extends Error {
+  constructor(code, message) {
+    super(message || code);
+    this.name = "SessionError";
+    this.code = code;
+    this.status = 401;
+  }
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+function fromB64url(str) {
+  return Buffer.from(String(str).replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+function sign(body) {
+  return b64url(crypto.createHmac("sha256", SESSION_SECRET).update(body).digest());
+}
+
+function hashRefreshSecret(secret) {
+  return crypto.createHash("sha256").update(`refresh|${secret}`).digest("hex");
+}
+
+function issueAccessToken({ sessionId, userId, telegramId }) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    sid: sessionId,
+    uid: userId,
+    tid: String(telegramId),
+    iat: now,
+    exp: now + ACCESS_TTL_SECONDS,
+  };
+  const body = `v1.${b64url(JSON.stringify(payload))}`;
+  return { token: `${body}.${sign(body)}`, expiresIn: ACCESS_TTL_SECONDS };
+}
+
+/**
+ * Verify signature + expiry of an access token (no DB access).
+ * Returns the payload ({ sid, uid, tid, iat, exp }) or throws SessionError.
+ */
+function verifyAccessToken(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3 || parts[0] !== "v1") {
+    throw new SessionError(SESSION_ERRORS.INVALID);
+  }
+  const body = `${parts[0]}.${parts[1]}`;
+  const expected = Buffer.from(sign(body));
+  const provided = Buffer.from(parts[2]);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    throw new SessionError(SESSION_ERRORS.INVALID);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(fromB64url(parts[1]).toString("utf8"));
+  } catch (e) {
+    throw new SessionError(SESSION_ERRORS.INVALID);
+  }
+  if (!payload || !payload.sid || !payload.uid) {
+    throw new SessionError(SESSION_ERRORS.INVALID);
+  }
+  if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) {
+    throw new SessionError(SESSION_ERRORS.EXPIRED);
+  }
+  return payload;
+}
+
+// sessionId -> { active, checkedAt }
+const revocationCache = new Map();
+
+async function isSessionActive(sessionId) {
+  const now = Date.now();
+  const cached = revocationCache.get(sessionId);
+  if (cached && now - cached.checkedAt < REVOCATION_CACHE_MS) {
+    return cached.active;
+  }
+
+  const { rows } = await pool.query(
+    `
+    SELECT revoked_at, expires_at
+    FROM public.user_sessions
+    WHERE id = $1
+    LIMIT 1;
+    `,
+    [sessionId]
+  );
+  const row = rows[0];
+  const active = Boolean(row && !row.revoked_at && new Date(row.expires_at) > new Date());
+  revocationCache.set(sessionId, { active, checkedAt: now });
+  return active;
+}
+
+/**
+ * Create a new session for `user` and return its tokens.
+ * `meta` is optional device info ({ ip_hash, ua_hash }) stored for support/audit.
+ */
+async function createSession(user, meta = {}) {
+  const sessionId = b64url(crypto.randomBytes(18));
+  const refreshSecret = b64url(crypto.randomBytes(32));
+
+  const { rows } = await pool.query(
+    `
+    INSERT INTO public.user_sessions (id, user_id, telegram_id, refresh_hash, expires_at, ip_hash, ua_hash)
+    VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5), $6, $7)
+    RETURNING expires_at;
+    `,
+    [
+      sessionId,
+      user.id,
+      user.telegram_id,
+      hashRefreshSecret(refreshSecret),
+      REFRESH_TTL_DAYS,
+      meta.ip_hash || null,
+      meta.ua_hash || null,
+    ]
+  );
+
+  const access = issueAccessToken({ sessionId, userId: user.id, telegramId: user.telegram_id });
+  return {
+    session_id: sessionId,
+    access_token: access.token,
+    expires_in: access.expiresIn,
+    refresh_token: `${sessionId}.${refreshSecret}`,
+    refresh_expires_at: rows[0].expires_at,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token + rotated refresh token.
+ * Throws SessionError when the token is unknown, already rotated, expired or revoked.
+ */
+async function refreshSession(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!sessionId || !secret) {
+    throw new SessionError(SESSION_ERRORS.REFRESH_INVALID);
+  }
+
+  const nextSecret = b64url(crypto.randomBytes(32));
+  const { rows } = await pool.query(
+    `
+    UPDATE public.user_sessions
+    SET refresh_hash = $3,
+        last_refreshed_at = NOW()
+    WHERE id = $1
+      AND refresh_hash = $2
+      AND revoked_at IS NULL
+      AND expires_at > NOW()
+    RETURNING id, user_id, telegram_id, expires_at;
+    `,
+    [sessionId, hashRefreshSecret(secret), hashRefreshSecret(nextSecret)]
+  );
+  if (!rows.length) {
+    throw new SessionError(SESSION_ERRORS.REFRESH_INVALID);
+  }
+
+  const s = rows[0];
+  const access = issueAccessToken({ sessionId: s.id, userId: s.user_id, telegramId: s.telegram_id });
+  return {
+    session_id: s.id,
+    access_token: access.token,
+    expires_in: access.expiresIn,
+    refresh_token: `${s.id}.${nextSecret}`,
+    refresh_expires_at: s.expires_at,
+  };
+}
+
+/**
+ * Revoke one session by id, or every session of a user.
+ * Returns the number of sessions revoked.
+ */
+async function revokeSessions({ sessionId = null, userId = null, reason = null }) {
+  if (!sessionId && !userId) {
+    throw new Error("revokeSessions: sessionId or userId is required");
+  }
+
+  const { rows } = await pool.query(
+    `
+    UPDATE public.user_sessions
+    SET revoked_at = NOW(),
+        revoked_reason = $3
+    WHERE revoked_at IS NULL
+      AND (($1::text IS NOT NULL AND id = $1) OR ($2::int IS NOT NULL AND user_id = $2))
+    RETURNING id;
+    `,
+    [sessionId, userId, reason]
+  );
+
+  for (const r of rows) {
+    revocationCache.set(r.id, { active: false, checkedAt: Date.now() });
+  }
+  return rows.length;
+}
+
+module.exports = {
+  SESSION_ERRORS,
+  SessionError,
+  createSession,
+  refreshSession,
+  revokeSessions,
+  verifyAccessToken,
+  isSessionActive,
+};
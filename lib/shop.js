@@ -0,0 +1,138 @@
+// lib/shop.js
+// In-app shop: catalogue items (shop_items) priced in points or gems.
+//
+// Buying debits the price through the ledger in the item's currency and applies
+// the grant in the same transaction; every purchase is kept in shop_purchases.
+
+const { pool } = require("./db");
+const { applyBalanceChangeTx, availableBalance } = require("./ledger");
+const { refillEnergyTx } = require("./energy");
+
+const SHOP_CURRENCIES = ["points", "gems"];
+const SHOP_GRANT_TYPES = ["points", "energy_refill", "double_boost_minutes", "vip_days"];
+
+function shopError(code, message) {
+  const err = new Error(message || code);
+  err.code = code;
+  return err;
+}
+
+async function listShopItems({ currency = null } = {}) {
+  const params = [];
+  let where = "active = TRUE";
+  if (currency) {
+    params.push(currency);
+    where += ` AND price_currency = $${params.length}`;
+  }
+  const { rows } = await pool.query(
+    `
+    SELECT sku, title, description, price_currency, price::text AS price, grant_type, grant_amount
+    FROM public.shop_items
+    WHERE ${where}
+    ORDER BY sort_order ASC, id ASC;
+    `,
+    params
+  );
+  return rows.map((r) => ({ ...r, price: Number(r.price) }));
+}
+
+async function applyGrantTx(client, { userId, item, purchaseId }) {
+  const amount = Number(item.grant_amount);
+  switch (item.grant_type) {
+    case "points":
+      await applyBalanceChangeTx(client, {
+        userId,
+        delta: amount,
+        reason: "shop_grant",
+        refType: "shop_purchase",
+        refId: purchaseId,
+        eventType: "shop_grant",
+      });
+      return;
+    case "energy_refill":
+      await refillEnergyTx(client, userId);
+      return;
+    case "double_boost_minutes":
+      await client.query(
+        `
+        UPDATE public.users
+        SET double_boost_until = GREATEST(COALESCE(double_boost_until, NOW()), NOW()) + make_interval(mins => $2)
+        WHERE id = $1
+        `,
+        [userId, amount]
+      );
+      return;
+    case "vip_days":
+      await client.query(
+        `
+        UPDATE public.users
+        SET vip_until = GREATEST(COALESCE(vip_until, NOW()), NOW()) + make_interval(days => $2),
+            vip_tier = GREATEST(COALESCE(vip_tier, 0), 1)
+        WHERE id = $1
+        `,
+        [userId, amount]
+      );
+      return;
+    default:
+      throw shopError("BAD_ITEM", "unknown grant_type " + item.grant_type);
+  }
+}
+
+/**
+ * Buy one unit of `sku` (transaction already open on `client`).
+ * Throws Error with code NOT_FOUND | BAD_ITEM | INSUFFICIENT_BALANCE.
+ * Returns { purchase, user }.
+ */
+async function buyShopItemTx(client, { userId, sku }) {
+  const itemRes = await client.query(
+    `SELECT * FROM public.shop_items WHERE sku = $1 AND active = TRUE LIMIT 1`,
+    [String(sku || "")]
+  );
+  const item = itemRes.rows[0];
+  if (!item) throw shopError("NOT_FOUND", "shop item not found");
+  if (!SHOP_CURRENCIES.includes(item.price_currency) || !SHOP_GRANT_TYPES.includes(item.grant_type)) {
+    throw shopError("BAD_ITEM");
+  }
+
+  const userRes = await client.query(
+    `SELECT id, balance, held_balance, gems_balance FROM public.users WHERE id = $1 FOR UPDATE`,
+    [userId]
+  );
+  const user = userRes.rows[0];
+  if (!user) throw shopError("NOT_FOUND", "user not found");
+
+  const price = Number(item.price);
+  const spendable = item.price_currency === "gems" ? Number(user.gems_balance || 0) : availableBalance(user);
+  if (spendable < price) throw shopError("INSUFFICIENT_BALANCE");
+
+  const pRes = await client.query(
+    `
+    INSERT INTO public.shop_purchases (user_id, item_id, sku, price_currency, price, grant_type, grant_amount)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *;
+    `,
+    [userId, item.id, item.sku, item.price_currency, price, item.grant_type, item.grant_amount]
+  );
+  const purchase = pRes.rows[0];
+
+  await applyBalanceChangeTx(client, {
+    userId,
+    delta: -price,
+    currency: item.price_currency,
+    reason: "shop_purchase",
+    refType: "shop_purchase",
+    refId: purchase.id,
+    eventType: "spend",
+  });
+  await applyGrantTx(client, { userId, item, purchaseId: purchase.id });
+
+  const fresh = await client.query(`SELECT * FROM public.users WHERE id = $1`, [userId]);
+  return { purchase, user: fresh.rows[0] };
+}
+
+module.exports = {
+  SHOP_CURRENCIES,
+  SHOP_GRANT_TYPES,
+  listShopItems,
+  buyShopItemTx,
+};
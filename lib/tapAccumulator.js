@@ -0,0 +1,526 @@
+// lib/tapAccumulator.js
+// Write-behind tap aggregation for /api/tapPacket.
+//
+// Ack path (one INSERT per packet, no users read):
+// - Energy and the daily cap are checked against this process's snapshot of the
+//   user row plus the taps it acknowledged that are not flushed yet.
+// - The packet is stored in tap_packets with taps_applied / per_tap / tap_cap.
+//   That row is the durable record: once it is committed the taps are acknowledged.
+//
+// Flush path (flushTapPackets, every TAP_FLUSH_INTERVAL_MS in the API process and
+// as a sweep in the worker):
+// - Picks users with queued packets and applies each user in its own short
+//   transaction (user row, then up to FLUSH_PACKETS_PER_USER packets, both
+//   SKIP LOCKED) with one ledger mint and one users UPDATE, so a flush never holds
+//   many users or the emission counters for long.
+// - Marking packets flushed happens in the same transaction as the ledger entry,
+//   so a packet is applied exactly once even if a process dies mid-way; packets
+//   left behind by a crashed process are picked up by the next flush.
+// - The flush re-checks energy and the daily cap on the locked row; it only trims
+//   taps when a client acknowledged more than it had (e.g. through two instances).
+// - A user whose flush fails has its packets retried with backoff; after
+//   MAX_FLUSH_ATTEMPTS they are parked (parked_at) and left for an admin.
+//
+// Snapshots and pending taps: each process remembers the packets it acknowledged
+// until it sees them flushed or parked, and keeps a snapshot of each tapping
+// user's row. Its own flush replaces the snapshot with the row it wrote and
+// forgets the flushed packets in the same tick. Otherwise the snapshot is
+// refreshed after SNAPSHOT_MAX_AGE_MS (or before refusing a packet) by reading
+// the row and the state of the pending packets in one statement, so a flush by
+// any process is counted exactly once. Writes by other routes (energy refills,
+// daily reset) show up on that refresh. Acks for one user are serialised within
+// the process.
+//
+// Parked packets are acknowledged taps that were never applied; admins list and
+// requeue them (listParkedTapPackets / requeueParkedTapPackets).
+
+const { pool, withTransaction } = require("./db");
+const { mintRewardTx, isEmissionPaused } = require("./emission");
+const { computeEnergy } = require("./energy");
+const { loadSettingsForUser } = require("./experiments");
+const { utcDay, userDay, dayOf, isNewUserDay } = require("./dayClock");
+
+const FLUSH_USER_BATCH = Number(process.env.TAP_FLUSH_USER_BATCH || 200);
+const FLUSH_PACKETS_PER_USER = Number(process.env.TAP_FLUSH_PACKETS_PER_USER || 500);
+const MAX_FLUSH_ATTEMPTS = 5;
+const FLUSH_RETRY_BASE_SECONDS = 10;
+const PAUSE_CACHE_MS = 5000;
+const PENDING_PRUNE_MAX_IDS = 10000;
+const SNAPSHOT_MAX_AGE_MS = Number(process.env.TAP_SNAPSHOT_MAX_AGE_MS || 5000);
+const REFRESH_USER_BATCH = 500;
+
+// Columns the ack path needs (userView, computeEnergy, upgradeEffects, dayClock).
+const SNAPSHOT_COLUMNS = [
+  "id", "balance", "energy", "max_energy", "energy_cap", "last_energy_ts", "taps_today", "today_farmed",
+  "last_reset", "vip_until", "vip_tier", "season_id", "upgrade_levels", "upgrades_season_id", "tz_offset_min",
+];
+
+function snapshotColumns(alias = "") {
+  return SNAPSHOT_COLUMNS.map((c) => (alias ? `${alias}.${c}` : c)).join(", ");
+}
+
+// Packets waiting for a flush ($2 = minimum age in seconds).
+const QUEUE_SQL = `
+  flushed_at IS NULL AND parked_at IS NULL AND taps_applied IS NOT NULL
+  AND created_at <= NOW() - make_interval(secs => $2)
+  AND (flush_retry_at IS NULL OR flush_retry_at <= NOW())`;
+
+// userId -> Map(packetId -> { taps, points }) acknowledged here, not yet seen flushed or parked.
+const pendingByUser = new Map();
+// userId -> tail of this process's ack chain for the user.
+const ackChains = new Map();
+// userId -> { row, at, gen } (gen counts replacements, so a slow refresh cannot overwrite a newer row).
+const snapshots = new Map();
+
+function setSnapshot(userId, row) {
+  const id = Number(userId);
+  const prev = snapshots.get(id);
+  snapshots.set(id, { row, at: Date.now(), gen: (prev ? prev.gen : 0) + 1 });
+}
+
+function sumPending(entries) {
+  const sum = { taps: 0, points: 0 };
+  for (const p of entries.values()) {
+    sum.taps += p.taps;
+    sum.points += p.points;
+  }
+  return sum;
+}
+
+function pendingTotals(userId) {
+  return sumPending(pendingByUser.get(Number(userId)) || new Map());
+}
+
+/**
+ * What the user row looks like once daily reset, regen and this process's
+ * pending taps are applied. Pure apart from reading pendingByUser.
+ */
+function userView(user, settings, now = new Date(), pending = pendingTotals(user.id)) {
+  const regen = computeEnergy(user, settings, now);
+  const maxEnergy = regen.cap;
+  const newDay = isNewUserDay(user, user.last_reset, now);
+  let energy = newDay ? maxEnergy : regen.energy;
+  let tapsToday = newDay ? 0 : Number(user.taps_today || 0);
+  energy = Math.max(0, energy - pending.taps);
+  tapsToday += pending.taps;
+  return {
+    energy,
+    max_energy: maxEnergy,
+    taps_today: tapsToday,
+    today_farmed: (newDay ? 0 : Number(user.today_farmed || 0)) + pending.points,
+    balance: Number(user.balance || 0) + pending.points,
+    pending_taps: pending.taps,
+    pending_points: pending.points,
+  };
+}
+
+let pauseCache = { at: 0, paused: false };
+
+async function tapMiningPaused() {
+  if (Date.now() - pauseCache.at < PAUSE_CACHE_MS) return pauseCache.paused;
+  const paused = await isEmissionPaused("tap");
+  pauseCache = { at: Date.now(), paused };
+  return paused;
+}
+
+/**
+ * Acknowledge a tap packet without touching users or the ledger.
+ * `cadence` comes from antiCheat.parseTapCadence.
+ * Returns { status, applied, gained, view } where status is
+ * "ok" | "duplicate" | "NO_ENERGY" | "MAX_TAPS_REACHED" | "MINING_PAUSED".
+ */
+function acceptTapPacket(args) {
+  const id = Number(args.user.id);
+  const run = (ackChains.get(id) || Promise.resolve()).then(() => acceptTapPacketNow(args));
+  const tail = run.catch(() => {});
+  ackChains.set(id, tail);
+  tail.then(() => {
+    if (ackChains.get(id) === tail) ackChains.delete(id);
+  });
+  return run;
+}
+
+// Re-read the rows of `userIds` and which of their pending packets are flushed or
+// parked, in one statement; forget those and replace the snapshots.
+async function refreshSnapshots(userIds) {
+  const gens = new Map(userIds.map((id) => [id, snapshots.has(id) ? snapshots.get(id).gen : 0]));
+  const packetIds = [];
+  for (const id of userIds) packetIds.push(...(pendingByUser.get(id) || new Map()).keys());
+  const { rows } = await pool.query(
+    `
+    SELECT ${snapshotColumns("u")}, ARRAY(
+      SELECT t.packet_id FROM public.tap_packets t
+      WHERE t.user_id = u.id AND t.packet_id = ANY($2::text[])
+        AND (t.flushed_at IS NOT NULL OR t.parked_at IS NOT NULL)
+    ) AS resolved_packet_ids
+    FROM public.users u
+    WHERE u.id = ANY($1::int4[])
+    `,
+    [userIds, packetIds]
+  );
+  for (const { resolved_packet_ids: resolved, ...row } of rows) {
+    const id = Number(row.id);
+    // Our flush (or another refresh) replaced the snapshot meanwhile: it is newer.
+    if ((snapshots.has(id) ? snapshots.get(id).gen : 0) !== gens.get(id)) continue;
+    forgetPending(id, resolved);
+    setSnapshot(id, row);
+  }
+}
+
+async function acceptTapPacketNow({ user, settings, packetId, count, perTap, tapCap, cadence }) {
+  const id = Number(user.id);
+  let refreshed = false;
+  const snap = snapshots.get(id);
+  if (!snap ? pendingByUser.has(id) : Date.now() - snap.at > SNAPSHOT_MAX_AGE_MS) {
+    await refreshSnapshots([id]);
+    refreshed = true;
+  }
+  // Nothing pending here (or the row vanished): the caller's row is current enough.
+  if (!snapshots.has(id)) setSnapshot(id, user);
+
+  let view = userView(snapshots.get(id).row, settings);
+  // Refills and resets by other routes only show up on a refresh: confirm a refusal first.
+  if (!refreshed && (view.energy <= 0 || view.taps_today >= tapCap)) {
+    await refreshSnapshots([id]);
+    view = userView(snapshots.get(id).row, settings);
+  }
+  if (view.energy <= 0) return { status: "NO_ENERGY", applied: 0, gained: 0, view };
+  if (view.taps_today >= tapCap) return { status: "MAX_TAPS_REACHED", applied: 0, gained: 0, view };
+  if (await tapMiningPaused()) return { status: "MINING_PAUSED", applied: 0, gained: 0, view };
+
+  const n = Math.max(1, Math.min(count, tapCap - view.taps_today, view.energy));
+  const ins = await pool.query(
+    `INSERT INTO public.tap_packets
+       (packet_id, telegram_id, user_id, seq, client_ts, span_ms, tap_count, tap_offsets, taps_applied, per_tap, tap_cap)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     ON CONFLICT (packet_id) DO NOTHING
+     RETURNING packet_id;`,
+    [packetId, user.telegram_id, user.id, cadence.seq, cadence.clientTs, cadence.spanMs, count, cadence.offsets, n, perTap, tapCap]
+  );
+  if (!ins.rowCount) return { status: "duplicate", applied: 0, gained: 0, view };
+
+  if (!pendingByUser.has(id)) pendingByUser.set(id, new Map());
+  // Points are an estimate until the flush (emission budget may reduce them).
+  const points = n * perTap;
+  pendingByUser.get(id).set(packetId, { taps: n, points });
+
+  return {
+    status: "ok",
+    applied: n,
+    gained: points,
+    view: {
+      ...view,
+      energy: view.energy - n,
+      taps_today: view.taps_today + n,
+      today_farmed: view.today_farmed + points,
+      balance: view.balance + points,
+      pending_taps: view.pending_taps + n,
+      pending_points: view.pending_points + points,
+    },
+  };
+}
+
+function forgetPending(userId, packetIds) {
+  const pending = pendingByUser.get(Number(userId));
+  if (!pending) return;
+  for (const id of packetIds) pending.delete(id);
+  if (!pending.size) pendingByUser.delete(Number(userId));
+}
+
+// Apply one user's packets (user row already locked). Returns { taps, points, user }
+// where user holds the snapshot columns as written.
+async function flushUserTx(client, user, packets, now) {
+  const regen = computeEnergy(user, await loadSettingsForUser(user), now);
+  const newDay = isNewUserDay(user, user.last_reset, now);
+  const energy = newDay ? regen.cap : regen.energy;
+  const tapsToday = newDay ? 0 : Number(user.taps_today || 0);
+  const cap = Math.max(...packets.map((p) => Number(p.tap_cap || 0)));
+
+  let remaining = Math.max(0, Math.min(energy, cap - tapsToday));
+  const alloc = packets.map((p) => {
+    const taps = Math.min(Number(p.taps_applied || 0), remaining);
+    remaining -= taps;
+    return taps;
+  });
+  let taps = alloc.reduce((a, b) => a + b, 0);
+  const requested = packets.reduce((sum, p, i) => sum + alloc[i] * Number(p.per_tap || 1), 0);
+
+  let granted = 0;
+  if (taps > 0) {
+    const minted = await mintRewardTx(client, {
+      source: "tap",
+      amount: requested,
+      scaled: true,
+      userId: user.id,
+      reason: "tap_reward",
+      refType: "tap_flush",
+      refId: null,
+      eventType: "tap",
+    });
+    if (minted.state === "paused") {
+      // Same as the synchronous path: no points, no energy or taps spent.
+      taps = 0;
+      alloc.fill(0);
+    } else {
+      granted = minted.granted;
+    }
+  }
+
+  const { rows: updated } = await client.query(
+    `
+    UPDATE public.users
+    SET energy         = $2,
+        taps_today     = $3,
+        today_farmed   = $4,
+        last_energy_ts = $5,
+        last_reset     = $6,
+        energy_cap     = $7,
+        lb_day_farmed  = CASE WHEN lb_day = $8::date THEN lb_day_farmed ELSE 0 END + $9,
+        lb_day         = $8::date
+    WHERE id = $1
+    RETURNING ${snapshotColumns()}
+    `,
+    [
+      user.id,
+      energy - taps,
+      tapsToday + taps,
+      (newDay ? 0 : Number(user.today_farmed || 0)) + granted,
+      new Date(now.getTime() - (newDay ? 0 : regen.leftoverMs)).toISOString(),
+      newDay ? userDay(user, now) : dayOf(user.last_reset),
+      regen.cap,
+      utcDay(now),
+      granted,
+    ]
+  );
+
+  await client.query(
+    `
+    UPDATE public.tap_packets AS t
+    SET flushed_at = NOW(), taps_flushed = a.taps
+    FROM unnest($1::text[], $2::int4[]) AS a(packet_id, taps)
+    WHERE t.packet_id = a.packet_id
+    `,
+    [packets.map((p) => p.packet_id), alloc]
+  );
+  return { taps, points: granted, user: updated[0] };
+}
+
+// One user's queued packets in one transaction. Returns null when the user row or
+// its packets are busy (another flush or a reward write has them) or nothing is due.
+async function flushUser(userId, minAgeSecs, now) {
+  return withTransaction(async (client) => {
+    const { rows: users } = await client.query(
+      `
+      SELECT id, energy, max_energy, energy_cap, last_energy_ts, taps_today, today_farmed, last_reset, vip_until, vip_tier,
+             season_id, upgrade_levels, upgrades_season_id, tz_offset_min
+      FROM public.users
+      WHERE id = $1
+      FOR UPDATE SKIP LOCKED
+      `,
+      [userId]
+    );
+    if (!users.length) return null;
+
+    const { rows: packets } = await client.query(
+      `
+      SELECT packet_id, taps_applied, per_tap, tap_cap
+      FROM public.tap_packets
+      WHERE user_id = $1 AND ${QUEUE_SQL}
+      ORDER BY created_at ASC
+      LIMIT $3
+      FOR UPDATE SKIP LOCKED
+      `,
+      [userId, minAgeSecs, FLUSH_PACKETS_PER_USER]
+    );
+    if (!packets.length) return null;
+
+    const r = await flushUserTx(client, users[0], packets, now);
+    return { ...r, packetIds: packets.map((p) => p.packet_id), full: packets.length >= FLUSH_PACKETS_PER_USER };
+  });
+}
+
+// Back off the user's queued packets after a failed flush; park them after
+// MAX_FLUSH_ATTEMPTS. Returns the ids parked now.
+async function recordFlushFailure(userId, minAgeSecs, err) {
+  const { rows } = await pool.query(
+    `
+    UPDATE public.tap_packets
+    SET flush_attempts = flush_attempts + 1,
+        flush_error = $3,
+        flush_retry_at = NOW() + make_interval(secs => $4 * power(2, flush_attempts)),
+        parked_at = CASE WHEN flush_attempts + 1 >= $5 THEN NOW() END
+    WHERE packet_id IN (
+      SELECT packet_id FROM public.tap_packets
+      WHERE user_id = $1 AND ${QUEUE_SQL}
+      ORDER BY created_at ASC
+      LIMIT $6
+    )
+    RETURNING packet_id, parked_at
+    `,
+    [userId, minAgeSecs, String(err.message || err).slice(0, 500), FLUSH_RETRY_BASE_SECONDS, MAX_FLUSH_ATTEMPTS, FLUSH_PACKETS_PER_USER]
+  );
+  return rows.filter((r) => r.parked_at).map((r) => r.packet_id);
+}
+
+/**
+ * Apply queued packets of up to `userLimit` users, one transaction per user.
+ * `minAgeMs` leaves recent packets to the process that acknowledged them (used by
+ * the worker's sweep). Returns { users, packets, taps, points, parked, more }.
+ */
+async function flushTapPackets({ userLimit = FLUSH_USER_BATCH, minAgeMs = 0 } = {}) {
+  const minAgeSecs = minAgeMs / 1000;
+  const summary = { users: 0, packets: 0, taps: 0, points: 0, parked: 0, more: false };
+  const { rows } = await pool.query(
+    `
+    SELECT user_id
+    FROM public.tap_packets
+    WHERE ${QUEUE_SQL}
+    GROUP BY user_id
+    ORDER BY MIN(created_at) ASC
+    LIMIT $1
+    `,
+    [userLimit, minAgeSecs]
+  );
+  if (!rows.length) return summary;
+  const userIds = rows.map((r) => r.user_id);
+  summary.more = rows.length >= userLimit;
+
+  // Packets of deleted users can never apply; close them so they leave the queue.
+  await pool.query(
+    `
+    UPDATE public.tap_packets t
+    SET flushed_at = NOW(), taps_flushed = 0
+    WHERE t.user_id = ANY($1::int4[])
+      AND t.flushed_at IS NULL AND t.taps_applied IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM public.users u WHERE u.id = t.user_id)
+    `,
+    [userIds]
+  );
+
+  const now = new Date();
+  for (const userId of userIds) {
+    try {
+      const r = await flushUser(userId, minAgeSecs, now);
+      if (!r) continue;
+      // Only forget pending taps once their flush is committed, together with
+      // replacing the snapshot by the row that includes them.
+      const tracked = snapshots.has(userId) || pendingByUser.has(userId);
+      forgetPending(userId, r.packetIds);
+      if (tracked) setSnapshot(userId, r.user);
+      summary.users += 1;
+      summary.packets += r.packetIds.length;
+      summary.taps += r.taps;
+      summary.points += r.points;
+      if (r.full) summary.more = true;
+    } catch (err) {
+      console.error("tap flush failed for user", { user_id: userId, err: err.message || err });
+      try {
+        const parked = await recordFlushFailure(userId, minAgeSecs, err);
+        if (parked.length) {
+          forgetPending(userId, parked);
+          summary.parked += parked.length;
+          console.error("tap packets parked after repeated flush failures", { user_id: userId, packets: parked.length });
+        }
+      } catch (recordErr) {
+        console.error("tap flush failure not recorded", { user_id: userId, err: recordErr.message || recordErr });
+      }
+    }
+  }
+  return summary;
+}
+
+// Refresh stale snapshots of users with pending packets (picks up flushes by other
+// processes and parked packets) and drop idle snapshots.
+async function refreshStaleSnapshots() {
+  const now = Date.now();
+  for (const [id, snap] of snapshots) {
+    if (!pendingByUser.has(id) && now - snap.at > SNAPSHOT_MAX_AGE_MS) snapshots.delete(id);
+  }
+  const stale = [];
+  let packets = 0;
+  for (const [id, pending] of pendingByUser) {
+    const snap = snapshots.get(id);
+    if (snap && now - snap.at <= SNAPSHOT_MAX_AGE_MS) continue;
+    stale.push(id);
+    packets += pending.size;
+    if (stale.length >= REFRESH_USER_BATCH || packets >= PENDING_PRUNE_MAX_IDS) break;
+  }
+  if (stale.length) await refreshSnapshots(stale);
+}
+
+/**
+ * Parked packets per user (oldest first): [{ user_id, packets, taps, first_parked_at, last_error }].
+ */
+async function listParkedTapPackets({ limit = 100 } = {}) {
+  const { rows } = await pool.query(
+    `
+    SELECT t.user_id, u.username, COUNT(*)::int AS packets, COALESCE(SUM(t.taps_applied), 0)::int AS taps,
+           MIN(t.parked_at) AS first_parked_at,
+           (ARRAY_AGG(t.flush_error ORDER BY t.parked_at DESC))[1] AS last_error
+    FROM public.tap_packets t
+    LEFT JOIN public.users u ON u.id = t.user_id
+    WHERE t.parked_at IS NOT NULL AND t.flushed_at IS NULL
+    GROUP BY t.user_id, u.username
+    ORDER BY MIN(t.parked_at) ASC
+    LIMIT $1
+    `,
+    [Math.max(1, Math.min(500, Number(limit) || 100))]
+  );
+  return rows;
+}
+
+/**
+ * Put `userId`'s parked packets back in the flush queue. Returns the number requeued.
+ */
+async function requeueParkedTapPackets(db, userId) {
+  const { rowCount } = await db.query(
+    `
+    UPDATE public.tap_packets
+    SET parked_at = NULL, flush_attempts = 0, flush_retry_at = NULL, flush_error = NULL
+    WHERE user_id = $1 AND parked_at IS NOT NULL AND flushed_at IS NULL
+    `,
+    [userId]
+  );
+  return rowCount;
+}
+
+let flushTimer = null;
+let flushing = false;
+
+/**
+ * Flush on a timer in this process. Each tick drains the queue in batches.
+ */
+function startTapFlusher({ intervalMs = 1000 } = {}) {
+  if (flushTimer) return;
+  flushTimer = setInterval(async () => {
+    if (flushing) return;
+    flushing = true;
+    try {
+      let r;
+      do {
+        r = await flushTapPackets();
+      } while (r.more && r.users > 0);
+      await refreshStaleSnapshots();
+    } catch (err) {
+      console.error("tap flush error:", err.message || err);
+    } finally {
+      flushing = false;
+    }
+  }, intervalMs);
+  flushTimer.unref();
+}
+
+function stopTapFlusher() {
+  if (flushTimer) clearInterval(flushTimer);
+  flushTimer = null;
+}
+
+module.exports = {
+  userView,
+  acceptTapPacket,
+  flushTapPackets,
+  listParkedTapPackets,
+  requeueParkedTapPackets,
+  startTapFlusher,
+  stopTapFlusher,
+};
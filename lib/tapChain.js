@@ -0,0 +1,142 @@
+// lib/tapChain.js
+// Signed tap packets with a per-session nonce chain.
+//
+// - /api/state hands the client its chain: { secret, nonce, seq }. The secret is
+//   per session ("s:<sid>"); initData-only clients get one per client id
+//   ("c:<id>:<client_id>") or, without a client id, one per user ("u:<id>").
+// - Every /api/tapPacket carries { nonce, seq, sig } where
+//     sig = hex(HMAC-SHA256(secret, "<nonce>:<count>:<seq>"))
+//   nonce must be the current one and seq the last accepted seq + 1.
+// - Each accepted packet rotates the nonce (compare-and-swap on the old one), so a
+//   packet cannot be forged without the secret, replayed, or sent out of order.
+// - Failures are stored in tap_chain_failures and feed the cadence score
+//   (lib/antiCheat.js). settings.tap_chain_mode decides whether they are rejected.
+//   A shared "u:" chain is rotated by every device of the user, so a stale nonce
+//   there is not recorded.
+
+const crypto = require("crypto");
+const { pool } = require("./db");
+
+const CHAIN_FAILURE_REASONS = ["UNSIGNED", "NO_CHAIN", "BAD_NONCE", "BAD_SEQ", "BAD_SIG"];
+
+function randomHex(bytes) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+function tapPacketSignature(secret, { nonce, count, seq }) {
+  return crypto.createHmac("sha256", secret).update(`${nonce}:${count}:${seq}`).digest("hex");
+}
+
+function sameHex(a, b) {
+  const x = Buffer.from(String(a || ""), "utf8");
+  const y = Buffer.from(String(b || ""), "utf8");
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * The chain for `chainId`, created on first use. Returns { secret, nonce, seq }.
+ */
+async function issueTapChain({ userId, chainId }) {
+  await pool.query(
+    `
+    INSERT INTO public.tap_chain_state (chain_id, user_id, secret, nonce)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (chain_id) DO NOTHING
+    `,
+    [chainId, userId, randomHex(32), randomHex(16)]
+  );
+  const { rows } = await pool.query(
+    `SELECT secret, nonce, seq::text AS seq FROM public.tap_chain_state WHERE chain_id = $1 AND user_id = $2`,
+    [chainId, userId]
+  );
+  if (!rows.length) throw new Error("tap chain belongs to another user");
+  return { secret: rows[0].secret, nonce: rows[0].nonce, seq: Number(rows[0].seq) };
+}
+
+async function recordChainFailure({ userId, chainId, reason }) {
+  await pool.query(
+    `INSERT INTO public.tap_chain_failures (user_id, chain_id, reason) VALUES ($1, $2, $3)`,
+    [userId, chainId, reason]
+  );
+}
+
+/**
+ * Check one packet against the chain and rotate the nonce when it is valid.
+ * Returns { ok, reason, chain } where chain is the { nonce, seq } the client must
+ * use next (null when the session has no chain yet). Failures are recorded
+ * (except a stale nonce on a shared per-user chain).
+ */
+async function verifyTapChain({ userId, chainId, nonce, seq, count, sig }) {
+  const { rows } = await pool.query(
+    `SELECT secret, nonce, seq::text AS seq FROM public.tap_chain_state WHERE chain_id = $1 AND user_id = $2`,
+    [chainId, userId]
+  );
+  const state = rows[0];
+  const shared = String(chainId).startsWith("u:");
+  const fail = async (reason, chain) => {
+    if (!(shared && reason === "BAD_NONCE")) await recordChainFailure({ userId, chainId, reason });
+    return { ok: false, reason, chain };
+  };
+
+  if (!state) return fail("NO_CHAIN", null);
+  const current = { nonce: state.nonce, seq: Number(state.seq) };
+  if (!nonce || !sig || !Number.isInteger(seq)) return fail("UNSIGNED", current);
+  if (String(nonce) !== state.nonce) return fail("BAD_NONCE", current);
+  if (seq !== current.seq + 1) return fail("BAD_SEQ", current);
+  if (!sameHex(sig, tapPacketSignature(state.secret, { nonce: state.nonce, count, seq }))) {
+    return fail("BAD_SIG", current);
+  }
+
+  const next = randomHex(16);
+  const upd = await pool.query(
+    `
+    UPDATE public.tap_chain_state
+    SET nonce = $3, seq = $4, updated_at = NOW()
+    WHERE chain_id = $1 AND nonce = $2
+    RETURNING nonce, seq::text AS seq
+    `,
+    [chainId, state.nonce, next, seq]
+  );
+  // Lost the race: the same nonce was just used by a concurrent (replayed) packet.
+  if (!upd.rowCount) return fail("BAD_NONCE", null);
+  return { ok: true, reason: null, chain: { nonce: next, seq } };
+}
+
+/**
+ * Failed packets for `userId` in the last `hours` (db = pool or a transaction client).
+ */
+async function countChainFailures(userId, hours, db = pool) {
+  const { rows } = await db.query(
+    `
+    SELECT COUNT(*)::int AS n
+    FROM public.tap_chain_failures
+    WHERE user_id = $1 AND created_at > NOW() - make_interval(hours => $2)
+    `,
+    [userId, hours]
+  );
+  return rows[0].n;
+}
+
+/**
+ * Drop chains idle for `chainDays` and failures older than `failureDays`.
+ */
+async function pruneTapChains({ chainDays = 30, failureDays = 7 } = {}) {
+  const chains = await pool.query(
+    `DELETE FROM public.tap_chain_state WHERE updated_at < NOW() - make_interval(days => $1)`,
+    [chainDays]
+  );
+  const failures = await pool.query(
+    `DELETE FROM public.tap_chain_failures WHERE created_at < NOW() - make_interval(days => $1)`,
+    [failureDays]
+  );
+  return { chains: chains.rowCount, failures: failures.rowCount };
+}
+
+module.exports = {
+  CHAIN_FAILURE_REASONS,
+  tapPacketSignature,
+  issueTapChain,
+  verifyTapChain,
+  countChainFailures,
+  pruneTapChains,
+};
@@ -0,0 +1,116 @@
+// lib/telegramAuth.js
+// Verification of Telegram Mini App initData.
+//
+// Telegram signs initData with a key derived from the bot token:
+//   secret_key = HMAC_SHA256(key = "WebAppData", data = BOT_TOKEN)
+//   hash       = hex(HMAC_SHA256(key = secret_key, data = data_check_string))
+// where data_check_string is every field except `hash`, sorted by key and
+// joined as "key=value" lines.
+//
+// See https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+
+const crypto = require("crypto");
+
+// Error codes returned to clients. Kept stable so the frontend can decide
+// whether to re-open the Mini App (stale) or give up (forged).
+const INITDATA_ERRORS = {
+  MISSING: "INITDATA_MISSING",
+  NO_HASH: "INITDATA_NO_HASH",
+  BAD_SIGNATURE: "INITDATA_BAD_SIGNATURE",
+  EXPIRED: "INITDATA_EXPIRED",
+  BAD_USER: "INITDATA_BAD_USER",
+};
+
+class InitDataError extends Error {
+  constructor(code, message) {
+    super(message || code);
+    this.name = "InitDataError";
+    this.code = code;
+    this.status = 401;
+  }
+}
+
+function parseInitData(initDataRaw) {
+  if (!initDataRaw) return {};
+  const params = new URLSearchParams(initDataRaw);
+  const data = {};
+  for (const [key, value] of params.entries()) {
+    data[key] = value;
+  }
+  return data;
+}
+
+function buildDataCheckString(data) {
+  return Object.keys(data)
+    .filter((k) => k !== "hash")
+    .sort()
+    .map((k) => `${k}=${data[k]}`)
+    .join("\n");
+}
+
+function computeInitDataHash(data, botToken) {
+  const secretKey = crypto.createHmac("sha256", "WebAppData").update(String(botToken)).digest();
+  return crypto.createHmac("sha256", secretKey).update(buildDataCheckString(data)).digest("hex");
+}
+
+/**
+ * Verify a raw initData string against the bot token.
+ *
+ * Returns { data, user, authDate } on success, throws InitDataError otherwise.
+ * `maxAgeSeconds` <= 0 disables the freshness check.
+ */
+function verifyInitData(initDataRaw, botToken, { maxAgeSeconds = 86400, nowMs = Date.now() } = {}) {
+  if (!initDataRaw) {
+    throw new InitDataError(INITDATA_ERRORS.MISSING, "initData is missing");
+  }
+  if (!botToken) {
+    throw new Error("verifyInitData: botToken is required");
+  }
+
+  const data = parseInitData(initDataRaw);
+  const providedHash = String(data.hash || "").toLowerCase();
+  if (!providedHash) {
+    throw new InitDataError(INITDATA_ERRORS.NO_HASH, "initData has no hash");
+  }
+
+  const expectedHash = computeInitDataHash(data, botToken);
+  let valid = false;
+  try {
+    valid =
+      providedHash.length === expectedHash.length &&
+      crypto.timingSafeEqual(Buffer.from(providedHash, "hex"), Buffer.from(expectedHash, "hex"));
+  } catch (e) {
+    valid = false;
+  }
+  if (!valid) {
+    throw new InitDataError(INITDATA_ERRORS.BAD_SIGNATURE, "initData signature mismatch");
+  }
+
+  const authDate = Number(data.auth_date || 0);
+  if (maxAgeSeconds > 0) {
+    const ageSeconds = Math.floor(nowMs / 1000) - authDate;
+    if (!authDate || ageSeconds > maxAgeSeconds) {
+      throw new InitDataError(INITDATA_ERRORS.EXPIRED, "initData is too old");
+    }
+  }
+
+  let user = null;
+  try {
+    user = data.user ? JSON.parse(data.user) : null;
+  } catch (e) {
+    user = null;
+  }
+  if (!user || !user.id) {
+    throw new InitDataError(INITDATA_ERRORS.BAD_USER, "initData has no valid user");
+  }
+
+  return { data, user, authDate };
+}
+
+module.exports = {
+  INITDATA_ERRORS,
+  InitDataError,
+  parseInitData,
+  computeInitDataHash,
+  verifyInitData,
+};
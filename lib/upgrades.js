@@ -0,0 +1,169 @@
+// lib/upgrades.js
+// Upgrade tree bought with points (settings.upgrades):
+//   multitap     +per_level points per tap
+//   energy_cap   +per_level max energy
+//   regen_speed  +per_level % energy regen speed
+//
+// - Levels live in users.upgrade_levels ({ key: level }); costs[i] buys level i + 1.
+// - Upgrades with season_reset count as level 0 once the user's season_id moves
+//   past users.upgrades_season_id; the stored levels are cleared on the next purchase.
+// - Purchases debit the points through the ledger and are kept in upgrade_purchases.
+
+const { applyBalanceChangeTx, availableBalance } = require("./ledger");
+
+const UPGRADE_KEYS = ["multitap", "energy_cap", "regen_speed"];
+
+function upgradeError(code, message) {
+  const err = new Error(message || code);
+  err.code = code;
+  return err;
+}
+
+function storedLevels(user) {
+  const raw = user.upgrade_levels;
+  if (!raw) return {};
+  if (typeof raw === "string") {
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      return {};
+    }
+  }
+  return raw;
+}
+
+function seasonExpired(user) {
+  return user.upgrades_season_id != null && Number(user.upgrades_season_id) !== Number(user.season_id || 1);
+}
+
+/**
+ * Effective level per upgrade key, capped at the configured table length.
+ */
+function upgradeLevels(user, settings) {
+  const table = settings.upgrades || {};
+  const stored = storedLevels(user);
+  const expired = seasonExpired(user);
+  const out = {};
+  for (const key of UPGRADE_KEYS) {
+    const def = table[key];
+    if (!def || (expired && def.season_reset)) {
+      out[key] = 0;
+      continue;
+    }
+    out[key] = Math.max(0, Math.min(Number(stored[key] || 0), def.costs.length));
+  }
+  return out;
+}
+
+/**
+ * { tapBonus, capBonus, regenSpeedPct } for `user` (regenSpeedPct 100 = no upgrade).
+ */
+function upgradeEffects(user, settings) {
+  const table = settings.upgrades || {};
+  const levels = upgradeLevels(user, settings);
+  const bonus = (key) => levels[key] * Number((table[key] || {}).per_level || 0);
+  return {
+    tapBonus: bonus("multitap"),
+    capBonus: bonus("energy_cap"),
+    regenSpeedPct: 100 + bonus("regen_speed"),
+  };
+}
+
+/**
+ * Client view of the tree: [{ key, level, max_level, next_cost, per_level, season_reset }].
+ */
+function describeUpgrades(user, settings) {
+  const table = settings.upgrades || {};
+  const levels = upgradeLevels(user, settings);
+  return UPGRADE_KEYS.filter((key) => table[key]).map((key) => {
+    const def = table[key];
+    const level = levels[key];
+    return {
+      key,
+      level,
+      max_level: def.costs.length,
+      next_cost: level < def.costs.length ? def.costs[level] : null,
+      per_level: def.per_level,
+      season_reset: def.season_reset === true,
+    };
+  });
+}
+
+/**
+ * Buy the next level of `upgrade` (transaction already open on `client`).
+ * Throws Error with code NOT_FOUND | BAD_UPGRADE | MAX_LEVEL | INSUFFICIENT_BALANCE.
+ * Returns { purchase, user }.
+ */
+async function buyUpgradeTx(client, { userId, upgrade, settings }) {
+  const key = String(upgrade || "");
+  const def = (settings.upgrades || {})[key];
+  if (!UPGRADE_KEYS.includes(key) || !def) throw upgradeError("BAD_UPGRADE");
+
+  const userRes = await client.query(
+    `
+    SELECT id, balance, held_balance, season_id, upgrade_levels, upgrades_season_id
+    FROM public.users
+    WHERE id = $1
+    FOR UPDATE
+    `,
+    [userId]
+  );
+  const user = userRes.rows[0];
+  if (!user) throw upgradeError("NOT_FOUND", "user not found");
+
+  const level = upgradeLevels(user, settings)[key];
+  if (level >= def.costs.length) throw upgradeError("MAX_LEVEL");
+  const cost = Number(def.costs[level]);
+  if (availableBalance(user) < cost) throw upgradeError("INSUFFICIENT_BALANCE");
+
+  // Drop levels that lapsed with the season before writing the new one.
+  const seasonId = Number(user.season_id || 1);
+  const levels = { ...storedLevels(user) };
+  if (seasonExpired(user)) {
+    for (const k of UPGRADE_KEYS) {
+      if ((settings.upgrades[k] || {}).season_reset) delete levels[k];
+    }
+  }
+  levels[key] = level + 1;
+
+  const pRes = await client.query(
+    `
+    INSERT INTO public.upgrade_purchases (user_id, upgrade, level, cost, season_id)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *;
+    `,
+    [userId, key, level + 1, cost, seasonId]
+  );
+  const purchase = pRes.rows[0];
+
+  if (cost > 0) {
+    await applyBalanceChangeTx(client, {
+      userId,
+      delta: -cost,
+      reason: "upgrade_purchase",
+      refType: "upgrade_purchase",
+      refId: purchase.id,
+      eventType: "spend",
+    });
+  }
+
+  const fresh = await client.query(
+    `
+    UPDATE public.users
+    SET upgrade_levels = $2::jsonb,
+        upgrades_season_id = $3
+    WHERE id = $1
+    RETURNING *;
+    `,
+    [userId, JSON.stringify(levels), seasonId]
+  );
+  return { purchase, user: fresh.rows[0] };
+}
+
+module.exports = {
+  UPGRADE_KEYS,
+  upgradeLevels,
+  upgradeEffects,
+  describeUpgrades,
+  buyUpgradeTx,
+};
@@ -0,0 +1,24 @@
+-- 006_user_sessions.sql
+-- Sessions issued by /api/auth/session (refresh token hash + revocation).
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE TABLE IF NOT EXISTS public.user_sessions (
+  id text PRIMARY KEY,
+  user_id int4 NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  telegram_id bigint NOT NULL,
+  refresh_hash text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_refreshed_at timestamptz,
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz,
+  revoked_reason text,
+  ip_hash text,
+  ua_hash text
+);
+
+CREATE INDEX IF NOT EXISTS user_sessions_user_idx
+  ON public.user_sessions (user_id);
+
+-- Housekeeping helper: expired or revoked sessions older than 30 days can be deleted.
+CREATE INDEX IF NOT EXISTS user_sessions_expires_at_idx
+  ON public.user_sessions (expires_at);
@@ -0,0 +1,26 @@
+-- 007_admin_accounts.sql
+-- Named admin accounts with hashed API keys (replaces the single shared ADMIN_KEY).
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE TABLE IF NOT EXISTS public.admin_accounts (
+  id serial PRIMARY KEY,
+  name text NOT NULL UNIQUE,
+  role text NOT NULL,
+  scopes text[] NOT NULL DEFAULT '{}',
+  created_at timestamptz NOT NULL DEFAULT now(),
+  created_by text,
+  disabled_at timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS public.admin_api_keys (
+  id serial PRIMARY KEY,
+  admin_id int4 NOT NULL REFERENCES public.admin_accounts(id) ON DELETE CASCADE,
+  key_prefix text NOT NULL,
+  key_hash text NOT NULL UNIQUE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_used_at timestamptz,
+  revoked_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS admin_api_keys_admin_idx
+  ON public.admin_api_keys (admin_id);
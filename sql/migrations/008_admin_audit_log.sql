@@ -0,0 +1,47 @@
+-- 008_admin_audit_log.sql
+-- Append-only audit trail for admin routes.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE TABLE IF NOT EXISTS public.admin_audit_log (
+  id bigserial PRIMARY KEY,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  admin_id int4,
+  admin_name text NOT NULL,
+  action text NOT NULL,
+  target_type text,
+  target_id text,
+  before_json jsonb,
+  after_json jsonb,
+  meta jsonb,
+  ip text,
+  request_id text
+);
+
+CREATE INDEX IF NOT EXISTS admin_audit_log_created_at_idx
+  ON public.admin_audit_log (created_at DESC);
+
+CREATE INDEX IF NOT EXISTS admin_audit_log_action_idx
+  ON public.admin_audit_log (action, id DESC);
+
+CREATE INDEX IF NOT EXISTS admin_audit_log_target_idx
+  ON public.admin_audit_log (target_type, target_id, id DESC);
+
+-- Immutability: reject any UPDATE / DELETE / TRUNCATE.
+CREATE OR REPLACE FUNCTION public.admin_audit_log_reject_change()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'admin_audit_log is append-only';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS admin_audit_log_no_update ON public.admin_audit_log;
+CREATE TRIGGER admin_audit_log_no_update
+  BEFORE UPDATE OR DELETE ON public.admin_audit_log
+  FOR EACH ROW EXECUTE FUNCTION public.admin_audit_log_reject_change();
+
+DROP TRIGGER IF EXISTS admin_audit_log_no_truncate ON public.admin_audit_log;
+CREATE TRIGGER admin_audit_log_no_truncate
+  BEFORE TRUNCATE ON public.admin_audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION public.admin_audit_log_reject_change();
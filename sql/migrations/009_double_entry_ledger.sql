@@ -0,0 +1,135 @@
+-- 009_double_entry_ledger.sql
+-- Double-entry journal behind user_balance_ledger: every balance change is a
+-- journal entry whose postings (user accounts + named system accounts) sum to zero.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE TABLE IF NOT EXISTS public.ledger_system_accounts (
+  code text PRIMARY KEY,
+  description text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.ledger_system_accounts (code, description) VALUES
+  ('tap_emission', 'Points minted by tapping'),
+  ('purchases', 'Points bought with money and points spent on in-app items'),
+  ('sponsor_pool', 'Sponsor and mission payouts'),
+  ('withdraw_clearing', 'Points reserved for withdrawals'),
+  ('referral_pool', 'Referral rewards'),
+  ('bonus_pool', 'Daily, early-access and other promotional bonuses'),
+  ('opening_balance', 'User balances that existed before double-entry'),
+  ('suspense', 'Postings with an unmapped reason (investigate)')
+ON CONFLICT (code) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS public.ledger_journal_entries (
+  id bigserial PRIMARY KEY,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  reason text NOT NULL,
+  ref_type text,
+  ref_id text,
+  user_ledger_id bigint
+);
+
+CREATE TABLE IF NOT EXISTS public.ledger_postings (
+  id bigserial PRIMARY KEY,
+  journal_id bigint NOT NULL REFERENCES public.ledger_journal_entries(id),
+  account_type text NOT NULL,
+  account_code text REFERENCES public.ledger_system_accounts(code),
+  user_id int4,
+  amount bigint NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT ledger_postings_account_chk CHECK (
+    (account_type = 'user' AND user_id IS NOT NULL AND account_code IS NULL)
+    OR (account_type = 'system' AND account_code IS NOT NULL AND user_id IS NULL)
+  ),
+  CONSTRAINT ledger_postings_amount_chk CHECK (amount <> 0)
+);
+
+CREATE INDEX IF NOT EXISTS ledger_postings_journal_idx
+  ON public.ledger_postings (journal_id);
+
+CREATE INDEX IF NOT EXISTS ledger_postings_user_idx
+  ON public.ledger_postings (user_id, id)
+  WHERE account_type = 'user';
+
+CREATE INDEX IF NOT EXISTS ledger_postings_system_idx
+  ON public.ledger_postings (account_code, id)
+  WHERE account_type = 'system';
+
+CREATE INDEX IF NOT EXISTS ledger_journal_entries_ref_idx
+  ON public.ledger_journal_entries (ref_type, ref_id);
+
+-- Invariant: at commit, each journal has >= 2 postings that sum to zero.
+CREATE OR REPLACE FUNCTION public.ledger_journal_check_balanced()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  n int;
+  total numeric;
+BEGIN
+  SELECT COUNT(*), COALESCE(SUM(amount), 0) INTO n, total
+  FROM public.ledger_postings
+  WHERE journal_id = NEW.id;
+
+  IF n < 2 OR total <> 0 THEN
+    RAISE EXCEPTION 'ledger journal % is unbalanced (postings=%, sum=%)', NEW.id, n, total;
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS ledger_journal_balanced ON public.ledger_journal_entries;
+CREATE CONSTRAINT TRIGGER ledger_journal_balanced
+  AFTER INSERT ON public.ledger_journal_entries
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION public.ledger_journal_check_balanced();
+
+-- Journals and postings are append-only; corrections are new journals.
+CREATE OR REPLACE FUNCTION public.ledger_reject_change()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS ledger_journal_no_update ON public.ledger_journal_entries;
+CREATE TRIGGER ledger_journal_no_update
+  BEFORE UPDATE OR DELETE ON public.ledger_journal_entries
+  FOR EACH ROW EXECUTE FUNCTION public.ledger_reject_change();
+
+DROP TRIGGER IF EXISTS ledger_postings_no_update ON public.ledger_postings;
+CREATE TRIGGER ledger_postings_no_update
+  BEFORE UPDATE OR DELETE ON public.ledger_postings
+  FOR EACH ROW EXECUTE FUNCTION public.ledger_reject_change();
+
+-- One-off opening journal so user postings start equal to users.balance.
+-- Single statement => single transaction, so the deferred check sees every posting.
+DO $$
+DECLARE
+  jid bigint;
+BEGIN
+  IF EXISTS (SELECT 1 FROM public.ledger_journal_entries WHERE reason = 'opening_balance') THEN
+    RETURN;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM public.users WHERE COALESCE(balance, 0) <> 0) THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO public.ledger_journal_entries (reason, ref_type)
+  VALUES ('opening_balance', 'migration')
+  RETURNING id INTO jid;
+
+  INSERT INTO public.ledger_postings (journal_id, account_type, user_id, amount)
+  SELECT jid, 'user', id, balance
+  FROM public.users
+  WHERE COALESCE(balance, 0) <> 0;
+
+  INSERT INTO public.ledger_postings (journal_id, account_type, account_code, amount)
+  SELECT jid, 'system', 'opening_balance', -SUM(balance)
+  FROM public.users
+  WHERE COALESCE(balance, 0) <> 0
+  HAVING SUM(balance) <> 0;
+END;
+$$;
@@ -0,0 +1,40 @@
+-- 010_ledger_reconcile.sql
+-- Bulk reconciliation runs (reconcile_all job) and their per-user drift rows.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE TABLE IF NOT EXISTS public.ledger_reconcile_runs (
+  id bigserial PRIMARY KEY,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  started_by text,
+  dry_run boolean NOT NULL DEFAULT true,
+  batch_size int4 NOT NULL DEFAULT 500,
+  status text NOT NULL DEFAULT 'running', -- running | completed | failed
+  cursor_user_id int4 NOT NULL DEFAULT 0,
+  users_checked int4 NOT NULL DEFAULT 0,
+  mismatches int4 NOT NULL DEFAULT 0,
+  corrected int4 NOT NULL DEFAULT 0,
+  finished_at timestamptz,
+  last_error text
+);
+
+CREATE INDEX IF NOT EXISTS ledger_reconcile_runs_created_at_idx
+  ON public.ledger_reconcile_runs (created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.ledger_drift_reports (
+  id bigserial PRIMARY KEY,
+  run_id bigint NOT NULL REFERENCES public.ledger_reconcile_runs(id) ON DELETE CASCADE,
+  user_id int4 NOT NULL,
+  stored_balance bigint NOT NULL,
+  ledger_balance bigint NOT NULL,
+  delta bigint NOT NULL, -- ledger_balance - stored_balance
+  correction_applied boolean NOT NULL DEFAULT false,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS ledger_drift_reports_run_idx
+  ON public.ledger_drift_reports (run_id, user_id);
+
+-- Counter-account for balance corrections (see lib/ledger.js).
+INSERT INTO public.ledger_system_accounts (code, description)
+VALUES ('reconciliation', 'Corrections applied by ledger reconciliation')
+ON CONFLICT (code) DO NOTHING;
@@ -0,0 +1,13 @@
+-- 011_balance_history.sql
+-- Timestamps + indexes for the player-facing /api/ledger/history endpoint.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+-- Rows written before this migration get the migration time.
+ALTER TABLE public.user_balance_ledger
+  ADD COLUMN IF NOT EXISTS created_at timestamptz NOT NULL DEFAULT now();
+
+CREATE INDEX IF NOT EXISTS user_balance_ledger_user_id_idx
+  ON public.user_balance_ledger (user_id, id DESC);
+
+CREATE INDEX IF NOT EXISTS user_balance_ledger_user_created_idx
+  ON public.user_balance_ledger (user_id, created_at);
@@ -0,0 +1,27 @@
+-- 012_balance_holds.sql
+-- Holds lock part of a user's balance (e.g. a pending withdrawal) without
+-- debiting it. available = users.balance - users.held_balance.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS held_balance bigint NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS public.balance_holds (
+  id bigserial PRIMARY KEY,
+  user_id int4 NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  amount bigint NOT NULL CHECK (amount > 0),
+  ref_type text NOT NULL,
+  ref_id text NOT NULL,
+  status text NOT NULL DEFAULT 'active', -- active | released | captured
+  created_at timestamptz NOT NULL DEFAULT now(),
+  resolved_at timestamptz,
+  resolve_reason text
+);
+
+-- At most one hold per referenced object (e.g. one per withdraw request).
+CREATE UNIQUE INDEX IF NOT EXISTS balance_holds_ref_unique
+  ON public.balance_holds (ref_type, ref_id);
+
+CREATE INDEX IF NOT EXISTS balance_holds_user_active_idx
+  ON public.balance_holds (user_id)
+  WHERE status = 'active';
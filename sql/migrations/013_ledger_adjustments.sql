@@ -0,0 +1,16 @@
+-- 013_ledger_adjustments.sql
+-- Admin adjustments / reversals (/api/admin/ledger/adjust, /api/admin/ledger/reverse).
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+-- Free-text reason shown to support staff (and in the player's history).
+ALTER TABLE public.user_balance_ledger
+  ADD COLUMN IF NOT EXISTS note text;
+
+-- A ledger entry can be reversed at most once.
+CREATE UNIQUE INDEX IF NOT EXISTS user_balance_ledger_one_reversal
+  ON public.user_balance_ledger (ref_type, ref_id)
+  WHERE reason = 'admin_reversal';
+
+INSERT INTO public.ledger_system_accounts (code, description)
+VALUES ('admin_adjustments', 'Manual admin adjustments and reversals')
+ON CONFLICT (code) DO NOTHING;
@@ -0,0 +1,49 @@
+-- 014_app_settings_revisions.sql
+-- Versioned settings. Each write is a revision holding only the keys it changes;
+-- the active config is, per key, the value from the latest revision whose
+-- activate_at has passed (and that was not cancelled). A NULL value unsets a key.
+-- After this migration public.app_settings is only read as a fallback.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE TABLE IF NOT EXISTS public.app_settings_revisions (
+  id bigserial PRIMARY KEY,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  created_by text,
+  note text,
+  activate_at timestamptz NOT NULL DEFAULT now(),
+  rollback_of bigint REFERENCES public.app_settings_revisions(id),
+  cancelled_at timestamptz,
+  cancelled_by text
+);
+
+CREATE TABLE IF NOT EXISTS public.app_settings_revision_values (
+  revision_id bigint NOT NULL REFERENCES public.app_settings_revisions(id) ON DELETE CASCADE,
+  key text NOT NULL,
+  value jsonb,          -- NULL = unset (fall back to the schema default)
+  previous jsonb,       -- active value when the revision was written (for the diff)
+  PRIMARY KEY (revision_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS app_settings_revisions_activate_idx
+  ON public.app_settings_revisions (activate_at DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS app_settings_revision_values_key_idx
+  ON public.app_settings_revision_values (key);
+
+-- Seed revision: whatever app_settings holds today.
+DO $$
+DECLARE
+  rid bigint;
+BEGIN
+  IF EXISTS (SELECT 1 FROM public.app_settings_revisions) THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO public.app_settings_revisions (created_by, note)
+  VALUES ('migration', 'Imported from app_settings')
+  RETURNING id INTO rid;
+
+  INSERT INTO public.app_settings_revision_values (revision_id, key, value)
+  SELECT rid, key, value FROM public.app_settings;
+END;
+$$;
@@ -0,0 +1,30 @@
+-- 015_config_notify.sql
+-- NOTIFY app_settings_changed on every settings write so each API / worker
+-- process drops its cached config immediately (see lib/config.js).
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE OR REPLACE FUNCTION public.notify_app_settings_changed()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  PERFORM pg_notify('app_settings_changed', TG_TABLE_NAME);
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS app_settings_revisions_notify ON public.app_settings_revisions;
+CREATE TRIGGER app_settings_revisions_notify
+  AFTER INSERT OR UPDATE OR DELETE ON public.app_settings_revisions
+  FOR EACH STATEMENT EXECUTE FUNCTION public.notify_app_settings_changed();
+
+DROP TRIGGER IF EXISTS app_settings_revision_values_notify ON public.app_settings_revision_values;
+CREATE TRIGGER app_settings_revision_values_notify
+  AFTER INSERT OR UPDATE OR DELETE ON public.app_settings_revision_values
+  FOR EACH STATEMENT EXECUTE FUNCTION public.notify_app_settings_changed();
+
+-- Legacy table (still read as a fallback).
+DROP TRIGGER IF EXISTS app_settings_notify ON public.app_settings;
+CREATE TRIGGER app_settings_notify
+  AFTER INSERT OR UPDATE OR DELETE ON public.app_settings
+  FOR EACH STATEMENT EXECUTE FUNCTION public.notify_app_settings_changed();
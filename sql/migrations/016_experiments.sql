@@ -0,0 +1,36 @@
+-- 016_experiments.sql
+-- A/B experiments: variants override typed settings for a deterministic slice of users.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE TABLE IF NOT EXISTS public.experiments (
+  id serial PRIMARY KEY,
+  key text NOT NULL UNIQUE,
+  description text,
+  status text NOT NULL DEFAULT 'draft', -- draft | running | stopped
+  -- [{ "key": "control", "weight": 50, "overrides": {} }, { "key": "b", "weight": 50, "overrides": { "energy_refill_cost": 150 } }]
+  -- weights are percentages of all users; users outside the sum are not enrolled.
+  variants jsonb NOT NULL,
+  salt text NOT NULL DEFAULT md5(random()::text),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  created_by text,
+  started_at timestamptz,
+  stopped_at timestamptz
+);
+
+-- First exposure of a user to an experiment (also logged to event_log).
+CREATE TABLE IF NOT EXISTS public.experiment_assignments (
+  experiment_id int4 NOT NULL REFERENCES public.experiments(id) ON DELETE CASCADE,
+  user_id int4 NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  variant text NOT NULL,
+  assigned_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (experiment_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS experiment_assignments_variant_idx
+  ON public.experiment_assignments (experiment_id, variant);
+
+-- Same invalidation channel as settings (see 015_config_notify.sql).
+DROP TRIGGER IF EXISTS experiments_notify ON public.experiments;
+CREATE TRIGGER experiments_notify
+  AFTER INSERT OR UPDATE OR DELETE ON public.experiments
+  FOR EACH STATEMENT EXECUTE FUNCTION public.notify_app_settings_changed();
@@ -0,0 +1,12 @@
+-- 017_emission_budget.sql
+-- Points minted per UTC day and reward source (tap, mission, ad, referral, plus a "total" row).
+-- Budgets live in app_settings (emission_daily_budget, emission_source_budgets); see lib/emission.js.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE TABLE IF NOT EXISTS public.emission_daily (
+  day date NOT NULL,
+  source text NOT NULL,
+  minted bigint NOT NULL DEFAULT 0,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (day, source)
+);
@@ -0,0 +1,78 @@
+-- 018_multi_currency.sql
+-- Multi-currency wallet: points (users.balance), gems (users.gems_balance) and
+-- per-season score (user_season_scores). Existing ledger rows, journals and
+-- users.balance become the "points" currency unchanged.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS gems_balance bigint NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS public.user_season_scores (
+  user_id int4 NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  season_id int4 NOT NULL,
+  score bigint NOT NULL DEFAULT 0,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, season_id)
+);
+
+CREATE INDEX IF NOT EXISTS user_season_scores_rank_idx
+  ON public.user_season_scores (season_id, score DESC, user_id);
+
+ALTER TABLE public.user_balance_ledger
+  ADD COLUMN IF NOT EXISTS currency text NOT NULL DEFAULT 'points',
+  ADD COLUMN IF NOT EXISTS season_id int4;
+
+CREATE INDEX IF NOT EXISTS user_balance_ledger_user_currency_idx
+  ON public.user_balance_ledger (user_id, currency, id DESC);
+
+-- A journal is in exactly one currency; its postings inherit it.
+ALTER TABLE public.ledger_journal_entries
+  ADD COLUMN IF NOT EXISTS currency text NOT NULL DEFAULT 'points';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'user_balance_ledger_currency_chk') THEN
+    ALTER TABLE public.user_balance_ledger
+      ADD CONSTRAINT user_balance_ledger_currency_chk CHECK (currency IN ('points', 'gems', 'season'));
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'ledger_journal_entries_currency_chk') THEN
+    ALTER TABLE public.ledger_journal_entries
+      ADD CONSTRAINT ledger_journal_entries_currency_chk CHECK (currency IN ('points', 'gems', 'season'));
+  END IF;
+END;
+$$;
+
+INSERT INTO public.ledger_system_accounts (code, description)
+VALUES ('season_scoring', 'Season score awarded for gameplay')
+ON CONFLICT (code) DO NOTHING;
+
+-- Shop catalogue: items priced in points or gems.
+CREATE TABLE IF NOT EXISTS public.shop_items (
+  id serial PRIMARY KEY,
+  sku text NOT NULL UNIQUE,
+  title text NOT NULL,
+  description text,
+  price_currency text NOT NULL CHECK (price_currency IN ('points', 'gems')),
+  price bigint NOT NULL CHECK (price > 0),
+  -- points | energy_refill | double_boost_minutes | vip_days
+  grant_type text NOT NULL,
+  grant_amount int4 NOT NULL DEFAULT 1 CHECK (grant_amount > 0),
+  active boolean NOT NULL DEFAULT true,
+  sort_order int4 NOT NULL DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.shop_purchases (
+  id bigserial PRIMARY KEY,
+  user_id int4 NOT NULL REFERENCES public.users(id),
+  item_id int4 NOT NULL REFERENCES public.shop_items(id),
+  sku text NOT NULL,
+  price_currency text NOT NULL,
+  price bigint NOT NULL,
+  grant_type text NOT NULL,
+  grant_amount int4 NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS shop_purchases_user_idx
+  ON public.shop_purchases (user_id, id DESC);
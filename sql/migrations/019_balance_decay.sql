@@ -0,0 +1,46 @@
+-- 019_balance_decay.sql
+-- Inactivity decay for dormant point balances (decay_batch job, see lib/decay.js).
+-- Policy lives in app_settings (decay_percent_per_week, decay_grace_days, decay_floor, decay_warning_days).
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS last_active_at timestamptz,
+  ADD COLUMN IF NOT EXISTS decay_warned_at timestamptz,
+  ADD COLUMN IF NOT EXISTS last_decay_at timestamptz;
+
+-- Best guess for existing users; the API keeps it current from now on.
+UPDATE public.users
+SET last_active_at = GREATEST(last_energy_ts, last_daily_ts, created_at, now() - interval '1 day')
+WHERE last_active_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS users_last_active_at_idx
+  ON public.users (last_active_at);
+
+CREATE TABLE IF NOT EXISTS public.decay_runs (
+  id bigserial PRIMARY KEY,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  started_by text,
+  dry_run boolean NOT NULL DEFAULT false,
+  batch_size int4 NOT NULL DEFAULT 500,
+  status text NOT NULL DEFAULT 'running', -- running | completed | failed
+  cursor_user_id int4 NOT NULL DEFAULT 0,
+  users_checked int4 NOT NULL DEFAULT 0,
+  users_warned int4 NOT NULL DEFAULT 0,
+  users_decayed int4 NOT NULL DEFAULT 0,
+  points_decayed bigint NOT NULL DEFAULT 0,
+  finished_at timestamptz,
+  last_error text
+);
+
+CREATE INDEX IF NOT EXISTS decay_runs_created_at_idx
+  ON public.decay_runs (created_at DESC);
+
+-- One refund per decay entry.
+CREATE UNIQUE INDEX IF NOT EXISTS user_balance_ledger_decay_reversal_uidx
+  ON public.user_balance_ledger (ref_id)
+  WHERE reason = 'decay_reversal' AND ref_type = 'ledger_entry';
+
+-- Counter-account for decayed points (see lib/ledger.js).
+INSERT INTO public.ledger_system_accounts (code, description)
+VALUES ('decay', 'Points removed from dormant balances by inactivity decay')
+ON CONFLICT (code) DO NOTHING;
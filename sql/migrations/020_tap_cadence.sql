@@ -0,0 +1,30 @@
+-- 020_tap_cadence.sql
+-- Tap cadence anti-cheat: client timing per tap packet and a risk row per user (see lib/antiCheat.js).
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.tap_packets
+  ADD COLUMN IF NOT EXISTS user_id int4,
+  ADD COLUMN IF NOT EXISTS seq bigint,
+  ADD COLUMN IF NOT EXISTS client_ts timestamptz,
+  ADD COLUMN IF NOT EXISTS span_ms int4,
+  ADD COLUMN IF NOT EXISTS tap_count int4,
+  ADD COLUMN IF NOT EXISTS tap_offsets int4[];
+
+CREATE INDEX IF NOT EXISTS tap_packets_user_created_idx
+  ON public.tap_packets (user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.user_risk (
+  user_id int4 PRIMARY KEY,
+  status text NOT NULL DEFAULT 'ok', -- ok | flagged | throttled | cleared
+  score int4 NOT NULL DEFAULT 0,     -- 0..100, latest analysis
+  signals jsonb NOT NULL DEFAULT '{}'::jsonb,
+  analyzed_at timestamptz,
+  flagged_at timestamptz,
+  reviewed_by text,
+  reviewed_at timestamptz,
+  review_note text,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS user_risk_status_idx
+  ON public.user_risk (status, score DESC);
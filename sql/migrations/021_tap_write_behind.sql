@@ -0,0 +1,16 @@
+-- 021_tap_write_behind.sql
+-- Write-behind tap aggregation: acknowledged tap packets wait in tap_packets until a
+-- flush applies them to users + the ledger (see lib/tapAccumulator.js).
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.tap_packets
+  ADD COLUMN IF NOT EXISTS taps_applied int4,  -- taps acknowledged to the client; NULL = applied synchronously
+  ADD COLUMN IF NOT EXISTS per_tap int4,       -- points per tap when acknowledged (boost / experiments)
+  ADD COLUMN IF NOT EXISTS tap_cap int4,       -- daily tap cap when acknowledged
+  ADD COLUMN IF NOT EXISTS flushed_at timestamptz,
+  ADD COLUMN IF NOT EXISTS taps_flushed int4;  -- taps actually applied by the flush
+
+-- Flush queue: unflushed write-behind packets, oldest first.
+CREATE INDEX IF NOT EXISTS tap_packets_unflushed_idx
+  ON public.tap_packets (created_at)
+  WHERE flushed_at IS NULL AND taps_applied IS NOT NULL;
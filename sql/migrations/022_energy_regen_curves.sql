@@ -0,0 +1,8 @@
+-- 022_energy_regen_curves.sql
+-- Energy cap in force at the last regen settlement, so raising a cap does not
+-- regenerate energy retroactively (see lib/energy.js).
+-- Curves themselves live in app_settings (energy_regen_curves, energy_regen_events).
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS energy_cap int4;
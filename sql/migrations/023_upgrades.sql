@@ -0,0 +1,21 @@
+-- 023_upgrades.sql
+-- Tap / energy upgrades bought with points (see lib/upgrades.js).
+-- Levels live on users so hot paths read them with the user row; purchases are kept for history.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS upgrade_levels jsonb NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS upgrades_season_id int4; -- season the levels were bought in
+
+CREATE TABLE IF NOT EXISTS public.upgrade_purchases (
+  id bigserial PRIMARY KEY,
+  user_id int4 NOT NULL,
+  upgrade text NOT NULL,
+  level int4 NOT NULL, -- level reached by this purchase
+  cost bigint NOT NULL,
+  season_id int4,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS upgrade_purchases_user_idx
+  ON public.upgrade_purchases (user_id, created_at DESC);
@@ -0,0 +1,26 @@
+-- 024_mining_cards.sql
+-- Passive mining cards bought with points (see lib/mining.js).
+-- Card definitions live in app_settings (mining_cards, mining_offline_cap_hours).
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS mining_levels jsonb NOT NULL DEFAULT '{}'::jsonb, -- card key -> level
+  ADD COLUMN IF NOT EXISTS mining_collected_at timestamptz; -- server time accrual runs from
+
+CREATE TABLE IF NOT EXISTS public.mining_card_purchases (
+  id bigserial PRIMARY KEY,
+  user_id int4 NOT NULL,
+  card text NOT NULL,
+  level int4 NOT NULL, -- level reached by this purchase
+  price bigint NOT NULL,
+  pph int4 NOT NULL, -- card points per hour at that level
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS mining_card_purchases_user_idx
+  ON public.mining_card_purchases (user_id, created_at DESC);
+
+-- Counter-account for mined points (see lib/ledger.js).
+INSERT INTO public.ledger_system_accounts (code, description)
+VALUES ('mining_emission', 'Points minted by offline mining cards')
+ON CONFLICT (code) DO NOTHING;
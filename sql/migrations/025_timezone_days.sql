@@ -0,0 +1,20 @@
+-- 025_timezone_days.sql
+-- Daily resets on the user's local day (see lib/dayClock.js), plus a UTC-day
+-- counter so the daily leaderboard keeps one global window.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS tz_offset_min int2, -- Date#getTimezoneOffset, set once
+  ADD COLUMN IF NOT EXISTS tz_offset_set_at timestamptz,
+  ADD COLUMN IF NOT EXISTS lb_day date, -- UTC day lb_day_farmed belongs to
+  ADD COLUMN IF NOT EXISTS lb_day_farmed bigint NOT NULL DEFAULT 0;
+
+-- Until now today_farmed was kept per UTC day.
+UPDATE public.users
+SET lb_day = last_reset,
+    lb_day_farmed = COALESCE(today_farmed, 0)
+WHERE lb_day IS NULL
+  AND last_reset IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS users_lb_day_idx
+  ON public.users (lb_day, lb_day_farmed DESC);
@@ -0,0 +1,29 @@
+-- 026_tap_chain.sql
+-- Signed tap packets: per-session secret + rotating nonce (see lib/tapChain.js).
+-- Mode lives in app_settings (tap_chain_mode: off | monitor | enforce).
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE TABLE IF NOT EXISTS public.tap_chain_state (
+  chain_id text PRIMARY KEY, -- "s:<session id>" or "u:<user id>" for initData clients
+  user_id int4 NOT NULL,
+  secret text NOT NULL,
+  nonce text NOT NULL, -- expected in the next packet
+  seq bigint NOT NULL DEFAULT 0, -- sequence of the last accepted packet
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS tap_chain_state_updated_idx
+  ON public.tap_chain_state (updated_at);
+
+-- Rejected / unsigned packets, counted by the cadence analyzer.
+CREATE TABLE IF NOT EXISTS public.tap_chain_failures (
+  id bigserial PRIMARY KEY,
+  user_id int4 NOT NULL,
+  chain_id text,
+  reason text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS tap_chain_failures_user_idx
+  ON public.tap_chain_failures (user_id, created_at DESC);
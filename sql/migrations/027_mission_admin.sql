@@ -0,0 +1,13 @@
+-- 027_mission_admin.sql
+-- Missions managed from /admin (see lib/missions.js): display order and edit time.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.missions
+  ADD COLUMN IF NOT EXISTS sort_order int4 NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS updated_at timestamptz DEFAULT now();
+
+-- Keep today's order (by id) as the starting order.
+UPDATE public.missions SET sort_order = id WHERE sort_order = 0;
+
+CREATE INDEX IF NOT EXISTS missions_sort_order_idx
+  ON public.missions (sort_order, id);
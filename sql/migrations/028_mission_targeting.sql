@@ -0,0 +1,44 @@
+-- 028_mission_targeting.sql
+-- Mission schedule windows, priority and audience targeting (see lib/missions.js),
+-- plus admin-managed user segments used by targeting rules.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.missions
+  ADD COLUMN IF NOT EXISTS starts_at timestamptz,
+  ADD COLUMN IF NOT EXISTS ends_at timestamptz,
+  ADD COLUMN IF NOT EXISTS priority int4 NOT NULL DEFAULT 0, -- higher lists first
+  ADD COLUMN IF NOT EXISTS targeting jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'missions_window_chk') THEN
+    ALTER TABLE public.missions
+      ADD CONSTRAINT missions_window_chk
+      CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at);
+  END IF;
+END $$;
+
+-- expire_missions job: active missions whose window has closed.
+CREATE INDEX IF NOT EXISTS missions_active_ends_idx
+  ON public.missions (ends_at)
+  WHERE is_active = TRUE AND ends_at IS NOT NULL;
+
+-- Last platform reported by the client (Telegram WebApp.platform), for platform targeting.
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS last_platform text;
+
+CREATE TABLE IF NOT EXISTS public.segments (
+  code text PRIMARY KEY,
+  title text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.segment_members (
+  segment_code text NOT NULL REFERENCES public.segments (code) ON DELETE CASCADE,
+  user_id int4 NOT NULL,
+  added_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (segment_code, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS segment_members_user_idx
+  ON public.segment_members (user_id);
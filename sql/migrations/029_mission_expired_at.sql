@@ -0,0 +1,7 @@
+-- 029_mission_expired_at.sql
+-- Missions switched off by the expire_missions job keep expired_at, so runs started
+-- before ends_at can still be completed. Deactivating by hand clears it.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.missions
+  ADD COLUMN IF NOT EXISTS expired_at timestamptz;
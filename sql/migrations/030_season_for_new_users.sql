@@ -0,0 +1,49 @@
+-- 030_season_for_new_users.sql
+-- Users created after a season reset kept users.season_id = 1, so their season score
+-- was kept under season 1 while leaderboards read the active season. New users now
+-- join the active season on signup; this moves the ones created since it started.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+DO $$
+DECLARE
+  active_id int4;
+  active_start timestamptz;
+BEGIN
+  SELECT id, starts_at INTO active_id, active_start
+  FROM public.seasons
+  WHERE is_active = TRUE
+  ORDER BY id DESC
+  LIMIT 1;
+  IF active_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  CREATE TEMP TABLE season_fix ON COMMIT DROP AS
+  SELECT id AS user_id, COALESCE(season_id, 1) AS old_season
+  FROM public.users
+  WHERE COALESCE(season_id, 1) <> active_id
+    AND created_at >= active_start;
+
+  -- Everything these users scored belongs to the active season.
+  INSERT INTO public.user_season_scores (user_id, season_id, score)
+  SELECT s.user_id, active_id, s.score
+  FROM public.user_season_scores s
+  JOIN season_fix f ON f.user_id = s.user_id AND s.season_id = f.old_season
+  ON CONFLICT (user_id, season_id) DO UPDATE
+    SET score = public.user_season_scores.score + EXCLUDED.score, updated_at = now();
+
+  DELETE FROM public.user_season_scores s
+  USING season_fix f
+  WHERE s.user_id = f.user_id AND s.season_id = f.old_season;
+
+  UPDATE public.user_balance_ledger l
+  SET season_id = active_id
+  FROM season_fix f
+  WHERE l.user_id = f.user_id AND l.currency = 'season' AND l.season_id = f.old_season;
+
+  UPDATE public.users u
+  SET season_id = active_id
+  FROM season_fix f
+  WHERE u.id = f.user_id;
+END;
+$$;
@@ -0,0 +1,21 @@
+-- 031_tap_flush_retry.sql
+-- Write-behind tap packets whose flush keeps failing back off and are then parked
+-- instead of being retried every second (see lib/tapAccumulator.js).
+-- Clear parked_at (and flush_attempts) to queue a parked packet again.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.tap_packets
+  ADD COLUMN IF NOT EXISTS flush_attempts int4 NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS flush_retry_at timestamptz,
+  ADD COLUMN IF NOT EXISTS flush_error text,
+  ADD COLUMN IF NOT EXISTS parked_at timestamptz;
+
+-- Flush queue: unflushed, unparked write-behind packets per user, oldest first.
+DROP INDEX IF EXISTS public.tap_packets_unflushed_idx;
+CREATE INDEX IF NOT EXISTS tap_packets_flush_queue_idx
+  ON public.tap_packets (user_id, created_at)
+  WHERE flushed_at IS NULL AND parked_at IS NULL AND taps_applied IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS tap_packets_parked_idx
+  ON public.tap_packets (parked_at)
+  WHERE parked_at IS NOT NULL;
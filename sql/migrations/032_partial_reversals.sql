@@ -0,0 +1,11 @@
+-- 032_partial_reversals.sql
+-- A capped admin reversal may apply only part of a ledger entry; the remainder
+-- stays reversible, so an entry can now have several admin_reversal rows
+-- (see reverseLedgerEntryTx in lib/ledger.js).
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+DROP INDEX IF EXISTS public.user_balance_ledger_one_reversal;
+
+CREATE INDEX IF NOT EXISTS user_balance_ledger_admin_reversal_idx
+  ON public.user_balance_ledger (ref_type, ref_id)
+  WHERE reason = 'admin_reversal';
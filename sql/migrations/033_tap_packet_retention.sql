@@ -0,0 +1,7 @@
+-- 033_tap_packet_retention.sql
+-- The worker prunes applied tap packets past TAP_PACKET_RETENTION_DAYS
+-- (pruneTapPackets in lib/antiCheat.js); this index serves that scan.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+CREATE INDEX IF NOT EXISTS tap_packets_created_idx
+  ON public.tap_packets (created_at);
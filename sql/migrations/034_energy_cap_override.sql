@@ -0,0 +1,12 @@
+-- 034_energy_cap_override.sql
+-- users.max_energy is now only a per-user minimum cap on top of the energy curve
+-- (see lib/energy.js). Drop its insert default and clear the default value, so
+-- curve caps (e.g. a VIP class's max_energy) apply.
+-- Run in Supabase SQL editor (safe to run multiple times).
+
+ALTER TABLE public.users
+  ALTER COLUMN max_energy DROP DEFAULT;
+
+UPDATE public.users
+SET max_energy = NULL
+WHERE max_energy = 50;
@@ -4,12 +4,41 @@
 //   node worker.js
 
 const { pool, withTransaction } = require("./lib/db");
-const { runJobHandler, NonRetryableJobError } = require("./lib/jobHandlers");
+const { runJobHandler, runJobFailureHook, NonRetryableJobError } = require("./lib/jobHandlers");
+const { maybeStartScheduledRun } = require("./lib/reconcile");
+const { maybeStartScheduledDecayRun } = require("./lib/decay");
+const { flushTapPackets } = require("./lib/tapAccumulator");
+const { pruneTapChains } = require("./lib/tapChain");
+const { pruneTapPackets } = require("./lib/antiCheat");
+const { startConfigListener } = require("./lib/config");
+const { enqueueJob } = require("./lib/jobs");
 
 const WORKER_NAME = process.env.WORKER_NAME || "jigcoin-worker";
 const POLL_INTERVAL_MS = Number(process.env.JOBS_POLL_INTERVAL_MS || 2000);
 const MAX_ATTEMPTS = Number(process.env.JOBS_MAX_ATTEMPTS || 8);
 
+// Periodic ledger reconciliation (reconcile_all). 0 disables the schedule.
+const RECONCILE_INTERVAL_HOURS = Number(process.env.RECONCILE_INTERVAL_HOURS || 0);
+// Scheduled runs only report drift unless explicitly allowed to correct it.
+const RECONCILE_DRY_RUN = !["0", "false"].includes(String(process.env.RECONCILE_DRY_RUN || "1").toLowerCase());
+const RECONCILE_BATCH_SIZE = Number(process.env.RECONCILE_BATCH_SIZE || 500);
+// Inactivity decay (decay_batch). Only runs while decay_percent_per_week > 0; 0 disables the schedule.
+const DECAY_INTERVAL_HOURS = Number(process.env.DECAY_INTERVAL_HOURS || 24);
+const DECAY_BATCH_SIZE = Number(process.env.DECAY_BATCH_SIZE || 500);
+const SCHEDULE_CHECK_MS = 60_000;
+// Write-behind tap packets older than this are flushed by the worker (their API process
+// normally does it within a second; older ones were left behind by a crash or restart).
+const TAP_SWEEP_INTERVAL_MS = Number(process.env.TAP_SWEEP_INTERVAL_MS || 15_000);
+const TAP_SWEEP_MIN_AGE_MS = Number(process.env.TAP_SWEEP_MIN_AGE_MS || 30_000);
+// Idle tap nonce chains and old chain failures are pruned this often. 0 disables it.
+const TAP_CHAIN_PRUNE_INTERVAL_HOURS = Number(process.env.TAP_CHAIN_PRUNE_INTERVAL_HOURS || 24);
+// Applied tap packets are kept this many days for cadence analysis (at least 1), pruned
+// every TAP_PACKET_PRUNE_INTERVAL_HOURS. 0 disables pruning.
+const TAP_PACKET_RETENTION_DAYS = Number(process.env.TAP_PACKET_RETENTION_DAYS || 7);
+const TAP_PACKET_PRUNE_INTERVAL_HOURS = Number(process.env.TAP_PACKET_PRUNE_INTERVAL_HOURS || 24);
+// Missions past ends_at are switched off by an expire_missions job this often. 0 disables it.
+const MISSION_EXPIRY_INTERVAL_MINUTES = Number(process.env.MISSION_EXPIRY_INTERVAL_MINUTES || 5);
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -57,12 +86,16 @@ async function incrementAttempts(client, jobId) {
 
 
 async function processJob(job) {
+  let failure = null;
   await withTransaction(async (client) => {
     await incrementAttempts(client, job.id);
+    // Savepoint so a failed handler query does not abort the bookkeeping below.
+    await client.query("SAVEPOINT job_handler");
     try {
       await runJobHandler(client, job);
       await markJobStatus(client, job.id, "completed", null);
     } catch (err) {
+      await client.query("ROLLBACK TO SAVEPOINT job_handler");
       const attemptsRes = await client.query(
         `SELECT attempts FROM public.jobs WHERE id = $1`,
         [job.id]
@@ -85,16 +118,140 @@ async function processJob(job) {
         finalStatus,
         err.message || String(err)
       );
+      if (finalStatus === "failed") failure = err;
     }
   });
+
+  if (failure) {
+    await runJobFailureHook(job, failure);
+  }
+}
+
+let lastScheduleCheck = 0;
+let lastDecayScheduleCheck = 0;
+let lastTapSweep = 0;
+let lastTapChainPrune = 0;
+let lastTapPacketPrune = 0;
+let lastMissionExpiry = 0;
+
+async function maybeScheduleReconcile() {
+  if (!(RECONCILE_INTERVAL_HOURS > 0)) return;
+  const now = Date.now();
+  if (now - lastScheduleCheck < SCHEDULE_CHECK_MS) return;
+  lastScheduleCheck = now;
+
+  try {
+    const run = await maybeStartScheduledRun({
+      intervalMs: RECONCILE_INTERVAL_HOURS * 3600_000,
+      dryRun: RECONCILE_DRY_RUN,
+      batchSize: RECONCILE_BATCH_SIZE,
+    });
+    if (run) {
+      console.log(`[${WORKER_NAME}] scheduled reconcile_all run`, { run_id: run.id, dry_run: run.dry_run });
+    }
+  } catch (err) {
+    console.error("Error scheduling reconcile_all", err);
+  }
+}
+
+async function maybeScheduleDecay() {
+  if (!(DECAY_INTERVAL_HOURS > 0)) return;
+  const now = Date.now();
+  if (now - lastDecayScheduleCheck < SCHEDULE_CHECK_MS) return;
+  lastDecayScheduleCheck = now;
+
+  try {
+    const run = await maybeStartScheduledDecayRun({
+      intervalMs: DECAY_INTERVAL_HOURS * 3600_000,
+      batchSize: DECAY_BATCH_SIZE,
+    });
+    if (run) {
+      console.log(`[${WORKER_NAME}] scheduled decay_batch run`, { run_id: run.id });
+    }
+  } catch (err) {
+    console.error("Error scheduling decay_batch", err);
+  }
+}
+
+async function maybeSweepTapPackets() {
+  if (!(TAP_SWEEP_INTERVAL_MS > 0)) return;
+  const now = Date.now();
+  if (now - lastTapSweep < TAP_SWEEP_INTERVAL_MS) return;
+  lastTapSweep = now;
+
+  try {
+    const r = await flushTapPackets({ minAgeMs: TAP_SWEEP_MIN_AGE_MS });
+    if (r.packets || r.parked) {
+      console.log(`[${WORKER_NAME}] flushed stale tap packets`, r);
+    }
+  } catch (err) {
+    console.error("Error flushing tap packets", err);
+  }
+}
+
+async function maybePruneTapChains() {
+  if (!(TAP_CHAIN_PRUNE_INTERVAL_HOURS > 0)) return;
+  const now = Date.now();
+  if (now - lastTapChainPrune < TAP_CHAIN_PRUNE_INTERVAL_HOURS * 3600_000) return;
+  lastTapChainPrune = now;
+
+  try {
+    const r = await pruneTapChains();
+    if (r.chains || r.failures) {
+      console.log(`[${WORKER_NAME}] pruned tap chains`, r);
+    }
+  } catch (err) {
+    console.error("Error pruning tap chains", err);
+  }
+}
+
+async function maybePruneTapPackets() {
+  if (!(TAP_PACKET_PRUNE_INTERVAL_HOURS > 0)) return;
+  const now = Date.now();
+  if (now - lastTapPacketPrune < TAP_PACKET_PRUNE_INTERVAL_HOURS * 3600_000) return;
+  lastTapPacketPrune = now;
+
+  try {
+    const r = await pruneTapPackets({ days: TAP_PACKET_RETENTION_DAYS });
+    if (r.packets) {
+      console.log(`[${WORKER_NAME}] pruned tap packets`, r);
+    }
+  } catch (err) {
+    console.error("Error pruning tap packets", err);
+  }
+}
+
+async function maybeScheduleMissionExpiry() {
+  if (!(MISSION_EXPIRY_INTERVAL_MINUTES > 0)) return;
+  const now = Date.now();
+  if (now - lastMissionExpiry < MISSION_EXPIRY_INTERVAL_MINUTES * 60_000) return;
+  lastMissionExpiry = now;
+
+  try {
+    // One pending run is enough, whatever the number of workers.
+    const { rowCount } = await pool.query(
+      `SELECT 1 FROM public.jobs WHERE type = 'expire_missions' AND status = 'pending' LIMIT 1`
+    );
+    if (!rowCount) await enqueueJob("expire_missions", {});
+  } catch (err) {
+    console.error("Error scheduling expire_missions", err);
+  }
 }
 
 async function workerLoop() {
   console.log(`[${WORKER_NAME}] starting worker loop`);
   // Ensure pool is healthy
   await pool.query("SELECT 1");
+  startConfigListener();
 
   while (true) {
+    await maybeScheduleReconcile();
+    await maybeScheduleDecay();
+    await maybeSweepTapPackets();
+    await maybePruneTapChains();
+    await maybePruneTapPackets();
+    await maybeScheduleMissionExpiry();
+
     let job = null;
     const client = await pool.connect();
     try {